@@ -1,93 +1,59 @@
 // editsignature.js - Manage signature page logic
 
+set_log_source("taskpane");
+
 Office.initialize = function (reason) {
-    console.log("Edit signature page initialized");
+    log_debug("Edit signature page initialized");
 };
 
 let userData = null;
 let selectedTemplate = "A";
+// Templates for replies and forwards (new messages use selectedTemplate)
+let modeTemplates = { reply: "A", forward: "A" };
+// Meeting invite template (M) is opt-in - otherwise appointments use the new message template
+let appointmentTemplateEnabled = false;
+// Internal template (I) is opt-in - used when every recipient is on a company domain
+let internalTemplateEnabled = false;
+// Compose mode currently shown in the preview ("newMail", "reply", "forward" or "appointment")
+let previewMode = "newMail";
+// Preview tab - "html" (formatted) or "text" (plain-text compose)
+let previewFormat = "html";
 let isContractor = false;
-
-/**
- * Contractor Company Website Mappings
- * Maps Azure AD company names to their website URLs
- * NOTE: Company names must match EXACTLY as they appear in Azure AD
- * Use /api/contractor-companies endpoint to see actual names
- */
-const CONTRACTOR_COMPANY_WEBSITES = {
-    // Your Known Contractors
-    'Bucher & Christian Consulting Inc': 'www.bcforward.com',
-    'BC Forward': 'www.bcforward.com',
-    'Microsoft': 'www.microsoft.com',
-    'TCS': 'www.tcs.com',
-    'Tata Consultancy Services': 'www.tcs.com',
-    'Indegene': 'www.indegene.com',
-    'CBRE': 'www.cbre.com',
-    'AVI-SPL': 'www.avispl.com',
-    'Markey\'s': 'www.markeys.com',
-    'Markeys': 'www.markeys.com',
-    'Anixter': 'www.anixter.com',
-    'Accenture': 'www.accenture.com',
-    'Adecco': 'www.adecco.com',
-    'ABB Industrial Services': 'global.abb',
-    'ABB': 'global.abb',
-    'Acuren Inspection': 'www.acuren.com',
-    'Acuren': 'www.acuren.com',
-    'Agilent': 'www.agilent.com',
-    'Atlas Copco': 'www.atlascopco.com',
-    'Bruker': 'www.bruker.com',
-    'Honeywell': 'www.honeywell.com',
-    'Thermo Scientific': 'www.thermofisher.com',
-    'Thermo Fisher Scientific': 'www.thermofisher.com',
-    'Cognizant': 'www.cognizant.com',
-    'Nagarro': 'www.nagarro.com',
-    'Grantek': 'www.grantek.com',
-    'Sequence': 'www.sequenceinc.com',
-    'Skellig': 'www.skellig.com'
-};
+// Signature profiles (see read_profiles) and the profile shown in the form
+let signatureProfiles = null;
+let currentProfileId = null;
 
 /**
  * Get website URL for a contractor company
+ * Uses the contractor directory (signature_contractors-p.js) - Azure AD company names are matched
+ * against directory names and aliases (use /api/contractor-companies endpoint to see actual names)
  */
 function getContractorWebsite(companyName) {
-    if (!companyName) return '';
-    
-    // Try exact match
-    if (CONTRACTOR_COMPANY_WEBSITES[companyName]) {
-        return CONTRACTOR_COMPANY_WEBSITES[companyName];
-    }
-    
-    // Try case-insensitive match
-    const lowerCompanyName = companyName.toLowerCase();
-    for (const [key, value] of Object.entries(CONTRACTOR_COMPANY_WEBSITES)) {
-        if (key.toLowerCase() === lowerCompanyName) {
-            return value;
-        }
-    }
-    
-    // Try partial match
-    for (const [key, value] of Object.entries(CONTRACTOR_COMPANY_WEBSITES)) {
-        if (lowerCompanyName.includes(key.toLowerCase()) || key.toLowerCase().includes(lowerCompanyName)) {
-            return value;
-        }
-    }
+    const match = find_contractor_company(companyName);
+    log_debug(`Contractor directory lookup "${companyName}": ${match.reason} (score ${match.score.toFixed(2)})`);
     
-    return '';
+    return match.entry && match.entry.website ? match.entry.website : '';
 }
 
 Office.onReady(function() {
-    console.log("Office.js ready - loading edit signature page");
-    loadAndDisplayUserInfo();
+    log_info(`Edit signature page ${ADDIN_VERSION} ready`);
+    
+    // Bring stored settings up to the current schema before reading them
+    if (migrate_storage()) {
+        save_settings();
+    }
+    
+    // Org config (locations, websites, legal text) must be loaded before anything is rendered
+    load_org_config(function() {
+        loadAndDisplayUserInfo();
+        showUserInfoChanges();
+    });
     
-    // Hidden keyboard shortcut: Ctrl+Shift+D to toggle Clear Cache button
+    // Keyboard shortcut: Ctrl+Shift+D to toggle the diagnostics panel (also behind the Troubleshooting button)
     document.addEventListener('keydown', function(e) {
         if (e.ctrlKey && e.shiftKey && e.key === 'D') {
             e.preventDefault();
-            const btn = document.getElementById('clearCacheButton');
-            if (btn) {
-                btn.style.display = btn.style.display === 'none' ? 'inline-flex' : 'none';
-                console.log('Debug mode:', btn.style.display === 'none' ? 'OFF' : 'ON');
-            }
+            toggleDiagnostics();
         }
     });
 });
@@ -96,44 +62,17 @@ Office.onReady(function() {
  * Load user info from existing storage
  */
 async function loadAndDisplayUserInfo() {
-    // Use your existing storage keys
-    let user_info_str = localStorage.getItem('lilly_user_info') || 
-                        Office.context.roamingSettings.get('lilly_user_info');
+    // Taskpane-saved user info (older field names were migrated by migrate_storage on startup)
+    userData = read_saved_user_info();
     
-    if (!user_info_str) {
-        console.log("No user info found - fetching from Graph API...");
+    if (!userData) {
+        log_info("No user info found - fetching from Graph API");
         await fetchFromGraphAPI();
         return;
     }
     
-    userData = JSON.parse(user_info_str);
-    console.log("Loaded user data:", userData);
-    
-    // MIGRATE OLD FIELD NAMES to new ones
-    if (userData.mobile && !userData.mobilePhone) {
-        console.log("� Migrating 'mobile' → 'mobilePhone'");
-        userData.mobilePhone = userData.mobile;
-        delete userData.mobile;
-    }
-    if (userData.location && !userData.officeLocation) {
-        console.log("� Migrating 'location' → 'officeLocation'");
-        userData.officeLocation = userData.location;
-        delete userData.location;
-    }
-    if (userData.pronouns && !userData.pronoun) {
-        console.log("🔄 Migrating 'pronouns' → 'pronoun'");
-        userData.pronoun = userData.pronouns;
-        delete userData.pronouns;
-    }
-    
-    console.log("✓ After migration - mobilePhone:", userData.mobilePhone);
-    console.log("✓ After migration - officeLocation:", userData.officeLocation);
-    console.log("✓ After migration - pronoun:", userData.pronoun);
-    
-    // Save migrated data back to storage
-    localStorage.setItem('lilly_user_info', JSON.stringify(userData));
-    Office.context.roamingSettings.set('lilly_user_info', JSON.stringify(userData));
-    Office.context.roamingSettings.saveAsync();
+    // Field names only - the values are personal and the log is kept in localStorage
+    log_debug("Loaded user data fields", Object.keys(userData).filter(field => is_valid_data(userData[field])));
     
     // Determine user type FIRST (before setting website)
     determineUserType();
@@ -157,8 +96,8 @@ async function loadAndDisplayUserInfo() {
 async function fetchFromGraphAPI() {
     try {
         const userEmail = Office.context.mailbox.userProfile.emailAddress;
-        // GitHub Pages deployment - always use CATS backend
-        const API_BASE_URL = 'https://lilly-signature-addin.dc.lilly.com';
+        // GitHub Pages deployment - always use CATS backend (org config "apiBaseUrl")
+        const API_BASE_URL = get_org_config().apiBaseUrl;
         
         const response = await fetch(`${API_BASE_URL}/signature?email=${encodeURIComponent(userEmail)}`, {
             credentials: 'include' // Send authentication cookies (no Content-Type needed for GET)
@@ -168,30 +107,16 @@ async function fetchFromGraphAPI() {
         
         const graphData = await response.json();
         
-        // Convert to your internal format - USE GRAPH API FIELD NAMES
-        userData = {
-            name: graphData.displayName || '',
-            email: graphData.mail || graphData.userPrincipalName || '',
-            jobTitle: graphData.jobTitle || '',
-            department: graphData.department || '',
-            functionalArea: graphData.companyName || '',
-            companyName: graphData.companyName || null,
-            mobilePhone: graphData.mobilePhone || '',
-            officePhone: (graphData.businessPhones && graphData.businessPhones[0]) || '',
-            country: graphData.country || '',
-            officeLocation: graphData.officeLocation || '',
-            pronoun: '',
-            pronunciation: '',
-            companyWebsite: '' // Will be set based on user type
-        };
+        // Convert to the user info format - same mapping and validation as the autorun (signature_graph-p.js)
+        userData = map_graph_user_info(graphData, {
+            name: Office.context.mailbox.userProfile.displayName,
+            email: userEmail
+        }).user_info;
         
         // Save to storage with timestamp
-        localStorage.setItem('lilly_user_info', JSON.stringify(userData));
-        Office.context.roamingSettings.set('lilly_user_info', JSON.stringify(userData));
-        Office.context.roamingSettings.set('user_info_cache', JSON.stringify(userData));
-        Office.context.roamingSettings.set('user_info_timestamp', Date.now());
-        console.log("✓ Saved to storage with timestamp:", Date.now());
-        Office.context.roamingSettings.saveAsync();
+        write_saved_user_info(userData);
+        log_debug("User info from Graph API saved to storage");
+        save_settings();
         
         // Display
         populateReadOnlyFields();
@@ -201,7 +126,7 @@ async function fetchFromGraphAPI() {
         updatePreview();
         
     } catch (error) {
-        console.error("Failed to fetch from Graph API:", error);
+        log_error("Failed to fetch from Graph API", error);
         showError("Could not load your information. Please try again.");
     }
 }
@@ -233,7 +158,7 @@ function getDefaultWebsite() {
     if (isContractor) {
         const website = getContractorWebsite(userData.functionalArea);
         if (website) {
-            console.log('✓ Auto-mapped contractor website:', website);
+            log_debug(`Auto-mapped contractor website: ${website}`);
         }
         return website || ''; // Return empty if no mapping found
     }
@@ -241,27 +166,10 @@ function getDefaultWebsite() {
     // For employees, determine Lilly website based on country
     const country = (userData.country || '').toLowerCase();
     
-    // Country-specific Lilly websites
-    const countryWebsites = {
-        'united states': 'www.lilly.com',
-        'usa': 'www.lilly.com',
-        'us': 'www.lilly.com',
-        'canada': 'www.lilly.ca',
-        'united kingdom': 'www.lilly.co.uk',
-        'uk': 'www.lilly.co.uk',
-        'germany': 'www.lilly.de',
-        'france': 'www.lilly.fr',
-        'spain': 'www.lilly.es',
-        'italy': 'www.lilly.it',
-        'japan': 'www.lilly.co.jp',
-        'china': 'www.lilly.com.cn',
-        'australia': 'www.lilly.com.au',
-        'brazil': 'www.lilly.com.br',
-        'mexico': 'www.lilly.com.mx',
-        'india': 'www.lilly.com/in'
-    };
+    // Country-specific Lilly websites (org config "countryWebsites" table)
+    const countryWebsites = get_org_config().countryWebsites;
     
-    return countryWebsites[country] || 'www.lilly.com'; // Default to .com
+    return countryWebsites[country] || get_org_config().companyWebsite; // Default to .com
 }
 
 /**
@@ -287,47 +195,320 @@ function populateField(elementId, value, actionId) {
 }
 
 /**
- * Load saved pronouns/pronunciation/template
+ * Load saved profiles and show the default profile
  */
 function loadSavedPreferences() {
+    signatureProfiles = read_profiles();
+    loadProfile(signatureProfiles.defaultProfile);
+}
+
+/**
+ * Load a profile's pronouns/pronunciation/title overrides/language/template into the form
+ */
+function loadProfile(profileId) {
+    const profile = find_profile(signatureProfiles, profileId);
+    currentProfileId = profile.id;
+    
+    // Graph API fields stay - the profile's settings replace the previous profile's
+    userData = apply_profile_settings(userData, profile);
+    if (!userData.companyWebsite) {
+        userData.companyWebsite = getDefaultWebsite();
+    }
+    
     const pronounsEl = document.getElementById('pronouns');
     const pronunciationEl = document.getElementById('pronunciation');
     
-    if (userData.pronoun && pronounsEl) {
-        pronounsEl.value = userData.pronoun;
+    if (pronounsEl) pronounsEl.value = userData.pronoun || '';
+    if (pronunciationEl) pronunciationEl.value = userData.pronunciation || '';
+    
+    // Title overrides - the Workday values are shown as placeholders
+    const jobTitleEl = document.getElementById('job_title_override');
+    const departmentEl = document.getElementById('department_override');
+    if (jobTitleEl) {
+        jobTitleEl.value = userData.jobTitleOverride || '';
+        jobTitleEl.placeholder = userData.jobTitle || 'e.g., Medical Science Liaison';
+    }
+    if (departmentEl) {
+        departmentEl.value = userData.departmentOverride || '';
+        departmentEl.placeholder = userData.department || 'e.g., Oncology Business Unit';
     }
     
-    if (userData.pronunciation && pronunciationEl) {
-        pronunciationEl.value = userData.pronunciation;
+    renderProfileOptions();    
+    renderLocaleOptions();
+    renderAddressOptions();
+    renderFieldToggles();
+    renderSignOffOptions();
+    
+    const signOffTextEl = document.getElementById('sign_off_text');
+    if (signOffTextEl) signOffTextEl.value = userData.greeting || '';
+    
+    const signOffRepliesEl = document.getElementById('sign_off_replies');
+    if (signOffRepliesEl) signOffRepliesEl.checked = userData.signOffInReplies !== false;
+    
+    // Load the profile's template choice - default to the user type's template if never saved
+    selectedTemplate = profile.templates.newMail || (isContractor ? 'C' : 'A');
+    
+    // Load reply/forward choices - default to the new message template if never saved
+    ['reply', 'forward'].forEach(function(mode) {
+        modeTemplates[mode] = profile.templates[mode] || selectedTemplate;
+    });
+    
+    // Load meeting invite choice
+    appointmentTemplateEnabled = profile.templates.appointment === 'M';
+    const appointmentToggle = document.getElementById('appointmentToggle');
+    if (appointmentToggle) {
+        appointmentToggle.checked = appointmentTemplateEnabled;
+    }
+    
+    // Load internal signature choice
+    internalTemplateEnabled = profile.templates.internal === 'I';
+    const internalToggle = document.getElementById('internalToggle');
+    if (internalToggle) {
+        internalToggle.checked = internalTemplateEnabled;
     }
+}
+
+/**
+ * Fill the profile select and the name / default controls for the current profile
+ */
+function renderProfileOptions() {
+    const profileEl = document.getElementById('profile_select');
+    if (!profileEl) return;
+    
+    profileEl.innerHTML = signatureProfiles.profiles.map(profile =>
+        `<option value="${escape_html(profile.id)}">${escape_html(profile.name)}${profile.id === signatureProfiles.defaultProfile ? ' (default)' : ''}</option>`
+    ).join('');
+    profileEl.value = currentProfileId;
     
-    // Load saved template choice
-    const savedTemplate = Office.context.roamingSettings.get("lilly_newMail") || 
-                         Office.context.roamingSettings.get("newMail");
-    if (savedTemplate) {
-        selectedTemplate = savedTemplate;
+    const profile = find_profile(signatureProfiles, currentProfileId);
+    const nameEl = document.getElementById('profile_name');
+    if (nameEl) nameEl.value = profile.name;
+    
+    // The default can only be moved to another profile, not switched off
+    const defaultEl = document.getElementById('profile_default');
+    if (defaultEl) {
+        defaultEl.checked = profile.id === signatureProfiles.defaultProfile;
+        defaultEl.disabled = defaultEl.checked;
     }
+    
+    const deleteButton = document.getElementById('deleteProfileButton');
+    if (deleteButton) deleteButton.disabled = signatureProfiles.profiles.length < 2;
+}
+
+/**
+ * Keep the form's settings and template choices in the current profile (in memory until saved)
+ */
+function storeCurrentProfile() {
+    const profile = find_profile(signatureProfiles, currentProfileId);
+    profile.settings = pick_profile_settings(userData);
+    profile.templates = {
+        newMail: selectedTemplate,
+        reply: modeTemplates.reply,
+        forward: modeTemplates.forward,
+        appointment: appointmentTemplateEnabled ? 'M' : null,
+        internal: internalTemplateEnabled ? 'I' : null
+    };
+}
+
+/**
+ * Switch the form to another profile - unsaved changes stay with the profile they were made in
+ */
+function selectProfile(profileId) {
+    storeCurrentProfile();
+    loadProfile(profileId);
+    previewMode = 'newMail';
+    renderTemplateOptions();
+    updatePreview();
+}
+
+/**
+ * Add a profile, starting from a copy of the current one
+ */
+function addProfile() {
+    storeCurrentProfile();
+    const current = find_profile(signatureProfiles, currentProfileId);
+    const profile = {
+        id: 'p' + Date.now().toString(36),
+        name: `Profile ${signatureProfiles.profiles.length + 1}`,
+        templates: Object.assign({}, current.templates),
+        settings: JSON.parse(JSON.stringify(current.settings))
+    };
+    signatureProfiles.profiles.push(profile);
+    
+    selectProfile(profile.id);
+    
+    const nameEl = document.getElementById('profile_name');
+    if (nameEl) nameEl.select();
+}
+
+/**
+ * Rename the current profile
+ */
+function renameProfile(name) {
+    const profile = find_profile(signatureProfiles, currentProfileId);
+    profile.name = name.trim() || 'Untitled';
+    
+    const option = document.querySelector(`#profile_select option[value="${CSS.escape(profile.id)}"]`);
+    if (option) option.textContent = profile.name + (profile.id === signatureProfiles.defaultProfile ? ' (default)' : '');
+}
+
+/**
+ * Make the current profile the default - the autorun inserts the default profile
+ */
+function setDefaultProfile() {
+    signatureProfiles.defaultProfile = currentProfileId;
+    renderProfileOptions();
+}
+
+/**
+ * Delete the current profile (the last profile can't be deleted)
+ */
+function deleteProfile() {
+    if (signatureProfiles.profiles.length < 2) return;
+    
+    signatureProfiles.profiles = signatureProfiles.profiles.filter(profile => profile.id !== currentProfileId);
+    if (!signatureProfiles.profiles.some(profile => profile.id === signatureProfiles.defaultProfile)) {
+        signatureProfiles.defaultProfile = signatureProfiles.profiles[0].id;
+    }
+    
+    loadProfile(signatureProfiles.defaultProfile);
+    previewMode = 'newMail';
+    renderTemplateOptions();
+    updatePreview();
+}
+
+/**
+ * Fill the signature language select - "Automatic" follows the user's country / Outlook language
+ */
+function renderLocaleOptions() {
+    const localeEl = document.getElementById('signature_locale');
+    if (!localeEl) return;
+    
+    const detectedLocale = detect_signature_locale(userData);
+    const options = [`<option value="">Automatic (${SIGNATURE_LOCALES[detectedLocale].name})</option>`];
+    Object.keys(SIGNATURE_LOCALES).forEach(function(code) {
+        options.push(`<option value="${code}">${SIGNATURE_LOCALES[code].name}</option>`);
+    });
+    localeEl.innerHTML = options.join('');
+    localeEl.value = normalize_locale(userData.locale);
+}
+
+/**
+ * Fill the address select - "Default" is the full address, or no address for home workers
+ */
+function renderAddressOptions() {
+    const addressEl = document.getElementById('address_display');
+    if (!addressEl) return;
+    
+    const location = resolve_location(userData);
+    const labels = { full: 'Full address', city: 'City only', none: "Don't show" };
+    const defaultLabel = location.isHome ? `${labels.none} - works from home` : labels.full;
+    
+    const options = [`<option value="">Default (${defaultLabel})</option>`];
+    ADDRESS_DISPLAY_OPTIONS.forEach(function(option) {
+        options.push(`<option value="${option}">${labels[option]}</option>`);
+    });
+    addressEl.innerHTML = options.join('');
+    addressEl.value = ADDRESS_DISPLAY_OPTIONS.indexOf(userData.addressDisplay) !== -1 ? userData.addressDisplay : '';
+}
+
+/**
+ * Fill the sign-off select - presets are shown in the signature language
+ */
+function renderSignOffOptions() {
+    const signOffEl = document.getElementById('sign_off');
+    if (!signOffEl) return;
+    
+    const locale = resolve_signature_locale(userData);
+    const options = ['<option value="">No sign-off</option>'];
+    SIGN_OFF_PRESETS.forEach(function(preset) {
+        options.push(`<option value="${preset}">${escape_html(get_locale_label(locale, preset))}</option>`);
+    });
+    options.push('<option value="custom">Custom...</option>');
+    signOffEl.innerHTML = options.join('');
+    signOffEl.value = SIGN_OFF_PRESETS.indexOf(userData.signOff) !== -1 || userData.signOff === 'custom' ? userData.signOff : '';
+}
+
+/**
+ * Change the signature language - the sign-off presets follow it
+ */
+function selectLocale(locale) {
+    userData.locale = locale;
+    renderSignOffOptions();
+    updatePreview();
+}
+
+/**
+ * Render the "Show in signature" checkboxes - one per field in SIGNATURE_FIELD_TOGGLES
+ */
+function renderFieldToggles() {
+    const container = document.getElementById('fieldToggles');
+    if (!container) return;
+    
+    const labels = {
+        officePhone: 'Office phone',
+        mobilePhone: 'Mobile phone',
+        department: 'Department',
+        address: 'Address',
+        website: 'Website',
+        campaign: 'Campaign banner'
+    };
+    
+    // The campaign banner is only offered while a campaign runs, and can't be hidden if its policy requires it
+    const campaign = get_active_campaign();
+    const fields = SIGNATURE_FIELD_TOGGLES.filter(field => field !== 'campaign' || campaign);
+    
+    container.innerHTML = fields.map(field => {
+        const required = field === 'campaign' && campaign.allowOptOut === false;
+        return `
+        <label class="field-toggle" ${required ? 'title="Required for this campaign"' : ''}>
+            <input type="checkbox" data-field="${field}" ${required || is_field_visible(userData, field) ? 'checked' : ''} ${required ? 'disabled' : ''} onchange="updatePreview()">
+            <span>${labels[field]}</span>
+        </label>
+    `;
+    }).join('');
+}
+
+/**
+ * Read the hidden fields from the "Show in signature" checkboxes
+ */
+function readHiddenFields() {
+    const checkboxes = Array.prototype.slice.call(document.querySelectorAll('#fieldToggles input[data-field]:not(:disabled)'));
+    const offered = checkboxes.map(checkbox => checkbox.dataset.field);
+    
+    // Keep earlier choices for fields that have no checkbox right now (e.g. no campaign is running)
+    const kept = (userData.hiddenFields || []).filter(field => offered.indexOf(field) === -1);
+    return kept.concat(checkboxes.filter(checkbox => !checkbox.checked).map(checkbox => checkbox.dataset.field));
+}
+
+/**
+ * Get the template chosen for a compose mode
+ */
+function getTemplateForMode(mode) {
+    if (mode === 'newMail') return selectedTemplate;
+    if (mode === 'appointment') return appointmentTemplateEnabled ? 'M' : selectedTemplate;
+    if (mode === 'internal') return 'I';
+    return modeTemplates[mode];
 }
 
 /**
  * Determine if contractor or employee
  */
 function determineUserType() {
-    // Check if functionalArea has company name (contractor indicator)
-    isContractor = userData.functionalArea && 
-                   userData.functionalArea.trim() !== "" &&
-                   userData.functionalArea.toLowerCase() !== "eli lilly" &&
-                   userData.functionalArea.toLowerCase() !== "lilly";
+    // Same classification as the autorun (overrides, employeeType, company name - see classify_user)
+    const userType = classify_user(userData);
+    isContractor = userType.type === 'contractor';
     
     if (isContractor) {
-        console.log("🔒 User is contractor:", userData.functionalArea);
+        log_debug(`User is contractor: ${userType.reason}`);
         selectedTemplate = "C";
+        modeTemplates = { reply: "C", forward: "C" };
         
         // Re-set the website for contractor after simulation
         userData.companyWebsite = getDefaultWebsite();
-        console.log("🌐 Contractor website set to:", userData.companyWebsite);
+        log_debug(`Contractor website set to: ${userData.companyWebsite}`);
     } else {
-        console.log("✓ User is employee");
+        log_debug(`User is employee: ${userType.reason}`);
     }
 }
 
@@ -354,74 +535,135 @@ function renderTemplateOptions() {
         
         // Hide the read-only website card for contractors
         if (websiteCard) websiteCard.style.display = 'none';
-        
-        // Hide entire template section for contractors
-        if (templateSection) templateSection.style.display = 'none';
     } else {
         // Hide website edit field for employees
         if (websiteEditField) websiteEditField.style.display = 'none';
         
         // Show read-only website card for employees
         if (websiteCard) websiteCard.style.display = 'block';
-        
-        // Show A and B choices for employees - Clean, minimal design
-        templateOptions.innerHTML = `
-            <div class="template-card ${selectedTemplate === 'A' ? 'active' : ''}" onclick="selectTemplate('A')">
-                <div class="template-card-content">
-                    <svg class="template-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <rect x="3" y="3" width="18" height="18" rx="2"/>
-                        <circle cx="8.5" cy="8.5" r="1.5"/>
-                        <path d="M21 15l-5-5L5 21"/>
+    }
+    
+    // Build the template cards from the template registry (signature_templates-p.js)
+    const templates = get_available_templates(getUserType(), 'newMail');
+    
+    // Hide entire template section when there is nothing to choose (e.g. contractors only have Template C)
+    if (templates.length < 2) {
+        templateSection.style.display = 'none';
+        return;
+    }
+    
+    templateSection.style.display = '';
+    templateOptions.innerHTML = templates.map(renderTemplateCard).join('');
+    renderModeAssignments();
+}
+
+/**
+ * Render a single template card - Clean, minimal design
+ */
+function renderTemplateCard(template) {
+    return `
+        <div class="template-card ${selectedTemplate === template.id ? 'active' : ''}" onclick="selectTemplate('${template.id}')">
+            <div class="template-card-content">
+                <svg class="template-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${template.icon}
+                </svg>
+                <div class="template-text">
+                    <h3>${template.name}</h3>
+                    <p>${template.description}</p>
+                </div>
+                <div class="template-checkmark">
+                    <svg viewBox="0 0 20 20" fill="currentColor">
+                        <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/>
                     </svg>
-                    <div class="template-text">
-                        <h3>With Logo</h3>
-                        <p>Full branded signature with Lilly logo</p>
-                    </div>
-                    <div class="template-checkmark">
-                        <svg viewBox="0 0 20 20" fill="currentColor">
-                            <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/>
-                        </svg>
-                    </div>
                 </div>
             </div>
+        </div>
+    `;
+}
 
-            <div class="template-card ${selectedTemplate === 'B' ? 'active' : ''}" onclick="selectTemplate('B')">
-                <div class="template-card-content">
-                    <svg class="template-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M4 7h16M4 12h16M4 17h10"/>
-                    </svg>
-                    <div class="template-text">
-                        <h3>Text Only</h3>
-                        <p>Clean text signature without logo</p>
-                    </div>
-                    <div class="template-checkmark">
-                        <svg viewBox="0 0 20 20" fill="currentColor">
-                            <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/>
-                        </svg>
-                    </div>
+/**
+ * Get the user type used for template eligibility
+ */
+function getUserType() {
+    return isContractor ? 'contractor' : 'employee';
+}
+
+/**
+ * Render reply/forward template choices
+ */
+function renderModeAssignments() {
+    const container = document.getElementById('modeAssignments');
+    if (!container) return;
+    
+    const rows = [
+        { mode: 'reply', title: 'Replies', subtitle: 'Used when you reply or reply all' },
+        { mode: 'forward', title: 'Forwards', subtitle: 'Used when you forward a message' }
+    ];
+    
+    container.innerHTML = rows.map(row => `
+        <div class="assignment-row">
+            <label class="assignment-label" for="template_${row.mode}">
+                <div>
+                    <div class="label-title">${row.title}</div>
+                    <div class="label-subtitle">${row.subtitle}</div>
                 </div>
-            </div>
-        `;
-    }
+            </label>
+            <select id="template_${row.mode}" class="template-select" onchange="selectModeTemplate('${row.mode}', this.value)">
+                ${get_available_templates(getUserType(), row.mode).map(template => `<option value="${template.id}" ${modeTemplates[row.mode] === template.id ? 'selected' : ''}>${template.name}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
 }
 
 /**
  * Select template
  */
 function selectTemplate(template) {
-    if (isContractor) return;
+    if (!is_template_eligible(template, getUserType())) return;
     
     selectedTemplate = template;
+    previewMode = 'newMail';
     renderTemplateOptions();
     updatePreview();
 }
 
+/**
+ * Select template for replies or forwards
+ */
+function selectModeTemplate(mode, template) {
+    if (!is_template_eligible(template, getUserType())) return;
+    
+    modeTemplates[mode] = template;
+    previewMode = mode;
+    updatePreview();
+}
+
+/**
+ * Turn the meeting invite template on or off
+ */
+function toggleAppointmentTemplate(enabled) {
+    appointmentTemplateEnabled = enabled;
+    previewMode = enabled ? 'appointment' : 'newMail';
+    updatePreview();
+}
+
+/**
+ * Turn the internal signature on or off
+ */
+function toggleInternalTemplate(enabled) {
+    internalTemplateEnabled = enabled;
+    previewMode = enabled ? 'internal' : 'newMail';
+    updatePreview();
+}
+
 /**
  * Update live preview
  */
 function updatePreview() {
     const pronounsEl = document.getElementById('pronouns');
     const pronunciationEl = document.getElementById('pronunciation');
+    const localeEl = document.getElementById('signature_locale');
+    const addressEl = document.getElementById('address_display');
     const websiteEl = document.getElementById('company_website');
     const previewEl = document.getElementById('signaturePreview');
     
@@ -430,20 +672,76 @@ function updatePreview() {
     // Update userData with current form values
     if (pronounsEl) userData.pronoun = pronounsEl.value;
     if (pronunciationEl) userData.pronunciation = pronunciationEl.value;
+    if (localeEl) userData.locale = localeEl.value;
+    if (addressEl) userData.addressDisplay = addressEl.value;
     if (isContractor && websiteEl) userData.companyWebsite = websiteEl.value;
+    userData.hiddenFields = readHiddenFields();
+    readTitleOverrides();
+    readSignOff();
+    
+    // The address choice only matters while the address is shown
+    if (addressEl) addressEl.disabled = !is_field_visible(userData, 'address');
     
-    // Generate full signature using your existing template functions
-    let signatureHTML = '';
+    // Generate full signature with the shared template engine (same HTML/text the autorun inserts)
+    if (previewFormat === 'text') {
+        const textEl = document.createElement('pre');
+        textEl.className = 'signature-text-preview';
+        textEl.textContent = get_template_text(getTemplateForMode(previewMode), userData, { composeType: previewMode });
+        previewEl.innerHTML = '';
+        previewEl.appendChild(textEl);
+    } else {
+        previewEl.innerHTML = get_template_str(getTemplateForMode(previewMode), userData, { preview: true, composeType: previewMode });
+    }
     
-    if (selectedTemplate === 'A') {
-        signatureHTML = get_template_A_str(userData);
-    } else if (selectedTemplate === 'B') {
-        signatureHTML = get_template_B_str(userData);
-    } else if (selectedTemplate === 'C') {
-        signatureHTML = get_template_C_str(userData);
+    const previewModeEl = document.getElementById('previewModeLabel');
+    if (previewModeEl) {
+        const modeLabels = { newMail: 'New messages', reply: 'Replies', forward: 'Forwards', appointment: 'Meeting invites', internal: 'Internal emails' };
+        previewModeEl.textContent = modeLabels[previewMode];
     }
+}
+
+/**
+ * Read the profile's job title / department overrides into userData ("" = use the Workday value)
+ */
+function readTitleOverrides() {
+    const jobTitleEl = document.getElementById('job_title_override');
+    const departmentEl = document.getElementById('department_override');
+    
+    if (jobTitleEl) userData.jobTitleOverride = jobTitleEl.value.trim();
+    if (departmentEl) userData.departmentOverride = departmentEl.value.trim();
+}
+
+/**
+ * Read the sign-off choice, custom text and reply setting into userData
+ */
+function readSignOff() {
+    const signOffEl = document.getElementById('sign_off');
+    const signOffTextEl = document.getElementById('sign_off_text');
+    const signOffRepliesEl = document.getElementById('sign_off_replies');
+    
+    if (signOffEl) userData.signOff = signOffEl.value;
+    if (signOffTextEl) userData.greeting = signOffTextEl.value;
+    if (signOffRepliesEl) userData.signOffInReplies = signOffRepliesEl.checked;
+    
+    // Custom text box only for "Custom...", reply setting only when there is a sign-off
+    const customField = document.getElementById('signOffCustomField');
+    if (customField) customField.style.display = userData.signOff === 'custom' ? 'block' : 'none';
+    const repliesField = document.getElementById('signOffRepliesField');
+    if (repliesField) repliesField.style.display = userData.signOff ? 'flex' : 'none';
+}
+
+/**
+ * Switch the preview between the formatted and the plain-text signature
+ */
+function setPreviewFormat(format) {
+    previewFormat = format;
+    
+    const htmlTab = document.getElementById('previewTabHtml');
+    const textTab = document.getElementById('previewTabText');
+    if (htmlTab) htmlTab.classList.toggle('active', format === 'html');
+    if (textTab) textTab.classList.toggle('active', format === 'text');
     
-    previewEl.innerHTML = signatureHTML;
+    updatePreview();
 }
 
 /**
@@ -453,7 +751,7 @@ function updatePreview() {
  * Clear all caches and reload data from Graph API
  */
 function clearCache() {
-    console.log("🗑️ Clearing all caches...");
+    log_info("Clearing all caches");
     
     const clearButton = document.getElementById('clearCacheButton');
     const originalHTML = clearButton.innerHTML;
@@ -469,20 +767,15 @@ function clearCache() {
     
     try {
         // Clear sessionStorage
-        if (typeof sessionStorage !== 'undefined') {
-            sessionStorage.removeItem('user_info_session_cache');
-            console.log("✓ Cleared sessionStorage");
-        }
+        clear_session_cache();
+        log_debug("Cleared sessionStorage");
         
         // Clear roamingSettings
-        Office.context.roamingSettings.remove('user_info_cache');
-        Office.context.roamingSettings.remove('user_info_timestamp');
-        Office.context.roamingSettings.remove('lilly_user_info');
-        Office.context.roamingSettings.remove('user_info');
+        clear_user_info();
         
-        Office.context.roamingSettings.saveAsync(function(result) {
+        save_settings(function(result) {
             if (result.status === Office.AsyncResultStatus.Succeeded) {
-                console.log("✓ Cleared roamingSettings");
+                log_debug("Cleared roamingSettings");
                 
                 // Update button to show success
                 clearButton.innerHTML = `
@@ -497,14 +790,14 @@ function clearCache() {
                     location.reload();
                 }, 1000);
             } else {
-                console.error("✗ Failed to clear roamingSettings:", result.error);
+                log_error("Failed to clear roamingSettings", result.error);
                 clearButton.disabled = false;
                 clearButton.innerHTML = originalHTML;
                 alert('Failed to clear cache. Please try again.');
             }
         });
     } catch (error) {
-        console.error("Error clearing cache:", error);
+        log_error("Error clearing cache", error);
         clearButton.disabled = false;
         clearButton.innerHTML = originalHTML;
         alert('Error clearing cache: ' + error.message);
@@ -527,87 +820,44 @@ function saveSignature() {
     // Update userData
     const pronounsEl = document.getElementById('pronouns');
     const pronunciationEl = document.getElementById('pronunciation');
+    const localeEl = document.getElementById('signature_locale');
+    const addressEl = document.getElementById('address_display');
     const websiteEl = document.getElementById('company_website');
     
     if (pronounsEl) userData.pronoun = pronounsEl.value;
     if (pronunciationEl) userData.pronunciation = pronunciationEl.value;
     
+    // Language and address choices ("" = default)
+    if (localeEl) userData.locale = localeEl.value;
+    if (addressEl) userData.addressDisplay = addressEl.value;
+    
+    // Fields hidden with the "Show in signature" checkboxes, the title overrides and the sign-off
+    userData.hiddenFields = readHiddenFields();
+    readTitleOverrides();
+    readSignOff();
+    
     // Save company website for contractors
     if (isContractor && websiteEl) {
         userData.companyWebsite = websiteEl.value;
     }
     
-    // Save to storage (both formats for compatibility)
-    localStorage.setItem('lilly_user_info', JSON.stringify(userData));
-    Office.context.roamingSettings.set('lilly_user_info', JSON.stringify(userData));
-    
-    // UPDATE OLD CACHE KEYS (don't remove them - update with current data)
-    // This keeps autorunshared.js from fetching from Graph API again
-    Office.context.roamingSettings.set('user_info_cache', JSON.stringify(userData));
-    Office.context.roamingSettings.set('user_info_timestamp', Date.now());
-    console.log("✓ Updated cache keys with saved data");
-    
-    // Save template assignments
-    Office.context.roamingSettings.set('lilly_newMail', selectedTemplate);
-    Office.context.roamingSettings.set('lilly_reply', selectedTemplate);
-    Office.context.roamingSettings.set('lilly_forward', selectedTemplate);
-    
-    // Old format for backward compatibility
-    Office.context.roamingSettings.set('newMail', selectedTemplate);
-    Office.context.roamingSettings.set('reply', selectedTemplate);
-    Office.context.roamingSettings.set('forward', selectedTemplate);
+    // Save all profiles - the default profile also becomes the saved user info and template choices
+    // used by autorunshared-p.js (and refreshes the Graph API cache so it doesn't fetch again)
+    storeCurrentProfile();
+    const saved = write_profiles(signatureProfiles, userData);
+    log_debug("Updated cache keys with saved data");
     
-    Office.context.roamingSettings.saveAsync(function(result) {
+    save_settings(function(result) {
         if (result.status === Office.AsyncResultStatus.Succeeded) {
-            // Update sessionStorage with saved data (for OWA page reloads)
-            if (typeof sessionStorage !== 'undefined') {
-                try {
-                    // Create cache object with template preferences
-                    const cacheData = {
-                        user_info: userData,
-                        template: selectedTemplate,
-                        timestamp: new Date().toISOString()
-                    };
-                    sessionStorage.setItem('user_info_session_cache', JSON.stringify(cacheData));
-                    console.log("✓ Updated sessionStorage cache with saved preferences");
-                } catch(e) {
-                    console.warn("Could not update session cache:", e);
-                }
-            }
+            // Update sessionStorage with the default profile (for OWA page reloads)
+            // Meeting invite template is opt-in - without it appointments use the new message template
+            write_session_cache(saved.user_info, Object.assign({}, saved.templates, {
+                appointment: saved.templates.appointment || saved.templates.newMail
+            }));
+            log_debug("Updated sessionStorage cache with saved preferences");
             
-            // Update the signature in the current draft (if it's a compose window)
-            try {
-                if (Office.context.mailbox.item && Office.context.mailbox.item.itemType === Office.MailboxEnums.ItemType.Message) {
-                    // Generate the signature HTML based on selected template
-                    let signatureHTML = '';
-                    
-                    // Use the template functions from signature_templates.js
-                    if (typeof get_template_A_str !== 'undefined') {
-                        if (selectedTemplate === 'A') {
-                            signatureHTML = get_template_A_str(userData);
-                        } else if (selectedTemplate === 'B') {
-                            signatureHTML = get_template_B_str(userData);
-                        } else if (selectedTemplate === 'C') {
-                            signatureHTML = get_template_C_str(userData);
-                        }
-                        
-                        // Update the signature in the current draft
-                        Office.context.mailbox.item.body.setSignatureAsync(
-                            signatureHTML,
-                            { coercionType: Office.CoercionType.Html },
-                            function(asyncResult) {
-                                if (asyncResult.status === Office.AsyncResultStatus.Succeeded) {
-                                    console.log("✓ Current draft signature updated");
-                                } else {
-                                    console.warn("Could not update current draft:", asyncResult.error);
-                                }
-                            }
-                        );
-                    }
-                }
-            } catch(updateError) {
-                console.warn("Could not update current draft signature:", updateError);
-            }
+            // Update the signature in the current draft with the profile being edited
+            applyToDraft();
             
             saveButton.disabled = false;
             saveButton.innerHTML = originalHTML;
@@ -626,6 +876,86 @@ function saveSignature() {
     });
 }
 
+/**
+ * Get the template for each compose mode of the profile being edited
+ */
+function getDraftTemplates() {
+    return {
+        newMail: selectedTemplate,
+        reply: modeTemplates.reply,
+        forward: modeTemplates.forward,
+        appointment: getTemplateForMode('appointment')
+    };
+}
+
+/**
+ * Update the signature in the current draft with the profile shown in the form
+ * @returns true if a message or appointment is being composed; otherwise, false.
+ */
+function applyToDraft() {
+    const templates = getDraftTemplates();
+    
+    try {
+        const item = Office.context.mailbox.item;
+        if (!item || (item.itemType !== Office.MailboxEnums.ItemType.Message && item.itemType !== Office.MailboxEnums.ItemType.Appointment)) {
+            return false;
+        }
+        
+        // Use the template for this draft's compose mode (new message, reply, forward or appointment),
+        // the internal template if it is on and every recipient is internal,
+        // and the plain-text rendering if the draft body is plain text
+        get_compose_type(function(composeType) {
+            get_recipient_addresses(function(recipients) {
+                get_body_type(function(bodyType) {
+                    const isText = bodyType === 'text';
+                    const useInternal = internalTemplateEnabled && composeType !== 'appointment' && are_recipients_internal(recipients);
+                    
+                    // Generate the signature with the shared template engine (signature_templates-p.js)
+                    const signatureInfo = get_template_info(useInternal ? 'I' : templates[composeType], userData, composeType);
+                    
+                    // Update the signature in the current draft
+                    const insert = function() {
+                        item.body.setSignatureAsync(
+                            isText ? signatureInfo.signatureText : signatureInfo.signature,
+                            { coercionType: isText ? Office.CoercionType.Text : Office.CoercionType.Html },
+                            function(asyncResult) {
+                                if (asyncResult.status === Office.AsyncResultStatus.Succeeded) {
+                                    log_info("Current draft signature updated");
+                                    clearUserInfoChanges();
+                                } else {
+                                    log_warn("Could not update current draft", asyncResult.error);
+                                }
+                            }
+                        );
+                    };
+                    
+                    // "cid" logo mode needs the logo attached before the HTML references it
+                    if (isText) {
+                        insert();
+                    } else {
+                        add_logo_attachment(signatureInfo, insert);
+                    }
+                });
+            });
+        });
+        return true;
+    } catch(updateError) {
+        log_warn("Could not update current draft signature", updateError);
+        return false;
+    }
+}
+
+/**
+ * Apply the profile shown in the form to the current draft without saving
+ */
+function applyProfileToDraft() {
+    if (applyToDraft()) {
+        showSuccess(`✓ "${find_profile(signatureProfiles, currentProfileId).name}" applied to current draft`);
+    } else {
+        showError("Open a message or meeting to apply a profile.");
+    }
+}
+
 /**
  * Show success message
  */
@@ -658,6 +988,45 @@ function showError(message) {
     }
 }
 
+/**
+ * Show info message (stays until the next status message)
+ */
+function showInfo(message) {
+    const statusEl = document.getElementById('statusMessage');
+    const textEl = document.getElementById('statusText');
+    
+    if (statusEl && textEl) {
+        statusEl.className = 'status-message info';
+        textEl.textContent = message;
+        statusEl.style.display = 'flex';
+    }
+}
+
+/**
+ * Tell the user about directory changes the autorun's background refresh found
+ */
+function showUserInfoChanges() {
+    const changes = read_user_info_changes();
+    if (changes && changes.fields && changes.fields.length > 0) {
+        showInfo(`Your ${describe_user_info_changes(changes.fields)} changed in Workday. Select Apply to Draft to update the current signature.`);
+    }
+}
+
+/**
+ * Forget the directory changes once a draft signature has been updated, and remove the autorun's notification
+ */
+function clearUserInfoChanges() {
+    if (!read_user_info_changes()) return;
+    
+    write_user_info_changes(null);
+    save_settings();
+    try {
+        Office.context.mailbox.item.notificationMessages.removeAsync("user-info-changed");
+    } catch(e) {
+        log_debug("Could not remove the user info change notification", e);
+    }
+}
+
 /**
  * Show Workday info
  */
@@ -711,9 +1080,124 @@ function copySignature() {
         
         window.getSelection().removeAllRanges();
     } catch (err) {
-        console.error('Failed to copy:', err);
+        log_error('Failed to copy signature', err);
         alert('Failed to copy signature. Please try selecting and copying manually.');
     } finally {
         document.body.removeChild(tempDiv);
     }
 }
+
+/**
+ * Show or hide the diagnostics panel - refreshed every time it opens
+ */
+function toggleDiagnostics() {
+    const section = document.getElementById('diagnosticsSection');
+    if (!section) return;
+    
+    const show = section.style.display === 'none';
+    section.style.display = show ? 'block' : 'none';
+    if (show) {
+        const debugToggle = document.getElementById('debugToggle');
+        if (debugToggle) debugToggle.checked = read_debug_logging();
+        renderDiagnostics();
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Turn debug logging on or off - roams, so the autorun picks it up on the next draft
+ */
+function toggleDebugLogging(enabled) {
+    write_debug_logging(enabled);
+    save_settings(function(result) {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            log_error("Failed to save debug logging switch", result.error);
+            showError("Could not save the debug logging setting. Please try again.");
+            return;
+        }
+        log_info(`Debug logging ${enabled ? 'on' : 'off'}`);
+        renderDiagnostics();
+    });
+}
+
+/**
+ * Render the diagnostics sections (see collect_diagnostics)
+ */
+function renderDiagnostics() {
+    const container = document.getElementById('diagnosticsContent');
+    if (!container) return;
+    
+    container.innerHTML = collect_diagnostics(userData).map(section => `
+        <div class="diagnostics-group">
+            <h4>${escape_html(section.title)}</h4>
+            <table class="diagnostics-table">
+                ${section.rows.map(row => `
+                    <tr><th>${escape_html(row[0])}</th><td>${escape_html(row[1])}</td></tr>
+                `).join('')}
+            </table>
+        </div>
+    `).join('');
+    
+    // A report shown for manual copying is out of date now
+    const reportEl = document.getElementById('diagnosticsReport');
+    if (reportEl) reportEl.style.display = 'none';
+}
+
+/**
+ * Copy the diagnostics report as plain text for support tickets
+ */
+function copyDiagnosticsReport() {
+    const copyBtn = document.getElementById('copyReportButton');
+    const report = format_diagnostics_report(collect_diagnostics(userData));
+    
+    // Office webviews don't always allow the Clipboard API - copy from a hidden textarea instead
+    const textarea = document.createElement('textarea');
+    textarea.value = report;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    
+    try {
+        textarea.select();
+        if (!document.execCommand('copy')) throw new Error('Copy command was rejected');
+        
+        if (copyBtn) {
+            const originalHTML = copyBtn.innerHTML;
+            copyBtn.classList.add('copied');
+            copyBtn.innerHTML = `
+                <svg viewBox="0 0 20 20" fill="currentColor">
+                    <path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/>
+                </svg>
+                <span>Copied!</span>
+            `;
+            
+            setTimeout(() => {
+                copyBtn.classList.remove('copied');
+                copyBtn.innerHTML = originalHTML;
+            }, 2000);
+        }
+    } catch (err) {
+        log_error('Failed to copy report', err);
+        showReportForManualCopy(report);
+    } finally {
+        document.body.removeChild(textarea);
+    }
+}
+
+/**
+ * Show the diagnostics report in a selectable text box when it can't be copied automatically
+ */
+function showReportForManualCopy(report) {
+    const reportEl = document.getElementById('diagnosticsReport');
+    if (!reportEl) {
+        showError('Could not copy the report. Please try again.');
+        return;
+    }
+    
+    reportEl.value = report;
+    reportEl.style.display = 'block';
+    reportEl.focus();
+    reportEl.select();
+    showError('Could not copy the report automatically - select the text in the Diagnostics section and copy it.');
+}
@@ -0,0 +1,141 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Builds the site into dist/ for deployment.
+// Outlook on Windows runs the autorun in a JavaScript-only runtime that loads the single file the
+// manifest names (autorunshared-p.js) - it never sees autorunweb.html. The shared modules that
+// autorunweb.html loads before it are therefore bundled into dist/autorunshared-p.js, in the same
+// order, and dist/autorunweb.html loads only that bundle, so every host runs the same code.
+// The address the site is published at (environment variable ADDIN_SITE_URL) is filled into
+// signature_config-p.js, for the runtime that has no page address to work it out from.
+//
+// Usage: ADDIN_SITE_URL=https://... node scripts/build.js [output directory]
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const AUTORUN_PAGE = "autorunweb.html";
+const AUTORUN_SCRIPT = "autorunshared-p.js";
+const CONFIG_SCRIPT = "signature_config-p.js";
+
+// The empty site address in signature_config-p.js that stamp_site_url fills in
+const SITE_URL_DECLARATION = /const ADDIN_SITE_URL = "";/;
+
+// Site files copied as they are (top level only) and folders copied whole
+const SITE_FILE_EXTENSIONS = [".html", ".css", ".js", ".xml"];
+const SITE_FOLDERS = ["assets"];
+
+// Local script tags in a page, e.g. <script type="text/javascript" src="./signature_config-p.js"></script>
+const LOCAL_SCRIPT_TAG = /<script[^>]*\ssrc="(?:\.\/)?([\w.-]+\.js)"[^>]*><\/script>/g;
+
+/**
+ * Lists the local scripts a page loads, in order
+ * @param {*} page_file Page file name relative to the repository root
+ * @returns Array of script file names
+ */
+function read_page_scripts(page_file) {
+  const html = fs.readFileSync(path.join(ROOT_DIR, page_file), "utf8");
+  return Array.from(html.matchAll(LOCAL_SCRIPT_TAG), function(match) { return match[1]; });
+}
+
+/**
+ * Reads a script, with the site address filled in if it is signature_config-p.js
+ * @param {*} file Script file name relative to the repository root
+ * @param {*} site_url Address the site is published at ("" leaves the script as it is)
+ * @returns Script source
+ */
+function read_site_script(file, site_url) {
+  const source = fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+  if (file !== CONFIG_SCRIPT || !site_url) {
+    return source;
+  }
+  if (!SITE_URL_DECLARATION.test(source)) {
+    throw new Error(CONFIG_SCRIPT + " has no empty ADDIN_SITE_URL to fill in");
+  }
+  return source.replace(SITE_URL_DECLARATION, "const ADDIN_SITE_URL = " + JSON.stringify(site_url) + ";");
+}
+
+/**
+ * Bundles the autorun and the shared modules it needs into one script
+ * @param {*} site_url Address the site is published at (optional)
+ * @returns Object containing "source" (bundled script) and "modules" (bundled files, in order)
+ */
+function bundle_autorun(site_url) {
+  const modules = read_page_scripts(AUTORUN_PAGE);
+  if (modules[modules.length - 1] !== AUTORUN_SCRIPT) {
+    throw new Error(AUTORUN_PAGE + " must load " + AUTORUN_SCRIPT + " last");
+  }
+
+  const parts = ["// Built by scripts/build.js from " + modules.join(", ") + " - do not edit.\n"];
+  modules.forEach(function(file) {
+    parts.push("\n// ---- " + file + " ----\n\n" + read_site_script(file, site_url));
+  });
+  return { source: parts.join(""), modules: modules };
+}
+
+/**
+ * Copies a folder recursively
+ * @param {*} from Source folder
+ * @param {*} to Target folder
+ */
+function copy_folder(from, to) {
+  fs.mkdirSync(to, { recursive: true });
+  fs.readdirSync(from, { withFileTypes: true }).forEach(function(entry) {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+    if (entry.isDirectory()) {
+      copy_folder(source, target);
+    } else {
+      fs.copyFileSync(source, target);
+    }
+  });
+}
+
+/**
+ * Builds the site
+ * @param {*} out_dir Output folder (emptied first)
+ * @param {*} site_url Address the site is published at (optional)
+ * @returns Object containing "outDir" and "modules" (files bundled into the autorun)
+ */
+function build_site(out_dir, site_url) {
+  fs.rmSync(out_dir, { recursive: true, force: true });
+  fs.mkdirSync(out_dir, { recursive: true });
+
+  fs.readdirSync(ROOT_DIR, { withFileTypes: true }).forEach(function(entry) {
+    if (entry.isFile() && SITE_FILE_EXTENSIONS.indexOf(path.extname(entry.name)) !== -1) {
+      fs.writeFileSync(path.join(out_dir, entry.name), read_site_script(entry.name, site_url));
+    }
+  });
+  SITE_FOLDERS.forEach(function(folder) {
+    copy_folder(path.join(ROOT_DIR, folder), path.join(out_dir, folder));
+  });
+
+  const bundle = bundle_autorun(site_url);
+  fs.writeFileSync(path.join(out_dir, AUTORUN_SCRIPT), bundle.source);
+
+  // The runtime page loads the bundle instead of the separate modules
+  const lines = fs.readFileSync(path.join(ROOT_DIR, AUTORUN_PAGE), "utf8").split(/(?<=\n)/);
+  fs.writeFileSync(path.join(out_dir, AUTORUN_PAGE), lines.filter(function(line) {
+    const match = Array.from(line.matchAll(LOCAL_SCRIPT_TAG))[0];
+    return !match || match[1] === AUTORUN_SCRIPT;
+  }).join(""));
+
+  return { outDir: out_dir, modules: bundle.modules };
+}
+
+module.exports = {
+  read_page_scripts: read_page_scripts,
+  read_site_script: read_site_script,
+  bundle_autorun: bundle_autorun,
+  build_site: build_site
+};
+
+if (require.main === module) {
+  const site_url = process.env.ADDIN_SITE_URL || "";
+  const result = build_site(path.resolve(process.argv[2] || path.join(ROOT_DIR, "dist")), site_url);
+  console.log("Built " + result.outDir + " (autorun bundles " + result.modules.length + " files)");
+  if (!site_url) {
+    console.warn("ADDIN_SITE_URL is not set - the Windows runtime won't find the org config or hosted logos");
+  }
+}
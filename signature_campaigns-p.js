@@ -0,0 +1,76 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Campaign banners - time-boxed images (events, awards, seasonal messages) shown under the
+// company block of templates A and B. Campaigns come from the org config "campaigns" list:
+//  "name": Campaign name (for logs)
+//  "image": Banner image URL
+//  "link": Optional URL the banner links to
+//  "alt": Alt text, also used as the plain-text version
+//  "start" / "end": Dates the banner is shown ("YYYY-MM-DD", both days included, or ISO timestamps)
+//  "width": Optional display width in pixels (default: logo width)
+//  "allowOptOut": false when policy requires the banner - users can't hide it then (default true)
+// The first active campaign in the list wins.
+
+/**
+ * Parses a campaign start or end date. Other formats ("01/11/2025" - January or November?) and
+ * days that don't exist ("2025-02-30") are rejected rather than guessed.
+ * @param {*} value "YYYY-MM-DD" (local time) or an ISO timestamp
+ * @param {*} end_of_day true to move a plain date to the end of that day
+ * @returns Time in ms, or NaN if the value is not a date
+ */
+function parse_campaign_date(value, end_of_day) {
+  if (!is_valid_data(value)) return NaN;
+  const text = String(value).trim();
+
+  const dateMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateMatch) {
+    const date = new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]));
+    if (date.getMonth() !== Number(dateMatch[2]) - 1 || date.getDate() !== Number(dateMatch[3])) return NaN;
+    if (end_of_day) date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  }
+  return /^\d{4}-\d{2}-\d{2}T/.test(text) ? Date.parse(text) : NaN;
+}
+
+/**
+ * Checks whether a campaign is running
+ * @param {*} campaign Campaign from the org config
+ * @param {*} now Time in ms
+ * @returns true if the campaign has an image and now is between its start and end; otherwise, false.
+ */
+function is_campaign_active(campaign, now) {
+  const start = parse_campaign_date(campaign.start, false);
+  const end = parse_campaign_date(campaign.end, true);
+  if (isNaN(start) || isNaN(end) || !safe_url(campaign.image)) {
+    log_warn("Campaign '" + campaign.name + "' ignored - it needs an image and valid start / end dates");
+    return false;
+  }
+  return now >= start && now <= end;
+}
+
+/**
+ * Gets the campaign to show now (picked at compose time)
+ * @param {*} now Optional time in ms (defaults to the current time)
+ * @returns Campaign from the org config, or null if none is running
+ */
+function get_active_campaign(now) {
+  const time = now === undefined ? Date.now() : now;
+  return get_org_config().campaigns.filter(function(campaign) {
+    return is_campaign_active(campaign, time);
+  })[0] || null;
+}
+
+/**
+ * Gets the campaign banner for a user - users can hide banners (hidden "campaign" field)
+ * unless the campaign's policy requires it
+ * @param {*} user_info Information details about the user
+ * @param {*} now Optional time in ms (defaults to the current time)
+ * @returns Campaign, or null if no banner is shown
+ */
+function get_campaign_banner(user_info, now) {
+  const campaign = get_active_campaign(now);
+  if (!campaign) return null;
+  if (campaign.allowOptOut !== false && !is_field_visible(user_info, "campaign")) return null;
+  return campaign;
+}
@@ -0,0 +1,350 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Organization configuration (locations, websites, legal text, API endpoint, logo delivery).
+// Loaded from assets/org-config.json at startup by BOTH the taskpane and the autorun runtime,
+// and validated against ORG_CONFIG_SCHEMA before use.
+
+// VERSION INFO - Update this whenever you deploy new changes
+// (kept here because this file is loaded first by both runtimes)
+const ADDIN_VERSION = "1.1.0";
+const LAST_UPDATED = "2025-11-06";
+
+// Signature API backend (default for the org config "apiBaseUrl")
+const ADDIN_API_URL = "https://lilly-signature-addin.dc.lilly.com";
+
+// Where the add-in's own files (this config, logos) are published - the GitHub Pages site that
+// deploy.yml uploads dist/ to. scripts/build.js fills it in at deploy time: the Windows runtime loads
+// only the autorun script, so it has no page address to work the site out from. Left empty, browsers
+// use the folder of the page that loaded this script.
+const ADDIN_SITE_URL = "";
+
+/**
+ * Works out the address the add-in's files are served from
+ * @returns Absolute URL ending in "/", or "" if there is none (unbuilt script in the Windows runtime)
+ */
+function get_addin_site_url() {
+  if (ADDIN_SITE_URL) {
+    return ADDIN_SITE_URL.replace(/\/?$/, "/");
+  }
+  if (typeof location !== "undefined" && /^https?:/.test(location.href)) {
+    return location.href.replace(/[?#].*$/, "").replace(/[^\/]*$/, "");
+  }
+  return "";
+}
+
+// URLs must be absolute - logos are linked from the signatures people receive
+const ADDIN_ASSETS_URL = get_addin_site_url() + "assets/";
+
+const ORG_CONFIG_URL = ADDIN_ASSETS_URL + "org-config.json";
+
+// Bump together with "version" in assets/org-config.json when the config format changes in a way
+// older files can't be read - new fields go in ORG_CONFIG_OPTIONAL_FIELDS instead
+const ORG_CONFIG_VERSION = 1;
+
+// Don't hold up signature insertion for long if the config file is slow to load
+const ORG_CONFIG_TIMEOUT = 3000;
+
+/**
+ * Config schema - field name -> expected type.
+ *  "string": non-empty string
+ *  "number": number
+ *  "map": object whose values are all non-empty strings
+ *  "list": array of objects that each have a non-empty string "name"
+ *  "records": object whose values are all objects
+ *  "strings": array of non-empty strings
+ */
+const ORG_CONFIG_SCHEMA = {
+  version: "number",
+  companyName: "string",
+  companyWebsite: "string",
+  apiBaseUrl: "string",
+  defaultLocation: "string",
+  confidentialityNotice: "string",
+  localizedNotices: "map",
+  locations: "map",
+  locationCities: "map",
+  cityLocations: "map",
+  countryLocations: "map",
+  countryWebsites: "map",
+  contractorDirectory: "list",
+  contractorOverrides: "map",
+  employeeCompanyNames: "strings",
+  employeeTypes: "map",
+  userTypeOverrides: "map",
+  senderIdentities: "records",
+  internalDomains: "strings",
+  campaigns: "list",
+  logoMode: "string",
+  logoBaseUrl: "string",
+  logoWidth: "number"
+};
+
+// Fields added since the first version 1 file - files without them still load, using the defaults
+const ORG_CONFIG_OPTIONAL_FIELDS = ["localizedNotices", "locationCities", "cityLocations", "countryLocations",
+  "contractorDirectory", "contractorOverrides", "employeeCompanyNames", "employeeTypes", "userTypeOverrides",
+  "senderIdentities", "internalDomains", "campaigns", "logoMode", "logoBaseUrl", "logoWidth"];
+
+/**
+ * Built-in fallback used when the config file is missing, malformed or a field fails validation.
+ * Keeps signatures legally complete (company name + confidentiality notice) and has the office
+ * addresses and mailbox alias the add-in shipped with, but no other lookup tables - websites fall back to
+ * companyWebsite and every locale gets the English confidentiality notice.
+ */
+const DEFAULT_ORG_CONFIG = {
+  version: ORG_CONFIG_VERSION,
+  companyName: "Eli Lilly and Company",
+  companyWebsite: "www.lilly.com",
+  apiBaseUrl: ADDIN_API_URL,
+  defaultLocation: "Lilly Corporate Center, Indianapolis, IN 46285 USA",
+  confidentialityNotice: "CONFIDENTIALITY NOTICE: This email message (including all attachments) is for the sole use of the intended recipient(s) and may contain confidential information. Any unauthorized review, use, disclosure, copying or distribution is strictly prohibited. If you are not the intended recipient, please contact the sender by reply email and destroy all copies of the original message.",
+  localizedNotices: {},
+  locations: {
+    "MC": "Lilly Corporate Center, Indianapolis, IN 46285 USA",
+    "IC": "Lilly Tech Center South, Indianapolis, IN 46221 USA",
+    "KY": "Lilly Tech Center North, Indianapolis, IN 46221 USA",
+    "LEP": "Lilly LEAP Lebanon Manufacturing, Lebanon, IN 46052 USA",
+    "LP1": "Lebanon Plant Site, Lebanon, IN 46052 USA",
+    "LP2": "Lebanon Plant Site 2, Lebanon, IN 46052 USA",
+    "IMC": "ImClone Systems, Branchburg, NJ 08853 USA",
+    "GUR": "Warehouse, Gurnee, IL 60031 USA",
+    "BOS": "Lilly Seaport Innovation Center, Boston, MA USA",
+    "CAM": "Lilly Cambridge Office, Cambridge, MA USA",
+    "CON": "Lilly Manufacturing Concord, Concord, NC USA",
+    "HOM": "Works from Home",
+    "CA": "Eli Lilly Canada Inc., Toronto, Canada",
+    "LIM": "Lilly Manufacturing Limerick, Limerick, Ireland",
+    "CK": "Kinsale Manufacturing Operations, Kinsale, Ireland",
+    "FR": "Lilly France Manufacturing, Fegersheim, France"
+  },
+  locationCities: {},
+  cityLocations: {},
+  countryLocations: {},
+  countryWebsites: {},
+  contractorDirectory: [],
+  contractorOverrides: {},
+  employeeCompanyNames: ["Eli Lilly and Company", "Eli Lilly", "Lilly"],
+  employeeTypes: { "employee": "employee", "contractor": "contractor", "contingent worker": "contractor", "vendor": "contractor" },
+  userTypeOverrides: {},
+  senderIdentities: {
+    "am_new_outlook_2025@lilly.com": { "type": "alias", "account": "AM_New_Outlook_2025@elililly.onmicrosoft.com" }
+  },
+  internalDomains: ["lilly.com"],
+  campaigns: [],
+  logoMode: "inline",
+  logoBaseUrl: ADDIN_ASSETS_URL,
+  logoWidth: 250
+};
+
+// Active config - DEFAULT_ORG_CONFIG until load_org_config() finishes
+let orgConfig = DEFAULT_ORG_CONFIG;
+
+// Load state: "pending", "loaded" (file valid), "partial" (some fields replaced by defaults) or "fallback"
+let orgConfigStatus = "pending";
+let orgConfigErrors = [];
+let orgConfigCallbacks = null;
+
+/**
+ * Validates one config field against ORG_CONFIG_SCHEMA
+ * @param {*} field Field name
+ * @param {*} value Field value from the config file
+ * @returns Array of error messages (empty if the field is valid)
+ */
+function validate_org_config_field(field, value) {
+  const type = ORG_CONFIG_SCHEMA[field];
+
+  if (value === undefined) {
+    return ORG_CONFIG_OPTIONAL_FIELDS.indexOf(field) !== -1 ? [] : ["Missing field: " + field];
+  }
+  if (type === "string" && (typeof value !== "string" || value.trim() === "")) {
+    return ["Field " + field + " must be a non-empty string"];
+  }
+  if (type === "number" && typeof value !== "number") {
+    return ["Field " + field + " must be a number"];
+  }
+  if (type === "map") {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return ["Field " + field + " must be an object"];
+    }
+    return Object.keys(value)
+      .filter(function(key) { return typeof value[key] !== "string" || value[key].trim() === ""; })
+      .map(function(key) { return "Field " + field + "." + key + " must be a non-empty string"; });
+  }
+  if (type === "list") {
+    if (!Array.isArray(value)) {
+      return ["Field " + field + " must be an array"];
+    }
+    let errors = [];
+    value.forEach(function(entry, index) {
+      if (entry === null || typeof entry !== "object" || typeof entry.name !== "string" || entry.name.trim() === "") {
+        errors.push("Field " + field + "[" + index + "] must be an object with a non-empty name");
+      }
+    });
+    return errors;
+  }
+  if (type === "records") {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      return ["Field " + field + " must be an object"];
+    }
+    return Object.keys(value)
+      .filter(function(key) { return value[key] === null || typeof value[key] !== "object" || Array.isArray(value[key]); })
+      .map(function(key) { return "Field " + field + "." + key + " must be an object"; });
+  }
+  if (type === "strings") {
+    if (!Array.isArray(value)) {
+      return ["Field " + field + " must be an array"];
+    }
+    let errors = [];
+    value.forEach(function(entry, index) {
+      if (typeof entry !== "string" || entry.trim() === "") {
+        errors.push("Field " + field + "[" + index + "] must be a non-empty string");
+      }
+    });
+    return errors;
+  }
+  return [];
+}
+
+/**
+ * Checks that the config is an object of the supported version
+ * @param {*} config Parsed config file
+ * @returns Error message, or "" if the config can be used
+ */
+function check_org_config_version(config) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return "Config must be a JSON object";
+  }
+  if (config.version !== ORG_CONFIG_VERSION) {
+    return "Unsupported config version: " + config.version + " (expected " + ORG_CONFIG_VERSION + ")";
+  }
+  return "";
+}
+
+/**
+ * Converts fields of the first version 1 files that were replaced since -
+ * "contractorCompanyWebsites" (company name -> website) became "contractorDirectory"
+ * @param {*} config Parsed config file of the supported version
+ * @returns Config with the replaced fields converted (the file's object is not changed)
+ */
+function upgrade_org_config(config) {
+  const websites = config.contractorCompanyWebsites;
+  if (config.contractorDirectory !== undefined || websites === null || typeof websites !== "object") {
+    return config;
+  }
+  return Object.assign({}, config, {
+    contractorDirectory: Object.keys(websites).map(function(name) {
+      return { name: name, website: websites[name] };
+    })
+  });
+}
+
+/**
+ * Validates a config object against ORG_CONFIG_SCHEMA
+ * @param {*} config Parsed config file
+ * @returns Array of error messages (empty if the config is valid)
+ */
+function validate_org_config(config) {
+  const versionError = check_org_config_version(config);
+  if (versionError) return [versionError];
+
+  config = upgrade_org_config(config);
+  let errors = [];
+  Object.keys(ORG_CONFIG_SCHEMA).forEach(function(field) {
+    errors = errors.concat(validate_org_config_field(field, config[field]));
+  });
+  return errors;
+}
+
+/**
+ * Builds the active config from a parsed file - fields that fail validation, and optional fields
+ * the file doesn't have, keep their default value
+ * @param {*} config Parsed config file
+ * @returns Object containing "config", "status" and "errors"
+ */
+function resolve_org_config(config) {
+  // Wrong version or not an object - nothing in the file can be trusted
+  const versionError = check_org_config_version(config);
+  if (versionError) {
+    return { config: DEFAULT_ORG_CONFIG, status: "fallback", errors: [versionError] };
+  }
+
+  config = upgrade_org_config(config);
+  const resolved = {};
+  let errors = [];
+  Object.keys(ORG_CONFIG_SCHEMA).forEach(function(field) {
+    const fieldErrors = validate_org_config_field(field, config[field]);
+    errors = errors.concat(fieldErrors);
+    resolved[field] = fieldErrors.length > 0 || config[field] === undefined ? DEFAULT_ORG_CONFIG[field] : config[field];
+  });
+  return { config: resolved, status: errors.length > 0 ? "partial" : "loaded", errors: errors };
+}
+
+/**
+ * Loads and validates assets/org-config.json (only once - later calls reuse the result).
+ * Always calls back, falling back to DEFAULT_ORG_CONFIG if the file can't be used.
+ * @param {*} callback Called with the active config
+ */
+function load_org_config(callback) {
+  if (orgConfigStatus !== "pending") {
+    callback(orgConfig);
+    return;
+  }
+
+  // Already loading - wait for the same request
+  if (orgConfigCallbacks) {
+    orgConfigCallbacks.push(callback);
+    return;
+  }
+  orgConfigCallbacks = [callback];
+
+  function finish(result) {
+    orgConfig = result.config;
+    orgConfigStatus = result.status;
+    orgConfigErrors = result.errors;
+
+    if (result.errors.length > 0) {
+      log_warn("Org config " + result.status + " - using defaults for invalid fields", result.errors);
+    } else {
+      log_debug("Org config loaded (version " + orgConfig.version + ")");
+    }
+
+    const callbacks = orgConfigCallbacks;
+    orgConfigCallbacks = null;
+    callbacks.forEach(function(cb) { cb(orgConfig); });
+  }
+
+  try {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", ORG_CONFIG_URL, true);
+    xhr.timeout = ORG_CONFIG_TIMEOUT;
+
+    xhr.onload = function() {
+      if (xhr.status !== 200) {
+        finish({ config: DEFAULT_ORG_CONFIG, status: "fallback", errors: ["Config file not available (status " + xhr.status + ")"] });
+        return;
+      }
+      try {
+        finish(resolve_org_config(JSON.parse(xhr.responseText)));
+      } catch(e) {
+        finish({ config: DEFAULT_ORG_CONFIG, status: "fallback", errors: ["Config file is not valid JSON: " + e.message] });
+      }
+    };
+    xhr.onerror = function() {
+      finish({ config: DEFAULT_ORG_CONFIG, status: "fallback", errors: ["Network error loading config file"] });
+    };
+    xhr.ontimeout = function() {
+      finish({ config: DEFAULT_ORG_CONFIG, status: "fallback", errors: ["Timed out loading config file"] });
+    };
+
+    xhr.send();
+  } catch(e) {
+    finish({ config: DEFAULT_ORG_CONFIG, status: "fallback", errors: ["Could not request config file: " + e.message] });
+  }
+}
+
+/**
+ * Gets the active org config (DEFAULT_ORG_CONFIG until load_org_config() has finished)
+ */
+function get_org_config() {
+  return orgConfig;
+}
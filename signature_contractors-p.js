@@ -0,0 +1,229 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Contractor classification and company directory.
+// classify_user decides whether someone is an employee or a contractor - the one rule used by
+// both the taskpane and the autorun. The directory maps the company name from Azure AD to an
+// entry (website, optional logo and address) from the org config "contractorDirectory" list.
+// Admins can pin a company name to an entry, or to no entry at all, with "contractorOverrides".
+
+// Minimum score for a fuzzy match - anything lower is reported as "no match"
+const CONTRACTOR_MATCH_THRESHOLD = 0.85;
+
+// Score for a directory name that is the leading part of the company name ("Accenture Federal Services")
+const CONTRACTOR_PREFIX_SCORE = 0.9;
+
+// Override value that forces "no match" for a company name
+const CONTRACTOR_NO_MATCH = "none";
+
+// User types - also the values of the org config "employeeTypes" and "userTypeOverrides" tables
+const USER_TYPES = ["employee", "contractor"];
+
+// Legal-form words ignored when comparing company names
+const COMPANY_SUFFIXES = ["inc", "incorporated", "llc", "llp", "lp", "ltd", "limited", "corp", "corporation",
+  "co", "company", "plc", "gmbh", "ag", "sa", "sas", "srl", "bv", "nv", "pvt", "private", "pty", "group"];
+
+/**
+ * Normalizes a company name for matching: lower case, no accents or punctuation,
+ * "&" spelled out and legal-form suffixes removed ("Bucher & Christian Consulting, Inc." ->
+ * "bucher and christian consulting")
+ * @param {*} name Company name
+ * @returns Normalized name ("" for empty input)
+ */
+function normalize_company_name(name) {
+  if (!is_valid_data(name)) return "";
+
+  let words = String(name)
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ");
+
+  // Drop trailing legal forms, but keep at least one word ("Sequence Group" -> "sequence", "Group" -> "group")
+  while (words.length > 1 && COMPANY_SUFFIXES.indexOf(words[words.length - 1]) !== -1) {
+    words.pop();
+  }
+  return words.join(" ");
+}
+
+/**
+ * Edit distance between two strings (Levenshtein)
+ * @param {*} a First string
+ * @param {*} b Second string
+ * @returns Number of single-character edits
+ */
+function edit_distance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a normalized company name matches a normalized directory name.
+ * Short names such as "abb" or "tcs" only match whole words, never parts of words.
+ * @param {*} query Normalized company name from Azure AD
+ * @param {*} candidate Normalized directory name or alias
+ * @returns Score from 0 (no match) to 1 (identical)
+ */
+function score_company_name(query, candidate) {
+  if (!query || !candidate) return 0;
+  if (query === candidate) return 1;
+
+  // Directory name followed by more words: "accenture federal services" -> "accenture"
+  if (query.indexOf(candidate + " ") === 0) return CONTRACTOR_PREFIX_SCORE;
+
+  // Typos and small spelling differences - too unreliable for short names
+  if (Math.min(query.length, candidate.length) < 5) return 0;
+  return 1 - edit_distance(query, candidate) / Math.max(query.length, candidate.length);
+}
+
+/**
+ * Gets the directory entries from the org config, with normalized names for matching
+ * @returns Array of objects containing "entry" (as configured) and "keys" (normalized name and aliases)
+ */
+function get_contractor_directory() {
+  return get_org_config().contractorDirectory.map(function(entry) {
+    const aliases = Array.isArray(entry.aliases) ? entry.aliases : [];
+    const keys = [entry.name].concat(aliases)
+      .map(normalize_company_name)
+      .filter(function(key) { return key !== ""; });
+    return { entry: entry, keys: keys };
+  });
+}
+
+/**
+ * Builds a lookup result
+ * @param {*} query Company name that was looked up
+ * @param {*} entry Directory entry, or null
+ * @param {*} reason "override", "exact", "fuzzy", "ambiguous" or "none"
+ * @param {*} score Match score (0 - 1)
+ */
+function contractor_match(query, entry, reason, score) {
+  return { query: query, entry: entry, reason: reason, score: score };
+}
+
+/**
+ * Looks up a contractor company in the directory.
+ * Admin overrides win, then the best scoring entry above CONTRACTOR_MATCH_THRESHOLD.
+ * Two different entries with the same best score are reported as "ambiguous" (no match).
+ * @param {*} company_name Company name from Azure AD
+ * @returns Object containing:
+ *  "query": The company name looked up,
+    "entry": Directory entry ({ name, aliases, website, logo, address }), or null if there is no match,
+    "reason": "override", "exact", "fuzzy", "ambiguous" or "none",
+    "score": Match score from 0 to 1
+ */
+function find_contractor_company(company_name) {
+  const query = normalize_company_name(company_name);
+  if (!query) return contractor_match(company_name, null, "none", 0);
+
+  const directory = get_contractor_directory();
+
+  // Admin overrides - keys are compared normalized, values name a directory entry or "none"
+  const overrides = get_org_config().contractorOverrides;
+  const overrideKey = Object.keys(overrides).filter(function(key) {
+    return normalize_company_name(key) === query;
+  })[0];
+  if (overrideKey) {
+    const target = normalize_company_name(overrides[overrideKey]);
+    const pinned = directory.filter(function(item) { return normalize_company_name(item.entry.name) === target; })[0];
+    if (pinned) return contractor_match(company_name, pinned.entry, "override", 1);
+    if (target !== CONTRACTOR_NO_MATCH) {
+      log_warn("Contractor override for '" + overrideKey + "' names an unknown directory entry", overrides[overrideKey]);
+    }
+    return contractor_match(company_name, null, "override", 0);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  let tied = false;
+  directory.forEach(function(item) {
+    const score = Math.max.apply(null, item.keys.map(function(key) { return score_company_name(query, key); }).concat(0));
+    if (score > bestScore) {
+      best = item.entry;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore && score > 0 && item.entry !== best) {
+      tied = true;
+    }
+  });
+
+  if (!best || bestScore < CONTRACTOR_MATCH_THRESHOLD) {
+    return contractor_match(company_name, null, "none", bestScore);
+  }
+  if (tied) {
+    return contractor_match(company_name, null, "ambiguous", bestScore);
+  }
+  return contractor_match(company_name, best, bestScore === 1 ? "exact" : "fuzzy", bestScore);
+}
+
+/**
+ * Gets the directory entry for a contractor's employer
+ * @param {*} user_info Information details about the user
+ * @returns Directory entry, or null if the employer is not in the directory
+ */
+function get_contractor_entry(user_info) {
+  return find_contractor_company(user_info.functionalArea || user_info.companyName).entry;
+}
+
+/**
+ * Decides whether a user is an employee or a contractor. In order:
+ *  1. Admin override for the user's email (org config "userTypeOverrides")
+ *  2. Graph API employeeType, mapped with the org config "employeeTypes" table
+ *  3. Company name - none, or one of the org config "employeeCompanyNames", means employee
+ * Table values other than "employee" or "contractor" are ignored.
+ * @param {*} user_info Information details about the user
+ * @returns Object containing:
+ *  "type": "employee" or "contractor",
+    "source": "override", "employeeType" or "companyName",
+    "reason": Why (for logs and diagnostics - so no personal data)
+ */
+function classify_user(user_info) {
+  const config = get_org_config();
+
+  const override = String(lookup_config_table(config.userTypeOverrides, user_info.email)).toLowerCase();
+  if (USER_TYPES.indexOf(override) !== -1) {
+    return { type: override, source: "override", reason: "Admin override in userTypeOverrides" };
+  }
+
+  const mapped = String(lookup_config_table(config.employeeTypes, user_info.employeeType)).toLowerCase();
+  if (USER_TYPES.indexOf(mapped) !== -1) {
+    return { type: mapped, source: "employeeType", reason: "employeeType '" + user_info.employeeType + "'" };
+  }
+
+  // Saved user info from older versions only has the company name as functionalArea
+  const company = is_valid_data(user_info.companyName) ? user_info.companyName : user_info.functionalArea;
+  if (!is_valid_data(company)) {
+    return { type: "employee", source: "companyName", reason: "No company name" };
+  }
+  const normalized = normalize_company_name(company);
+  const employer = config.employeeCompanyNames.some(function(name) {
+    return normalize_company_name(name) === normalized;
+  });
+  return {
+    type: employer ? "employee" : "contractor",
+    source: "companyName",
+    reason: "Company name '" + String(company).trim() + "' " + (employer ? "is" : "is not") + " an employee company"
+  };
+}
+
+/**
+ * Checks whether a user is a contractor (see classify_user)
+ * @param {*} user_info Information details about the user
+ * @returns true for contractors; otherwise, false.
+ */
+function is_contractor(user_info) {
+  return classify_user(user_info).type === "contractor";
+}
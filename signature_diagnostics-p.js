@@ -0,0 +1,191 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Self-service diagnostics for the taskpane troubleshooting panel.
+// Collects what the autorun would see on this device - version, host, cache layers, the last
+// user info load, the template it would pick and recent log events - as sections that can be
+// shown or copied as a plain-text report for support tickets.
+
+// Highest Mailbox requirement set checked for the host details
+const DIAGNOSTICS_MAX_MAILBOX_SET = 14;
+
+// Compose modes listed in the template section of the report
+const DIAGNOSTICS_MODES = ["newMail", "reply", "forward", "appointment"];
+
+// Number of recent log events in the report (see signature_logging-p.js)
+const DIAGNOSTICS_LOG_EVENTS = 25;
+
+/**
+ * Describes how long ago something happened
+ * @param {*} timestamp Time in ms or an ISO string (may be null)
+ * @param {*} now Time in ms
+ * @returns Text such as "3 days ago", or "unknown" without a timestamp
+ */
+function format_age(timestamp, now) {
+  const time = typeof timestamp === "number" ? timestamp : Date.parse(timestamp);
+  if (!timestamp || isNaN(time)) return "unknown";
+
+  const minutes = Math.floor(Math.max(0, now - time) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return minutes + (minutes === 1 ? " minute ago" : " minutes ago");
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours + (hours === 1 ? " hour ago" : " hours ago");
+  const days = Math.floor(hours / 24);
+  return days + (days === 1 ? " day ago" : " days ago");
+}
+
+/**
+ * Finds the highest Mailbox requirement set the host supports
+ * @returns Version such as "1.13", or "unknown" if the host can't tell
+ */
+function get_mailbox_requirement_set() {
+  const requirements = Office.context.requirements;
+  if (!requirements || typeof requirements.isSetSupported !== "function") return "unknown";
+  for (let minor = DIAGNOSTICS_MAX_MAILBOX_SET; minor >= 1; minor--) {
+    if (requirements.isSetSupported("Mailbox", "1." + minor)) return "1." + minor;
+  }
+  return "unknown";
+}
+
+/**
+ * Works out which template the autorun would insert for a compose mode, following the
+ * autorun's cache layers (see loadUserInfoAndInsert in autorunshared-p.js)
+ * @param {*} compose_type Compose mode ("newMail", "reply", "forward" or "appointment")
+ * @param {*} user_info User info shown in the taskpane (used when the autorun would refetch)
+ * @param {*} now Time in ms
+ * @returns Object containing "template" (template id) and "reason"
+ */
+function explain_autorun_template(compose_type, user_info, now) {
+  const session = read_session_cache();
+  if (session) {
+    const saved = session.templates[compose_type] || session.templates.newMail;
+    if (saved) return { template: saved, reason: "Saved from the taskpane in this session" };
+    const sessionChoice = choose_template(session.user_info, compose_type);
+    return { template: sessionChoice.template, reason: sessionChoice.reason + " (sessionStorage user info)" };
+  }
+
+  const stored = read_user_info();
+  const fresh = !!stored && !!stored.timestamp && now - stored.timestamp < CACHE_DURATION;
+  const choice = choose_template(fresh ? stored.user_info : user_info || {}, compose_type);
+  return {
+    template: choice.template,
+    reason: choice.reason + (fresh ? " (roamingSettings user info)" : " (user info would be refetched)")
+  };
+}
+
+/**
+ * Collects the diagnostics report
+ * @param {*} user_info User info shown in the taskpane (may be null while loading)
+ * @param {*} now Optional time in ms (defaults to the current time)
+ * @returns Array of sections ({ title, rows }) - each row is a [label, value] pair of strings
+ */
+function collect_diagnostics(user_info, now) {
+  const time = now === undefined ? Date.now() : now;
+  const mailbox = Office.context.mailbox;
+  const host = (mailbox && mailbox.diagnostics) || {};
+  const config = get_org_config();
+  const caches = read_cache_summary();
+  const status = read_fetch_status();
+
+  const cacheAge = caches.timestamp ? format_age(caches.timestamp, time) : "never written";
+  const cacheExpired = !!caches.timestamp && time - caches.timestamp >= CACHE_DURATION;
+
+  const sections = [
+    {
+      title: "Add-in",
+      rows: [
+        ["Version", ADDIN_VERSION],
+        ["Last updated", LAST_UPDATED],
+        ["Org config", orgConfigStatus + " (version " + config.version + ")"],
+        ["Storage schema", caches.storageVersion + " (current " + STORAGE_SCHEMA_VERSION + ")"],
+        ["Debug logging", read_debug_logging() ? "on" : "off"]
+      ].concat(orgConfigErrors.map(function(error) { return ["Org config error", error]; }))
+    },
+    {
+      title: "Host",
+      rows: [
+        ["Host", [host.hostName, host.hostVersion].filter(is_valid_data).join(" ") || "unknown"],
+        ["Platform", String(Office.context.platform || "unknown")],
+        ["OWA view", host.OWAView || "n/a"],
+        ["Display language", Office.context.displayLanguage || "unknown"],
+        ["Mailbox requirement set", get_mailbox_requirement_set()]
+      ]
+    },
+    {
+      title: "Cache layers",
+      rows: [
+        ["Session (sessionStorage)", caches.session ? "present, written " + format_age(caches.session.timestamp, time) : "missing"],
+        // A count only - the addresses are other people's
+        ["Shared / delegate mailboxes (sessionStorage)", caches.identities.length > 0 ? caches.identities.length + " cached" : "none"],
+        ["Saved from taskpane (roamingSettings)", caches.saved ? "present" : "missing"],
+        ["Graph API cache (roamingSettings)", caches.graph ? "present" : "missing"],
+        ["roamingSettings written", cacheAge + (cacheExpired ? " - expired, the autorun will refetch" : "")]
+      ]
+    },
+    {
+      title: "Last user info load",
+      rows: status ? [
+        ["Source", status.source],
+        ["When", format_age(status.timestamp, time) + " (" + new Date(status.timestamp).toISOString() + ")"]
+      ].concat(["attempts", "cacheAgeDays", "error", "missingFields", "invalidFields", "changedFields"].filter(function(key) {
+        return status[key] !== undefined && status[key] !== null;
+      }).map(function(key) {
+        return [key, Array.isArray(status[key]) ? status[key].join(", ") || "none" : String(status[key])];
+      })) : [["Source", "never recorded - the autorun hasn't run on this mailbox yet"]]
+    },
+    {
+      title: "User info (Graph API fields)",
+      rows: user_info ? GRAPH_FIELD_MAP.map(function(mapping) {
+        return mapping.field;
+      }).concat(["functionalArea"]).map(function(field) {
+        return [field, is_valid_data(user_info[field]) ? String(user_info[field]) : "(empty)"];
+      }) : [["Status", "not loaded"]]
+    }
+  ];
+
+  const internalTemplate = read_template_choice("internal");
+  const userType = user_info ? classify_user(user_info) : null;
+  sections.push({
+    title: "Template the autorun picks",
+    rows: [
+      ["User type", userType ? userType.type + " - " + userType.reason : "unknown (user info not loaded)"]
+    ].concat(DIAGNOSTICS_MODES.map(function(mode) {
+      const choice = explain_autorun_template(mode, user_info, time);
+      return [mode, choice.template + " - " + choice.reason];
+    })).concat([
+      ["Internal recipients only", internalTemplate ? internalTemplate + " (not used for appointments)" : "off"],
+      ["Sender identities configured", String(Object.keys(config.senderIdentities).length)]
+    ])
+  });
+
+  const events = get_recent_log_entries(DIAGNOSTICS_LOG_EVENTS);
+  sections.push({
+    title: "Recent events",
+    rows: events.length > 0 ? events.map(function(entry) {
+      return [
+        new Date(entry.time).toISOString() + " " + entry.level + " (" + entry.source + ")",
+        entry.message + (entry.data !== undefined ? " - " + entry.data : "")
+      ];
+    }) : [["Events", "none recorded"]]
+  });
+
+  return sections;
+}
+
+/**
+ * Formats the diagnostics as plain text for support tickets
+ * @param {*} sections Sections from collect_diagnostics
+ * @param {*} now Optional time in ms (defaults to the current time)
+ * @returns Report text
+ */
+function format_diagnostics_report(sections, now) {
+  const time = now === undefined ? Date.now() : now;
+  const lines = ["Lilly Signature Add-in - diagnostics report", "Generated: " + new Date(time).toISOString()];
+  sections.forEach(function(section) {
+    lines.push("", "[" + section.title + "]");
+    section.rows.forEach(function(row) {
+      lines.push(row[0] + ": " + row[1]);
+    });
+  });
+  return lines.join("\n");
+}
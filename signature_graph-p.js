@@ -0,0 +1,138 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Graph API response mapping shared by the taskpane and the autorun runtime.
+// Turns the signature API response (Graph user properties) into the user info fields the
+// templates use, validating and normalizing every field on the way (casing with
+// format_initial_caps from signature_templates-p.js, which must be loaded first).
+
+// Values directory admins use for "no value" - treated as missing
+const GRAPH_PLACEHOLDER_VALUES = ["n/a", "na", "none", "null", "undefined", "unknown", "tbd", "-", "--", "."];
+
+/**
+ * User info fields filled from Graph API, in order.
+ *  "from": Graph properties to try, in order (lists such as businessPhones use their first entry)
+ *  "kind": "text", "name" (casing fixed), "title" (casing fixed, short acronyms kept), "email" or "phone"
+ *  "empty": Value when the field is missing (default "")
+ */
+const GRAPH_FIELD_MAP = [
+  { field: "name", from: ["displayName"], kind: "name" },
+  { field: "email", from: ["mail", "userPrincipalName"], kind: "email" },
+  { field: "jobTitle", from: ["jobTitle"], kind: "title" },
+  { field: "department", from: ["department"], kind: "title" },
+  { field: "companyName", from: ["companyName"], kind: "text", empty: null },
+  { field: "employeeType", from: ["employeeType"], kind: "text" },
+  { field: "mobilePhone", from: ["mobilePhone"], kind: "phone" },
+  { field: "officePhone", from: ["businessPhones"], kind: "phone" },
+  { field: "officeLocation", from: ["officeLocation"], kind: "text" },
+  { field: "city", from: ["city"], kind: "name" },
+  { field: "country", from: ["country"], kind: "text" }
+];
+
+// Fields that are worth updating a signature for, with the words used in the change notification
+const USER_INFO_CHANGE_LABELS = {
+  jobTitle: "job title",
+  officePhone: "phone",
+  mobilePhone: "phone",
+  officeLocation: "location",
+  city: "location",
+  country: "location"
+};
+
+// User info fields that don't come from Graph API - set by the user in the taskpane
+const GRAPH_USER_INFO_DEFAULTS = {
+  pronoun: "",
+  pronunciation: "",
+  companyAddress: "",
+  companyWebsite: ""
+};
+
+/**
+ * Validates and normalizes one Graph API value
+ * @param {*} value Graph property value
+ * @param {*} kind "text", "name", "title", "email" or "phone" (see GRAPH_FIELD_MAP)
+ * @returns Normalized text, or "" if the value is empty, a placeholder or not valid for its kind
+ */
+function normalize_graph_value(value, kind) {
+  if (Array.isArray(value)) value = value[0];
+  if (typeof value !== "string" && typeof value !== "number") return "";
+
+  const text = String(value).replace(/\s+/g, " ").trim();
+  if (!text || GRAPH_PLACEHOLDER_VALUES.indexOf(text.toLowerCase()) !== -1) return "";
+  if (kind === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return "";
+  if (kind === "phone" && !/\d/.test(text)) return "";
+  if (kind === "name" || kind === "title") return format_initial_caps(text, kind === "title");
+  return text;
+}
+
+/**
+ * Maps a signature API response to user info
+ * @param {*} graph_data Response from the signature API
+ * @param {*} fallbacks Optional values used for fields Graph API doesn't have, e.g. { name, email } from Office.js
+ * @returns Object containing:
+ *  "user_info": User information object ("functionalArea" is the company name, shown for contractors),
+    "missing": Fields Graph API had no value for,
+    "invalid": Fields whose Graph API value was rejected (placeholders such as "N/A", malformed email or phone)
+ */
+function map_graph_user_info(graph_data, fallbacks) {
+  const data = graph_data || {};
+  const user_info = {};
+  const missing = [];
+  const invalid = [];
+
+  GRAPH_FIELD_MAP.forEach(function(mapping) {
+    let value = "";
+    let rejected = false;
+    mapping.from.forEach(function(property) {
+      if (value) return;
+      value = normalize_graph_value(data[property], mapping.kind);
+      const raw = Array.isArray(data[property]) ? data[property][0] : data[property];
+      if (!value && is_valid_data(raw)) rejected = true;
+    });
+
+    if (!value) {
+      (rejected ? invalid : missing).push(mapping.field);
+      if (fallbacks && is_valid_data(fallbacks[mapping.field])) value = String(fallbacks[mapping.field]).trim();
+    }
+    user_info[mapping.field] = value || (mapping.empty !== undefined ? mapping.empty : "");
+  });
+
+  user_info.functionalArea = user_info.companyName || "";
+  Object.assign(user_info, GRAPH_USER_INFO_DEFAULTS);
+
+  if (missing.length > 0 || invalid.length > 0) {
+    log_info("Graph API user info incomplete", { missing: missing, invalid: invalid });
+  }
+  return { user_info: user_info, missing: missing, invalid: invalid };
+}
+
+/**
+ * Compares cached and refreshed user info on the fields in USER_INFO_CHANGE_LABELS
+ * (empty values and surrounding whitespace don't count as changes)
+ * @param {*} previous User info the signature was made with
+ * @param {*} current Refreshed user info
+ * @returns Array of changed fields
+ */
+function compare_user_info(previous, current) {
+  function text(value) {
+    return is_valid_data(value) ? String(value).trim() : "";
+  }
+  return Object.keys(USER_INFO_CHANGE_LABELS).filter(function(field) {
+    return text(previous[field]) !== text(current[field]);
+  });
+}
+
+/**
+ * Describes changed fields for people ("job title and phone")
+ * @param {*} fields Changed fields from compare_user_info
+ * @returns Text listing each kind of change once
+ */
+function describe_user_info_changes(fields) {
+  const labels = [];
+  fields.forEach(function(field) {
+    const label = USER_INFO_CHANGE_LABELS[field] || field;
+    if (labels.indexOf(label) === -1) labels.push(label);
+  });
+  if (labels.length <= 1) return labels.join("");
+  return labels.slice(0, -1).join(", ") + " and " + labels[labels.length - 1];
+}
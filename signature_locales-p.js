@@ -0,0 +1,224 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Signature locales - translated labels used by the template blocks (signature_templates-p.js).
+// The locale is picked from the user's saved override, their country, or the Outlook display language.
+// Translated confidentiality notices are legal text and live in the org config ("localizedNotices").
+
+const DEFAULT_SIGNATURE_LOCALE = "en";
+
+/**
+ * Supported locales - locale code -> display name and labels.
+ * "{company}" in a label is replaced with the org config company name.
+ * Sign-off presets (SIGN_OFF_PRESETS) are labels too, so they follow the signature language.
+ */
+const SIGNATURE_LOCALES = {
+  en: {
+    name: "English",
+    labels: {
+      office: "office",
+      mobile: "mobile",
+      pronounced: "pronounced:",
+      contractorFor: "Contractor for {company}",
+      organizedBy: "Organized by",
+      bestRegards: "Best regards,",
+      kindRegards: "Kind regards,",
+      thanks: "Thanks,",
+      sincerely: "Sincerely,"
+    }
+  },
+  fr: {
+    name: "Français",
+    labels: {
+      office: "bureau",
+      mobile: "mobile",
+      pronounced: "prononcé :",
+      contractorFor: "Prestataire pour {company}",
+      organizedBy: "Organisé par",
+      bestRegards: "Cordialement,",
+      kindRegards: "Bien cordialement,",
+      thanks: "Merci,",
+      sincerely: "Sincères salutations,"
+    }
+  },
+  de: {
+    name: "Deutsch",
+    labels: {
+      office: "Büro",
+      mobile: "Mobil",
+      pronounced: "Aussprache:",
+      contractorFor: "Externer Mitarbeiter für {company}",
+      organizedBy: "Organisiert von",
+      bestRegards: "Beste Grüße",
+      kindRegards: "Freundliche Grüße",
+      thanks: "Vielen Dank",
+      sincerely: "Mit freundlichen Grüßen"
+    }
+  },
+  es: {
+    name: "Español",
+    labels: {
+      office: "oficina",
+      mobile: "móvil",
+      pronounced: "se pronuncia:",
+      contractorFor: "Contratista para {company}",
+      organizedBy: "Organizado por",
+      bestRegards: "Saludos cordiales,",
+      kindRegards: "Un saludo,",
+      thanks: "Gracias,",
+      sincerely: "Atentamente,"
+    }
+  },
+  it: {
+    name: "Italiano",
+    labels: {
+      office: "ufficio",
+      mobile: "cellulare",
+      pronounced: "si pronuncia:",
+      contractorFor: "Collaboratore esterno per {company}",
+      organizedBy: "Organizzato da",
+      bestRegards: "Cordiali saluti,",
+      kindRegards: "Un cordiale saluto,",
+      thanks: "Grazie,",
+      sincerely: "Distinti saluti,"
+    }
+  },
+  pt: {
+    name: "Português",
+    labels: {
+      office: "escritório",
+      mobile: "celular",
+      pronounced: "pronuncia-se:",
+      contractorFor: "Prestador de serviços para {company}",
+      organizedBy: "Organizado por",
+      bestRegards: "Atenciosamente,",
+      kindRegards: "Cordialmente,",
+      thanks: "Obrigado,",
+      sincerely: "Sinceramente,"
+    }
+  },
+  ja: {
+    name: "日本語",
+    labels: {
+      office: "オフィス",
+      mobile: "携帯",
+      pronounced: "読み方:",
+      contractorFor: "{company} 業務委託",
+      organizedBy: "主催者",
+      bestRegards: "よろしくお願いいたします。",
+      kindRegards: "何卒よろしくお願い申し上げます。",
+      thanks: "ありがとうございます。",
+      sincerely: "敬具"
+    }
+  },
+  zh: {
+    name: "中文",
+    labels: {
+      office: "办公室",
+      mobile: "手机",
+      pronounced: "读音：",
+      contractorFor: "{company} 外部承包商",
+      organizedBy: "组织者",
+      bestRegards: "祝好，",
+      kindRegards: "此致敬礼",
+      thanks: "谢谢！",
+      sincerely: "谨上"
+    }
+  }
+};
+
+// Sign-off presets offered in the taskpane - label keys in SIGNATURE_LOCALES
+const SIGN_OFF_PRESETS = ["bestRegards", "kindRegards", "thanks", "sincerely"];
+
+// Country (as returned by Graph API, lower case) -> locale code
+const COUNTRY_LOCALES = {
+  "united states": "en",
+  "usa": "en",
+  "us": "en",
+  "canada": "en",
+  "united kingdom": "en",
+  "uk": "en",
+  "ireland": "en",
+  "australia": "en",
+  "india": "en",
+  "france": "fr",
+  "germany": "de",
+  "austria": "de",
+  "switzerland": "de",
+  "spain": "es",
+  "mexico": "es",
+  "italy": "it",
+  "brazil": "pt",
+  "portugal": "pt",
+  "japan": "ja",
+  "china": "zh"
+};
+
+/**
+ * Reduces a language tag to a supported locale code ("fr-FR" -> "fr")
+ * @param {*} language Language tag or locale code
+ * @returns Supported locale code, or "" if the language is not supported
+ */
+function normalize_locale(language) {
+  if (!is_valid_data(language)) return "";
+  const code = String(language).trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(SIGNATURE_LOCALES, code) ? code : "";
+}
+
+/**
+ * Gets the Outlook display language (e.g. "fr-FR")
+ * @returns Language tag, or "" when Office.js is not available
+ */
+function get_display_language() {
+  try {
+    return Office.context.displayLanguage || "";
+  } catch(e) {
+    return "";
+  }
+}
+
+/**
+ * Picks the locale detected for a user, ignoring any saved override:
+ * country first (signatures follow the office, not the device), then the Outlook display language.
+ * @param {*} user_info Information details about the user
+ * @returns Supported locale code
+ */
+function detect_signature_locale(user_info) {
+  const country = is_valid_data(user_info.country) ? String(user_info.country).trim().toLowerCase() : "";
+  return (Object.prototype.hasOwnProperty.call(COUNTRY_LOCALES, country) ? COUNTRY_LOCALES[country] : "") ||
+         normalize_locale(get_display_language()) ||
+         DEFAULT_SIGNATURE_LOCALE;
+}
+
+/**
+ * Picks the locale a signature is rendered in - the user's override (user_info.locale) wins
+ * @param {*} user_info Information details about the user
+ * @returns Supported locale code
+ */
+function resolve_signature_locale(user_info) {
+  return normalize_locale(user_info.locale) || detect_signature_locale(user_info);
+}
+
+/**
+ * Gets a translated label, falling back to English for labels a locale does not define
+ * @param {*} locale Locale code
+ * @param {*} key Label key (e.g. "office")
+ * @returns Label text (not HTML escaped)
+ */
+function get_locale_label(locale, key) {
+  const entry = SIGNATURE_LOCALES[locale] || SIGNATURE_LOCALES[DEFAULT_SIGNATURE_LOCALE];
+  const label = entry.labels[key] || SIGNATURE_LOCALES[DEFAULT_SIGNATURE_LOCALE].labels[key];
+  return label.replace("{company}", get_org_config().companyName);
+}
+
+/**
+ * Gets the confidentiality notice in a locale - the English notice is used when the org config
+ * has no translation
+ * @param {*} locale Locale code
+ * @returns Notice text (not HTML escaped)
+ */
+function get_confidentiality_notice(locale) {
+  const config = get_org_config();
+  const notices = config.localizedNotices || {};
+  return Object.prototype.hasOwnProperty.call(notices, locale) ? notices[locale] : config.confidentialityNotice;
+}
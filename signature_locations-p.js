@@ -0,0 +1,203 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Office location resolver.
+// Turns the Azure AD officeLocation ("MC/88/3/301", "LIM Bldg 2 Fl 1", ...) plus the user's
+// city and country into the address line shown in signatures, using the org config tables:
+//  "locations": facility code -> full address
+//  "locationCities": facility code -> city line
+//  "cityLocations" / "countryLocations": city or country (lower case) -> facility code,
+//    used when the facility code is unknown (a city only matches facilities in the user's country)
+
+// Facility codes for people who work from home - they get no corporate address by default
+const HOME_LOCATION_CODES = ["HOM"];
+
+// What the signature shows for the location: the full address, only the city, or nothing
+const ADDRESS_DISPLAY_OPTIONS = ["full", "city", "none"];
+
+/**
+ * Splits an officeLocation into facility code and building / floor / room.
+ * Understands "MC/88/3/301", "MC-88-3", "MC 88" and "LIM Bldg 2 Fl 1 Rm 104".
+ * @param {*} office_location officeLocation from Azure AD
+ * @returns Object containing "code" (upper case), "building", "floor" and "room" ("" when not given)
+ */
+function parse_office_location(office_location) {
+  const result = { code: "", building: "", floor: "", room: "" };
+  if (!is_valid_data(office_location)) return result;
+
+  const text = String(office_location).trim();
+  const codeMatch = text.match(/^[A-Za-z0-9]+/);
+  if (!codeMatch) return result;
+  result.code = codeMatch[0].toUpperCase();
+
+  const suffix = text.slice(codeMatch[0].length).replace(/^[\s\/\-,]+/, "");
+  if (!suffix) return result;
+
+  // Labelled parts ("Bldg 2 Fl 1 Rm 104")
+  const building = suffix.match(/\b(?:bldg|building|b)\.?\s*(\d+[a-z]?)\b/i);
+  const floor = suffix.match(/\b(?:fl|floor|f|level|lvl)\.?\s*(\d+[a-z]?)\b/i);
+  const room = suffix.match(/\b(?:rm|room|r|ste|suite)\.?\s*(\d+[a-z]?)\b/i);
+  if (building || floor || room) {
+    result.building = building ? building[1] : "";
+    result.floor = floor ? floor[1] : "";
+    result.room = room ? room[1] : "";
+    return result;
+  }
+
+  // Positional parts ("88/3/301")
+  const parts = suffix.split(/[\s\/\-,]+/);
+  result.building = parts[0] || "";
+  result.floor = parts[1] || "";
+  result.room = parts[2] || "";
+  return result;
+}
+
+/**
+ * Looks up a key in an org config table, ignoring case
+ * @param {*} table Org config map
+ * @param {*} key Key to look up
+ * @returns Value, or "" if the key is not in the table
+ */
+function lookup_config_table(table, key) {
+  if (!is_valid_data(key)) return "";
+  const wanted = String(key).trim().toLowerCase();
+  const match = Object.keys(table).filter(function(name) { return name.toLowerCase() === wanted; })[0];
+  return match ? table[match] : "";
+}
+
+/**
+ * Builds a "City, Country" line from the user's profile
+ * @param {*} user_info Information details about the user
+ * @returns City line ("" if neither is known)
+ */
+function get_profile_city(user_info) {
+  return [user_info.city, user_info.country]
+    .filter(is_valid_data)
+    .map(function(part) { return String(part).trim(); })
+    .join(", ");
+}
+
+/**
+ * Gets the country of a facility - the last part of its "locationCities" line ("Cambridge, MA, USA" -> "usa")
+ * @param {*} config Org config
+ * @param {*} code Facility code
+ * @returns Country in lower case, or "" if the facility has no city line
+ */
+function get_facility_country(config, code) {
+  const parts = String(lookup_config_table(config.locationCities, code)).split(",");
+  return parts.length > 1 ? parts[parts.length - 1].trim().toLowerCase() : "";
+}
+
+/**
+ * Checks a facility is in the user's country, so a city name shared by several countries
+ * ("Cambridge", "Concord") doesn't pick a facility abroad. Country names are compared directly
+ * and through "countryLocations" ("United States" -> MC, which is in "USA").
+ * @param {*} config Org config
+ * @param {*} code Facility code
+ * @param {*} country Country from the user's profile
+ * @returns true if the facility is in that country, or either country is unknown
+ */
+function is_facility_in_country(config, code, country) {
+  const facilityCountry = get_facility_country(config, code);
+  if (!is_valid_data(country) || !facilityCountry) return true;
+  if (String(country).trim().toLowerCase() === facilityCountry) return true;
+
+  const countryCode = lookup_config_table(config.countryLocations, country).toUpperCase();
+  return Boolean(countryCode) && Object.prototype.hasOwnProperty.call(config.locations, countryCode) &&
+    get_facility_country(config, countryCode) === facilityCountry;
+}
+
+/**
+ * Resolves the user's office location.
+ * Order: facility code, then the user's city, then their country (mapped to a facility code via
+ * the org config), then the city / country from their profile, then human-readable officeLocation
+ * text, and finally the org config default location.
+ * @param {*} user_info Information details about the user
+ * @returns Object containing:
+ *  "code": Facility code used ("" if none),
+    "address": Full address ("" for home workers),
+    "city": City line,
+    "isHome": true for home workers,
+    "source": "facility", "city", "country", "profile", "raw", "default" or "home"
+ */
+function resolve_location(user_info) {
+  const config = get_org_config();
+  const parsed = parse_office_location(user_info.officeLocation);
+
+  function from_code(code, source) {
+    return {
+      code: code,
+      address: config.locations[code],
+      city: lookup_config_table(config.locationCities, code) || get_profile_city(user_info),
+      isHome: false,
+      source: source
+    };
+  }
+
+  if (HOME_LOCATION_CODES.indexOf(parsed.code) !== -1) {
+    return { code: parsed.code, address: "", city: get_profile_city(user_info), isHome: true, source: "home" };
+  }
+  if (parsed.code && Object.prototype.hasOwnProperty.call(config.locations, parsed.code)) {
+    return from_code(parsed.code, "facility");
+  }
+
+  // Unknown code - try the city (from the profile, or officeLocation text such as "Indianapolis, IN")
+  const cities = [user_info.city, String(user_info.officeLocation || "").split(",")[0]];
+  for (let i = 0; i < cities.length; i++) {
+    const cityCode = lookup_config_table(config.cityLocations, cities[i]).toUpperCase();
+    if (cityCode && Object.prototype.hasOwnProperty.call(config.locations, cityCode) &&
+        is_facility_in_country(config, cityCode, user_info.country)) {
+      return from_code(cityCode, "city");
+    }
+  }
+
+  const countryCode = lookup_config_table(config.countryLocations, user_info.country).toUpperCase();
+  if (countryCode && Object.prototype.hasOwnProperty.call(config.locations, countryCode)) {
+    return from_code(countryCode, "country");
+  }
+
+  const profileCity = get_profile_city(user_info);
+  if (profileCity) {
+    return { code: "", address: profileCity, city: profileCity, isHome: false, source: "profile" };
+  }
+
+  // Readable text ("Building 4, Dublin") is shown as is - bare codes like "XYZ/3" or "XYZ 3" are not
+  if (is_valid_data(user_info.officeLocation) && /[a-z]{4,}/i.test(user_info.officeLocation) && String(user_info.officeLocation).indexOf("/") === -1) {
+    const raw = String(user_info.officeLocation).trim();
+    return { code: "", address: raw, city: raw, isHome: false, source: "raw" };
+  }
+
+  return { code: "", address: config.defaultLocation, city: "", isHome: false, source: "default" };
+}
+
+/**
+ * Gets the address display choice - the user's saved choice (user_info.addressDisplay),
+ * otherwise "none" for home workers and "full" for everyone else
+ * @param {*} user_info Information details about the user
+ * @param {*} location Optional result of resolve_location (resolved if not given)
+ * @returns "full", "city" or "none"
+ */
+function get_address_display(user_info, location) {
+  if (ADDRESS_DISPLAY_OPTIONS.indexOf(user_info.addressDisplay) !== -1) {
+    return user_info.addressDisplay;
+  }
+  return (location || resolve_location(user_info)).isHome ? "none" : "full";
+}
+
+/**
+ * Gets the location line for the signature, following the address display choice.
+ * Home workers never get a corporate address - "full" shows their city instead.
+ * @param {*} user_info Information details about the user
+ * @returns Location text (not HTML escaped), or "" if no location is shown
+ *  (including when the user hid the "address" field)
+ */
+function get_location_text(user_info) {
+  if (!is_field_visible(user_info, "address")) return "";
+
+  const location = resolve_location(user_info);
+  const display = get_address_display(user_info, location);
+
+  if (display === "none") return "";
+  if (display === "city") return location.city;
+  return location.address || location.city;
+}
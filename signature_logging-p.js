@@ -0,0 +1,173 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Logging shared by the taskpane and the autorun runtime.
+// Every event goes to a sink (the browser console by default - tests can plug in a stub with
+// set_log_sink) and to a ring buffer of recent events in localStorage (in memory where the
+// runtime has no localStorage), which the diagnostics report includes.
+// Debug events are only kept while the debug switch (roamingSettings, see read_debug_logging)
+// is on - it roams, so turning it on in the taskpane also covers the autorun.
+// Log user info field names rather than values: the buffer outlives the session and goes into
+// support tickets. Email addresses and international phone numbers that slip through are masked
+// before an event is buffered (see redact_log_text).
+
+// Log levels - events below the current level (see get_log_level) are dropped
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Number of recent events kept
+const LOG_BUFFER_SIZE = 100;
+
+// Longest data text kept per buffered event
+const LOG_DATA_MAX_LENGTH = 500;
+
+// Personal data masked in buffered events - email addresses and international phone numbers
+const LOG_REDACTIONS = [
+  { pattern: /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi, replacement: "[email]" },
+  { pattern: /\+\d[\d\s().\-]{5,}\d/g, replacement: "[phone]" }
+];
+
+// Runtime name added to each event ("autorun" or "taskpane")
+let logSource = "addin";
+
+// Current sink (see set_log_sink)
+let logSink = console_log_sink;
+
+// Ring buffer used when localStorage is not available
+let logMemoryBuffer = [];
+
+/**
+ * Default sink - writes events to the browser console
+ * @param {*} entry Log entry ({ time, level, source, message, data })
+ */
+function console_log_sink(entry) {
+  const method = entry.level === "info" ? "log" : entry.level;
+  const text = "[" + entry.source + "] " + entry.message;
+  if (entry.data === undefined) {
+    console[method](text);
+  } else {
+    console[method](text, entry.data);
+  }
+}
+
+/**
+ * Replaces the sink every event is passed to
+ * @param {*} sink Function called with each log entry, or null for the console
+ * @returns The previous sink
+ */
+function set_log_sink(sink) {
+  const previous = logSink;
+  logSink = sink || console_log_sink;
+  return previous;
+}
+
+/**
+ * Sets the runtime name added to each event
+ * @param {*} source "autorun" or "taskpane"
+ */
+function set_log_source(source) {
+  logSource = source;
+}
+
+/**
+ * Gets the lowest level that is logged
+ * @returns "debug" while the debug switch is on; otherwise, "info"
+ */
+function get_log_level() {
+  return read_debug_logging() ? "debug" : "info";
+}
+
+/**
+ * Turns the data of an event into text for the ring buffer
+ * @param {*} data Any value (errors, objects, strings)
+ * @returns Text (personal data masked, shortened to LOG_DATA_MAX_LENGTH), or undefined without data
+ */
+function format_log_data(data) {
+  if (data === undefined) return undefined;
+  let text;
+  if (data instanceof Error) {
+    text = data.message;
+  } else if (typeof data === "string") {
+    text = data;
+  } else {
+    try {
+      text = JSON.stringify(data);
+    } catch(e) {
+      text = String(data);
+    }
+  }
+  text = redact_log_text(text);
+  return text.length > LOG_DATA_MAX_LENGTH ? text.slice(0, LOG_DATA_MAX_LENGTH) + "..." : text;
+}
+
+/**
+ * Masks personal data (LOG_REDACTIONS) in buffered event text
+ * @param {*} text Message or data text
+ * @returns Text with email addresses and phone numbers replaced (undefined stays undefined)
+ */
+function redact_log_text(text) {
+  if (text === undefined) return undefined;
+  return LOG_REDACTIONS.reduce(function(result, redaction) {
+    return result.replace(redaction.pattern, redaction.replacement);
+  }, String(text));
+}
+
+/**
+ * Adds an event to the ring buffer, dropping the oldest events beyond LOG_BUFFER_SIZE.
+ * Personal data is masked first (see redact_log_text).
+ * @param {*} entry Log entry
+ */
+function append_log_entry(entry) {
+  const stored = read_log_buffer();
+  const entries = (stored || logMemoryBuffer).concat([{
+    time: entry.time,
+    level: entry.level,
+    source: entry.source,
+    message: redact_log_text(entry.message),
+    data: format_log_data(entry.data)
+  }]).slice(-LOG_BUFFER_SIZE);
+
+  if (!stored || !write_log_buffer(entries)) {
+    logMemoryBuffer = entries;
+  }
+}
+
+/**
+ * Logs an event
+ * @param {*} level "debug", "info", "warn" or "error"
+ * @param {*} message Event text
+ * @param {*} data Optional details (objects, errors)
+ */
+function log_event(level, message, data) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[get_log_level()]) return;
+
+  const entry = { time: Date.now(), level: level, source: logSource, message: message, data: data };
+  append_log_entry(entry);
+  try {
+    logSink(entry);
+  } catch(e) {
+    // A broken sink must never stop the signature from being inserted
+  }
+}
+
+function log_debug(message, data) { log_event("debug", message, data); }
+function log_info(message, data) { log_event("info", message, data); }
+function log_warn(message, data) { log_event("warn", message, data); }
+function log_error(message, data) { log_event("error", message, data); }
+
+/**
+ * Gets the most recent events
+ * @param {*} count Optional number of events (defaults to all that are kept)
+ * @returns Array of log entries, oldest first ("data" is text)
+ */
+function get_recent_log_entries(count) {
+  const entries = read_log_buffer() || logMemoryBuffer;
+  return count ? entries.slice(-count) : entries.slice();
+}
+
+/**
+ * Removes all buffered events
+ */
+function clear_log_buffer() {
+  logMemoryBuffer = [];
+  write_log_buffer([]);
+}
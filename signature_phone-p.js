@@ -0,0 +1,153 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// International phone number formatting for signatures.
+// Numbers from Graph API are parsed into country code, national number and extension,
+// then grouped using the country's usual layout (PHONE_NUMBER_FORMATS).
+
+/**
+ * Grouping rules by country calling code.
+ * Each rule matches the national number (digits only, no trunk prefix) and splits it into groups
+ * of the given sizes - numbers that match no rule are shown as written.
+ *  "separator": Group separator (default " ")
+ *  "trunkPrefix": National trunk prefix dropped when written after the country code, e.g. "+44 (0)20..."
+ */
+const PHONE_NUMBER_FORMATS = {
+  // North America (USA, Canada): +1 317.555.1234
+  "1": { separator: ".", rules: [[/^\d{10}$/, [3, 3, 4]]] },
+  // France: +33 3 88 12 34 56
+  "33": { trunkPrefix: "0", rules: [[/^\d{9}$/, [1, 2, 2, 2, 2]]] },
+  // Spain: +34 912 345 678
+  "34": { rules: [[/^\d{9}$/, [3, 3, 3]]] },
+  // Italy (landlines keep their leading 0): +39 02 1234 5678, +39 312 345 6789
+  "39": { rules: [[/^0\d{9}$/, [2, 4, 4]], [/^0\d{5,10}$/, [3, 8]], [/^3\d{9}$/, [3, 3, 4]]] },
+  // United Kingdom: +44 20 7123 4567, +44 7700 900123, +44 1256 315000
+  "44": { trunkPrefix: "0", rules: [[/^2\d{9}$/, [2, 4, 4]], [/^\d{10}$/, [4, 6]]] },
+  // Germany (variable length area codes): +49 30 12345678, +49 6172 123456, +49 151 23456789
+  "49": { trunkPrefix: "0", rules: [[/^(30|40|69|89)\d{5,9}$/, [2, 9]], [/^1[5-7]\d{8,9}$/, [3, 9]], [/^\d{8,11}$/, [4, 9]]] },
+  // Mexico: +52 55 1234 5678
+  "52": { rules: [[/^\d{10}$/, [2, 4, 4]]] },
+  // Brazil: +55 11 91234 5678, +55 11 3123 4567
+  "55": { trunkPrefix: "0", rules: [[/^\d{11}$/, [2, 5, 4]], [/^\d{10}$/, [2, 4, 4]]] },
+  // Australia: +61 2 9876 5432, +61 412 345 678
+  "61": { trunkPrefix: "0", rules: [[/^4\d{8}$/, [3, 3, 3]], [/^\d{9}$/, [1, 4, 4]]] },
+  // Japan: +81 3 1234 5678, +81 90 1234 5678
+  "81": { trunkPrefix: "0", rules: [[/^[36]\d{8}$/, [1, 4, 4]], [/^[789]0\d{8}$/, [2, 4, 4]], [/^\d{9}$/, [2, 3, 4]]] },
+  // China: +86 10 1234 5678, +86 131 2345 6789
+  "86": { trunkPrefix: "0", rules: [[/^1\d{10}$/, [3, 4, 4]], [/^(10|2\d)\d{8}$/, [2, 4, 4]], [/^\d{10}$/, [3, 3, 4]]] },
+  // India: +91 98765 43210, +91 11 2345 6789
+  "91": { trunkPrefix: "0", rules: [[/^[6-9]\d{9}$/, [5, 5]], [/^\d{10}$/, [2, 4, 4]]] },
+  // Ireland: +353 1 234 5678, +353 87 123 4567, +353 61 123456
+  "353": { trunkPrefix: "0", rules: [[/^1\d{7}$/, [1, 3, 4]], [/^8\d{8}$/, [2, 3, 4]], [/^\d{8}$/, [2, 6]], [/^\d{9}$/, [2, 3, 4]]] }
+};
+
+// Extension markers: "x123", "ext 123", "ext. 123", "extension 123", "#123", ",123"
+const PHONE_EXTENSION_PATTERN = /\s*(?:,|#|extension|ext\.?|x\.?)\s*(\d+)\s*$/i;
+
+/**
+ * Parses a phone number in international format ("+" or "00" prefix)
+ * @param {*} phone Phone number from Graph API
+ * @returns Object containing "countryCode", "nationalNumber" and "extension" (digits only),
+ *  or null if the number is not in international format
+ */
+function parse_phone_number(phone) {
+  if (!is_valid_data(phone)) return null;
+
+  let text = String(phone).trim();
+  let extension = "";
+  const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    text = text.slice(0, extensionMatch.index);
+  }
+
+  // Only digits and the usual punctuation may remain
+  if (!/^(\+|00)?[\d\s\-\.\(\)\/]+$/.test(text)) return null;
+
+  const international = text.charAt(0) === "+" || text.indexOf("00") === 0;
+  if (!international) return null;
+
+  const digits = text.replace(/\D/g, "").replace(/^00/, "");
+  if (digits.length < 7 || digits.length > 15) return null;
+
+  // Calling codes are prefix-free, so at most one of the 1-3 digit prefixes is known
+  for (let length = 1; length <= 3; length++) {
+    const countryCode = digits.slice(0, length);
+    const format = PHONE_NUMBER_FORMATS[countryCode];
+    if (!format) continue;
+
+    let nationalNumber = digits.slice(length);
+    if (format.trunkPrefix && nationalNumber.indexOf(format.trunkPrefix) === 0) {
+      nationalNumber = nationalNumber.slice(format.trunkPrefix.length);
+    }
+    return { countryCode: countryCode, nationalNumber: nationalNumber, extension: extension };
+  }
+
+  // Unknown country - keep the digits together, E.164 allows up to 3-digit calling codes
+  return { countryCode: "", nationalNumber: digits, extension: extension };
+}
+
+/**
+ * Splits a national number into groups using the country's rules
+ * @param {*} countryCode Country calling code
+ * @param {*} nationalNumber National number (digits only)
+ * @returns Grouped national number, or "" if no rule matches
+ */
+function group_national_number(countryCode, nationalNumber) {
+  const format = PHONE_NUMBER_FORMATS[countryCode];
+  if (!format) return "";
+
+  for (let i = 0; i < format.rules.length; i++) {
+    const rule = format.rules[i];
+    if (!rule[0].test(nationalNumber)) continue;
+
+    let groups = [];
+    let position = 0;
+    rule[1].forEach(function(size) {
+      if (position < nationalNumber.length) {
+        groups.push(nationalNumber.substr(position, size));
+        position += size;
+      }
+    });
+    return groups.join(format.separator || " ");
+  }
+  return "";
+}
+
+/**
+ * Formats phone numbers for display - international numbers are grouped by country
+ * (e.g. +1 317.555.1234, +353 1 234 5678, +33 3 88 12 34 56) and extensions written as " ext. 123"
+ * @param {*} phone Phone number from Graph API
+ * @returns Formatted phone number (the original text if it is not in international format or has
+ *  no grouping rule in PHONE_NUMBER_FORMATS)
+ */
+function format_phone_number(phone) {
+  if (!is_valid_data(phone)) return "";
+
+  // Not international, or no grouping rule for the country / length - keep the number as written
+  const parsed = parse_phone_number(phone);
+  const grouped = parsed ? group_national_number(parsed.countryCode, parsed.nationalNumber) : "";
+  if (!grouped) return String(phone).trim();
+
+  let str = "+" + parsed.countryCode + " " + grouped;
+  if (parsed.extension) {
+    str += " ext. " + parsed.extension;
+  }
+  return str;
+}
+
+/**
+ * Builds a tel: URI (RFC 3966) for a phone number
+ * @param {*} phone Phone number from Graph API
+ * @returns tel: URI, or "" if the number can't be dialled as written
+ */
+function phone_tel_uri(phone) {
+  const parsed = parse_phone_number(phone);
+  if (!parsed) return "";
+
+  let uri = "tel:+" + parsed.countryCode + parsed.nationalNumber;
+  if (parsed.extension) {
+    uri += ";ext=" + parsed.extension;
+  }
+  return uri;
+}
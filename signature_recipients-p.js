@@ -0,0 +1,71 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Internal vs external recipients.
+// Users can opt in to a short internal signature (template choice "internal"), used when every
+// recipient is on one of the org config "internalDomains" (subdomains included).
+
+/**
+ * Gets the domain of an email address
+ * @param {*} address Email address
+ * @returns Lower case domain ("" if the address has none)
+ */
+function get_email_domain(address) {
+  if (!is_valid_data(address)) return "";
+  const text = String(address).trim().toLowerCase();
+  const at = text.lastIndexOf("@");
+  return at === -1 ? "" : text.slice(at + 1);
+}
+
+/**
+ * Checks whether an address is on a company domain (org config "internalDomains")
+ * @param {*} address Email address
+ * @returns true if the address is internal; otherwise, false.
+ */
+function is_internal_address(address) {
+  const domain = get_email_domain(address);
+  if (!domain) return false;
+  return get_org_config().internalDomains.some(function(internal) {
+    const name = internal.trim().toLowerCase();
+    return domain === name || domain.slice(-(name.length + 1)) === "." + name;
+  });
+}
+
+/**
+ * Checks whether a draft only goes to internal recipients.
+ * A draft without recipients counts as external, so the full signature is the default.
+ * @param {*} addresses Recipient email addresses
+ * @returns true if there is at least one recipient and all are internal; otherwise, false.
+ */
+function are_recipients_internal(addresses) {
+  return addresses.length > 0 && addresses.every(is_internal_address);
+}
+
+/**
+ * Reads the To, Cc and Bcc addresses of the draft being composed
+ * (fields the host doesn't support or fails to read are skipped)
+ * @param {*} callback Called with an array of email addresses
+ */
+function get_recipient_addresses(callback) {
+  const item = Office.context.mailbox.item;
+  const fields = item ? [item.to, item.cc, item.bcc].filter(function(field) {
+    return field && typeof field.getAsync === "function";
+  }) : [];
+
+  let addresses = [];
+  let pending = fields.length;
+  if (pending === 0) {
+    callback(addresses);
+    return;
+  }
+
+  fields.forEach(function(field) {
+    field.getAsync(function(asyncResult) {
+      if (asyncResult.status === "succeeded" && asyncResult.value) {
+        addresses = addresses.concat(asyncResult.value.map(function(recipient) { return recipient.emailAddress; }));
+      }
+      pending--;
+      if (pending === 0) callback(addresses);
+    });
+  });
+}
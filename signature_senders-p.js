@@ -0,0 +1,92 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Sender identities for shared and delegate mailboxes.
+// The autorun signs with the identity of the draft's From address, configured in the org config
+// "senderIdentities" (sender address -> identity), e.g.:
+//  "am_new_outlook_2025@lilly.com": { "type": "alias", "account": "AM_New_Outlook_2025@elililly.onmicrosoft.com" }
+//  "clinical-trials@lilly.com": { "type": "shared", "name": "Clinical Trials Team", "template": "B" }
+
+/**
+ * Identity types:
+ *  "alias": Another address of the signed-in user - their own signature, looked up as "account"
+ *  "delegate": Sending on behalf of someone else - that person's signature
+ *  "shared": Shared mailbox - the mailbox's signature ("name" and "template" can override the defaults)
+ */
+const SENDER_IDENTITY_TYPES = ["alias", "delegate", "shared"];
+
+/**
+ * Normalizes an email address for comparison
+ * @param {*} address Email address
+ * @returns Lower case address ("" for empty input)
+ */
+function normalize_email(address) {
+  return is_valid_data(address) ? String(address).trim().toLowerCase() : "";
+}
+
+/**
+ * Reads the From address of the draft (the organizer for appointments).
+ * Calls back with "" when the host can't tell (older requirement sets) - the mailbox owner is used then.
+ * @param {*} callback Called with (address, displayName)
+ */
+function get_sender_address(callback) {
+  const item = Office.context.mailbox.item;
+  const field = item && (item.itemType === Office.MailboxEnums.ItemType.Appointment ? item.organizer : item.from);
+  if (!field || typeof field.getAsync !== "function") {
+    callback("", "");
+    return;
+  }
+
+  field.getAsync(function(asyncResult) {
+    const value = asyncResult.status === "succeeded" ? asyncResult.value : null;
+    callback(value && value.emailAddress ? value.emailAddress : "", value && value.displayName ? value.displayName : "");
+  });
+}
+
+/**
+ * Resolves who a draft is signed as.
+ * Configured identities win. Any other From address is "self" - an unconfigured address is usually
+ * one of the user's own (proxy addresses, a UPN that differs from the SMTP address), so shared
+ * mailboxes and delegates only get their own signature once they are in "senderIdentities".
+ * @param {*} sender_address From address of the draft ("" if unknown)
+ * @param {*} user_address Mailbox owner's address (Office.context.mailbox.userProfile)
+ * @returns Object containing:
+ *  "type": "self", "alias", "delegate" or "shared",
+    "address": Sender address (lower case),
+    "account": Address to look up with the signature API,
+    "name": Display name override ("" to use the directory name),
+    "template": Template override ("" to pick automatically),
+    "isSelf": true if the signature is the signed-in user's own (saved settings and caches apply)
+ */
+function resolve_sender_identity(sender_address, user_address) {
+  const user = normalize_email(user_address);
+  const sender = normalize_email(sender_address) || user;
+
+  const configured = lookup_config_table(get_org_config().senderIdentities, sender);
+  if (configured) {
+    const type = SENDER_IDENTITY_TYPES.indexOf(configured.type) !== -1 ? configured.type : "shared";
+    if (type !== configured.type) {
+      log_warn("Unknown sender identity type (" + configured.type + ") - treating as shared mailbox");
+    }
+    return {
+      type: type,
+      address: sender,
+      account: is_valid_data(configured.account) ? String(configured.account).trim() : (type === "alias" ? user_address : sender),
+      name: is_valid_data(configured.name) ? String(configured.name).trim() : "",
+      template: is_valid_data(configured.template) ? String(configured.template).trim().toUpperCase() : "",
+      isSelf: type === "alias"
+    };
+  }
+
+  if (sender !== user) {
+    log_debug("Sender address is not in senderIdentities - using the user's own signature");
+  }
+  return {
+    type: "self",
+    address: sender,
+    account: user_address,
+    name: "",
+    template: "",
+    isSelf: true
+  };
+}
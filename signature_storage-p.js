@@ -0,0 +1,538 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Versioned settings storage shared by the taskpane and the autorun runtime.
+// All roamingSettings / sessionStorage / localStorage access for user info, template choices,
+// fetch status and logs goes through these functions, so key names and data formats live in one place.
+
+// Bump when adding a migration to STORAGE_MIGRATIONS
+const STORAGE_SCHEMA_VERSION = 2;
+
+// roamingSettings keys
+const STORAGE_KEYS = {
+  version: "storage_version",
+  savedUserInfo: "lilly_user_info",       // user info saved from the taskpane (includes pronouns etc.)
+  cachedUserInfo: "user_info_cache",      // user info fetched from Graph API
+  userInfoTimestamp: "user_info_timestamp",
+  fetchStatus: "last_fetch_status",
+  profiles: "signature_profiles",         // named signature profiles (see read_profiles)
+  debugLogging: "debug_logging",          // persistent debug switch (see signature_logging-p.js)
+  userInfoChanges: "user_info_changes",   // directory changes found by the background refresh
+  refreshAttempt: "user_info_refresh_attempt",
+  templatePrefix: "lilly_"                // + compose mode, e.g. "lilly_newMail"
+};
+
+// Id of the profile created from the settings saved before profiles existed
+const DEFAULT_PROFILE_ID = "default";
+
+// User info fields that belong to a signature profile - everything else comes from Graph API.
+// "jobTitleOverride" / "departmentOverride" replace the directory title and department in the
+// signature (see get_title_parts) - jobTitle and department themselves stay as Graph API has them.
+const PROFILE_FIELDS = ["pronoun", "pronunciation", "locale", "addressDisplay", "hiddenFields",
+  "signOff", "greeting", "signOffInReplies", "companyWebsite", "jobTitleOverride", "departmentOverride"];
+
+// sessionStorage keys (survive OWA page reloads)
+const SESSION_CACHE_KEY = "user_info_session_cache";
+const SESSION_IDENTITY_CACHE_KEY = "sender_identity_cache";   // shared / delegate mailboxes by account
+
+// localStorage key for the recent log events (per device - roamingSettings is too small for it)
+const LOG_BUFFER_KEY = "signature_event_log";
+
+// Cache duration: 7 days in milliseconds (roamingSettings user info older than this is refetched)
+const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+// Cached user info older than this (1 hour) is still used, then refreshed in the background
+const CACHE_REVALIDATE_AFTER = 60 * 60 * 1000;
+
+/**
+ * Migrations, applied in order to bring stored settings up to STORAGE_SCHEMA_VERSION.
+ * Each migration gets the roamingSettings object and must be safe to run on partial data.
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Rename legacy user info fields (mobile, location, pronouns)",
+    migrate: function(settings) {
+      const renames = { mobile: "mobilePhone", location: "officeLocation", pronouns: "pronoun" };
+      [STORAGE_KEYS.savedUserInfo, STORAGE_KEYS.cachedUserInfo].forEach(function(key) {
+        const user_info = parse_stored_json(settings.get(key));
+        if (!user_info) return;
+
+        Object.keys(renames).forEach(function(oldField) {
+          if (user_info[oldField] && !user_info[renames[oldField]]) {
+            user_info[renames[oldField]] = user_info[oldField];
+          }
+          delete user_info[oldField];
+        });
+        settings.set(key, JSON.stringify(user_info));
+      });
+    }
+  },
+  {
+    version: 2,
+    description: "Move template choices from legacy keys (newMail, reply, forward) to lilly_ keys",
+    migrate: function(settings) {
+      ["newMail", "reply", "forward"].forEach(function(mode) {
+        const legacy = settings.get(mode);
+        if (legacy && !settings.get(STORAGE_KEYS.templatePrefix + mode)) {
+          settings.set(STORAGE_KEYS.templatePrefix + mode, legacy);
+        }
+        settings.remove(mode);
+      });
+      settings.remove("user_info");
+    }
+  }
+];
+
+/**
+ * Parses a stored JSON string
+ * @param {*} value Stored value
+ * @returns Parsed object, or null if the value is missing or unreadable
+ */
+function parse_stored_json(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch(e) {
+    log_warn("Stored value is not valid JSON", e);
+    return null;
+  }
+}
+
+/**
+ * Runs any migrations newer than the stored schema version.
+ * Changes are kept in memory - call save_settings() to persist them.
+ * @param {*} settings roamingSettings object (defaults to Office.context.roamingSettings)
+ * @returns true if any migration ran; otherwise, false.
+ */
+function migrate_storage(settings) {
+  settings = settings || Office.context.roamingSettings;
+  const current = settings.get(STORAGE_KEYS.version) || 0;
+  if (current >= STORAGE_SCHEMA_VERSION) return false;
+
+  STORAGE_MIGRATIONS.forEach(function(migration) {
+    if (migration.version > current) {
+      log_info("Storage migration " + migration.version + ": " + migration.description);
+      migration.migrate(settings);
+    }
+  });
+  settings.set(STORAGE_KEYS.version, STORAGE_SCHEMA_VERSION);
+  return true;
+}
+
+/**
+ * Persists roamingSettings changes
+ * @param {*} callback Optional saveAsync callback
+ */
+function save_settings(callback) {
+  Office.context.roamingSettings.saveAsync(callback || function() {});
+}
+
+/**
+ * Reads the stored user info - the taskpane-saved copy wins over the Graph API cache
+ * @returns Object containing "user_info" and "timestamp" (ms, may be null), or null if nothing is stored
+ */
+function read_user_info() {
+  const settings = Office.context.roamingSettings;
+  const user_info = parse_stored_json(settings.get(STORAGE_KEYS.savedUserInfo)) ||
+                    parse_stored_json(settings.get(STORAGE_KEYS.cachedUserInfo));
+  if (!user_info) return null;
+  return { user_info: user_info, timestamp: settings.get(STORAGE_KEYS.userInfoTimestamp) || null };
+}
+
+/**
+ * Reads only the user info saved from the taskpane (ignores the Graph API cache)
+ * @returns User information object, or null if the user never saved one
+ */
+function read_saved_user_info() {
+  return parse_stored_json(Office.context.roamingSettings.get(STORAGE_KEYS.savedUserInfo));
+}
+
+/**
+ * Stores user info fetched from Graph API (refreshes the cache timestamp)
+ * @param {*} user_info User information object
+ */
+function write_cached_user_info(user_info) {
+  Office.context.roamingSettings.set(STORAGE_KEYS.cachedUserInfo, JSON.stringify(user_info));
+  Office.context.roamingSettings.set(STORAGE_KEYS.userInfoTimestamp, Date.now());
+}
+
+/**
+ * Stores user info saved from the taskpane - also refreshes the Graph API cache so the
+ * autorun doesn't fetch again
+ * @param {*} user_info User information object
+ */
+function write_saved_user_info(user_info) {
+  Office.context.roamingSettings.set(STORAGE_KEYS.savedUserInfo, JSON.stringify(user_info));
+  write_cached_user_info(user_info);
+}
+
+/**
+ * Stores user info refreshed from Graph API in every cache that holds it. The saved copy and the
+ * sessionStorage cache keep their taskpane settings (PROFILE_FIELDS) and template choices.
+ * @param {*} user_info User information object from Graph API
+ * @returns The user info the autorun will use from now on
+ */
+function refresh_stored_user_info(user_info) {
+  write_cached_user_info(user_info);
+
+  const saved = read_saved_user_info();
+  const updated = saved ? Object.assign({}, user_info, pick_profile_settings(saved)) : user_info;
+  if (saved) {
+    Office.context.roamingSettings.set(STORAGE_KEYS.savedUserInfo, JSON.stringify(updated));
+  }
+
+  const session = read_session_cache();
+  if (session) {
+    write_session_cache(updated, session.templates);
+  }
+  return updated;
+}
+
+/**
+ * Reads when the autorun last tried to refresh the user info in the background
+ * @returns Time in ms, or null if it never tried
+ */
+function read_refresh_attempt() {
+  return Office.context.roamingSettings.get(STORAGE_KEYS.refreshAttempt) || null;
+}
+
+/**
+ * Records a background refresh attempt (call save_settings to persist) - failed refreshes
+ * are not retried on every draft
+ */
+function write_refresh_attempt() {
+  Office.context.roamingSettings.set(STORAGE_KEYS.refreshAttempt, Date.now());
+}
+
+/**
+ * Reads the directory changes found by the last background refresh
+ * @returns Object containing "fields" (changed user info fields) and "timestamp" (ms), or null if nothing changed
+ */
+function read_user_info_changes() {
+  return parse_stored_json(Office.context.roamingSettings.get(STORAGE_KEYS.userInfoChanges));
+}
+
+/**
+ * Stores or clears the directory changes found by a background refresh (call save_settings to persist)
+ * @param {*} changes Object containing "fields" and "timestamp", or null once the user has updated their signature
+ */
+function write_user_info_changes(changes) {
+  if (changes) {
+    Office.context.roamingSettings.set(STORAGE_KEYS.userInfoChanges, JSON.stringify(changes));
+  } else {
+    Office.context.roamingSettings.remove(STORAGE_KEYS.userInfoChanges);
+  }
+}
+
+/**
+ * Removes all stored user info (template choices are kept)
+ */
+function clear_user_info() {
+  Office.context.roamingSettings.remove(STORAGE_KEYS.savedUserInfo);
+  Office.context.roamingSettings.remove(STORAGE_KEYS.cachedUserInfo);
+  Office.context.roamingSettings.remove(STORAGE_KEYS.userInfoTimestamp);
+  Office.context.roamingSettings.remove(STORAGE_KEYS.userInfoChanges);
+  Office.context.roamingSettings.remove(STORAGE_KEYS.refreshAttempt);
+}
+
+/**
+ * Reads the saved template choice for a compose mode
+ * @param {*} mode "newMail", "reply", "forward", "appointment" or "internal"
+ * @returns Template id, or null if the user never saved one
+ */
+function read_template_choice(mode) {
+  return Office.context.roamingSettings.get(STORAGE_KEYS.templatePrefix + mode) || null;
+}
+
+/**
+ * Stores template choices - modes set to null are removed (fall back to the new message choice)
+ * @param {*} templates Object of compose mode -> template id
+ */
+function write_template_choices(templates) {
+  Object.keys(templates).forEach(function(mode) {
+    if (templates[mode]) {
+      Office.context.roamingSettings.set(STORAGE_KEYS.templatePrefix + mode, templates[mode]);
+    } else {
+      Office.context.roamingSettings.remove(STORAGE_KEYS.templatePrefix + mode);
+    }
+  });
+}
+
+/**
+ * Reads the status of the last user info load (see recordUserInfoSource in autorunshared-p.js)
+ * @returns Status object, or null if none was recorded
+ */
+function read_fetch_status() {
+  return parse_stored_json(Office.context.roamingSettings.get(STORAGE_KEYS.fetchStatus));
+}
+
+/**
+ * Stores the status of the last user info load
+ * @param {*} status Object containing at least "source" and "timestamp"
+ */
+function write_fetch_status(status) {
+  Office.context.roamingSettings.set(STORAGE_KEYS.fetchStatus, JSON.stringify(status));
+}
+
+/**
+ * Reads the sessionStorage cache. Handles all formats written by earlier versions:
+ * { user_info, templates }, { user_info, template } and a bare user info object.
+ * @returns Object containing "user_info", "templates" (compose mode -> template id) and "timestamp"
+ *  (ISO string, null for old formats), or null
+ */
+function read_session_cache() {
+  if (typeof sessionStorage === 'undefined') return null;
+  try {
+    const cached_data = parse_stored_json(sessionStorage.getItem(SESSION_CACHE_KEY));
+    if (!cached_data) return null;
+
+    const templates = cached_data.templates || {};
+    if (!templates.newMail && cached_data.template) {
+      templates.newMail = cached_data.template;
+    }
+    return {
+      user_info: cached_data.user_info || cached_data,
+      templates: templates,
+      timestamp: cached_data.user_info ? cached_data.timestamp || null : null
+    };
+  } catch(e) {
+    log_warn("sessionStorage not available or failed", e);
+    return null;
+  }
+}
+
+/**
+ * Writes the sessionStorage cache
+ * @param {*} user_info User information object
+ * @param {*} templates Optional compose mode -> template id (saved from the taskpane)
+ */
+function write_session_cache(user_info, templates) {
+  if (typeof sessionStorage === 'undefined') return;
+  try {
+    sessionStorage.setItem(SESSION_CACHE_KEY, JSON.stringify({
+      user_info: user_info,
+      templates: templates || null,
+      timestamp: new Date().toISOString()
+    }));
+  } catch(e) {
+    log_warn("Failed to write sessionStorage cache", e);
+  }
+}
+
+/**
+ * Reads the cached user info of a shared or delegate mailbox (see signature_senders-p.js)
+ * @param {*} account Address the identity was looked up as
+ * @returns User information object, or null if it is not cached in this session
+ */
+function read_identity_cache(account) {
+  if (typeof sessionStorage === 'undefined') return null;
+  try {
+    const identities = parse_stored_json(sessionStorage.getItem(SESSION_IDENTITY_CACHE_KEY)) || {};
+    return identities[String(account).toLowerCase()] || null;
+  } catch(e) {
+    log_warn("sessionStorage not available or failed", e);
+    return null;
+  }
+}
+
+/**
+ * Caches the user info of a shared or delegate mailbox for this session
+ * @param {*} account Address the identity was looked up as
+ * @param {*} user_info User information object
+ */
+function write_identity_cache(account, user_info) {
+  if (typeof sessionStorage === 'undefined') return;
+  try {
+    const identities = parse_stored_json(sessionStorage.getItem(SESSION_IDENTITY_CACHE_KEY)) || {};
+    identities[String(account).toLowerCase()] = user_info;
+    sessionStorage.setItem(SESSION_IDENTITY_CACHE_KEY, JSON.stringify(identities));
+  } catch(e) {
+    log_warn("Failed to write sessionStorage identity cache", e);
+  }
+}
+
+/**
+ * Describes the user info caches without using them (for the diagnostics panel)
+ * @returns Object containing:
+ *  "session": sessionStorage cache (see read_session_cache), or null,
+    "identities": Accounts in the sessionStorage identity cache,
+    "saved": true if user info was saved from the taskpane,
+    "graph": true if Graph API user info is cached in roamingSettings,
+    "timestamp": When the roamingSettings user info was last written (ms, may be null),
+    "storageVersion": Stored settings schema version (0 before the first migration)
+ */
+function read_cache_summary() {
+  const settings = Office.context.roamingSettings;
+  let identities = [];
+  if (typeof sessionStorage !== 'undefined') {
+    try {
+      identities = Object.keys(parse_stored_json(sessionStorage.getItem(SESSION_IDENTITY_CACHE_KEY)) || {});
+    } catch(e) {
+      log_warn("sessionStorage not available or failed", e);
+    }
+  }
+  return {
+    session: read_session_cache(),
+    identities: identities,
+    saved: !!read_saved_user_info(),
+    graph: !!parse_stored_json(settings.get(STORAGE_KEYS.cachedUserInfo)),
+    timestamp: settings.get(STORAGE_KEYS.userInfoTimestamp) || null,
+    storageVersion: settings.get(STORAGE_KEYS.version) || 0
+  };
+}
+
+/**
+ * Removes the sessionStorage caches
+ */
+function clear_session_cache() {
+  if (typeof sessionStorage === 'undefined') return;
+  try {
+    sessionStorage.removeItem(SESSION_CACHE_KEY);
+    sessionStorage.removeItem(SESSION_IDENTITY_CACHE_KEY);
+  } catch(e) {
+    log_warn("Failed to clear sessionStorage cache", e);
+  }
+}
+
+/**
+ * Reads the signature profiles. Without stored profiles, the saved user info and template
+ * choices become a single "Default" profile.
+ * The default profile is also kept in the saved user info and template keys (see write_profiles),
+ * which is what the autorun reads.
+ * @returns Object containing:
+ *  "defaultProfile": Id of the default profile,
+    "profiles": Array of profiles ({ id, name, templates, settings }) - "templates" maps compose
+    mode -> template id, "settings" holds the PROFILE_FIELDS values
+ */
+function read_profiles() {
+  const stored = parse_stored_json(Office.context.roamingSettings.get(STORAGE_KEYS.profiles));
+  if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) return stored;
+
+  return {
+    defaultProfile: DEFAULT_PROFILE_ID,
+    profiles: [{
+      id: DEFAULT_PROFILE_ID,
+      name: "Default",
+      templates: {
+        newMail: read_template_choice("newMail"),
+        reply: read_template_choice("reply"),
+        forward: read_template_choice("forward"),
+        appointment: read_template_choice("appointment"),
+        internal: read_template_choice("internal")
+      },
+      settings: pick_profile_settings(read_saved_user_info() || {})
+    }]
+  };
+}
+
+/**
+ * Finds a profile by id, falling back to the default profile
+ * @param {*} profiles Profiles object from read_profiles
+ * @param {*} profile_id Profile id
+ * @returns Profile
+ */
+function find_profile(profiles, profile_id) {
+  function by_id(id) {
+    return profiles.profiles.filter(function(profile) { return profile.id === id; })[0];
+  }
+  return by_id(profile_id) || by_id(profiles.defaultProfile) || profiles.profiles[0];
+}
+
+/**
+ * Copies the profile fields (PROFILE_FIELDS) out of a user info object
+ * @param {*} user_info User information object
+ * @returns Settings object (fields that are not set are left out)
+ */
+function pick_profile_settings(user_info) {
+  const settings = {};
+  PROFILE_FIELDS.forEach(function(field) {
+    if (user_info[field] !== undefined) settings[field] = user_info[field];
+  });
+  return settings;
+}
+
+/**
+ * Applies a profile to user info from Graph API - profile fields are replaced, not merged,
+ * so settings from another profile don't leak in (including its job title / department overrides)
+ * @param {*} user_info User information object
+ * @param {*} profile Profile from read_profiles
+ * @returns New user information object
+ */
+function apply_profile_settings(user_info, profile) {
+  const result = Object.assign({}, user_info);
+  PROFILE_FIELDS.forEach(function(field) { delete result[field]; });
+  return Object.assign(result, profile.settings);
+}
+
+/**
+ * Stores the signature profiles, and the default profile as the saved user info and template
+ * choices used by the autorun
+ * @param {*} profiles Profiles object (see read_profiles)
+ * @param {*} user_info User information from Graph API (profile fields are replaced)
+ * @returns Object containing "user_info" and "templates" of the default profile
+ */
+function write_profiles(profiles, user_info) {
+  Office.context.roamingSettings.set(STORAGE_KEYS.profiles, JSON.stringify(profiles));
+
+  const profile = find_profile(profiles, profiles.defaultProfile);
+  const default_info = apply_profile_settings(user_info, profile);
+  write_saved_user_info(default_info);
+  write_template_choices(profile.templates);
+  return { user_info: default_info, templates: profile.templates };
+}
+
+/**
+ * Reads the debug logging switch (safe to call before Office.js is ready)
+ * @returns true if debug logging is on; otherwise, false.
+ */
+function read_debug_logging() {
+  try {
+    return Office.context.roamingSettings.get(STORAGE_KEYS.debugLogging) === true;
+  } catch(e) {
+    return false;
+  }
+}
+
+/**
+ * Turns debug logging on or off (call save_settings to persist)
+ * @param {*} enabled true to turn debug logging on
+ */
+function write_debug_logging(enabled) {
+  if (enabled) {
+    Office.context.roamingSettings.set(STORAGE_KEYS.debugLogging, true);
+  } else {
+    Office.context.roamingSettings.remove(STORAGE_KEYS.debugLogging);
+  }
+}
+
+/**
+ * Reads the recent log events.
+ * Doesn't log failures - it is called while logging.
+ * @returns Array of log entries, or null if localStorage is not available
+ */
+function read_log_buffer() {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const entries = JSON.parse(localStorage.getItem(LOG_BUFFER_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Stores the recent log events
+ * @param {*} entries Array of log entries
+ * @returns true if they were stored; otherwise, false.
+ */
+function write_log_buffer(entries) {
+  if (typeof localStorage === 'undefined') return false;
+  try {
+    localStorage.setItem(LOG_BUFFER_KEY, JSON.stringify(entries));
+    return true;
+  } catch(e) {
+    return false;
+  }
+}
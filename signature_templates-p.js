@@ -1,278 +1,867 @@
 // Copyright (c) Microsoft Corporation.
 // Licensed under the MIT License.
-// Updated to match autorunshared.js templates with Graph API field names
-
-// Location code mapping for Lilly facilities
-const LOCATION_MAP = {
-  "MC": "Lilly Corporate Center, Indianapolis, IN 46285 USA",
-  "IC": "Lilly Tech Center South, Indianapolis, IN 46221 USA",
-  "KY": "Lilly Tech Center North, Indianapolis, IN 46221 USA",
-  "LEP": "Lilly LEAP Lebanon Manufacturing, Lebanon, IN 46052 USA",
-  "LP1": "Lebanon Plant Site, Lebanon, IN 46052 USA",
-  "LP2": "Lebanon Plant Site 2, Lebanon, IN 46052 USA",
-  "IMC": "ImClone Systems, Branchburg, NJ 08853 USA",
-  "GUR": "Warehouse, Gurnee, IL 60031 USA",
-  "BOS": "Lilly Seaport Innovation Center, Boston, MA USA",
-  "CAM": "Lilly Cambridge Office, Cambridge, MA USA",
-  "CON": "Lilly Manufacturing Concord, Concord, NC USA",
-  "HOM": "Works from Home",
-  "CA": "Eli Lilly Canada Inc., Toronto, Canada",
-  "LIM": "Lilly Manufacturing Limerick, Limerick, Ireland",
-  "CK": "Kinsale Manufacturing Operations, Kinsale, Ireland",
-  "FR": "Lilly France Manufacturing, Fegersheim, France"
-};
 
-// Function to get formatted location from office location code
-function getLocationFromCode(officeLocationCode) {
-  if (!officeLocationCode) return "";
-  const facilityCode = officeLocationCode.split('/')[0].toUpperCase();
-  return LOCATION_MAP[facilityCode] || "";
-}
+// Shared signature template engine.
+// Loaded by BOTH the taskpane (editsignature-p.html) and the autorun runtime (autorunweb.html)
+// so the taskpane preview is byte-identical to the signature inserted into new messages.
+
+// Company name, locations, website and legal text come from the org config (signature_config-p.js)
+// Translated labels come from signature_locales-p.js, phone formatting from signature_phone-p.js,
+// contractor employer details from signature_contractors-p.js and addresses from signature_locations-p.js
+
+// Lilly logo (PNG) - embedded as data URI or inline attachment, depending on the logo mode
+const LILLY_LOGO_FILE_NAME = "lilly-logo.png";
+const LILLY_LOGO_BASE64 = "iVBORw0KGgoAAAANSUhEUgAAApwAAAB+CAYAAACJWMEFAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAAIdUAACHVAQSctJ0AAHruSURBVHhe7X0HmFxV+f6CggUhJLsz95479d5z72xJhYRegtRIR4ggIgj+BSmKvWsU7OjPhgULKE0IqCAKKiX0ZmhxSdkyt87sbjohpGf3/71n711mJzOzs2kEPe/zfM/szpzznXO+097TGyTevBhoaNitR2nYy001at168kDXSpzvmIkf2ga70zHVv7gmm+0Z2rd9XTkpr+6bGWhr2DP0KiEhISEhISEhIVEdL2TG7Ovr8Ul2Jv5+h6s/Djh72OOq63LtVd/S1nmmtiGSgqWtpc8VRa4+6huxLxQyjS2kYvdBTRISEhISEhISEhIlmJceM9YxtGMKJrua5CGPa4s9K7G5YCUGiiT4DEj8EsH/xRyJSb8b6kpfV25ZwNnUUKWEhISEhISEhIREQ4OdybzdtdgRHld/7HH2kmdpq4loCoIJUom/IW4Nwe8gpT5n6x0ev8FtbtRC9RISEhISEhISEv+rwB5NNx03fEv5useVLp+r6z1TGyKZlYjlSNKbSw4EhrosbygfD4ORkJCQkJCQkJD4X0THuHH7uJyd5nLtwYLJNkRL5VtLNCOB/yVmYsDW1X8snJprCoOTkJCQkJCQkJDYVgw0NLylw2x4Gz7Dr3ZJUPx2d9JqG5HNqzxTs6N9mNtKNEtlaY70GcqizubEUWGwEhISEhISEhISo8FsIpUvKspe89NNjIjVBFePH+sZ8fcXzPiVvTx+2pLGxr1Dp7sU+pPJd7jN2ikOV//qmtpr2KNZL9GEu3rdLiHpMVS/uzl9Vhi0hISEhISEhITESOgwzbfZmZjqGo3TfFM9zzfYN21DvS1vqo95Jmv3Tc3tsbSVRa48XzBih4fedhnM0/dSCpx9jOI5j8immNWsRBbLBTOgPbmkkF4rKQ4GVXJXKkvIbcFkPV16/NwweAkJCQkJCQkJiUoYmNnwll49rrh60xGuwb7gGexul7MOn7MVRC7XeJa2GQQLM38gcJC+nDbg6fHvPJlseEeo5g2HnVGyvsm+73OtB4eC6pmpFEQTn6ZI3+K8wZ53dfaUo2t9Ln1XyU8kYobTVL3u5vSZYRQkJCQkJCQkJCQi4OT2isyYfYloTvQt9RKSezyuLu8lEgUpPVxTKhHZ6s0lBhxDed424weHKt9QdGtNOSerXk/EcU09S+hIG9y5XNtcMJjvZdkd9PfZ3fpeCl4dcrLs466urYO7Sv4hS0kCg3V18uQJYTQkJCQkJCQkJCSeTCbf4RtNlm/E3uub6s98zuZ7praphwhkRNRGImsQuHG48pqXjX+lR1H2CtXvdMyZ3vDWoFk71OOJv3ogj2XxrCQgkZDAZEXP0O6wDfW9Hea4fUKVAp0T+CGUxr5a+rCkbmfZv21LbQ29SUhISEhISEj872Jg6tQ9Orky3tPVywKu3ekYWiEww0vMSeohmeUiyKmuPlBMNU4Lg9mpwH5Ttzl1amBpDwdEmOvZrxkQSXSJYHucPe2b7MpuxtKhumHoajHe63C2pppO2KzP1AbyWeVPLx533BtGuCUkJCQkJCQkdgl08qTpmdplrqHd53K2FERxW0gmSBgO1yxpTpIe9bWCoXwep9nD4HYKBhoa9vCb9bOIPD/tca0f6akU30gQb3FZO95IN5Q7XTN2vFdl/2nPpEl7EZH9XmFwX2dFfUi/b6jr8tn410JvEhISEhISEhL/e3DT6bG4xogI2T9drq0OD8bUTTQjt5g9BFlbTNInZhK1gYKpre4xtZ7AYJ0+j13dHY8rYbA7A7t5maZziGy+5HHWP1J68Dv2nAamtjzg6o/d9Bgj1FMRfjYx2ebay7VOqi8hfT5Xu92W1PGhNwkJCQkJCQmJ/x0MTJ/+1kWZ2BTfUH8amGw5SGK9M5pwA7fYuwjChf9tU9tA3y0uWOpC12SPOFy93taVL3qGco6diB/cHnunijs7w+B3KAYaGt7qphpPJbK3CCRypDQhLSDIHlfdgMc/PXvmzJrxbG9r29PLJT/n1zjl7lvJgV6TDXTrsbtWTjx8bOhVQkJCQkJCQuJ/A4vTTcwx2Yd9iz1RIKJVz32SEJCrYo6IFAn93+9xtsLn2nzX1O61de0n+Sz7iGPEDiuqaiwMaqcDB56CrHI2EelOHHIaaRkdv5Mt+n2uzHUzsQ+1tzXsGaqqiu625IFuLvk0tg1UI5wImwjsioLBrgy9SUhISEhISEj89wNPTfqZ+ME+Z7/wTG0JiONIhAwCUgUCNXgXpbaG/C4IOLsjyKpfcbPxU91UjGNWMQzmDYOdybzdMzPnggSL/ZMlaagkhXD20zPUhwqcnTZQB9mcl06PdS12FZHt1S6R9Up6BTHHjKmpPOZOSL0hh6UkJCQkJCQkJHY6cICmW1fP8vTEA0TI1oFsVSJL5QLihn2ZgcFe8XTlMYer33F05aSejJK1GzJvD9W/4Zgzffpbg1bt7MBKPOfVOMgTSZHSH5gaZmn/7pnqdGwxCFVVBdlwd9tKnOiY2rxay+kFspfHtdWBoXyrvS32rtC7hISEhISEhMR/LzrMhre5nF3s88R8HAqqZ1YTy+xLiTgVLbamYLKH/Iz6SbyVbmcadhmSWQqvLTmD0jXX52zE0+hIW8HUNvq68mekKVQxIgptRpp03+LyxKZahBZkHkv0fkY5KvQqISEhISEhIfHfi27DGFOwlI8VLK1vcXNyxJk/7EsEIfNNtiYwtOcCQ/1qRyrGQ3W7JNxmdRoRwcewv7TanZiR4PfAZGs9Q52Nl4dCFSNi7tSpe7gtqU8GlraqVhjiEniDvRoY8W8/PW74RfESEhISEhISEv91mK/t3ejyxJeIBK3AsnglghQJiCj2aeIZR1/X2ok0XbMok5kSqtplYZtN+7mW+g+xRF6WpnLB1U2eqb0WcPWWruTYumc2BxoadvNzmfcQCRcHkaqRdsysilP7WfWxLuONueheQkJCQkJCQmKnAWTT58oXA1PrxT7MSgQpEhC1xSBsJsMdlLe6unbKm2F2zreyk32u/RlET7wOVJKmchHL3Ka2ITCUm+xM036hirrgWckDfUt7uMesfEgokj6Kg8/Vpd0Z9bLZM3fOFVASEhISEhISEm8IcDWQbWqX+SZzcFq6EjmKBERt8PS5uiCwlM+66XjNC893FXSYKe7nUtf7nK0baWYTs444IBRgGT2x76RQRV3oak1YrqndGlhqze0IILRFU9vo6eoNhRxrCr1LSEhISEhISPx3wjbUEx2emI930GuRJOx5LFjJAcdMPOaY2slzpzbsEarYpYHXkVyufc+3tBUjkU3sqSyY2ubAYHcUM2prqKIuFBhr8s3ED0jP6loHkXyyIy7O97jyWLeeGBWhlZCQkJCQkJB408E1Y9wztH/2EpGsRI4iARELeGKjq2v/6DLYYaH3XR6z29r2dKz0x1xT60MaahFqkETf1DZ5nN07WrL5otKwl23EP+FxbTFIbbVw8D22LHim6nl6/NzQu4SEhISEhITEfydeyIzZ1zbZNUWTyGQZMSoVcQqdaxsdXftLd7LxgND7Lo9ZDQ27u7nU+7xcsrvW4R2I+I1rm3Gpez7bdGSooi60t83c07a0Dzlc6Youh68UBgSHlXzOlvs6u1qeSpeQkJCQkJD4r8bArIbdfVM9r2CypbUOCYGIBqYgYvd0ptn+ofddHgMDA7t1WYkT3VziBUHyytJVKiCIeLLTNdjTfrrppDmjeAUJ1x95bZlz/VxiHnTUIpti5pNr6wNdubHLaLJCFRISEhISEhIS/53w2pKma2r3LS4jRaWCvYZYhnZ09SHPUg4Mvb4p4DRrh/qm9ijiT2SwYvogIIjitLipzHf02Fn1PFcZAa8Vuc2JmUGz9vJIy/V4TQiHrTxdfTCfVQ4KVbxhmNvQsEc+q2a6OJvqGMrRTlo5ydXjx3bn1AM8a1widCYhISEhISEhsXUYaJi6R2CoHw24tqwaSfKIpIm30w2t3cuoM0KvbwqIE+lm4rYCZxtqbRUYIpucBWSLs/GcZ6hiRJDbt1AYZwacvSiIZInecgFxxytMHlcXgNSFKt4QOKba1pXVLvAN9sPAVO+i+D+Nt+TJBl3izXtTeyYw2WwvrVyxON3EQm8SEhISEhISEqODa8UNIhp3+pbWX4kgQcTb6Vxb6ersSwNTp74pTqMDL2Qy+7o8+V2XJ1Zj1rFS2iAgiOHe1MWOrlwx0DCwW6hiRDx5cPId+VzqbI+zF7D/tSbZJMGBLF9XuzpTTWeHKnYqeiYpe+Wt5JEuZ18nYv0w2ebVJUSAl1Ee4xOkG9sqMMDAhf9LKb4Frq32Msrv5zftXffrShISEhISEhISAgMNDbsXODstsLQOvKRTjSR5praZyObfnbTaFnrd5dHe1rYnxf9i10x4tQ7v4HvxRrzBlrm6cvWLRMhCFSPCSybfEbSkLiA9LxfqIJtiX2dWWeQlmy4KVew0UFzHUV6f4JraT/xc4mUQ7OXNIJa14w0BCe2j9OVTym+643ElVCkhISEhISEhMTI6zHH7EJn8mmcmXqt2kEbsR+RaLxGyK+c0TK/7AM0bDb8lcRKRq5dwV+hI+zZdrr3m6eyX2McYeh8RIHCuEb/S52yh2BtaorNcEAZmPwu62uFmGj+Ky/VDNTscIN6UrukFg13jm1o7thUsIaJZa3tBuTgkYktFVlllG9o5OIQVqpeQkJCQkJCQqI2enKK7JvtjLbIEouTreN9bfdO8721b2hTPUh/E5fV+jTtFQQSJbA+4hvqX0Vy6Xmgz0kTUv+VyVsSTlbVmCLH/Ffs6XV3tDFLxj9qZMfuGanY48qqa8Qzts77JnvQ4W4vZzFp5PZIsM9mAm2M/6DluUt2zwBISEhISEhL/4+jJKgcFOe1pXBVUiWBgZpAIWb+nq9cVGHtn6G2XRud4LUVxvh1PRY60bxN7Fh3O/u2kY7i8vq5ZOzujtgZW4rcO11aNdBod5G5ZMxFergae3viBAmvYaTZ09fhxRHL/HHBtpXiesyReWyvLyV4FPX59h/muWBiMhISEhISEhERt+EbiRN9MuCAklQiGeAWHa6/kjfiVoZddGktNcx/PTH7LNbU1xRFmNsUb8Jw5ea6dGnofEQWDHe6a6l8CU1s/EoHD772mNlDgbKFDZHOgTkK7rViYY00Uv4/6lvYyrrnqITvUnIElQVxBjmu5g2DPZyHddEPHuyThlJCQkJCQkKgTtpE8x+OJFdVmAjEDWDQ1tysTPyP0ssuiva1hTyJN53uGZo80sykIFmcF14h/FC8QhSqqotsYO8bR1fM8I/EkDv7U0g8R5I1rm4lsPuXosTNDNTscga7lfJN9n8jmYpwwr7V8DjuIQ0xc63cNbUne0BbnTW2DW2O/6zIi0D5P/NzOZHbatgAJCQkJCQmJNzFAtIhkXOBy7dVKs3U4KILl4B5T6+jW48eF3nZZeC3J6USeH/NNrb8W0cJvjsFe8QzlWzg0FXqvio602kYk7psOEe96lqbxO5G4ja6h3FfMqTN21sxm3mo60uXKHZT+1WLPaA3BVgmQTd9QAl9Xb3Gy7CNOc/ozbk6bX6TvK/nBXtSioQ64udQXBqZvv8Njs2fOfEvRVGP5rNbcrSsH4uL5LiN+jKerByxMK3qHab4tdCohISEhISHxZgMIp21oF3qcVSScEFxQ3mtqeUdXTg697ZIotLE0xfcW30zUXOrGrJ7PtfUOV2/xR3hOEkTH1bVTXIPd6VnaSrG9oExfuYhDOaba72fU24JM/BA8GRqq22HomDHjbbaReK/DtcdcS+uvtj0iEpw2D4gQ+1nlX16m6aLedNwAKe47wJpChPPpvioznEXy52TiKztHsQWhFroZSxPJPNXn7Es9hnZdwVDvJts95nHlRddQX/JN5THfSNweZNWvuummqaE3CQkJCQkJiTcZdstz9XzXVF+ttkSM+xcDU11mG/GPhn52OWC2zcuJfZtV0wEBWSzmtIGCqT5RMGKH1Zp5tNvaVM/Uvkpk6GWHJzaPNKsJ3eKVIkNb7ZnxnwRa0065IL3Apr4zaEte6FtMXHdU7S5VCOKI65B8K7GykFV+0JWMTyx9J95r0z/gWsnFIM2V/IvXkYik4uWm0MtWAa8bOYbyuaKl/jUwWKfLtVWemdiEvMPhtV7Ko97wb9wgQDZd5RvKI14zPyFUISEhISEhIfFmAnX+Z7kWW1aNqIHAEPHa5OrqT+1Mw9tDb7sU3Bb1At/UekH4KqUBArKFNGIJ2eUKnq18S+h9GLAP1MupM8j9XUVTW4XZvlrL8xD8Lq5GMlUvn459LmjRGkN1OxResuEdfjZ+MZHifE9z7XjiNxC4gsna81l2sZseMzZUIxAcc0wjEdab+0K3W/gn2xa4stnNpT41d2r9T36Wos+McT+rfD7g7KmABgewLQREWdyGQJ+QKEz8LeJNIuKVjc91JvL9Q3USEhISEhISbxYEhnaMZ2kd1a5FQqeP/YCBzh6xM037hd52GRRaU0cEOfbiYop/LcIFsulxdbWbafoyXgcKvQ8BRNPhbH/fYld5ZmIhyCuWnksJUCUJyI1vso2+rj7uZmPn7yxSPnesMcbLxC4LDDUP0ob9lZXiB0HaA4OtDyz1X4HedHKlmd18W/YjjqUtA7GrpKMHd5Xq8RcXtekHhl7qBtk7YZvKhZ6h/osI75plddq2VEQauNpPefgd76yzdtql+RISEhISEhLbAUTSJvtm4v5CDQIgZj85W0rk5is9Sv3PPu5o4ER2wWK3E2GuueSN34iorLNN9douQ4mH3gVmzWrY3bbUVt+Mf8Lj7EHXTKwWL+qU6SgXQcRB8nT1Fd/Qbva5clTp8vSOxAuZMfs6WfY5yo8Clp5rkU3MDuIQUZBVbrYzYw8JVQyD15yciP2fuJGgUhkQs4+Gut4x4t/uMM0RD1lFIGK7h59R3u0a6q8dkwWIK/bBluuvR0S8TG0gbyj3Fw/Zr+7XoCQkJCQkJCR2AfTquuIbiZ/5PLGp1owTltYLlvq8rysnhV7fULQn9xlHRPlq39KWI244UV8p3kiTx7UBx1DuXphrbAm9C4BournEJ4um+jffZL14lQjEu5KeUgGBhTvfVBf4qdjnu4n4hip3OOaNaRjrpWOf8Tkr4o7NWnkGQuxzbRURzp8GLZXjGLS0NLq51DVko3XVDhsRqR9wjfhzRNaPDr2NiFVTc012hoHEP+2ZbD3iUiuuI0lEOF0en+tOSL1pXrySkJCQkJCQIGAWytOTFwUm66k5SygIp7bRM7R/OrzpDd9HVzCT5xKR6hRL5WVxjQTfizRl2TwvE5sRem3A6XTP0j5b4OwB12RLxT5BkLPQXy0BcSqY6gbXYvdAZ4/SsNNmfBcc2rx3wUp/PDCYXyvdkMHDXmyZZ6hf6zGMYbO6EeZOnbpHYGoXumbCrkY2YZOAq6t9U/lmvXdv2ta4VsxqulxbgnjWmj2H4LdIKv0OEb8R4ew24s93tCQODoOSkJCQkJCQeLPAzyYmexZ7sICDL2UdfamImT0rsdE22QP5ZNORofedDn9KYrKf0x4Ry8Ul8asoptoT6LHLV6bHjCVytZ/Nla8TYXwysLRXsDe1XqKJtPeYDCemi4GhfGtnnUKP0N7Wtqffqp/nWcl8rReUIAWkiQYQtq58sWNc9XtG+3j6UCLdjxSr5Du+K+CUOFcf8+skeU4ufVhgaHf5XNuA0+61ypMgs0I/uTPZZiKoFd1BoMfBkno2/pjNhs9US0hISEhISLwJMJexd3qW9pnAZCtHIl+YrcI+PN/U5gaWekGXsVfF2bMdBZwAty3tN5htrTYrBwFBoTRtcogsuVz9sqMrvyBS8xIRzbVLiAjVe2hFkCJ8cu0V32D3uVnl7Houi9/e8I3Ee3wz8cJI8RZxNVXXycY+V4tsFluzmSDH/kB5vkHs0a0gYtsAZ8ucrPJxEN7Qa0Xg5LqdUd/jmepDROw3487OSjohiD+VH2FTz1AfdXXlKo8rH6P/HyVS2V8pfcgH+m2zo8fu6j7oICUMVkJCQkJCQuLNBOxDJLJwV1+u9iwn5HXSyTxfZ7/0uDrDS+4zLlS1w4DT5Z6lfgX7EqvdFVkqRFA25Q21x8MTlkRW8NQjiFA9RBNuMFPocW2ty9lTvql8wc6wllp3d+4o5FuzR1I8HhU2L4tnqQy+Da8EQTb2WXfM8GuPSmFPzuzr5ZLfJF2vVnuRCOnHO/Ceodz4H66lQq8VMbehYY9OXZ3p6Oxp39L6qxFYiLA95QsRzecCHv8ybj7AQTRn/xbmt2RuRj5VSiOIdMDZOptr35On1CUkJCQkJN6kwKtDXYaKWbQFIGblHX65gDhgadfn6joiqi95PPHLzqx29nKDpUOV2xUgel6Ldg4RGrvaaepywUEiz9LESe1aF6KXC9xjKdk1WKdvsGu8bNOR7bHYu8Ko7FS4E9NTHSv5LyJh/bXSIGY+ubbYzcS+aGfGVN1ridlsh8c+Q2R8SU8uVdWOfZT+IBt/lmxweOi1Il6cNGmvfFa9hMrBfwIiqCCGlfRBxIy0rqx39PhtBc5OKJ0pzk+xJntm8nHMfFaKkyCxenyF06af9UaQfgkJCQkJCYntBCybBoZ2TsHSHBCY8k6/XEAMMAsIMoBTzgFnNhHCf9lc+y4RmpN9c1wyVL3NGLwjU30Aey5rkZpyqYeYQuAOegdfC2JLfUP7rZuNHf+KtvdOucS9EpycopNNb6L8qHntk7jGiWtLHEP5fK1l9Dmzpr/VMdMfdgzmieuUyvSU6isYaq/D1Q/WuuppYGrDHm42cUlgKN09eJe9gq5IxF2uXFvlZuLf9fg+ZilppL/f4jenP055vKxSOhFP7DN1Mk3P2tMPyobeJCQkJCQkJN6sAInw9KYP+6bm1kvsIrImTnCTEOlcRwQhcE3tOZerf7Q5u9ox1fOI6ByWzzY2u6mUtnzs2DF2Q8PbsRxLhGN3zLDea5pvG2DsnfaYzL6d2thUMaO2wg/8BjntT6R3Ta3l2tEK4g0BUQKhIZK10uPsT35GPXEhY02hSd4Q2JMn7+s2p77u8cSrtfaqwh6UVytdi13V3lZ7FjbPU6e5XJuHS9yrkU3YIjDZWi8b/86Cxsa9Q69bAETUNpreH3DlZTxFWYtsomwEXHU9nV2x3Bg7JlQxBGdSTiey+QjcVYqXSKPB1tPfXxog0hx6k5CQkJCQkHgzA08mukb8EiJfeEe8KjmpJIK8EenEsrzYM0n/FyxtLZGGxT7XbIcIj8fVx11Duc8xlbtcg832jORNnqndSGToDt9id9Nv/3B19Sn6f37B1Gz4pThsrEVqRiMRyRTCtfW+yfI+V28tGPH3g+iGZnjD0N7QtqfXkny/n9M6RyKbgcFWudn4tSDxofeK8DONR5HdH/SxVF6mZ5hwtpls8ecuQ5kQet0CAw2zdseLRUQg/015W3W7AuzsWazfN+IvB5lxF9mZzBavMPXTIMNrM75JeVBxMAEduD3B0ePtzuFT2kJvEhISEhISEv8NKLCGd+bT6kzHUO8PLFVcCj4a4gmBe5AbHNTBUjUIKJZrsZwLfYNkNJwBC/8GWcXyK9yU+qlJkuqQQfIzGAZIF5GqlURonyX5CZGs05akGrXR7g3ErKyXHJfo1pUD81n1SCz7d6hqLPx5q+HpyQNdU3soel+8UnoCC/dsamsDXb2lMzV2fOi1IvyschC5w+X2G6vZEeFg/yQNAJ61DfXEgVkNu4fet4AzPn0Yhf1QwBP9tfRhT2dRV54r6o3nzaXyFHofhsKEzOk0sHGqlS/o94z4aieXnDX3uuu26g13CQkJCQkJiV0YWDbFJe9FS/1OwWJdRUsThK0aCapXBLkJBYSiVKLvtzUMSBQO9IoT3Cbr903FK3B2RyET/0TBYIcHmta4NYdQXp2kxD1Tu8jX2W1FQ32iaLK5gak+6nL1d3aGnV5oYBUJ1kgommbMM5O/ckyt6oyuDwKOWb+scn+eyGTotSKc/fn+npm4OzC0jZVmECPBqX9fV1wnyz7SMcN8W+h9C9gZtdXPaX8mm26qpQ/vuxcM9YUg1fS+au/LB5Y2pZijAQ3uN62gQ5QFcfep8ojdlpkSepOQkJCQkJD4b4SbHjPWN9T3eJzd5Fva8ujgzvYihttLEJdykoklXw93aHLtYc9Uv0bk5eiejJItsK0jhMDSyVaiaKW+RwTcJTK3CWGBfOGTSOgGIrILu/XGT/eP8t359pltezot6Stcrr0KXZXSCMGTlm42Ni+fGnd8LbJc3M+Y5jcn7wnMRE2yiRloX4+/5qWbvtKjTKoa5+6DJih5nV0fcLYBe3Ur6YKAvAaG0uklG0/HHt3Q+zC4zSnN5+znrqmuqZRW5CO+J8LZ53B2BQ1+KpJWCQkJCQkJif8yYDbQM9gZrqn9xTPZygIu6TYHr7GJyCeknDzsSInCFn9TXIgQDxRNtomIygrXZM8Qyfx2kI4f66YaNdzjGSZlq/Hkwcl3gAB5PNEniDdJlG4I/sd2AAp/kaMnzgq91QWbJ97t8kQeh6/K0xmJmInkzPH0+LmzGxreEnrdAu6E5mmF1sxfKY6CEFfSBRG/6Wo/yfc6DjSrnnAXZNhkn3c5W1nt7k4IlsZ9rtp+etyZOH0eeh+GwtSp76TwPkWDmN5qcROzmwbb6Ovqbe7EtBF6lZCQkJCQkPhfQYepxrp1dpxrJq7xTe2xwNL8gGuriYz0gyhgNk0QhlBKCVkk5QSj0ncjCXRj6TkwtSWFnNZFRPAp31JvDiz1M66uHdvJx6a2ZSazEmwr0xrkUv8Qs28lcSkVQaI42+RxdsP8ljQLvdZEwWBpIpu3iMvWy/RFIva8GupSV49/aWDq1Kr7GQXZzCXvoLypuewt8oaz9Z6u/D6vqpnQe0V0N+uneDz5UrW9lpE+3G4gZiQrHBACZk1veGvQZs4MzMR8MftcpgOC77CfNODqf9yUcsrWbHmQkJCQkJCQ+C8BruHB1UVEHmb6nH1DnDjn2lNEPruJyKywTQ1X2YiXZ0BUQMSipefo79L/R0M6hVsidY6h/ZPCvNw12fGdXBmPWdiRnmHcFnhtfAaRIRt7KKvFF98TCR8IdPXxhbnkAaHXqpg7lb3TyyUv9wxtcTUSK77nbK1vqL8rZquTw64JxjSvOT3bI9uPRDZJH5HN+O12ZkzN/ZH5idlmrzkBnVVnSz3M9OqMyLBydc8ko+pzp125+DFknycFOS3TEYkoE1xZ4ZjK50a66klCQkJCQkLifwQDDQ2743nCgjE27WcTB7lZdpqtq5faXLmaSMqve7h2R9HS/oVT4Q5PLHBMtsi1VNc2lSUOZ4tdS3N9S3nZMdSCw7VN9RBPXJVDpHauozedtCMJZikGZs3a3ZvS8n6nOVXxgvJIEH9BpnXlhc6MclTovSryVuIgB6fSuVZRH06r4/AMkcM5OA0fetsC3mTrQL85/RfPTNQkm8K+nG32TPVuO5M4mLxWnUH0Dk6+o9CS+Dz5WYJBQyV9gjxydQOR4d+4qRgPvW6BAosdFhjsIdIlZsIr6RJ2pYGEa6i/XmQlE6FXCQkJCQkJCYnhwBJoe1vDnt1jx47pi8VUu3lMNtCbct2JxCQiE1M9XT3AycUOw55FCAiX3RI/hIjo7UREql61Ewnecg8MtYcI3RU9SsOoDuZsC5AudyI/jeJYwF7RSnGDgNAhDUQgn+1s1g4NvVfEcsMY45jJWa6pra5GwsS+TTPudOtNF1Xbt+lZySODXPpffniIqZIeCMJYTMSWyOGjrpU6YqTlars5c5RnsefxkpAgqmWC73B1lWfE7rdNbb/Q2xawWzIHF7LsfiLDVfMX34Moe5n43xZMbG4OvUpISEhISEhIbB/YrcmLiHAUe4i8VCIjkYAwFTGbpsd/4aSb6tofuT0BwhwY7KnosFS1OLoG2+zqyp/aecwMvVZEd1vqcCKJL1Q79Y3vPa5ucrNN1/ZMqniCfLeFRuMxPlce6zG1qjOHEPzWR/F2DfWpusjmrBveTu5+RySwKkkU103papefUd5NXirq6z5ov0l+LvFXx6z+RCdsiX2bPmf/9hPjal71JCEhISEhISExarhcO9XniflipqyMiJQKfuuxiJAa8Yed9Jj9Q+87FSvT6bF4qpPivFLMxpXFD6QOy/0Fg/murl5aa7kfp8L9ltQ1Pl7jKdETCb7rxUwqpddLbvnyz2zMIuvKKY6uPDLSC0LQ5XHWH+jxh7qJbIYqasI1Uh8ivb24gL+qTl1Z6mbjFxN5rTjzak9um+I0p28jsrm+Ftl0QeAN5WWXp84emDmz6ul7CQkJCQkJCYlRw82xwz1TfQgnliuRrlLBi0NEmjrsTPz0kWbndiS8FmMCxfVm3O8p9mrmXhexz9FQFvu6cs2i5LiaexC724zDvVyyq9o1Q+J6JV21vYxyTuhlCHgm0m1WZ5Ltnq5GWCPBVU2OwTZ7BrufiD1mIkeEk1N0j6v/xJ2flQYBIjwjvs411J/isvrQ2zDYk1r384hsepa2thbZxG8+Z3lPj12xpMb77RISEhISEhISo4Zjptt8S7vFNdn6kcimuPPS1HrcLLt4dkPDTjkkVAteizLBM7VZvsmecDnrsbm6zDEVzzfVBwpZ5eMjvcnuTpw41m3J/LTAKy/Ni32qJlvr6cqP2qe3DTupvdQct49tapd6FnuZyGZNog5CjANHFMcHus3UcQMDAyMSdZB5L6de5nJ1CfaPVtIbcDbgGeqcgGcOCb0NQ3G8foBvpf9CpHxdLbIJgu7rrMfLKp8rsHc1hd4lJCQkJCQkJLYdRfNdMY+z//PNxKpaS8EQzBz6nK0mYnK1ncnsG6p4wwHi55hqm2MoR7tm7Pi81XRkt96U6082jHjBvD8+827H1IJKJ78HiRgO9ihP2mYcp8iHsDDHmhwz/jWXyLdv1d6CIGZfTdZvG8r9Nk8cVe+scD6rNfu6cjflT0X9ILierhZ9Q72kwmX6u/kZ5ajAVB90zMTmamQYesX+T0NZ7KaaPrFyTMPY0L+EhISEhISExLYD+xrxao1naiurXbUTCQhLYGqbfa7d6vFkzQM42wvYj4iwXhgzZoeQ26UHHriP25r9QU+V2U3M5noWW+lZ6leeLCF0HYlE0jfYNUQEBUmvRjbxPX5fzLWNhWz8Hk9PTgxVjAiQUrclfTGFE/SYlXX7nD517cb2trHp0JsA+d3dSTce43H1MXEAqMxvqQ6QYddQl3pp5WMDVd5al5CQkJCQkJDYKgiy2ZK8gshI1cMokQjixNlAkFUe9fnI91luD4DguWZ6JhGu5wND/XWvnpgEIhX+vF3gjdcPcHPJ5wTpqiAgay7XHukeP3hpPEhgN8UDd5qS3V6tRdIjsulwbbVnKDfamXGtItA60Tmep7zm5I2eVfmSd+yjdfV43tcTJ4VeBHBfJ549LejsiVoHmBA/ccJfV7wg1fSpjnENVZ/T3NWwoLl5b7yytb3Lg4SEhISEhMR2hJdseIdjJT5CpMkG2QT5qERKIPgNb4r7nM0PuHL2wPSGt4Zqdhj62mLvIrL1AZ9rL+PATsHU1hZN9S4/03Ti3IaG7fJEZodpvs1pS19BhG5FpRnAcOZvhWeoXxuYNf2tc6dO3aNgsuMdLHEb6ogXuhcwK6mzxR6P/ySvNY76Lku/NXOiY7H/YEm/PH8Q36LJ+n09fk23MXZM6KXBTY8ZS79dHJjsJbzAVCldkX8QUV9nnV4m/umF27BnE3bcmcTvlQNaGr02frlnpX+ELQMU9g4vjxISEhISErs8MJMIUkCSDsym/WyuHFXk6oxi7nXBc5COwQ7r0uMT3VRK6zDH7bOjXu3pNxvels+qF3hEIKtdIl4q4kS6qfY6euzy0mXlHYWeScperqFd4JvsBTc8MS8IElc3eKb2nJNWLm/fZ59xofOtRjCNp9zm1I2ekdjiRSVBsinsgMefwWX47bG2d7mcXezxxAtuHXdswma+oXqBoc7KZ7M130avhP4Z5tv85tQ3PDP5WqVZVDFIMJQX7czr+0rzrWrG1ZWrAlN1QYarxRHfQ2fAtfl+Kn7JfG3vxlDFqFEwjHTRUC9xs03va4/t+KcvsQXCH298gtLgBAbb6OvqYwU9/oG+nRC2hISEhITELgfMutiZmOobytG+qX7S4erviGje71rsec9iHUVT6y6abEgKFuvyiAA4XHvWNdh9rqn+mgjBp7t17WSSHAhoqHqbMKuhYfc8V872DPYSnm8ciWyKwySmttoxlM+3xxp2eKc+Z3rDWx1TPY/iNk/cB1kSF/wNofj0FnXlR0FLU25uQ8MeoddRwx6fOcrLJZ+rRMxwMp3yYz2Ruh/6ra2Wqye+TnniYYm6ls1wqAp3mAYm6wwyscvmpcds1QGc7kktOTeX+Afu/iwPD/H18eQkV7440DBVpN+fkJhEZet6IpsrcK1VtThiVhMzr0FWedZuyZxR4aBR3eicNj5FcflegbOCZzLH15VvLBr3jh32BKY7MT3WbUl9kdLRE20VELO0XHWddOybvjkuGTqVkJCQkJD47waWF7sSTZZnqpfhWh4iBsupQ95EHXO/2C8XLnNWEg9LsPh9UPp7TLaRiNertqG1Y8+gq6sznbSiYwYwDG5UANnsTrHjfK4824v3wCnMckJSKqJDN7R1OBzTnkxu84ziSIDt3ObETN9QF4n32cviA8F3iBeR9I2BofylMzV2fOh9VMDssd+Wvti3kkugrzwczCAGnNn5rPJ5P5f4Gdn/NTyhWctm0EMEcRPl+wuBqZwSBrVV8Mcb7yXC6fVVuAoJ1yNhdnORpU0ZmNWwu2s1HRFw5V6PU3mhOJa7jwR3gJJdN/pZKpdlJ+5HC7ws5TZnrqUB0msor5hRLXB1rZuJ3dyrJydir2vodLtg4bve1eQkY9+kQcBrpfmF/EDYRLTXelnlJi85dsLO2PIhISEhAeCJY2rvIHI/ucTOATpYNx03HCPxceqAn6GOfT1mB9E5CjJZIqUkoFRK3UAiIorlT+xjJDK6kUjFSwFXv2dnYjPaDZbGO+lhFGpiYGrDHkTkTiT/T4n3wKGvhojfDXW9w5Xf95kxHqrZYVhqmvu4rZlLPa76Yla1JC7lIggHlrU5uyefiE0OVYwKq6bmmvzW9A9dTjYlwlQehiBuXO0lecEz2YZKpDQS5NVgnNgaX1fvLqRjh4XBbBVwP6ffmrmK9G4u3ycqyoShbKSwrlmYS+tuTnkfEeK5gnSVuNvCDwmRw1WOod5mZ8ZMCYMaNWbPnPkWPxub7GaVWzxD21gaJv6mPNnoZdX77UzTe15Utm5gVI6CMTZt6/HvOgZbCdJcmrZIMLOMGxSIiFPYje/e3oS3XvTFsKrRZEE8HjMh+LuPPouDh5y2OV5906e/y86orZTWCT1cGV8u+H6xruWWHHroqC7ux5YIHGyrpBPi6/FJuDHCO+usoVlxlIcew4gH2cbmKL3bIovJVj2Kki2dece+5F4rbpTatJoIO2fVzJJUSsNdstBTLxFAvXP3S2mIQ1cYFsJcSZ/2ARm1Xj3iIYhUo9arxycWDHaYR221zdnpXQY7Ay+5BZZ2LNXHgwo51oJVsA6z4W2h1y1QYOydbvz1tCNegd6UK7SxdP/Bw1cnFjQ27r0io2RL7QS3ebJHgdW/7z3QtMYo7aWfS5qHPwSx4NDmvXtyio4wovC2VqIwlh87dWg/+tYA/WEf2dRNjR3vGLFhts9zdlreTB0fcO0Ql8rzYho0j3aLWKTfo7zt1tkRdoadbhvahxydfdjNqufns+w0l753+djxPYYSR78beq0KlCuUgwVUh0rzrlTwfele/Xowp6Hh7djGV00nyhLq1YKyfO2ncuRSn1/NXyVxUT/NRDJo2bsR5T9UNRrsFmh7Ny4uK0uIA/jHqhxrqrf+AagL5WlAvcZ3o9l+tSKT2VekLdQT2WyA8gJtOep5IdPYUm4rtEML6DdyU+9LfbuR3VT4LdWFvwsZ1hK6GQQM7GXZCdSY3OEbiVciwgQiUqlzHK2UElBBQIhsuYbiu6b6R8dUPuyY49owOxhGZwvgLkqqIB/wTTYPS7TQUymcSBCGx7VNnsHucNJshz9bicrmWNpnorswa9ktsoFnqE8UreSRyPRQzaiwZEKuJWjL/I0afzHrXB6OQ2JbCbFXs1Z8QLJwdRIRrV5qcK7dWgJcisVnnMC8XPruSi8LDS71q0Uie19xeeJqGhR42GtaLU8RP5RHGmj4Xlb5oZ1rHF54R4EXJyl7+S3pk2jg8k+EV4nginhQ+aT8eSFIK5eP9MLTSHBb+XiHs59T2VhOxHqL8CKBncRAiiuL/VTTldTY7vRZTs9KJohkfKfH1O6lAeffqJzeI4T+7rXYPTR4+XL3QROU0PlWIzj9hEN8rv2TCOxjgckeKZeirj7mG+y+wpS299fzuACAQ3HepMw5nq4+SAPaRyvp7TOUp3pb9RuKl1zYFnpr6PjYx/bpnWh+YnFW+ddQerdBqKzeV9Dj1y9qywwNipz0uLOKhno7lfN7K/kpFWo/ILdRW3cDlfn/s7n2KV+PnVVIj9m/PVl73/cc2367PdG6qpezv0X5V6TPPq7e4x3Q9uknP/nJmuQEhMA1Yod7unIF2fC35PdxIjc2taNLPTOxQgjXVng6Wxxw1kG//cvX2S9cPXYp/HXH40p5p1qc2DK1mFVu7jW1vyM+NKj6W4Fr99LA62eFiXxY29zZnDiql6s3UPm7L7IHub+vYLLbaZD4wXoHgPnUuPMLWfWvPbmkCJPC/hvV+bu7W/VjQycC9vSpRy22tJt6DfUfUXhbLZQ+yvu7F8848kQqs6OeKewYN24fLznuQD8bv4Tanl+TfR+mPOj2DW3JkO1NbQXVi8W+qXVSu/9wYKq/oUHsx2mAPN1Jp1ktcoBDtkEmNqXA2UdwY0rRTDxGeelQnV7hmGwN9f1rsdpDbRWFwxwK61EanP3C07WLfH3fSXNqXDe3hIg7DRI/10N2RHmrZB+yzT+CXPLyx8vIYS0UUrHDKd9+S7atXG8orKUtqZsLB7YeUdpO9BiJowPq+6v6qyDUB/65YLEbHa7+yOHJywNDOwbEPFQ5IuYTUaV8++riXGJ4WQrLfYEnvui0pFnofETgJh1Kw52iLS7RVTTZ3b6lXlLPFkXURcrv03p44lZqe0Sdovr0914zcXtvs3Yq/b5HV4ad0Wuy2RTOsHj3Drr9mW027Reqq4k8DTaonl4TxnOoDFA5upfK2Z9CZ4Nkk0Y3HyDlczErhk64FkHZVoFuCEWGwsLSu9pHBfxeauQuB/suJ2BitGKol1BBWAAyV42YRAJCU7CS/UQa7rN5vOLLNdsTy7iWosJxtctZUIn4lQrijjRQ5/eSo+978kBDfZ1pJbhtxuGF1vQ87HesFFYktfISRFP4N9lCaug/7SW3z/7FwkETjvOa04uo8m0RJi6Yp0Ztsa2r8xx98DnPanEUl/Sbif6irjxHg5NLu/X4VpMdXHJPjdclVBmeJXJd9RJ5COKDWw0Kuho4evz/hSpGBVR2R4sdSiTuDmrMhy2jl4uoD9iOYrAeJ6d9exGNQEM1Ow1ib3RWPb9gKf5SSjtIfiRYnRBPoxrKIrc5dUp5HR0tet474xRK6zoMSFAfygVh9ZhsgAYH9y09//y6ymR+2sRmN5d4pI/KM+JcSe8rnA0U27LtSy+78KDQW0Ph4oubChPNG1/l6rA0b60sp/bH1xWvu0U/LgyiwU01foE6j1eW0m+V/FSSwfLCNlPZWU3kwyF7PeLzxPddPX5ctRmO9jlz3uVOsO5bTLbrC/XgkwjngHfA+JvaZ82q6A+DG4rjND/Lvknt5rNEdFZgmwlsNthObymRTck92vDl1KY9S2Tp535GfS+IZ6i6wZ9gnRhklcXLwrQjb5dSWS8Y2kv2ROM9oTOBDjNxXsFQC8vITWSHwbJHYXBlvpNLnzdw8cUjzrjlk43fojQMRPZeQp/Uh2zummBcGDoRcI44+ANLrETvSkpDFN7WCsqy+Pu4wy6fM2dO3YNF1CXMvBMJ/Cr1wY9RvJfjbEJk+0r2x3f43RP9J1tJJO85att+Q6TinM7xWqq8fnazsemAK5eT2/up7VuKfrc8b6MBeKQfaQkon3xd6wt0dh/Z76Pz000VCdP8Yw4gssVuW0527KP2vdQukSD/qa1b0D3JODz0VhMg4AWD/ZBssgb9SCWdomy3JJYEB7WePTBr1hDJx4Fdx1Bfo7yt6K+awCaOkeinOreSyv88kp95lnokzmWEqisC9nb1xlMwWYCyVqoT5Rfxp35svpdLnh56GRFOTj2P8mxNVG8ioQEStcOs29W1S0cagKFeEwn8BJWP5WiXBv0jnclXCs2pK3FrzaJ02ui12B2w5ZISOyPeZPvXPK7+2GmpnO8RVqbHjCWyflWB2oGo3RFhUZjEiVa7PP5b4RARcnT1TCJLLxELHZHMoWOEG1HgKXKDQgQPBg1/r+SvmsB9VMCp0VpKI4S73LQ6MzotbE8esy9Vqs9SBcyPROYgIJso8FRQ/rEzyGYvZRaNXH7uc3VZPbZDOj1ddV2eOJ8K6TbNYKHj93KJnpEIZyVBXDCbRoVkg81jD+az8VPnbN0yQkXYE/RPBbnEGhS6SuHTSHqzTflZrbzg+x4UVktb52fVe/x049Fkr60+XBVoY1M2V7/rmKpXbzkXs67Z2H+cVuOYUE3dGGhr2xNv9FMH/DiVxc0o45XCgVAeDlZM6giojH+t/YAD6h5Vb0+8nFUz1BbcRm2B2GYAG5QKCAgRznU0OLkWy7Oht61CcOZ7Ts5ztmaw06wsNJIfoE54mX9Q28Wht6qYM2v6W3HyP8iqG6J2qJIsI8JZaMvOW3rFhw8MvTa8cvnljd4k8/fLQcoq+IG+0Qjy0skqbndremg2LZ9u/CzZdcVgmd4yjFoCncgP8cm1tdT5z/OzjZ/vUhriofohCMI50fwbdTLCD/zjE+TLPqDtD5UIZ3tDw55+JvZeT2dziASuFu5Dv/VK5Ifya3PRYM/neep9ofoGb1JuhptVesVNIeQG6cAjEJ6ReCE/iZ8QOhPoaGbnYuULnV2pfvhBO0dhvGxPNM+dM316zbazOzP2KpcrmyJ7o49ysvEN7vjs+aETAXv6Ie+nsIpLwraoPMzRCMqy+Dzu8MsGBgbqXYZs6E6PO9bLqn8jIvgK/I/W9oN+tIECDaKpzerqbkleUUq+FhsJC7OEpH9xaMNh/vE/7ANbof+EvtLfxf8ceastJj0/68ko2VD1EAIinN1cvRXnKoLwxbpyifQ647Pf7jlu0ogz1QXMtHP1JfQh5XGKBHEvtCT6gkPaZpam2eGJD+YNtqpS+wJdlaTUDfQKO5naBuIez7o57eyBmdVnj7HCSfXnxmhFr1ygi8j+ehow/rK9rb6zJDbVBUr/q1G9KRU8lkKkcz71jR+kfrFqvMAxKNwrPTOxNLo6EhykYCVXFJrTH49WlQPiSsS/HoetseVrKBwSF6uRPP7/QKqF0goITHWmZ7IOIqhDthRcx0xsdkztD9gSIxxiHwd1wP8SIyUoryL4DZknIiT+1zaR8vVUgNdSYV9HndHGITchCRUZRlJJX7lEicMsD2Vwj83Z17GPixLyVdK9ApGv5K9UYChqPPoDgz3cmW7aocvoMH6Xvu9ESvsdBa5tqCt++OSJVW5G+fqS5oZR7U0rBypX0GZ8iPJuxKc8ywXuRSVGA6fHr0c6QrXbBQOzZ7+FyMQv0fiMtIRc6Xv4QTkqEgHzs8rPMVUfqh41MILr1pUDqeH4Ew1mNo10aAqC3xG+Y7CgK6N8KFRVN3po1OnpyYuIQC7qydUOD2UeDQp11MupzF9tT5/+hjy1itlN24xTA4fbJioPYJAODPo8g73clUu8p1YDNBIGCaf2Wq16A9v0UHiuqc3pu+yCmgS3fYrZRg3b071wX6anVJYOEs6XygmnP8m8YRmRslK32JIi4hCKKJN1yOAMpxp0t6SGZjhBOB3OlqNdLA1DlDUq72gzS6VInTZ0lbahwv4ksJnPlVf8zNhvLC/bEzdIOK17AtS90B8+aUDc7xw4/vflhHNg5sy32JnG06lT+Q/cRWFE4SF8Eb8wPghbpJPSEf0f+cOn+N9gTzrj04eGQQwSTl3pAaEZSvMg4Xy+CuH0YG+4LZclgjBpLwfjU6fUIp0h4dwY2RtEigjn+iqEs7C4rNxQRynSN5p8H5rhPOGIy+slnAsNdrhL9hKvrZHfyrYvC4vSMlhGXrc9BOFTm97lldjUJnLoZmN/BMGP3EZpFPpJ8H3Yl6/BJ/7H96V7zeEPeVsAocjGr/fKthmBcOa5eotYlaCyEvkrF+S725x83pnCh8pHJaB/o8HtD4hEr8NkViVdEFHmWhK9VQinWD2L3KI+i3TAfvQZ2TX6W5RxCqvURtCPwQ/Z9eVgQqbiBJZoO2nAFnBWqBVXrLxQn9JptyaGzepXQ0g4V0X1ZpiQHTEhUjDVF6huYcWp4haOEsK5BP0M/CLfiXAuB+GM9qri0Bi1WedROrtLbRDlO/ULL3RxNlUoLQP6ZyKbD6Fvhb0if/R3P5Wnx7r1cYNtLUa2rp74km8kxKh2KDElMphBIrM2UaPVQ0adSw3n321Tvc61tO+Rm6swc0T/X+uabDbIHnUSLxFJLGJfCBHZfiQgGvWU6y8XuBH72MgvdSAO6XkVlauS21JB/ClxGwtcfRAbnkUCdxCwnOVm2WmUCU8jrtVsVyoi7URMKWNu6zBT23yAqX/GjLe5k/gXbb7l/ZvVJMpL5IlnqovsjPplnNQOVW43FC+8MFZozdyznMhWpXhUExE/Esr3zdRhthf1+CcL79r6y9zFqNPQLqTyMK/efIIIdwb2MWnfmjvKAwAdiXFJW499kcL0C2b1hhciGnZ0vJjxprQSOd4ujwFsDTqwWd5Q/kB1eNjhMsSxtHzhbx8H8Szt/7yD27b61odqhBP6S8NDR0B5scqZnKNO/PUOpRTtbTP3zDenrqQB6trSBq9UTySjIZxCcqmgtyX1UJGrD9AA6MF6ZAnXHinq7LaulvRQA12JcGKQT2R6ddHSFvRY7PmixV6CFCw2L+BaB7WlPZQfNKAnm5e1gbALdciv+bnUJ2mQMrQyMVrC2d2mH4iZDdGphO4jP6IcUDtMuuxerj1Dbf+DDlf/RWl8gDrqJ6itXega6jLUV7GyhDhydaXN41/CHbxhENuVcMIvOlqXs2fyJjseHWXodRi2hXBiUIUtMNh6U+Qa0lsxn8ulQH1fH9lmyTFHnIZBdxhEVfiJhOVlYg+gf4zyKkojbE99xVrKG490zy1Qh04D5vuJgN0vbG+y+R5XFjtc24S8g+2pP9qYNxM/JOIliHi3YYyxdfX7VHZJX2m5GwzPMbTXKE9fonBmUz5/38lpszxTwSHUPwdcedm31DUiHqE/CEhL0VTXU//x7fa2tqGyVI1wwm+p/8H/1df88alvdNdoW91mY5qXjbeDpEX+y3VBkI56Cadtav0OlVcasDxFNh1enw02p0jlkcp6n6iXJf6gg8jUOqqDP8UZgDCIIaDNp3J/fSGnDeuLEbfS/0Hgg1yS+t7kdfUc9KpJOEPB8jXxnn+7Zur42RVmYOslnAD2b/uW8g0qD8tF3Q8FaQAxpzy/LeBjU6FzgRcyY/YlP78g9xtLyTZWwwIz2UG6zqU4DK5MLlQUnQrxE4MGfd1xJAhoMGC2jBrB2VR4L+3OqQeIk6plexow27GksXFvTLdTxKY7PP4R6kh/1GMo99H/WA5fi8qPil9eaCqJKEjhZ6XfS0UYAye1DXYPVfq69odsLYrZfTOBrn6KGrNFMHA98YOImSGuvkgkb5tmhgBsFg507WSvOXmv0FshvHJBPqIRp0bpFep87nHMxFn9ozzdWC+CQ6c1F1pST6xorl5RyiXKb3E4wVDutA31xNlt9d1eUA4sE1BDfCjZ+8e+wYrREkGlcMtFuOPqBt+I3xa0aLlQ5YiYixsUEspBjq5cR433iDPySC9IgZcl4q+rl82dyt4wsgmgPBCR7Cx9EYoGjJtBeGyqW5gdwHf4Dct3RCDmd47n7w69jxrVCCfFQ+wJjP6HndB40ff3L37P4RXzY5GVmeLq6gPU8A7LZyJCIExD/0PqJZzQ04u4TLBuXH7uiRmc5MQdqfVIJzXKGOwMNLz+6EUlwgniFLSkX7TbzHM7efyQPLWbeUs9Unxy7VQ3o36UyPa1RCyeJ79iq0Bp/ATp1Fneb+Z4qUq0KaMhnLgpgAjNT30iZuW6yXb9REbmU/25lgjI+yjPp3jWuAT2UC+iT8dU21BHHYN9jjq026lDW1gU5FR9qIN+C4MQ2J6EE4K4UruHQ33/7EyMwRPFW7Sn20I4RR1oTua9A9pm9Ewy4pXyuJIg3/HZPr3tXSO18ThkY+vKNb6uDttuI8ov2QZ79Lyc+msi+B8kUj+tu81It7fFVLe5UStaamuesxMcQ/k4tVU3F3R1XpEGLp7FnvRakhOgf6Bh1u62kTyD2lInIhqRfjGDxRN9vqH9zG5OHDVvYnrYPcs44U/15rjAUK+jctNXPmvXm9NoAKS1Oy3pk6J01pjh3EyD0/7of4SP9sNrTjzmjK88y3nvjBlvs7PsWip/66OwQ7v0Uzs0pAuCslAP4YR/lGkinI8SnzkCdkR5Rn7h086Mydpm/GBqiz9Naf6PGHSU+B0MS3vYm2QI+0ag9O/uG7H3ErHqwNaoobAo3ZRH62yqt9SeDcVZPL9tak4+lzotVFEV9RBOpF9sIaRBiNvCjqf4DCOd9H/dhBPoMGOcBhs3+dbgtqooHOGH+kWsOD8dHlZCn0dt08doYLICZSpyK3ibwVZ6hva1eemSslXIpk6jgrW0dOq8VAYD1BY7OXUWrksKvdUNzAR2cnHFyTkUUdwD+RzpW4fRWHkh3loR+xApU3GaK8jsuD2bYmk2xQ4nI1IlZL0oVFFBHElgR8+Ir+7m8S+XX98wGuDqkSW6egCl9yoiZu1UyDfWEwcUBrEUoqsLfV25erTvoY8GvRN0hcrUlTRK9EXlqhCfchkcPVEh5Wyer8e/5Kb22eoZYGyOp8HH5TR6fwSz5ILEloRVS+AOywJONvYfIl/vwVJJqLYmcHKYOoULqAzOoTSMuL0CDTLyo2DEXvL0pg+P9qqQ7Y1XWloaqYH+PQZtUSMjGlyurqS4/tXl7EVqrIdG74KcGGyTYyV/PNpriyKUE07opo5pc7eZ6COCu7g0z0QDZmo9eAoUS8ChCgG8uU8d0ZVk/6XwI4TiTnpedZozDn2/LtIDqZdwIo1LQIr2a/tx6GybUIlw9iEuE/gjLx97rBU62wIrxozZtysz9kQ3E7uHBotiNqs0jn423u+2pL7f8YEDRScwZxSE05mcO8zV407pIEPkg5nYTO3Ev510/DxvhP1m6HDzNAh3dJUGLOyHbnNqiy0o20o44V6koeQ7zPiiTFL8/07t2Rb38W4L4RQzqC3phd1VBjjbA7hqyskq3aXtEz5F/ePqItdIXVLPAcklNBDCkmrRSn7Hbs1cFH7d8KJixAMilNQeDZt1w2ohtYvL6e9vFKeosdB5RfROiCtEiq+i/FhZSiiQD9T3rKU8+H57uMpRiXCiTXdzSeorNZvakHVR/iE+9N1KL5f+3IuTttzL2ZXTjqG+qhOzd0NxR/6YyZfy8Bd9RwKdoyCcaGP+1TG++gqjIFEWu4Js+lppfAcJV+J5myeGDbIxEKV6+StKz4YoXgiT6tAyIpz3ODr7N5bkS+OLeuDkUn+0J2dqbp+qRjjB16K4RTrBpyhP5ji5xNGls/6jJZyAbSYOpoHok2KlOQwDaRvspzWHONA5A8SHvGzsBHInDnJHaYduHPL1eeJ35bOhDdRp/IAMta4S4YRHGNGxlF8uaG7epv2GgIdOWW86wubx7zqW2h5QY4GIloc7GoFBipytok7lt8WyUfX2RHuGRpameimN9J8hY68XjUKdEmWUa8Qf7myLmaHKUcNPNFlUCT9ZxHUvfHALRGmhqyZw44tTrvG/+enYmcvH7hhyg+se3JxyNpGWmzxTdamB2BwVwmqCuC1pFi8araEK/mcnrZy8tU9LYnbdTSmneIZ6G8VhSbQnqlK41UTMWHN1bT6rfsU7+OC6Zn+7kmMnkJ/vUZgu9j6OlCcBVfolGJFmlflect8P4KqSUNUbBmogzqIOwREz4GE8RTo4e8ber20GjXa/To3ZitLZBqTV0RXfm9IyPVQzKpQTTlFOTbbBHc8f9CY130Sd7lBHiU/qLDZiqa9zv7ZhdahjSlsbEV8ixVTeqEOBW+oABtxW45ng8P1/a1P7EOmBjGaGsw+d3HjrJoSJkT+2wlSXGA8OaGmsdoVTNcIZTOSPtx99+IhtF/YhE7l6rrRxxyfZjGzDHvKnGIK0vvjii3vVQzjxaASRw29Qm7LFTAa1p35gKBdiyxXc1ondMHCqdGp2WwknZouoPdkEAlOal0gXlcvNnq7+jcjWsKtbtn2GM5Xv2L/l5EVW2qic34PikuDuxo6SLQQjQXTWaeWzRSr/pbZH3tJA9xW3NXXlnMzr2yTqAe4XLT2IQ3k4jQbvj2DWP9IPe1HaNlN/cEvHFLMm2YyAa9Io724lIjnUnov8w9/NifsWtVni6i+cUi8nnJS+AX+88Yw3PnuDxxXRvkT+B+OlPZgfnx12Bd+Lk47bi/rKn5fObgoCZ6gFZ7L1WSJxHaW8AWkaDeF0TfZA9wgrV9251OHUtg09piLiS3EJLG1enidLy+tudkY90TNYV6lbInP0mXyKBoLHeVn1M2SHYTeiYCKGykzBa0m+P9RTEZUIJxFZnKAX5LaUt4nZVY4HW7T7cAAoVLFVhBMY3DKodYvDrFEYELIhxel+anM+jBVlqpdDqyP4xF5hIuYPFNMV+Bg16n8mBcOWaiLBiMbm6hIvw+o+xl8vcK8TVazfUqHrixIzWkGcqVHt9fXYVTvqBSFcWOxlm6YTMb+RwlolliLK4jGSoMBThq/xdPZhzAaEqusG9tbls8rZBZPdS4XpNdFQl4VRTcSo1NRezWe1n3nJrSe71TDQMPMtPc2ZLMXvfZQft1Ecl+GQR6XyVElQ9qjx6MRhmaK676jfagfQeHdytn+gq9/xdM1FZ1HaiNcrsClmHd107Fn7oMlbnMIsB7Y1oG54lvrPwFTrGoTAzWLMbhrqIie97wdITc1lt52BDjxWYKizxQx4GE/RsBjUweS0b7143nF7FVvSU4nIv1hOdnASmtqI3xJ5GXX9q0g4OYU5ufku55gjzqT2obvUpoNxo4FMW+qCaK/S3Ouu26N7auuHKS69aAjhThx44mx1z7TxP/SPOfzjeUNdXVoeR7OHE2TONROB35x+mDqqORRGRcFSW9FQH1o2tfWjA9ddV3FrxLYSTsBtznydBlKvRbNNIp8o3USk5ncbMbGVaG6h8M56COd8Isduatw9pYMk2NsjQpI31b90HD6lLkJSD7aFcIoygJfqdPUJO4v9hhTfMP2RLrQ5TnPyLudAc8iO23RoaPDv16gTn0vE4IHSvC6XAtceJtJ7Q/DuaXUfbHQvPXcs/FB5H9ZZU13od3OJhxdOn7rV+9YjuK2cCIPaUVqHMEFDaepzWtMfDJ3VhaA5eSGR1MWlxAd/22ZiXidPzoAb7/iDx5UTzh4QzonWw/a0tgupPt8tltJD/6JMWtrqQpt+xUDJ4S+bJ44qGsrzaMcjd4NlVPutc/whhxLhnI9rgaJ4iN9HQTjRXi/MKXrobAuAuNt6/MsOV4b2ssMv/i6abG639fr5ENygQ2X156VbeUR/b7E1QWvyR/b0zNvxiiCV/edw3dBQnOlvsafWTPwRK4Khui1QTjgRBhHHzd1U5vJG4gmyZ39p/uJ3arM2EVm/07YGVzGxSrc1hBOwDfYJakeWYVY8Sh+2PFHZXUttbC/JWkHi6Xv8LmxtsEU9XME2ly1BHv5EJKYy4SRxDLbM0dXzQufbBSBdHhHEwNDOIZb8byxhloc9kiBxuB+M4vckTliWvx6xrcAsm8Ob9qdR1VepUVgIW5RmbL2CeMJvXo+3F/fL1k2oUAjETf2ZpnNoZHinRxmLu70q5VMtweiEiETBs1jNkdRogGu0sIfXzyYOCrh2OVW2e6mBXr+0OTVY4OoUn+JG9u100rGzQtWjAl5hwL4yl6c+RXb+Nxql0ooxWhH5q6uraHR9ZRhERWBLhJ2JH+zr8e9T2nth43ryBfoDnuinEe/zXjJ+RqjuDQcRsguocV2MziiKqxhsZpTOjmSTmL1snzlzz26u/Ig6jfUoz5E7kd96rK+7JX0y1etRkedKhBMkqXtS7u45Z51lejz5K8xyRraF/agebPRN9bbuqW1p6HAPP9wgwnYn/EX5Prh1RJkXTN//ZP/Yw6nTUdeU5s9oDw0hfugscJ9jNVnenBTXLS2b2vaj5dddV3EFYXsQzsIhk0+nNrsolnxDHRCHx21/gn4S3IxMOC8ThLPnrFP07mzjC8KuoTvMKFE9WuOZ6qxqM7Vbg20hnLA/5fvKIKt+LZ+KnU/9kTgAWJqnSAP2+bqWdnNfGxcD6+7MmK9vNeEkQRxxd2Kl/I4E9yOuJHEs1pk/av+he11HQsf0iUmHq3+lzro/sr3IB1PbGExt/VHobKsxMHvmW3rb9HOJIHmlbTK2suWb0+3OtOaaJ8TL4bbqx1Jf/VLp0jDyx7E0u6tlsG+huji2EuG0J/DHF5FtfGpXqb1fgXQO6aD4OC3Jx/ITs4Ks4xCSo8e/A5IVzW4K9yYrUlt7invKCePRZ+A0fqQD5WA0ezip/jztmOqZxebUtB4reSCl4yCPPqkvO6SQZSfQwPpbHtf6SusFPjG7XrSS91DdGtpaSG3kUdQ/+9EAEIJ+qGCp7d3NmngWem5Dwx5uJv4JGpAOTUpAH26hoPzupgHeOdXaznLCibT2UVtjt6a+EVjpY0nnE+UTPLAbhdOP22fwQhP0ULvzsa0hnO7EMWOJ//yc4iAOLkZhIP4IJ7KPCJeEiDYN/NXLOhqqvDpGEfkFJVpcgxB5jGRwn4A4iHM7noILvWwVcMAIT2R5evJAzPRRAm4g3V1EVDZEhxFGK0gsVVrcCTjPMZQfBGnlZDeV4qXPyY0GeO6rUxub6rW0Yx1D+xpl0BNoAJBJpYYdjQwWLOq89fiDs6e/fqKvEkDksGeHCNihlKZP+IZyl8+VJTilV5rZoxGMpMjOmwODPVTQ2XFba5u5jL2zU9NSTlo7NNCVi1yeoEKYeD6w2Do0ylsTPywtU+fRRQ3MB+qNF/IIr/44RvwYz9C+QuX2MddIbBRLFBXCGI2gwnRn1IW906ZtsVcZDUIXld+imZyOzpgqIU6Nigazkq5ygX1ogISlvyfzqcZTQ7VvODB7bmdj92A2AQMAxBVlpsAZEeP4d0pfsihOMHApeHvpvirYnOzR71rq9c7+9b+gAVQjnPZE66/3E2nrakmeQQS3a5BIhHWJ/qYy4wUTzZkgRM5Bk89DQ4oZhsjO1F6t83TlV93nHK24Rx54frehDp1ch4yWcKIdRBsAQcNfSTDo6CW9PUQWdiThdCeYx3VR+iMyFonN43lnlIRzyVmnNlN7sxD2j/ITcSPCvtrOjP003GwvbCvhdA22OkirX5uXnji2O5c+zzFYN0h36Uwn8p7q5asFg13bzVi6K73vV0jP+m0hnPBbK9/R7oB4Oi2Jhd7RU4fK00hwlDG6rTf9g8IZIpyDHba2zj+w7erQ2VYD/S2RkQuoHheG2mZKH8qpPUF/sXjs9Gmh07pAhOxIW2f/Li13IeF0uyckxIRUJcKJJXVvvPFk8cQjWxfmMi002H4c/WGU5sF2kW2wW5KXieu5iPRR3X0ymjEcbF+0zU4u8Ufc41g8dUYbDULz6BOjeMBNvYRT+DG0V8jO/6H2+N9UBudC6O+51M7gZogiiGVEdiN/IOr0+wo7l/pUdFj6ybbkOIfamR7r9UOJwtY0KC4YynXzW7RGERGCnWEtvq49VnqmQdRNM7HBNxM3YEtG6HQYKhHOxbkU2T37HcwK91rxMwpcfQkkl/JoSDfKOtl1vUfx8I2ERXn/UYqbuAcXvyOe9RBOAE9A02ABS+dDg/9ywfe+yV4NuPojbD8MvW4JX1fPo1HhUKaUCyLm88Sr1Ijf5JrKKdgEWs+759RBvwUHKRal40Y+2zS9yNnF1Fn8zMdBDq4tLua2bTYqEiS0hxi/GClytogasNuoEmCfxwmYIcTLMtXii2U5nKDCiy44FYpXjojAXu+Z7EUa4azHnVzVDBwJMrYWIcX3sKHDlfkLc+nDykcyIHIvUWHzs+MOCvB8mDgRyp6iSoaXI4T+SnpHI6IwcG0D6X7SNuOfJP1TO0w1NrdhatVL1DGLRyQwkc8mJrs8fiqRu8/6OruB7PsklYXFmF1GJRjJPiMJEVYU1HaPxz8tnsUie4RRGAJshFOE1BgcSna5jAr+b6jjfp7+fg0dwkhxQB7AXa2yht9QB/JGfEFx2pQDcI/mXGPsmEVWMoH7XDHLT5XpJ9RQPSvCNetLOwZTYu8P5SXVtceDbCOeEht2u8MbhVnUOHvN2oXUoBWGdyTUmOvKXGqshp3GBBwzO4vKz+rSRpzsMUANUqdtJc8obfBHQnXCmbvHHhh4u39gIkll7UYa/A0tO6IuUXibvBy7oe/4d0/2JhqzC8bgZe0i7iAx2XhXt66I2QVv+kEXbhPhJH3UZq2j/FtRyGnLqWFfUUnIZiuKXF3eN63t6qU/+UnF5+a2B+EM9m99H+no3YJw6koXrgiCm3oJ54oTTsja6aa5sH9kPwwCqa1Yb3P2/dmjuLh8JGwz4aQyR/6vRud43cUX74GXv1w9nkfbW5q3gsxwdSkN7L6Tz8R+S+REtBFCD32OhnBSn4K9jqsof6vmOw3UVvTiEEtz6inn6P3rvvfZPXQ/zTHVu6ktGzbDScRjkzc+c13obKsxm8ib16x/oHyGU8wMtqQWeNMmjGrftW0k3kN9wPwKM5xd+ebETLipRTj9w/ebJNzosasDztZG5SDS4+W0R90JqWmeeOBFpToy+BvyNjCYTyTxQ2g3e0559/itJZyRwN4IH2WnXBBulB9ou6EbK4uUNzh4eP2C5tcvvLetxIk0IO4tJafiaipTW4CT/6GzIVCZvIy4xUrkcxSPwXSyTjeXOpucbDHLWY1w2rnMNeL3hoa3iwkg0oH4R3GHoNwHObaG/v6NbWo/pbJGcR3UgzjUSzjJ7rtT3TuF+v8XKPyh8hqJ+N9km4mQ3+Un4iKfq4I6+BbqyOeVjjrKlSGRYLekdFHBjP/RN5QvdGa19znpxqPxkg82qOLTMWKH4dSSbWjnUKH4VGCqPymY7G7bUNspE5ZgJIPlLnTAlcLaFhGFjkgARieOmVhFDeYiIqD30gjv59RYfZHI5EXYB9nJ2emYTsfzfd269ikilj8iwnO3TaSH0reM0rlZNLpl+ssF8cdocbDB0Proc321NInvsW3BVP9BxPNjeR4/rcuKvbdbb7rI5cpV1KjdTPZ6htz0Uvw3ooKUbgauJtCLgogDKKXLnJUkzEOqROoySvPjZJdfUWf+uXw29kE3Gz/VTqozunTlpC6j6RwatV3u6MnvULm42ebq447JbLLlK+SvP4rbSPaBwE09+UwNNwg52Z7dR/H6OvIGcbEzyTMoLh/Gd0VLIRuxF4gAkLvEZux/qScOqHRi4IBZG4ttrOQmEqGPK6/5PP5XKhPfJLmmYGg34dow11B7iLAPlt8yf7UEFRwzwESKnnbSTbhCZJcgm0DnEdNSfi5xq0d2iWaKRJ4Z6mYiNb/oak5OxEGYdp40IXj+zJ6cOz1vKAuQZ1EaMQNJjeJ6que/dvdr1kL1I6IG4fyb53nvwIAQe82onIpZhyg87AOjcum6zdlb6f++aHZTLCVxbZOdif+he6ohZhm3lXAWONqT9GPFieYnCxb7ONXhT1aSIj519ZOL95t45MDs2RUHuNtKOGcNDOzutGZ/RDZaG9kM9UvUMa6+iBlouKt3D6c7ceJYIgB/FrPboTvoItKDJewH3cMnbrenVbcX4cRTh3BTmEqD0HTsck9nvtiXGLqFBHhogQbFmAkne6+PZu5HQzhhD+pDFlO9+D7pu7xSnkdCA9FPkbsP9h49oe4nd5dffPEYHHSlsjs0mEIaRFpNNrdjf3Ob72kOzPTJVC87orICgU2p/qywx+uXhc7qQrfF8K4+EezXdYEsObnE8274mtbKk2oQzsOmiINBdkabQgPZ5/BsbpRnSD/yier0zUTKnqB+ajPao/D3ftdM/ilaYe056bgJ24NwQj/a8XKBLvT/IG/YLiEu0je1gmMmf1i6ytsxRY0Rp/h9X8nspvBL8aWB39+6WpITonYTsjCt6N167CzK8+cwWTPMD/X59Pf13RX2ctYinLPDe14Ht/8pVxCZ7VvaPJx0oq8msvkq2SHoMhOvufS/+J6kXsIJ2JmGt3u6djm1w8OuyEJY0EX1c56rs+NATkMvlYEZJT+b+KFvvX4dSiWJFItXU7Avg+NtTNWnwrvAt9hCfFLH1eFyrZcKzxoqNP0o3GgM4K+kANUlcIsCjeU7FJh6/cJdmImChInRExoSU93oGOo6ivcqittr9PdG+rsfrxph1IYw6okjfodb6CXy0WNn49d6VvIzLo3CapG+QX9ErEDcufYKEdzV1EGTzTVx1594XalOGyF9CAtExuMJGs0zIkRECum7WtsT8DsagsH4Uz6arJ/isIEKy0pH1/qIWC6lSr+OSEC/T+QdaRw8gEOErc64wQ0qLGavEcco7yu5LRX4Q34jbZQvG0iWOQblFcddYGQjKnejySNUNLEMwtk6V9fmOFnlB91mvA/6K/mJZDAeRAIoTKQdeQNbwd9I4ZYLKiYarIAaGS8ZG9apvtFAw+xNNN5P9b6rlDwijVQ2cRr4Bfr+PuoQ/0HEQAjVqX+QXf7lcLUXg5fIHvgU9uHqQqdFw17OumY5axFOXO0DN/n99stQg/8XGrwOtz/lC9ohqktiIIXvxPvCXHHyzdkhW28L4YSfxRSOO6X52tDZNqEG4Xxs3vTpLaGzqqBOZoZvqJ2ol5F/2ASDIGrj7lp69MHi5Zd6T6ljb1nQmvmyx5Vh90CKOmsoS8nPF7G6ALf1AluCgpKlxAjbm3AC3WPHjvEzyhepDCzBfrgo/pF+fJa2h6MhnKjzTku6wzvm4O36AlsEvJBkm4lPFgxl2N44pJXK9Voq3z8Y6cqccrxCdl9Zcp9m3opNJtL9EPqWSD/KweAsZeof/oFmxWXccrzcalg2V/6Jt+yjZVtR7vDZkvyrM2XwoFalQ0MR4QymHyBOsgO2Pu7Lnqm+FpWFSKhvpD5aw20E4n9RdtG/5ZIfxlVF8Nv7nmMmbgvhRHkAH8AgmQhXRfHQjpjaKkrvyzRwuZ3k/aW39FD7thsmjWiAWSwlX4gHZsWpH+2gOvm3qN2E0P/3Bpw9TOU4iNIXCTgO5bdjt2S22Ndfi3CWPiyAO5wxEVjkbFkvpSHSTekduv/THvxf/I0yR2mtm3ACXYYRt3XtOeiP6tfr5Snx80qrkxWBmUkaVT0rRraholoCN+jQYQTM8kWC/Qmo1PgNburRVS5IQEQ8iBAVi1z9D2XUSpCXeohLuUTxgD74R9wiEiTCIKnkr1zgDh2FqGQGW+4Z6v22rlyEzbHBeJ7CfkZB4kr8VBKEKWZiKNPqIU+lIvziE/lksuUFU33ISyuXd6TVNirkn6Pvhm3IriUIFzJoEywlDOYdGorR2CUS+BFP8aFxM9kGjKx9PfF7mwgKVbL1pZW+log4kQgbbUUewR/KCjUq62lETqOu+Hcdso+dYy15Q/UGlzBGFugarQ1KBflAZK3fz6rP2Mmx4hTnrgSPyInXnPk9EcuKBwZRl3Fpf7ngyUaUl3L30EH1FPuRftZh1nfdSi3CicvL4QYdSGGy/oECjw8tRUVSmj+iAeVsk20qv+//ycdef+FmexDOSa07lnBO4o8unD51C8KJjq29oW3PF3A5tT7uTC8bE3vbohk7iGgPaODq6uqnoiuMRnPxuzdZPzCvx+zSQQdElH+D5XGli5NW9KjDrwRcgxRoWs7Pxs4nongTDRY/vcVdqTuAcALd8bhCg8rvE0lbVWrXSjIqwom/W9OLvGOO3CGEE/AnWQc5mXiXaK/CcEU8xf/aCiJbV2ObUUdD9euWQBaQPwUiRVQOfotygHKD316YPHlf12DXeDrbVFpmBvsxbW2eK7/EXlehqAqcdFonHT+nsrMR9ot0iHIl6i67qq9t8Bq7SvdwViKcbirGHUN9SCw/h/ogosyV/C/ywEze61qvH9LxZxw9aVsIJ14asg3Fd7LKLbaRuDavJ35RKvium8e/R7b5GKXtiNI97BHwMp9vxH9L9aviC38o45XaTuz1LSWokSD+RezLzCVvWD51+MtL9RJOAIdobZ1hxXQ5iHN5OKUi2stREs4FeKjAYM+AYEbpRnzEvtSW1PfrfrhEXP1jYi8XW1h++m9nCQozIh6SqYJvsHt8S73EteLHEnP/ZsC1/9DIYBMaoZ0ZPxgWFRThEqlcVaARI42qvwASE5qvASPRoDl5I9lw2EzB9hIQL0zxQzd1AgVqQP7ucPUznVwZH0aBCqaSpUbhemqoNkWFc2cIKhBGaKLzMLWVlG/PBEb8Z7YRP0O8J55LHkAN4aM9fMfmW5RHNDJdQ+E9j/2Wbjp+bL85eFrOnTbRcJuTi9C4V/K/PUXkE+6EzKqP2snYLkc2geKk5jMdK9UhBghhvKOyjnoY7WmqJaVlHX5FR2mwRX5zpvKVGGWoh3ACi4/Yn/nN6T/jeb5KDTy+EzNShtrl7dc2zN7bQjiht5fi47Vk7vCnH3hwV6pxWj6rHFSP4BYDOxObUtphVSKcRYqL35J62WnLfszRtZMdvPZkJs7EJw2OPkid66ccM/57z1JdrNqUpkOkG/mnK4/3TOZDbcGoCOfBZ72DBh0/JEI37DnTwfyk9pji6+nqbE9XrsDLZnYifnC3Hp9kZ5r2y2fV6Zj9IbvPcrnyd9K/bAVmh7LKs76uD9vLtaMIJ4C2L8hpvyqY2Bv4ehrKZTSEEwTcziW8/Hj+QbLd5Ep5XEk6KN/x2XPcIfGBgdq3NuCJRCfb9G0MGMoHwsgvsu2rXjb+V5BISv9pdkY7JE9xIdIE2x/p6+qZBUP5nGtodxbMRM8K0mHr6jwalAzdR4r+k3TMx2pYpBuzXKIMmtprHgYIGXZGPqs1F3KsCfeo4gaSzpQyPsgq7wsMNjuwtDXl7SZetqH2fi7Zfqiu10s4AeofPuGZ6spqfVVYXtf7VvojpYOXbSGcKHMO5bHN2f3RC3Ig57g2KBLhsQawekN1+3SfK4tEHpXohk0rtZOVBH16FH+IIG1momiX3cs5GsIJtGfeqTp4fIFrK0uJdrmgro+WcILnEOF8tgrh/EGlJz+rAnfx4WCPb7F2KIRRIqXbW6JpXUS2l5g/ZkeJlW+kCtBJn7e6hvrRUkK3lBqZAlU4avx+Rx25eJkBG3lrGXRbBRkCQ2IURoV0GZHNB4Ks9jU3pU6jQjdsjxZu9fes5PuJ7Njb4yAUBDpQyBaTfUhvv2+y7gJX/9hrxD/alVQmUBy2KGxua2q8aym4L3TNsBcatrNEhQxXxVB+bfYNzabG7y7Kny9RRTzKLXnKiuL5VnRKRJLb0cHAb5T/2ypRPERjiovjOXuGRvrXFPRxx81Ljxn2VNuSi07dmzqaO1Bm4K+Svu0hg7OyYmbzUT/RdGK1d57fSLxyzOmNhZzxO+owhm2jcbCVgmuricQsHUkKpoZ35oftiYVdadC6kTqxH9bzJny9hBNwp+RO83h8SaU6j+88Q91A9fRX7TNnDvO3rXs4sfRGg7sCdfKP2Vx7lOL7eD1CdniKyv1sd6S31AXJ0dZSXXXp/05scYiEOgQfS3sFa/A2hNL6jPSgnXZ5Iu82p2eWdsqjIZxA0JrZjzq1B3CAr7Q8QDCgLBBpoHKB/J5v6+wJSsP91JHPoY773+TGxbYVbHlBusRKFFdXUH58rfTmiR1JOAF/SqvlGfE/FA1lXbVB5WgIJ+LXzdU13SZ7gfL+kUp5XEm6Dcp3Kie9Jxxx2sDAyG+pezxmetnYPdS/bS6f/UJbgu0S1Latci22yDbZE1SuHiBC8RCVRRxe7CZyuRorS2ILEwnlxXoioD+NbC+ucDNiXygY6ipMJpXqH2wL0X6zTsfQ7qIBxY9J37d8S8XB1b9ROmz6fQtyJLZyicMv2qd7SkjGaAinpycnUhl5SJSXEt2RoGw7zYn7O8YP38u6XQinye7vak1UfdmrFvoyMdU31WupPx52sw/p7Q+49iqV6YrtZST4nQYzqEtDrxJFaYBdbUu7A6++hcGNmnACOKjt6OxXVGdpoPB6W1MqbzjhBDDTSZX6FGoo76AKsGpZ8/YlntCDSgWyuIIkvGpgCVWQhwIj/u18Nn5qJ9dS1TppqjwaEYoziL3/lgzWiYKE+++Q4O0RRxgP6V0Gnfjf1AKq4Hd6XLkcp7VrvQiDK3NohHKNR53H1sYHftBoY+PvUvxPnT8V5GdolPl/fYb63gIbm8bVSWGQFYHRvqer36UGI1iynfIvyjcMDLA0gIpBDVMflZOHiGh+39cTZ2KZBM9uhtEYBjRKXiZ+LsXruWj7xdbGKbIR8ggXqFNjvMzhyv2u3vQl14gdviIzptq+p938KeZZ1Ln3bq/yUi5YakaZprL8TDEzdsZIefVGoTB1wumumXR6SzpYdCyOoThkn+9RPcCNEpdSHl9WSfAbtQ8fsw31H66lDj1XJ2xA4mWb8nZLZsQnZkdDOAvTpzb5bdk/4iqq0rwT5UEQFzbfn2i8J3Q+hG0lnBgciTAiofytR9AuUYda6G7RjwuDqEg4IYNlenCAOVxCe5a4heA30T5xttBtzXy0cPJwcj9awolrXnCgjQYKT/aaWy77IXx8JwglfaLDed0WW850i3ib6nO4SicMYocTTiDINjb76dgtRYOtR9yiOEUyGsIJQd4jbYPprE9Q//HZc9xhlw/Uecrf4bFDfV3BPj/yu2XZQLxhN+gVe8pJBsMbzKvS8oGDLgUz4Tnj9ZND9Q3zW5oYEefvB1x9FXvKS92jXCAvETblxQaq32uwSoYZXjHDXeYWy8JFzlYgL3rLnt0cDeF8kgixratfpnxdUZ5mQXCp7/NaMu/HafvQi8D2IJzUZzyQb9bqvqS/FMQHTnC5shBhQh9EbI0ziZwb7JrebOKS8vayTD5Kcqmrq38RNif/UTrQL/lmoojJqzC4rSKcAOoCtT+3Udr7I7+lgnL9hhPOCHjMvpCNfSzgyj+JyS/DyAinyrBZFJkn9v2FgQ0ZvURQYND5wi0aHxAU+A+n4TdTIQxoNPCIzeM/IcJyHu6oqjRjVw245D3fjIynztHUHqc4roQRojBQgbBHcnC26XUZHs/ByiSIFH0uIQmXZFdSp/Y0VYafOLp6ppOu/25B7KUh2/yAOoJlqJjRgSnYIgpfxAHfI24ksBHsKuJO7ohkrif7LCBydpujK1fg8vkOs/4n0wDxckxOO5vCuge2QSMI8olGSsQHcQjjMtwmg3HC73ALYohZzHBT82Y0ZJ6pPogZLOwZCrJaMw4ehMHWBAYRflo5mnT8ESO8pRQf8eJOGKYQ+rs8PogL3CAOgzYiNzila7J5bpb9rstQL6j3BaX+4ybtRX6/SSO/VUgX9EZlpDRckf5QUKmo4xnaeF1NEH9xMb+hvGwnmrYgPrsK3JNOGuu2Zm/FEjTSL8oAxV0sV5vshvbpbdXvUCsDbntwTSIGJTaE7XqI0NlZ5TdLDzSrkgMAhLObs7Wwc+S3SJ2VMzH393LCiY7EPWDC+6jDELOcUXgijwx1A9XnX75yzOszAxHsIw+8qFsfvHBZpJVkOcUvaMv+pwLh/P2KcNk+kqhMjFZQd5ys4jqt6WPCIEA4P0eEUywjloZRTYQu2JYkqgPiRgoshWaVv3u55OmVnl8dJJzm30DOo3TjkwjHgHNA2x/KCSeAlYggPe5YTxevmW1GXSu180iCehT1E1S/NmJLFAaAoXpBOIns9UWDPVFOiDi5hvZiOeFc0Mw+QIOfAOmFW7TLDlfXUJq/WYtwAriWxc3GxYxhVK4igd3tbHxjvi17QehcAISTwuhZQgSgNL1RXo5GEKb4PO7wy+olnACW4X09fjteqEE7ErXVUVzQxkR/lwv2Z6IOwvZEZnCTyBOdE/lpoWoBPGPppZtmBbrqomwirxDP4XoGw6z0Pdwvxiy2peWJxH0ez1SHqocQEs5bsQ0F/S/84uJ3IpxPlRNOIG+NO4jI1KMoZyg/IiwS9OWulfqL3ZbZoi0C4XS44uCAYBQ/UbZbEovLCWeeJ87vNtirUTmAbnFgx2QPbg3h7DaMMeT/Z9FKAHSClDvUN5KNbn7BSopDe/XAzcaOp3ariBXMoXSQDQZvVEn8MUq7h8EXV1dH9Qa2WiL2e6Z/UItwAr6+7ySPK/8Cv0F5isKJ9FAerSw0p64cFeHU2b/FYDfUAzugvHrNyR9uNeGMgCtRiFxcSCTx1z2m+qhnsC6MSKjRxyn0jWSYzbiCAuJbWr+Hi60HT2Gvt3ESXLhlHo2IXqDGD0sBf7C5+mXbUN+LPSNhMNsEN6WMx+EdIme/IKJ3f8DZf2zOem1xil5bT/HBtROIZ/9gPBP9FFdc8bQ+T27IXW9gsvaiof3TNdi1+Wz8I9h7FaofNfDUFTWsH6GO826KTxeF8SrZIIoDZRBVFLIT2W8D2WgN2WgZ2XVRwWIPk7s/OFn1M35GebdbtiS8Nci3ZjNEyC7Jm+ofqaF4juzfQ+l9jWyC6fzNFJfQJiLvNtHIdgPFay25eYXiFVCj/RLZ5kGRbzQaJbuejun6UP1WAZf/5zm7OLDU2QWuIa+WOVxbR4R20+DyjWhIKI8oPmZUjrTF1IktoDL0kGupv+ky4p9AZ4arGkK1daNL2StO+fJF0vcs2XulKMcUXlQ2UH6pc0PZDSjtHWSLV/MjEE5UOnTuvqG+YCfGvTcMapeEO7ntQ9TY9C1Do4nySILZAuqIeoK2wcvUQ6cjomeSEe/myp+KFtuE2ysifVheDfQYbgQ4kYhM1X1RwXtPPoUGWK8J9yTibl4ig/kJ5n3lhBPoPmxq2mvTb6MGf1Mh9CM6N0NZ4E3InFFpz1xw5CEXUZu1Drqj+IFU9rTp85Ze9pGhl2EKF1/cVCDCuZJ+i9xti2CA5+mKG10ZA3SlYp+nsreij36r5KdcwvYUW43CdkJdUMDzgHr8U12JpqpLgrCdM8m8F7YUt0yQrkHbqv3uAeNvqkQ4IyyyxrUSWfxm0VCfJLstI/K5CeVbzKjRJ0jbkID80neUz9iOsc61mEf1+l+LsvGvYJ9n6Qy/PzH3Hg+Es3kwPsg/kIYiT7xgT+LD9t12E+EsGIqP3+EWp6OpLVpdGGGGM0IntvUY7BFqg4fKidBDYVOebHTLCGf3EQd/YImVKC5DHS5xvzUS1oPNoyWcgJNTdJfHvxxw7VFHV5cg74XthZTZ3Ry0PU6gexZbJ9praqs7ObvaNhMHt89s2+JqrkJDwzuDrHJ2YGh/8bkaENnbKGZVQ12DM9iDApKPQakgKpz6BUP1KQ/utFvU995b5c14PMdJ8f7jYrJjVN8wa+xN4E/bR04b9s49gKutfB77OtWJlX0l9vN5YrHXnDm3fHYTyB//7snUx+eX4iaR0A/C6mtN9AYHtZ5dSjhJz/lUZ1ZF7QvKAoVF9Up9MBgl4aR2bLcuQzvG1alchvogIOIFnrTdFu2CevaARsBeWbLpz1DGMZss9NEnJr6KXLOdXEI8PWqb7FzKq9WLw3qDtC5rTuG1qP8bmDnylo1FyXEHUjgPUR3aWNoGws40SFkxWsJJbcLcJeQ3qlfQicmjwvYgnBGw1C4uAMdyu65c7nPlKtuIX1sw2O8CU721SEKF/UYaXf2aMhQn2r7nGGh0tMvyZmImNjjjlDCMHKrc7hhomLoHhZdzjMaj89nY+XlT+RxVlO/6JruWOsTfUUN4S4GIF+JJ8ivXUK4hwvH5vKFd4FBBCsgvToSG6rYZhTaWxoXpNBqkeCg/ojhcDzsVuXqzn8XF5eqPqDLg2cyL7UzTiV16ciIuGg+9b1fgxQMijYfhWTiXiCM1HP9XNLXfUFxuEXlHhJIaoesCS/kx5e03qLG+kkjd+zszje+2LbV1aYWTetsKEE/fSBzdpWuXOrqGN9B/RQ3JTYgP5dnvqSxdR58/IBt+ifLpw/ksOwGHpAqsYVTXtFTCQFvbnp08cwjZ5OPU6P6IysPvi6J80CdXf2Jn4l+mcnsljVxvp7CXVSKZkaCzpXj2+7ryvJ+OnRkGsUtCvOSR0y6jzvwOIhS3oe5CerPxO8jeX3OO2H9ULwUBTkvipF5LvZ7sd3ukj+rZbX1cvdXLxN/fTrYOnW4Bd+ZJUwtc+T25F34p7/9YpA7LnWB8Yc6cOVs0ggPUifoTrBMpj36HuuxTOD26ckufmfzcooOtirMLPYcddBQ15FTnX09vUY/9ubeNf8+/5ENDpG3JZy/aO5hkXkpEGVcwCXfbIj00oKIByM+8luTQ5fl5rfHUwFB/W2qraiLqAWfX+9TOor11TfVSPGaBhzdCdVUB29lkQ9iSbPVH6EP6F5OtnGltl8+ZNatmB4NBAvaqe5xdQfnzC99if6WO7xlqK+dTnVg0JAZ7yTO0OUSQbnVM7dt5rpxdbW+cP96aXMjEfkVpf73cUb5Th/sdP5cYdsAIbVWv6F/U2XBHdryd0nFDjx6b+WSNbU0RQDq6Te3kHlO9juz4ermksH1dvcVryQ679Nw5fOphS63kL6hNujNyu7UCO1Pe39x7/JHHEeGsm4BEwErQokxsipOOfwSEhAj/XdQeP1lqe5uTkO2p33qU2u07Czz+fUdnH1iUUVtDNTVB7X3a0+PnBrp4qvavZO9nqGx10ODeJbLq0aeTN9RF1D89RQOWv3g4hEJEdalZ+xolnGJ2suzjNAC8s5gbLHfIY3+CeXX+kP0qPuvs8qapfYbyQ+EO9Z8+ifDOKhhGxdPzhZMPS6ONpnI5lFeibLckfxnsN+GQUsJZJN5BdeB6+j1qX26lgfWtxAW+7LQ0jaqtu27q1D1snjydBk13kr6oTiG+t/Waya/lR/FsdYS8pRxEPOTG0jpBZf52yp+biOh/EGmx8dwmj98QtRlIg2epd+Vz6Q/WS3Cp/BzeYym/oPIv6lMY99uWNGu/7cslZ8yu0UaXAqfQqUx8i3jCncKWoZ7lOe1WIt7njXYltm5gZinQ9m5ckGrUFmSULAR7L/GkEU664ZqEN3r/GkYk2DuIl4YQz5ezakbEUxubmqfHFYyUa82+bC+gUNiZMfviOUaE302VHXbCoZZ6l6O3J5AviI9NcYhs0pFIJHF/HmZV52zFrOG2AteqYA8sytBgfMaJ+OCEL+XRqGYJRgvY4iUKjwZFGeTR0nHmPn2x2LtcU7vUN9h8+qx49QVELE1gGU6Pt7tcPX+HVbjtBDyFhk3vmKWO8h6CZ/a8trZxAw2jfzu7Y4b5NjyPiYuNI30Qm2RePK6UX49TCu+sg9+Bt35L/UG6JhnxajOtGI17YV2CoPPEgKpa49szadJeqHOl+hemx+gLmlNax4zXr09C4477I8VvJW63VmAPvFJlT3999qBjXMM+IIzltqomLrVbaGdHO5MP28GGW+ockw1aWhpHM4uNF8lsa1xrtxE7vMtQ3yNO0gtRTnb1+LFumk1FXo80u4F886mewW0UH/y9uCXNymdY0B6UlymUkxcymX3RrofOakLcc0llvdzWeVXNlB50AbAH1qc2sN58GUnQliw49NChexu3Fli2DvSmHPZ42jw2A3bHTQGwPbWPx3bryoFYhcTBoNDLqIAJIEwodOtNR+Sz8dNAQp2s+kEaRJzTrTee4qRjh2ISp9LVQJWA/hT9bXkeY3l4gAhb6GwY0B9hL2jkB59eMkltUeX6DD3or8rzqpPzVKHsoCIuREfdf7HELfIGfcto+QlmW9FH9ZSEGelDmustl6XA3mlwk/K0wAZE6GJokzDZF2jasDYDcaA6M6o7Wl+kuJeHQwPFFLYn1ht39A/z002s1J4QikvWnZgeO9KtDBISEhXgZuIfpZG/jadFq5JNsd+G/s4y37fSF7eHd9FJSEhISEhISEhIVMXAnFlvDZpTH/K52osT3LVmNrF3x+NsVT6pfLZ9+nRJNiUkJCQkJCQkJGrjuqkNe7gTs6d5VmqhuGeujGSWkk2c8CNSuiyfVb6F1x1CFRISEhISEhISEhKVgf1CNlfe7XP2iI9rPEoIZrmAbDpcXe7q8e+5Y7b9JgEJCQkJCQkJCYn/AeAErWOof3E4G/byTrmI3wx1tWexX+KwSuhdQkJCQkJCQkJCojrsMWP2dU3tN47Jhr1GUy4gm4HJ1ruZ2Owenhp6t1pCQkJCQkJCQkKiKnAfoWsmrvY5exWEstpSOogoltI9Pf6Yl2w8IPQuISEhISEhISEhUR1zG6buYU8wL/RzCfH0ZyWiCQEJxfVIjq50dJjaKaF3CQkJCQkJCQkJieoYmNnwFpurM1xTnYc3iGudSMeTb56h2l3JcRfOruMpMQkJCQkJCQkJCYkG30pM9i3tLiKcm6vt2wTZFMvoptbnmexzHQ0Nu/QrQhISEhISEhISErsIXjmgpbHQnPihb2ivjHRIyOdslacrP8LTbKF3CQkJCQkJCQkJiZrYzTO0Cz3OigWzMtGEgIh6XNvsGepf7YzaGvqVkJCQkJCQkJCQqI2uCalpRDbnFols1tq36YtDQmwekc33hF4lJCQkJCQkJCQkaiOYNj7lWMnbA0vrr3a5e3RIyNfji21Tu7S9oWHP0LuEhISEhISEhIREdfRNb3uX05Ke5VraGhDKSmQTgkNCLo+vIcL5/XmHT5TPVkpISEhISEhISNSBgYHd7NbM6b7JFhVrXIEk9m2arN/RY3+Wz1ZKSEhISEhISEjUjZdbDcs11L/YJqt6BRK+F8vsuvq815o9MvQqISEhISEhISEhURs9k5S98tnkZ31dWVpt3ybEM7UBj7NeJ8s+1t7WJvdtSkhISEhISEhI1Acnxw5zDfWZgAhl9dlNkE1lrWuwGxc0Z7KhVwkJCQkJCQkJCYna6JgxYx/bSl3rcLau1ql0MbuZVV5wzdRxAw0Nu4XeJSQkJCQkJCQkJGrD308/089prjh5XkXE05V6fK3L2Rf/OWnSXqFXCQkJCQkJCQkJidroPmiCkjfZgyCUtQ4KFbHUnm78VzCep0KvEhISEhISEhISErUxa9as3f2WzCd9rr1W7c5NLKUXsHczGy94zdkTQq8SEhISEhISEhISI8ObNmmCY7CnxHJ5CcksFezpDAxlrZdV/m/OBdPfHnqVkJCQkJCQkJCQqA17+vS3O7nU5wNDXV7roBB+c4zYs3krcVDoVUJCQkJCQkJCQmJk5MdnJxdy7H7H1PprvSjkGmyVl41/9fHGhr1DrxISEhISEhISEhK1ca9pvi3IJS8PTLUH925WIpviGiSLftPVpzp57NDQq4SEhISEhISEhMTIcCdahptL/ck1tf5qy+m45N01tFVOVvnm0nEN+4ReJSQkJCQkJCQkJEZGfnz2eJcnXsbJdAhIJ5bPB2c1B8Ulwhlw9cVOrrw79CYhISEhISEhISFRHwIrNsU32Dc9i90TWGq7a7BlvpnYCOIpSGiOSKjONnq68sv2trZxoTcJCQkJCQkJCQmJ+jDQ0PDWlen0WN9IWHlLPdLNqhcEXPtuYGr3epx1+5a2xssovbaVPCP0IiEhISEhISEhIbH1mN3Q8JYCa3hn0VRjdkbbzzW1S91M7CdLpx+YDJ1ISEhISEhI7BQ0NPx/X2LLseYsRTwAAAAASUVORK5CYII=";
+
+// Size of the logo above (a 668x126 wordmark) - scaled to the org config "logoWidth", keeping the ratio
+const LILLY_LOGO_WIDTH = 668;
+const LILLY_LOGO_HEIGHT = 126;
 
-// Helper function to check if data is valid
+/**
+ * Validates if data parameter contains text (whitespace-only counts as empty).
+ * @param {*} data Value to validate
+ * @returns true if data is valid; otherwise, false.
+ */
 function is_valid_data(data) {
-  return data && data.trim() !== '';
+  return data !== null && data !== undefined && String(data).trim() !== "";
 }
 
-// Helper function to format phone numbers with dots for +1 numbers
-function format_phone_number(phone) {
-  if (!phone || phone.trim() === "") return "";
-  
-  // Remove spaces, dashes, parentheses
-  let cleaned = phone.replace(/[\s\-\(\)]/g, '');
-  
-  // Check if North American (+1)
-  let match = cleaned.match(/^(\+1)(\d{3})(\d{3})(\d{4})$/);
-  if (match) {
-    return match[1] + ' ' + match[2] + '.' + match[3] + '.' + match[4];
+/**
+ * Escapes text for use in signature HTML (element content and quoted attributes).
+ * Every user-supplied value must go through this before it is concatenated into a template.
+ * @param {*} text Raw text
+ * @returns Escaped text ("" for null/undefined)
+ */
+function escape_html(text) {
+  if (text === null || text === undefined) return "";
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// URL schemes that may appear in signature links
+const SAFE_URL_SCHEMES = ["http", "https", "mailto", "tel"];
+
+/**
+ * Normalizes a URL for use in an href and rejects unsafe schemes (javascript:, data:, vbscript:, ...).
+ * Bare hosts such as "www.accenture.com" get an https:// prefix.
+ * @param {*} url URL or bare host name entered by the user
+ * @returns Safe URL (not yet HTML escaped), or "" if the URL must not be linked
+ */
+function safe_url(url) {
+  if (!is_valid_data(url)) return "";
+
+  // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+  const compact = String(url).trim().replace(/[\u0000-\u0020\u007F]/g, "");
+
+  // A "." before the ":" means a host with a port ("www.acme.com:8443"), unless "://" follows
+  const schemeMatch = compact.match(/^([a-zA-Z][a-zA-Z0-9+.\-]*):(\/\/)?/);
+  if (schemeMatch && (schemeMatch[1].indexOf(".") === -1 || schemeMatch[2])) {
+    return SAFE_URL_SCHEMES.indexOf(schemeMatch[1].toLowerCase()) !== -1 ? compact : "";
   }
-  
-  // Return original for other country codes
-  return phone;
+
+  // Protocol-relative or path-only values are not valid websites
+  if (compact.charAt(0) === "/" || compact.charAt(0) === "\\") return "";
+
+  return "https://" + compact;
 }
 
-// Helper function to format initial caps
-function format_initial_caps(text) {
+/**
+ * Renders a formatted phone number, linked with a tel: URI when it can be dialled
+ * @param {*} phone Phone number from Graph API
+ * @returns HTML fragment
+ */
+function phone_link(phone) {
+  const number = escape_html(format_phone_number(phone));
+  const uri = phone_tel_uri(phone);
+  if (!uri) return number;
+  return "<a href='" + escape_html(uri) + "' style='color:#212121;text-decoration:none;'>" + number + "</a>";
+}
+
+// Fields users can hide from their signature (listed in user_info.hiddenFields)
+// "campaign" is the campaign banner - only hidden if the campaign allows it (see get_campaign_banner)
+const SIGNATURE_FIELD_TOGGLES = ["officePhone", "mobilePhone", "department", "address", "website", "campaign"];
+
+/**
+ * Checks whether the user wants a field in their signature - everything is shown unless hidden
+ * @param {*} user_info Information details about the user
+ * @param {*} field Field name from SIGNATURE_FIELD_TOGGLES
+ * @returns true if the field is shown; otherwise, false.
+ */
+function is_field_visible(user_info, field) {
+  return !Array.isArray(user_info.hiddenFields) || user_info.hiddenFields.indexOf(field) === -1;
+}
+
+// Short words that stay lower case inside a title ("Head of IT"), and are never taken for acronyms
+const TITLE_LOWER_CASE_WORDS = ["a", "an", "and", "at", "for", "in", "of", "on", "the", "to"];
+
+// Acronyms restored in titles typed in lower case ("senior director of it" -> "Senior Director of IT")
+const TITLE_ACRONYMS = ["IT", "HR", "R&D", "QA", "QC", "US", "UK", "EU", "EMEA", "APAC", "VP", "SVP", "EVP", "CEO", "CFO", "CIO"];
+
+/**
+ * Capitalizes one word, and each part after a hyphen or a one-letter prefix with an apostrophe
+ * ("o'neil-smith" -> "O'Neil-Smith", but "director's" -> "Director's")
+ * @param {*} word Word
+ * @returns Word with fixed casing
+ */
+function capitalize_word(word) {
+  return word.toLowerCase().split("-").map(function(part) {
+    return part.replace(/^(\P{L}*)(\p{L})(['\u2019]\p{L})?/u, function(match, prefix, first, elided) {
+      return prefix + first.toUpperCase() + (elided ? elided.toUpperCase() : "");
+    });
+  }).join("-");
+}
+
+/**
+ * Formats initial caps for text entered all in capitals or all in lower case
+ * ("SENIOR DIRECTOR" -> "Senior Director", "JANE O'NEIL-SMITH" -> "Jane O'Neil-Smith").
+ * Mixed case text and text without a word of 4+ letters ("IT", "R&D") are kept as they are.
+ * @param {*} text Text
+ * @param {*} keep_acronyms true for titles - TITLE_ACRONYMS and, in all-capitals text, any word of
+ *  up to 3 letters are kept as acronyms ("SVP, GLOBAL HR" -> "SVP, Global HR"), and short joining
+ *  words are lower case ("HEAD OF IT" -> "Head of IT")
+ * @returns Text with fixed casing
+ */
+function format_initial_caps(text, keep_acronyms) {
   if (!text) return text;
-  return text.split(' ').map(word => 
-    word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-  ).join(' ');
+  const mixed = /[a-z]/.test(text) && /[A-Z]/.test(text);
+  if (mixed || !/[A-Za-z]{4,}/.test(text)) return text;
+
+  const capitals = !/[a-z]/.test(text);
+  return text.split(" ").map(function(word, index) {
+    const letters = word.replace(/[^A-Za-z]/g, "").toLowerCase();
+    if (keep_acronyms && TITLE_ACRONYMS.indexOf(word.replace(/[^A-Za-z&]/g, "").toUpperCase()) !== -1) {
+      return word.toUpperCase();
+    }
+    if (keep_acronyms && TITLE_LOWER_CASE_WORDS.indexOf(letters) !== -1) {
+      return index > 0 ? word.toLowerCase() : capitalize_word(word);
+    }
+    if (keep_acronyms && capitals && letters.length > 0 && letters.length <= 3) return word;
+    return capitalize_word(word);
+  }).join(" ");
 }
 
-// Template A: Employee Signature WITH Logo
-function get_template_A_str(user_info) {
-  let str = "<div style='font-family: Arial, sans-serif; color: #212121;'>";
-  
-  // Name with pronouns (10pt)
-  str += "<b><span style='font-size:10pt;'>" + (user_info.name || '');
-  if (is_valid_data(user_info.pronoun)) {
-    str += " <span style='font-style: italic; font-weight: normal;'>(" + user_info.pronoun + ")</span>";
-  }
-  str += "</span></b><br>";
-  
-  // Pronunciation (9pt) - only if exists
-  if (is_valid_data(user_info.pronunciation)) {
-    str += "<span style='font-size:9pt;font-style:italic;'>pronounced: " + user_info.pronunciation + "</span><br>";
-  }
-  
-  // Add blank line after name/pronunciation section
-  str += "<br>";
-  
-  // Title and Department (9pt)
+/**
+ * Collects the title line parts - job title, (contractor) functional area and department.
+ * The signature profile's job title / department overrides win over the directory values.
+ * @param {*} user_info Information details about the user
+ * @param {*} template Template definition
+ * @returns Array of text parts (not HTML escaped)
+ */
+function get_title_parts(user_info, template) {
+  const jobTitle = is_valid_data(user_info.jobTitleOverride) ? user_info.jobTitleOverride : user_info.jobTitle;
+  const department = is_valid_data(user_info.departmentOverride) ? user_info.departmentOverride : user_info.department;
+
   let titleParts = [];
-  if (is_valid_data(user_info.jobTitle)) titleParts.push(user_info.jobTitle);
-  if (is_valid_data(user_info.department)) titleParts.push(user_info.department);
-  if (titleParts.length > 0) {
-    str += "<span style='font-size:9pt;'>" + titleParts.join(", ") + "</span><br>";
-  }
-  
-  // Phone numbers (9pt)
+  if (is_valid_data(jobTitle)) titleParts.push(jobTitle);
+  if (template.showFunctionalArea && is_valid_data(user_info.functionalArea) && is_contractor(user_info)) titleParts.push(user_info.functionalArea);
+  if (is_valid_data(department) && is_field_visible(user_info, "department")) titleParts.push(department);
+  return titleParts;
+}
+
+/**
+ * Collects the phone numbers to show, with their translated labels
+ * @param {*} user_info Information details about the user
+ * @param {*} locale Locale code
+ * @returns Array of objects containing "phone" (as stored) and "label" (e.g. "office")
+ */
+function get_phone_entries(user_info, locale) {
   let phones = [];
-  if (is_valid_data(user_info.officePhone)) {
-    phones.push(format_phone_number(user_info.officePhone) + " (office)");
+  if (is_valid_data(user_info.officePhone) && is_field_visible(user_info, "officePhone")) {
+    phones.push({ phone: user_info.officePhone, label: get_locale_label(locale, "office") });
   }
-  if (is_valid_data(user_info.mobilePhone)) {
-    phones.push(format_phone_number(user_info.mobilePhone) + " (mobile)");
+  if (is_valid_data(user_info.mobilePhone) && is_field_visible(user_info, "mobilePhone")) {
+    phones.push({ phone: user_info.mobilePhone, label: get_locale_label(locale, "mobile") });
   }
-  if (phones.length > 0) {
-    str += "<span style='font-size:9pt;'>" + phones.join(" | ") + "</span><br>";
-  }
-  
-  // Email (9pt)
-  str += "<a href='mailto:" + (user_info.email || '') + "'><span style='font-size:9pt;color:#0078a3;'>" + (user_info.email || '') + "</span></a><br><br>";
-  
-  // Logo embedded as data URI for instant loading
-  str += "<img src='data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAApwAAAB+CAYAAACJWMEFAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAAIdUAACHVAQSctJ0AAHruSURBVHhe7X0HmFxV+f6CggUhJLsz95479d5z72xJhYRegtRIR4ggIgj+BSmKvWsU7OjPhgULKE0IqCAKKiX0ZmhxSdkyt87sbjohpGf3/71n711mJzOzs2kEPe/zfM/szpzznXO+097TGyTevBhoaNitR2nYy001at168kDXSpzvmIkf2ga70zHVv7gmm+0Z2rd9XTkpr+6bGWhr2DP0KiEhISEhISEhIVEdL2TG7Ovr8Ul2Jv5+h6s/Djh72OOq63LtVd/S1nmmtiGSgqWtpc8VRa4+6huxLxQyjS2kYvdBTRISEhISEhISEhIlmJceM9YxtGMKJrua5CGPa4s9K7G5YCUGiiT4DEj8EsH/xRyJSb8b6kpfV25ZwNnUUKWEhISEhISEhIREQ4OdybzdtdgRHld/7HH2kmdpq4loCoIJUom/IW4Nwe8gpT5n6x0ev8FtbtRC9RISEhISEhISEv+rwB5NNx03fEv5useVLp+r6z1TGyKZlYjlSNKbSw4EhrosbygfD4ORkJCQkJCQkJD4X0THuHH7uJyd5nLtwYLJNkRL5VtLNCOB/yVmYsDW1X8snJprCoOTkJCQkJCQkJDYVgw0NLylw2x4Gz7Dr3ZJUPx2d9JqG5HNqzxTs6N9mNtKNEtlaY70GcqizubEUWGwEhISEhISEhISo8FsIpUvKspe89NNjIjVBFePH+sZ8fcXzPiVvTx+2pLGxr1Dp7sU+pPJd7jN2ikOV//qmtpr2KNZL9GEu3rdLiHpMVS/uzl9Vhi0hISEhISEhITESOgwzbfZmZjqGo3TfFM9zzfYN21DvS1vqo95Jmv3Tc3tsbSVRa48XzBih4fedhnM0/dSCpx9jOI5j8immNWsRBbLBTOgPbmkkF4rKQ4GVXJXKkvIbcFkPV16/NwweAkJCQkJCQkJiUoYmNnwll49rrh60xGuwb7gGexul7MOn7MVRC7XeJa2GQQLM38gcJC+nDbg6fHvPJlseEeo5g2HnVGyvsm+73OtB4eC6pmpFEQTn6ZI3+K8wZ53dfaUo2t9Ln1XyU8kYobTVL3u5vSZYRQkJCQkJCQkJCQi4OT2isyYfYloTvQt9RKSezyuLu8lEgUpPVxTKhHZ6s0lBhxDed424weHKt9QdGtNOSerXk/EcU09S+hIG9y5XNtcMJjvZdkd9PfZ3fpeCl4dcrLs466urYO7Sv4hS0kCg3V18uQJYTQkJCQkJCQkJCSeTCbf4RtNlm/E3uub6s98zuZ7praphwhkRNRGImsQuHG48pqXjX+lR1H2CtXvdMyZ3vDWoFk71OOJv3ogj2XxrCQgkZDAZEXP0O6wDfW9Hea4fUKVAp0T+CGUxr5a+rCkbmfZv21LbQ29SUhISEhISEj872Jg6tQ9Orky3tPVywKu3ekYWiEww0vMSeohmeUiyKmuPlBMNU4Lg9mpwH5Ttzl1amBpDwdEmOvZrxkQSXSJYHucPe2b7MpuxtKhumHoajHe63C2pppO2KzP1AbyWeVPLx533BtGuCUkJCQkJCQkdgl08qTpmdplrqHd53K2FERxW0gmSBgO1yxpTpIe9bWCoXwep9nD4HYKBhoa9vCb9bOIPD/tca0f6akU30gQb3FZO95IN5Q7XTN2vFdl/2nPpEl7EZH9XmFwX2dFfUi/b6jr8tn410JvEhISEhISEhL/e3DT6bG4xogI2T9drq0OD8bUTTQjt5g9BFlbTNInZhK1gYKpre4xtZ7AYJ0+j13dHY8rYbA7A7t5maZziGy+5HHWP1J68Dv2nAamtjzg6o/d9Bgj1FMRfjYx2ebay7VOqi8hfT5Xu92W1PGhNwkJCQkJCQmJ/x0MTJ/+1kWZ2BTfUH8amGw5SGK9M5pwA7fYuwjChf9tU9tA3y0uWOpC12SPOFy93taVL3qGco6diB/cHnunijs7w+B3KAYaGt7qphpPJbK3CCRypDQhLSDIHlfdgMc/PXvmzJrxbG9r29PLJT/n1zjl7lvJgV6TDXTrsbtWTjx8bOhVQkJCQkJCQuJ/A4vTTcwx2Yd9iz1RIKJVz32SEJCrYo6IFAn93+9xtsLn2nzX1O61de0n+Sz7iGPEDiuqaiwMaqcDB56CrHI2EelOHHIaaRkdv5Mt+n2uzHUzsQ+1tzXsGaqqiu625IFuLvk0tg1UI5wImwjsioLBrgy9SUhISEhISEj89wNPTfqZ+ME+Z7/wTG0JiONIhAwCUgUCNXgXpbaG/C4IOLsjyKpfcbPxU91UjGNWMQzmDYOdybzdMzPnggSL/ZMlaagkhXD20zPUhwqcnTZQB9mcl06PdS12FZHt1S6R9Up6BTHHjKmpPOZOSL0hh6UkJCQkJCQkJHY6cICmW1fP8vTEA0TI1oFsVSJL5QLihn2ZgcFe8XTlMYer33F05aSejJK1GzJvD9W/4Zgzffpbg1bt7MBKPOfVOMgTSZHSH5gaZmn/7pnqdGwxCFVVBdlwd9tKnOiY2rxay+kFspfHtdWBoXyrvS32rtC7hISEhISEhMR/LzrMhre5nF3s88R8HAqqZ1YTy+xLiTgVLbamYLKH/Iz6SbyVbmcadhmSWQqvLTmD0jXX52zE0+hIW8HUNvq68mekKVQxIgptRpp03+LyxKZahBZkHkv0fkY5KvQqISEhISEhIfHfi27DGFOwlI8VLK1vcXNyxJk/7EsEIfNNtiYwtOcCQ/1qRyrGQ3W7JNxmdRoRwcewv7TanZiR4PfAZGs9Q52Nl4dCFSNi7tSpe7gtqU8GlraqVhjiEniDvRoY8W8/PW74RfESEhISEhISEv91mK/t3ejyxJeIBK3AsnglghQJiCj2aeIZR1/X2ok0XbMok5kSqtplYZtN+7mW+g+xRF6WpnLB1U2eqb0WcPWWruTYumc2BxoadvNzmfcQCRcHkaqRdsysilP7WfWxLuONueheQkJCQkJCQmKnAWTT58oXA1PrxT7MSgQpEhC1xSBsJsMdlLe6unbKm2F2zreyk32u/RlET7wOVJKmchHL3Ka2ITCUm+xM036hirrgWckDfUt7uMesfEgokj6Kg8/Vpd0Z9bLZM3fOFVASEhISEhISEm8IcDWQbWqX+SZzcFq6EjmKBERt8PS5uiCwlM+66XjNC893FXSYKe7nUtf7nK0baWYTs444IBRgGT2x76RQRV3oak1YrqndGlhqze0IILRFU9vo6eoNhRxrCr1LSEhISEhISPx3wjbUEx2emI930GuRJOx5LFjJAcdMPOaY2slzpzbsEarYpYHXkVyufc+3tBUjkU3sqSyY2ubAYHcUM2prqKIuFBhr8s3ED0jP6loHkXyyIy7O97jyWLeeGBWhlZCQkJCQkJB408E1Y9wztH/2EpGsRI4iARELeGKjq2v/6DLYYaH3XR6z29r2dKz0x1xT60MaahFqkETf1DZ5nN07WrL5otKwl23EP+FxbTFIbbVw8D22LHim6nl6/NzQu4SEhISEhITEfydeyIzZ1zbZNUWTyGQZMSoVcQqdaxsdXftLd7LxgND7Lo9ZDQ27u7nU+7xcsrvW4R2I+I1rm3Gpez7bdGSooi60t83c07a0Dzlc6Youh68UBgSHlXzOlvs6u1qeSpeQkJCQkJD4r8bArIbdfVM9r2CypbUOCYGIBqYgYvd0ptn+ofddHgMDA7t1WYkT3VziBUHyytJVKiCIeLLTNdjTfrrppDmjeAUJ1x95bZlz/VxiHnTUIpti5pNr6wNdubHLaLJCFRISEhISEhIS/53w2pKma2r3LS4jRaWCvYZYhnZ09SHPUg4Mvb4p4DRrh/qm9ijiT2SwYvogIIjitLipzHf02Fn1PFcZAa8Vuc2JmUGz9vJIy/V4TQiHrTxdfTCfVQ4KVbxhmNvQsEc+q2a6OJvqGMrRTlo5ydXjx3bn1AM8a1widCYhISEhISEhsXUYaJi6R2CoHw24tqwaSfKIpIm30w2t3cuoM0KvbwqIE+lm4rYCZxtqbRUYIpucBWSLs/GcZ6hiRJDbt1AYZwacvSiIZInecgFxxytMHlcXgNSFKt4QOKba1pXVLvAN9sPAVO+i+D+Nt+TJBl3izXtTeyYw2WwvrVyxON3EQm8SEhISEhISEqODa8UNIhp3+pbWX4kgQcTb6Vxb6ersSwNTp74pTqMDL2Qy+7o8+V2XJ1Zj1rFS2iAgiOHe1MWOrlwx0DCwW6hiRDx5cPId+VzqbI+zF7D/tSbZJMGBLF9XuzpTTWeHKnYqeiYpe+Wt5JEuZ18nYv0w2ebVJUSAl1Ee4xOkG9sqMMDAhf9LKb4Frq32Msrv5zftXffrShISEhISEhISAgMNDbsXODstsLQOvKRTjSR5praZyObfnbTaFnrd5dHe1rYnxf9i10x4tQ7v4HvxRrzBlrm6cvWLRMhCFSPCSybfEbSkLiA9LxfqIJtiX2dWWeQlmy4KVew0UFzHUV6f4JraT/xc4mUQ7OXNIJa14w0BCe2j9OVTym+643ElVCkhISEhISEhMTI6zHH7EJn8mmcmXqt2kEbsR+RaLxGyK+c0TK/7AM0bDb8lcRKRq5dwV+hI+zZdrr3m6eyX2McYeh8RIHCuEb/S52yh2BtaorNcEAZmPwu62uFmGj+Ky/VDNTscIN6UrukFg13jm1o7thUsIaJZa3tBuTgkYktFVlllG9o5OIQVqpeQkJCQkJCQqI2enKK7JvtjLbIEouTreN9bfdO8721b2hTPUh/E5fV+jTtFQQSJbA+4hvqX0Vy6Xmgz0kTUv+VyVsSTlbVmCLH/Ffs6XV3tDFLxj9qZMfuGanY48qqa8Qzts77JnvQ4W4vZzFp5PZIsM9mAm2M/6DluUt2zwBISEhISEhL/4+jJKgcFOe1pXBVUiWBgZpAIWb+nq9cVGHtn6G2XRud4LUVxvh1PRY60bxN7Fh3O/u2kY7i8vq5ZOzujtgZW4rcO11aNdBod5G5ZMxFergae3viBAmvYaTZ09fhxRHL/HHBtpXiesyReWyvLyV4FPX59h/muWBiMhISEhISEhERt+EbiRN9MuCAklQiGeAWHa6/kjfiVoZddGktNcx/PTH7LNbU1xRFmNsUb8Jw5ea6dGnofEQWDHe6a6l8CU1s/EoHD772mNlDgbKFDZHOgTkK7rViYY00Uv4/6lvYyrrnqITvUnIElQVxBjmu5g2DPZyHddEPHuyThlJCQkJCQkKgTtpE8x+OJFdVmAjEDWDQ1tysTPyP0ssuiva1hTyJN53uGZo80sykIFmcF14h/FC8QhSqqotsYO8bR1fM8I/EkDv7U0g8R5I1rm4lsPuXosTNDNTscga7lfJN9n8jmYpwwr7V8DjuIQ0xc63cNbUne0BbnTW2DW2O/6zIi0D5P/NzOZHbatgAJCQkJCQmJNzFAtIhkXOBy7dVKs3U4KILl4B5T6+jW48eF3nZZeC3J6USeH/NNrb8W0cJvjsFe8QzlWzg0FXqvio602kYk7psOEe96lqbxO5G4ja6h3FfMqTN21sxm3mo60uXKHZT+1WLPaA3BVgmQTd9QAl9Xb3Gy7CNOc/ozbk6bX6TvK/nBXtSioQ64udQXBqZvv8Njs2fOfEvRVGP5rNbcrSsH4uL5LiN+jKerByxMK3qHab4tdCohISEhISHxZgMIp21oF3qcVSScEFxQ3mtqeUdXTg697ZIotLE0xfcW30zUXOrGrJ7PtfUOV2/xR3hOEkTH1bVTXIPd6VnaSrG9oExfuYhDOaba72fU24JM/BA8GRqq22HomDHjbbaReK/DtcdcS+uvtj0iEpw2D4gQ+1nlX16m6aLedNwAKe47wJpChPPpvioznEXy52TiKztHsQWhFroZSxPJPNXn7Es9hnZdwVDvJts95nHlRddQX/JN5THfSNweZNWvuummqaE3CQkJCQkJiTcZdstz9XzXVF+ttkSM+xcDU11mG/GPhn52OWC2zcuJfZtV0wEBWSzmtIGCqT5RMGKH1Zp5tNvaVM/Uvkpk6GWHJzaPNKsJ3eKVIkNb7ZnxnwRa0065IL3Apr4zaEte6FtMXHdU7S5VCOKI65B8K7GykFV+0JWMTyx9J95r0z/gWsnFIM2V/IvXkYik4uWm0MtWAa8bOYbyuaKl/jUwWKfLtVWemdiEvMPhtV7Ko97wb9wgQDZd5RvKI14zPyFUISEhISEhIfFmAnX+Z7kWW1aNqIHAEPHa5OrqT+1Mw9tDb7sU3Bb1At/UekH4KqUBArKFNGIJ2eUKnq18S+h9GLAP1MupM8j9XUVTW4XZvlrL8xD8Lq5GMlUvn459LmjRGkN1OxResuEdfjZ+MZHifE9z7XjiNxC4gsna81l2sZseMzZUIxAcc0wjEdab+0K3W/gn2xa4stnNpT41d2r9T36Wos+McT+rfD7g7KmABgewLQREWdyGQJ+QKEz8LeJNIuKVjc91JvL9Q3USEhISEhISbxYEhnaMZ2kd1a5FQqeP/YCBzh6xM037hd52GRRaU0cEOfbiYop/LcIFsulxdbWbafoyXgcKvQ8BRNPhbH/fYld5ZmIhyCuWnksJUCUJyI1vso2+rj7uZmPn7yxSPnesMcbLxC4LDDUP0ob9lZXiB0HaA4OtDyz1X4HedHKlmd18W/YjjqUtA7GrpKMHd5Xq8RcXtekHhl7qBtk7YZvKhZ6h/osI75plddq2VEQauNpPefgd76yzdtql+RISEhISEhLbAUTSJvtm4v5CDQIgZj85W0rk5is9Sv3PPu5o4ER2wWK3E2GuueSN34iorLNN9douQ4mH3gVmzWrY3bbUVt+Mf8Lj7EHXTKwWL+qU6SgXQcRB8nT1Fd/Qbva5clTp8vSOxAuZMfs6WfY5yo8Clp5rkU3MDuIQUZBVbrYzYw8JVQyD15yciP2fuJGgUhkQs4+Gut4x4t/uMM0RD1lFIGK7h59R3u0a6q8dkwWIK/bBluuvR0S8TG0gbyj3Fw/Zr+7XoCQkJCQkJCR2AfTquuIbiZ/5PLGp1owTltYLlvq8rysnhV7fULQn9xlHRPlq39KWI244UV8p3kiTx7UBx1DuXphrbAm9C4BournEJ4um+jffZL14lQjEu5KeUgGBhTvfVBf4qdjnu4n4hip3OOaNaRjrpWOf8Tkr4o7NWnkGQuxzbRURzp8GLZXjGLS0NLq51DVko3XVDhsRqR9wjfhzRNaPDr2NiFVTc012hoHEP+2ZbD3iUiuuI0lEOF0en+tOSL1pXrySkJCQkJCQIGAWytOTFwUm66k5SygIp7bRM7R/OrzpDd9HVzCT5xKR6hRL5WVxjQTfizRl2TwvE5sRem3A6XTP0j5b4OwB12RLxT5BkLPQXy0BcSqY6gbXYvdAZ4/SsNNmfBcc2rx3wUp/PDCYXyvdkMHDXmyZZ6hf6zGMYbO6EeZOnbpHYGoXumbCrkY2YZOAq6t9U/lmvXdv2ta4VsxqulxbgnjWmj2H4LdIKv0OEb8R4ew24s93tCQODoOSkJCQkJCQeLPAzyYmexZ7sICDL2UdfamImT0rsdE22QP5ZNORofedDn9KYrKf0x4Ry8Ul8asoptoT6LHLV6bHjCVytZ/Nla8TYXwysLRXsDe1XqKJtPeYDCemi4GhfGtnnUKP0N7Wtqffqp/nWcl8rReUIAWkiQYQtq58sWNc9XtG+3j6UCLdjxSr5Du+K+CUOFcf8+skeU4ufVhgaHf5XNuA0+61ypMgs0I/uTPZZiKoFd1BoMfBkno2/pjNhs9US0hISEhISLwJMJexd3qW9pnAZCtHIl+YrcI+PN/U5gaWekGXsVfF2bMdBZwAty3tN5htrTYrBwFBoTRtcogsuVz9sqMrvyBS8xIRzbVLiAjVe2hFkCJ8cu0V32D3uVnl7Houi9/e8I3Ee3wz8cJI8RZxNVXXycY+V4tsFluzmSDH/kB5vkHs0a0gYtsAZ8ucrPJxEN7Qa0Xg5LqdUd/jmepDROw3487OSjohiD+VH2FTz1AfdXXlKo8rH6P/HyVS2V8pfcgH+m2zo8fu6j7oICUMVkJCQkJCQuLNBOxDJLJwV1+u9iwn5HXSyTxfZ7/0uDrDS+4zLlS1w4DT5Z6lfgX7EqvdFVkqRFA25Q21x8MTlkRW8NQjiFA9RBNuMFPocW2ty9lTvql8wc6wllp3d+4o5FuzR1I8HhU2L4tnqQy+Da8EQTb2WXfM8GuPSmFPzuzr5ZLfJF2vVnuRCOnHO/Ceodz4H66lQq8VMbehYY9OXZ3p6Oxp39L6qxFYiLA95QsRzecCHv8ybj7AQTRn/xbmt2RuRj5VSiOIdMDZOptr35On1CUkJCQkJN6kwKtDXYaKWbQFIGblHX65gDhgadfn6joiqi95PPHLzqx29nKDpUOV2xUgel6Ldg4RGrvaaepywUEiz9LESe1aF6KXC9xjKdk1WKdvsGu8bNOR7bHYu8Ko7FS4E9NTHSv5LyJh/bXSIGY+ubbYzcS+aGfGVN1ridlsh8c+Q2R8SU8uVdWOfZT+IBt/lmxweOi1Il6cNGmvfFa9hMrBfwIiqCCGlfRBxIy0rqx39PhtBc5OKJ0pzk+xJntm8nHMfFaKkyCxenyF06af9UaQfgkJCQkJCYntBCybBoZ2TsHSHBCY8k6/XEAMMAsIMoBTzgFnNhHCf9lc+y4RmpN9c1wyVL3NGLwjU30Aey5rkZpyqYeYQuAOegdfC2JLfUP7rZuNHf+KtvdOucS9EpycopNNb6L8qHntk7jGiWtLHEP5fK1l9Dmzpr/VMdMfdgzmieuUyvSU6isYaq/D1Q/WuuppYGrDHm42cUlgKN09eJe9gq5IxF2uXFvlZuLf9fg+ZilppL/f4jenP055vKxSOhFP7DN1Mk3P2tMPyobeJCQkJCQkJN6sAInw9KYP+6bm1kvsIrImTnCTEOlcRwQhcE3tOZerf7Q5u9ox1fOI6ByWzzY2u6mUtnzs2DF2Q8PbsRxLhGN3zLDea5pvG2DsnfaYzL6d2thUMaO2wg/8BjntT6R3Ta3l2tEK4g0BUQKhIZK10uPsT35GPXEhY02hSd4Q2JMn7+s2p77u8cSrtfaqwh6UVytdi13V3lZ7FjbPU6e5XJuHS9yrkU3YIjDZWi8b/86Cxsa9Q69bAETUNpreH3DlZTxFWYtsomwEXHU9nV2x3Bg7JlQxBGdSTiey+QjcVYqXSKPB1tPfXxog0hx6k5CQkJCQkHgzA08mukb8EiJfeEe8KjmpJIK8EenEsrzYM0n/FyxtLZGGxT7XbIcIj8fVx11Duc8xlbtcg832jORNnqndSGToDt9id9Nv/3B19Sn6f37B1Gz4pThsrEVqRiMRyRTCtfW+yfI+V28tGPH3g+iGZnjD0N7QtqfXkny/n9M6RyKbgcFWudn4tSDxofeK8DONR5HdH/SxVF6mZ5hwtpls8ecuQ5kQet0CAw2zdseLRUQg/015W3W7AuzsWazfN+IvB5lxF9mZzBavMPXTIMNrM75JeVBxMAEduD3B0ePtzuFT2kJvEhISEhISEv8NKLCGd+bT6kzHUO8PLFVcCj4a4gmBe5AbHNTBUjUIKJZrsZwLfYNkNJwBC/8GWcXyK9yU+qlJkuqQQfIzGAZIF5GqlURonyX5CZGs05akGrXR7g3ErKyXHJfo1pUD81n1SCz7d6hqLPx5q+HpyQNdU3soel+8UnoCC/dsamsDXb2lMzV2fOi1IvyschC5w+X2G6vZEeFg/yQNAJ61DfXEgVkNu4fet4AzPn0Yhf1QwBP9tfRhT2dRV54r6o3nzaXyFHofhsKEzOk0sHGqlS/o94z4aieXnDX3uuu26g13CQkJCQkJiV0YWDbFJe9FS/1OwWJdRUsThK0aCapXBLkJBYSiVKLvtzUMSBQO9IoT3Cbr903FK3B2RyET/0TBYIcHmta4NYdQXp2kxD1Tu8jX2W1FQ32iaLK5gak+6nL1d3aGnV5oYBUJ1kgommbMM5O/ckyt6oyuDwKOWb+scn+eyGTotSKc/fn+npm4OzC0jZVmECPBqX9fV1wnyz7SMcN8W+h9C9gZtdXPaX8mm26qpQ/vuxcM9YUg1fS+au/LB5Y2pZijAQ3uN62gQ5QFcfep8ojdlpkSepOQkJCQkJD4b4SbHjPWN9T3eJzd5Fva8ujgzvYihttLEJdykoklXw93aHLtYc9Uv0bk5eiejJItsK0jhMDSyVaiaKW+RwTcJTK3CWGBfOGTSOgGIrILu/XGT/eP8t359pltezot6Stcrr0KXZXSCMGTlm42Ni+fGnd8LbJc3M+Y5jcn7wnMRE2yiRloX4+/5qWbvtKjTKoa5+6DJih5nV0fcLYBe3Ur6YKAvAaG0uklG0/HHt3Q+zC4zSnN5+znrqmuqZRW5CO+J8LZ53B2BQ1+KpJWCQkJCQkJif8yYDbQM9gZrqn9xTPZygIu6TYHr7GJyCeknDzsSInCFn9TXIgQDxRNtomIygrXZM8Qyfx2kI4f66YaNdzjGSZlq/Hkwcl3gAB5PNEniDdJlG4I/sd2AAp/kaMnzgq91QWbJ97t8kQeh6/K0xmJmInkzPH0+LmzGxreEnrdAu6E5mmF1sxfKY6CEFfSBRG/6Wo/yfc6DjSrnnAXZNhkn3c5W1nt7k4IlsZ9rtp+etyZOH0eeh+GwtSp76TwPkWDmN5qcROzmwbb6Ovqbe7EtBF6lZCQkJCQkPhfQYepxrp1dpxrJq7xTe2xwNL8gGuriYz0gyhgNk0QhlBKCVkk5QSj0ncjCXRj6TkwtSWFnNZFRPAp31JvDiz1M66uHdvJx6a2ZSazEmwr0xrkUv8Qs28lcSkVQaI42+RxdsP8ljQLvdZEwWBpIpu3iMvWy/RFIva8GupSV49/aWDq1Kr7GQXZzCXvoLypuewt8oaz9Z6u/D6vqpnQe0V0N+uneDz5UrW9lpE+3G4gZiQrHBACZk1veGvQZs4MzMR8MftcpgOC77CfNODqf9yUcsrWbHmQkJCQkJCQ+C8BruHB1UVEHmb6nH1DnDjn2lNEPruJyKywTQ1X2YiXZ0BUQMSipefo79L/R0M6hVsidY6h/ZPCvNw12fGdXBmPWdiRnmHcFnhtfAaRIRt7KKvFF98TCR8IdPXxhbnkAaHXqpg7lb3TyyUv9wxtcTUSK77nbK1vqL8rZquTw64JxjSvOT3bI9uPRDZJH5HN+O12ZkzN/ZH5idlmrzkBnVVnSz3M9OqMyLBydc8ko+pzp125+DFknycFOS3TEYkoE1xZ4ZjK50a66klCQkJCQkLifwQDDQ2743nCgjE27WcTB7lZdpqtq5faXLmaSMqve7h2R9HS/oVT4Q5PLHBMtsi1VNc2lSUOZ4tdS3N9S3nZMdSCw7VN9RBPXJVDpHauozedtCMJZikGZs3a3ZvS8n6nOVXxgvJIEH9BpnXlhc6MclTovSryVuIgB6fSuVZRH06r4/AMkcM5OA0fetsC3mTrQL85/RfPTNQkm8K+nG32TPVuO5M4mLxWnUH0Dk6+o9CS+Dz5WYJBQyV9gjxydQOR4d+4qRgPvW6BAosdFhjsIdIlZsIr6RJ2pYGEa6i/XmQlE6FXCQkJCQkJCYnhwBJoe1vDnt1jx47pi8VUu3lMNtCbct2JxCQiE1M9XT3AycUOw55FCAiX3RI/hIjo7UREql61Ewnecg8MtYcI3RU9SsOoDuZsC5AudyI/jeJYwF7RSnGDgNAhDUQgn+1s1g4NvVfEcsMY45jJWa6pra5GwsS+TTPudOtNF1Xbt+lZySODXPpffniIqZIeCMJYTMSWyOGjrpU6YqTlars5c5RnsefxkpAgqmWC73B1lWfE7rdNbb/Q2xawWzIHF7LsfiLDVfMX34Moe5n43xZMbG4OvUpISEhISEhIbB/YrcmLiHAUe4i8VCIjkYAwFTGbpsd/4aSb6tofuT0BwhwY7KnosFS1OLoG2+zqyp/aecwMvVZEd1vqcCKJL1Q79Y3vPa5ucrNN1/ZMqniCfLeFRuMxPlce6zG1qjOHEPzWR/F2DfWpusjmrBveTu5+RySwKkkU103papefUd5NXirq6z5ov0l+LvFXx6z+RCdsiX2bPmf/9hPjal71JCEhISEhISExarhcO9XniflipqyMiJQKfuuxiJAa8Yed9Jj9Q+87FSvT6bF4qpPivFLMxpXFD6QOy/0Fg/murl5aa7kfp8L9ltQ1Pl7jKdETCb7rxUwqpddLbvnyz2zMIuvKKY6uPDLSC0LQ5XHWH+jxh7qJbIYqasI1Uh8ivb24gL+qTl1Z6mbjFxN5rTjzak9um+I0p28jsrm+Ftl0QeAN5WWXp84emDmz6ul7CQkJCQkJCYlRw82xwz1TfQgnliuRrlLBi0NEmjrsTPz0kWbndiS8FmMCxfVm3O8p9mrmXhexz9FQFvu6cs2i5LiaexC724zDvVyyq9o1Q+J6JV21vYxyTuhlCHgm0m1WZ5Ltnq5GWCPBVU2OwTZ7BrufiD1mIkeEk1N0j6v/xJ2flQYBIjwjvs411J/isvrQ2zDYk1r384hsepa2thbZxG8+Z3lPj12xpMb77RISEhISEhISo4Zjptt8S7vFNdn6kcimuPPS1HrcLLt4dkPDTjkkVAteizLBM7VZvsmecDnrsbm6zDEVzzfVBwpZ5eMjvcnuTpw41m3J/LTAKy/Ni32qJlvr6cqP2qe3DTupvdQct49tapd6FnuZyGZNog5CjANHFMcHus3UcQMDAyMSdZB5L6de5nJ1CfaPVtIbcDbgGeqcgGcOCb0NQ3G8foBvpf9CpHxdLbIJgu7rrMfLKp8rsHc1hd4lJCQkJCQkJLYdRfNdMY+z//PNxKpaS8EQzBz6nK0mYnK1ncnsG6p4wwHi55hqm2MoR7tm7Pi81XRkt96U6082jHjBvD8+827H1IJKJ78HiRgO9ihP2mYcp8iHsDDHmhwz/jWXyLdv1d6CIGZfTdZvG8r9Nk8cVe+scD6rNfu6cjflT0X9ILierhZ9Q72kwmX6u/kZ5ajAVB90zMTmamQYesX+T0NZ7KaaPrFyTMPY0L+EhISEhISExLYD+xrxao1naiurXbUTCQhLYGqbfa7d6vFkzQM42wvYj4iwXhgzZoeQ26UHHriP25r9QU+V2U3M5noWW+lZ6leeLCF0HYlE0jfYNUQEBUmvRjbxPX5fzLWNhWz8Hk9PTgxVjAiQUrclfTGFE/SYlXX7nD517cb2trHp0JsA+d3dSTce43H1MXEAqMxvqQ6QYddQl3pp5WMDVd5al5CQkJCQkJDYKgiy2ZK8gshI1cMokQjixNlAkFUe9fnI91luD4DguWZ6JhGu5wND/XWvnpgEIhX+vF3gjdcPcHPJ5wTpqiAgay7XHukeP3hpPEhgN8UDd5qS3V6tRdIjsulwbbVnKDfamXGtItA60Tmep7zm5I2eVfmSd+yjdfV43tcTJ4VeBHBfJ549LejsiVoHmBA/ccJfV7wg1fSpjnENVZ/T3NWwoLl5b7yytb3Lg4SEhISEhMR2hJdseIdjJT5CpMkG2QT5qERKIPgNb4r7nM0PuHL2wPSGt4Zqdhj62mLvIrL1AZ9rL+PATsHU1hZN9S4/03Ti3IaG7fJEZodpvs1pS19BhG5FpRnAcOZvhWeoXxuYNf2tc6dO3aNgsuMdLHEb6ogXuhcwK6mzxR6P/ySvNY76Lku/NXOiY7H/YEm/PH8Q36LJ+n09fk23MXZM6KXBTY8ZS79dHJjsJbzAVCldkX8QUV9nnV4m/umF27BnE3bcmcTvlQNaGr02frlnpX+ELQMU9g4vjxISEhISErs8MJMIUkCSDsym/WyuHFXk6oxi7nXBc5COwQ7r0uMT3VRK6zDH7bOjXu3pNxvels+qF3hEIKtdIl4q4kS6qfY6euzy0mXlHYWeScperqFd4JvsBTc8MS8IElc3eKb2nJNWLm/fZ59xofOtRjCNp9zm1I2ekdjiRSVBsinsgMefwWX47bG2d7mcXezxxAtuHXdswma+oXqBoc7KZ7M130avhP4Z5tv85tQ3PDP5WqVZVDFIMJQX7czr+0rzrWrG1ZWrAlN1QYarxRHfQ2fAtfl+Kn7JfG3vxlDFqFEwjHTRUC9xs03va4/t+KcvsQXCH298gtLgBAbb6OvqYwU9/oG+nRC2hISEhITELgfMutiZmOobytG+qX7S4erviGje71rsec9iHUVT6y6abEgKFuvyiAA4XHvWNdh9rqn+mgjBp7t17WSSHAhoqHqbMKuhYfc8V872DPYSnm8ciWyKwySmttoxlM+3xxp2eKc+Z3rDWx1TPY/iNk/cB1kSF/wNofj0FnXlR0FLU25uQ8MeoddRwx6fOcrLJZ+rRMxwMp3yYz2Ruh/6ra2Wqye+TnniYYm6ls1wqAp3mAYm6wwyscvmpcds1QGc7kktOTeX+Afu/iwPD/H18eQkV7440DBVpN+fkJhEZet6IpsrcK1VtThiVhMzr0FWedZuyZxR4aBR3eicNj5FcflegbOCZzLH15VvLBr3jh32BKY7MT3WbUl9kdLRE20VELO0XHWddOybvjkuGTqVkJCQkJD47waWF7sSTZZnqpfhWh4iBsupQ95EHXO/2C8XLnNWEg9LsPh9UPp7TLaRiNertqG1Y8+gq6sznbSiYwYwDG5UANnsTrHjfK4824v3wCnMckJSKqJDN7R1OBzTnkxu84ziSIDt3ObETN9QF4n32cviA8F3iBeR9I2BofylMzV2fOh9VMDssd+Wvti3kkugrzwczCAGnNn5rPJ5P5f4Gdn/NTyhWctm0EMEcRPl+wuBqZwSBrVV8Mcb7yXC6fVVuAoJ1yNhdnORpU0ZmNWwu2s1HRFw5V6PU3mhOJa7jwR3gJJdN/pZKpdlJ+5HC7ws5TZnrqUB0msor5hRLXB1rZuJ3dyrJydir2vodLtg4bve1eQkY9+kQcBrpfmF/EDYRLTXelnlJi85dsLO2PIhISEhAeCJY2rvIHI/ucTOATpYNx03HCPxceqAn6GOfT1mB9E5CjJZIqUkoFRK3UAiIorlT+xjJDK6kUjFSwFXv2dnYjPaDZbGO+lhFGpiYGrDHkTkTiT/T4n3wKGvhojfDXW9w5Xf95kxHqrZYVhqmvu4rZlLPa76Yla1JC7lIggHlrU5uyefiE0OVYwKq6bmmvzW9A9dTjYlwlQehiBuXO0lecEz2YZKpDQS5NVgnNgaX1fvLqRjh4XBbBVwP6ffmrmK9G4u3ycqyoShbKSwrlmYS+tuTnkfEeK5gnSVuNvCDwmRw1WOod5mZ8ZMCYMaNWbPnPkWPxub7GaVWzxD21gaJv6mPNnoZdX77UzTe15Utm5gVI6CMTZt6/HvOgZbCdJcmrZIMLOMGxSIiFPYje/e3oS3XvTFsKrRZEE8HjMh+LuPPouDh5y2OV5906e/y86orZTWCT1cGV8u+H6xruWWHHroqC7ux5YIHGyrpBPi6/FJuDHCO+usoVlxlIcew4gH2cbmKL3bIovJVj2Kki2dece+5F4rbpTatJoIO2fVzJJUSsNdstBTLxFAvXP3S2mIQ1cYFsJcSZ/2ARm1Xj3iIYhUo9arxycWDHaYR221zdnpXQY7Ay+5BZZ2LNXHgwo51oJVsA6z4W2h1y1QYOydbvz1tCNegd6UK7SxdP/Bw1cnFjQ27r0io2RL7QS3ebJHgdW/7z3QtMYo7aWfS5qHPwSx4NDmvXtyio4wovC2VqIwlh87dWg/+tYA/WEf2dRNjR3vGLFhts9zdlreTB0fcO0Ql8rzYho0j3aLWKTfo7zt1tkRdoadbhvahxydfdjNqufns+w0l753+djxPYYSR78beq0KlCuUgwVUh0rzrlTwfele/Xowp6Hh7djGV00nyhLq1YKyfO2ncuRSn1/NXyVxUT/NRDJo2bsR5T9UNRrsFmh7Ny4uK0uIA/jHqhxrqrf+AagL5WlAvcZ3o9l+tSKT2VekLdQT2WyA8gJtOep5IdPYUm4rtEML6DdyU+9LfbuR3VT4LdWFvwsZ1hK6GQQM7GXZCdSY3OEbiVciwgQiUqlzHK2UElBBQIhsuYbiu6b6R8dUPuyY49owOxhGZwvgLkqqIB/wTTYPS7TQUymcSBCGx7VNnsHucNJshz9bicrmWNpnorswa9ktsoFnqE8UreSRyPRQzaiwZEKuJWjL/I0afzHrXB6OQ2JbCbFXs1Z8QLJwdRIRrV5qcK7dWgJcisVnnMC8XPruSi8LDS71q0Uie19xeeJqGhR42GtaLU8RP5RHGmj4Xlb5oZ1rHF54R4EXJyl7+S3pk2jg8k+EV4nginhQ+aT8eSFIK5eP9MLTSHBb+XiHs59T2VhOxHqL8CKBncRAiiuL/VTTldTY7vRZTs9KJohkfKfH1O6lAeffqJzeI4T+7rXYPTR4+XL3QROU0PlWIzj9hEN8rv2TCOxjgckeKZeirj7mG+y+wpS299fzuACAQ3HepMw5nq4+SAPaRyvp7TOUp3pb9RuKl1zYFnpr6PjYx/bpnWh+YnFW+ddQerdBqKzeV9Dj1y9qywwNipz0uLOKhno7lfN7K/kpFWo/ILdRW3cDlfn/s7n2KV+PnVVIj9m/PVl73/cc2367PdG6qpezv0X5V6TPPq7e4x3Q9uknP/nJmuQEhMA1Yod7unIF2fC35PdxIjc2taNLPTOxQgjXVng6Wxxw1kG//cvX2S9cPXYp/HXH40p5p1qc2DK1mFVu7jW1vyM+NKj6W4Fr99LA62eFiXxY29zZnDiql6s3UPm7L7IHub+vYLLbaZD4wXoHgPnUuPMLWfWvPbmkCJPC/hvV+bu7W/VjQycC9vSpRy22tJt6DfUfUXhbLZQ+yvu7F8848kQqs6OeKewYN24fLznuQD8bv4Tanl+TfR+mPOj2DW3JkO1NbQXVi8W+qXVSu/9wYKq/oUHsx2mAPN1Jp1ktcoBDtkEmNqXA2UdwY0rRTDxGeelQnV7hmGwN9f1rsdpDbRWFwxwK61EanP3C07WLfH3fSXNqXDe3hIg7DRI/10N2RHmrZB+yzT+CXPLyx8vIYS0UUrHDKd9+S7atXG8orKUtqZsLB7YeUdpO9BiJowPq+6v6qyDUB/65YLEbHa7+yOHJywNDOwbEPFQ5IuYTUaV8++riXGJ4WQrLfYEnvui0pFnofETgJh1Kw52iLS7RVTTZ3b6lXlLPFkXURcrv03p44lZqe0Sdovr0914zcXtvs3Yq/b5HV4ad0Wuy2RTOsHj3Drr9mW027Reqq4k8DTaonl4TxnOoDFA5upfK2Z9CZ4Nkk0Y3HyDlczErhk64FkHZVoFuCEWGwsLSu9pHBfxeauQuB/suJ2BitGKol1BBWAAyV42YRAJCU7CS/UQa7rN5vOLLNdsTy7iWosJxtctZUIn4lQrijjRQ5/eSo+978kBDfZ1pJbhtxuGF1vQ87HesFFYktfISRFP4N9lCaug/7SW3z/7FwkETjvOa04uo8m0RJi6Yp0Ztsa2r8xx98DnPanEUl/Sbif6irjxHg5NLu/X4VpMdXHJPjdclVBmeJXJd9RJ5COKDWw0Kuho4evz/hSpGBVR2R4sdSiTuDmrMhy2jl4uoD9iOYrAeJ6d9exGNQEM1Ow1ib3RWPb9gKf5SSjtIfiRYnRBPoxrKIrc5dUp5HR0tet474xRK6zoMSFAfygVh9ZhsgAYH9y09//y6ymR+2sRmN5d4pI/KM+JcSe8rnA0U27LtSy+78KDQW0Ph4oubChPNG1/l6rA0b60sp/bH1xWvu0U/LgyiwU01foE6j1eW0m+V/FSSwfLCNlPZWU3kwyF7PeLzxPddPX5ctRmO9jlz3uVOsO5bTLbrC/XgkwjngHfA+JvaZ82q6A+DG4rjND/Lvknt5rNEdFZgmwlsNthObymRTck92vDl1KY9S2Tp535GfS+IZ6i6wZ9gnRhklcXLwrQjb5dSWS8Y2kv2ROM9oTOBDjNxXsFQC8vITWSHwbJHYXBlvpNLnzdw8cUjzrjlk43fojQMRPZeQp/Uh2zummBcGDoRcI44+ANLrETvSkpDFN7WCsqy+Pu4wy6fM2dO3YNF1CXMvBMJ/Cr1wY9RvJfjbEJk+0r2x3f43RP9J1tJJO85att+Q6TinM7xWqq8fnazsemAK5eT2/up7VuKfrc8b6MBeKQfaQkon3xd6wt0dh/Z76Pz000VCdP8Yw4gssVuW0527KP2vdQukSD/qa1b0D3JODz0VhMg4AWD/ZBssgb9SCWdomy3JJYEB7WePTBr1hDJx4Fdx1Bfo7yt6K+awCaOkeinOreSyv88kp95lnokzmWEqisC9nb1xlMwWYCyVqoT5Rfxp35svpdLnh56GRFOTj2P8mxNVG8ioQEStcOs29W1S0cagKFeEwn8BJWP5WiXBv0jnclXCs2pK3FrzaJ02ui12B2w5ZISOyPeZPvXPK7+2GmpnO8RVqbHjCWyflWB2oGo3RFhUZjEiVa7PP5b4RARcnT1TCJLLxELHZHMoWOEG1HgKXKDQgQPBg1/r+SvmsB9VMCp0VpKI4S73LQ6MzotbE8esy9Vqs9SBcyPROYgIJso8FRQ/rEzyGYvZRaNXH7uc3VZPbZDOj1ddV2eOJ8K6TbNYKHj93KJnpEIZyVBXDCbRoVkg81jD+az8VPnbN0yQkXYE/RPBbnEGhS6SuHTSHqzTflZrbzg+x4UVktb52fVe/x049Fkr60+XBVoY1M2V7/rmKpXbzkXs67Z2H+cVuOYUE3dGGhr2xNv9FMH/DiVxc0o45XCgVAeDlZM6giojH+t/YAD6h5Vb0+8nFUz1BbcRm2B2GYAG5QKCAgRznU0OLkWy7Oht61CcOZ7Ts5ztmaw06wsNJIfoE54mX9Q28Wht6qYM2v6W3HyP8iqG6J2qJIsI8JZaMvOW3rFhw8MvTa8cvnljd4k8/fLQcoq+IG+0Qjy0skqbndremg2LZ9u/CzZdcVgmd4yjFoCncgP8cm1tdT5z/OzjZ/vUhriofohCMI50fwbdTLCD/zjE+TLPqDtD5UIZ3tDw55+JvZeT2dziASuFu5Dv/VK5Ifya3PRYM/neep9ofoGb1JuhptVesVNIeQG6cAjEJ6ReCE/iZ8QOhPoaGbnYuULnV2pfvhBO0dhvGxPNM+dM316zbazOzP2KpcrmyJ7o49ysvEN7vjs+aETAXv6Ie+nsIpLwraoPMzRCMqy+Dzu8MsGBgbqXYZs6E6PO9bLqn8jIvgK/I/W9oN+tIECDaKpzerqbkleUUq+FhsJC7OEpH9xaMNh/vE/7ANbof+EvtLfxf8ceastJj0/68ko2VD1EAIinN1cvRXnKoLwxbpyifQ647Pf7jlu0ogz1QXMtHP1JfQh5XGKBHEvtCT6gkPaZpam2eGJD+YNtqpS+wJdlaTUDfQKO5naBuIez7o57eyBmdVnj7HCSfXnxmhFr1ygi8j+ehow/rK9rb6zJDbVBUr/q1G9KRU8lkKkcz71jR+kfrFqvMAxKNwrPTOxNLo6EhykYCVXFJrTH49WlQPiSsS/HoetseVrKBwSF6uRPP7/QKqF0goITHWmZ7IOIqhDthRcx0xsdkztD9gSIxxiHwd1wP8SIyUoryL4DZknIiT+1zaR8vVUgNdSYV9HndHGITchCRUZRlJJX7lEicMsD2Vwj83Z17GPixLyVdK9ApGv5K9UYChqPPoDgz3cmW7aocvoMH6Xvu9ESvsdBa5tqCt++OSJVW5G+fqS5oZR7U0rBypX0GZ8iPJuxKc8ywXuRSVGA6fHr0c6QrXbBQOzZ7+FyMQv0fiMtIRc6Xv4QTkqEgHzs8rPMVUfqh41MILr1pUDqeH4Ew1mNo10aAqC3xG+Y7CgK6N8KFRVN3po1OnpyYuIQC7qydUOD2UeDQp11MupzF9tT5/+hjy1itlN24xTA4fbJioPYJAODPo8g73clUu8p1YDNBIGCaf2Wq16A9v0UHiuqc3pu+yCmgS3fYrZRg3b071wX6anVJYOEs6XygmnP8m8YRmRslK32JIi4hCKKJN1yOAMpxp0t6SGZjhBOB3OlqNdLA1DlDUq72gzS6VInTZ0lbahwv4ksJnPlVf8zNhvLC/bEzdIOK17AtS90B8+aUDc7xw4/vflhHNg5sy32JnG06lT+Q/cRWFE4SF8Eb8wPghbpJPSEf0f+cOn+N9gTzrj04eGQQwSTl3pAaEZSvMg4Xy+CuH0YG+4LZclgjBpLwfjU6fUIp0h4dwY2RtEigjn+iqEs7C4rNxQRynSN5p8H5rhPOGIy+slnAsNdrhL9hKvrZHfyrYvC4vSMlhGXrc9BOFTm97lldjUJnLoZmN/BMGP3EZpFPpJ8H3Yl6/BJ/7H96V7zeEPeVsAocjGr/fKthmBcOa5eotYlaCyEvkrF+S725x83pnCh8pHJaB/o8HtD4hEr8NkViVdEFHmWhK9VQinWD2L3KI+i3TAfvQZ2TX6W5RxCqvURtCPwQ/Z9eVgQqbiBJZoO2nAFnBWqBVXrLxQn9JptyaGzepXQ0g4V0X1ZpiQHTEhUjDVF6huYcWp4haOEsK5BP0M/CLfiXAuB+GM9qri0Bi1WedROrtLbRDlO/ULL3RxNlUoLQP6ZyKbD6Fvhb0if/R3P5Wnx7r1cYNtLUa2rp74km8kxKh2KDElMphBIrM2UaPVQ0adSw3n321Tvc61tO+Rm6swc0T/X+uabDbIHnUSLxFJLGJfCBHZfiQgGvWU6y8XuBH72MgvdSAO6XkVlauS21JB/ClxGwtcfRAbnkUCdxCwnOVm2WmUCU8jrtVsVyoi7URMKWNu6zBT23yAqX/GjLe5k/gXbb7l/ZvVJMpL5IlnqovsjPplnNQOVW43FC+8MFZozdyznMhWpXhUExE/Esr3zdRhthf1+CcL79r6y9zFqNPQLqTyMK/efIIIdwb2MWnfmjvKAwAdiXFJW499kcL0C2b1hhciGnZ0vJjxprQSOd4ujwFsDTqwWd5Q/kB1eNjhMsSxtHzhbx8H8Szt/7yD27b61odqhBP6S8NDR0B5scqZnKNO/PUOpRTtbTP3zDenrqQB6trSBq9UTySjIZxCcqmgtyX1UJGrD9AA6MF6ZAnXHinq7LaulvRQA12JcGKQT2R6ddHSFvRY7PmixV6CFCw2L+BaB7WlPZQfNKAnm5e1gbALdciv+bnUJ2mQMrQyMVrC2d2mH4iZDdGphO4jP6IcUDtMuuxerj1Dbf+DDlf/RWl8gDrqJ6itXega6jLUV7GyhDhydaXN41/CHbxhENuVcMIvOlqXs2fyJjseHWXodRi2hXBiUIUtMNh6U+Qa0lsxn8ulQH1fH9lmyTFHnIZBdxhEVfiJhOVlYg+gf4zyKkojbE99xVrKG490zy1Qh04D5vuJgN0vbG+y+R5XFjtc24S8g+2pP9qYNxM/JOIliHi3YYyxdfX7VHZJX2m5GwzPMbTXKE9fonBmUz5/38lpszxTwSHUPwdcedm31DUiHqE/CEhL0VTXU//x7fa2tqGyVI1wwm+p/8H/1df88alvdNdoW91mY5qXjbeDpEX+y3VBkI56Cadtav0OlVcasDxFNh1enw02p0jlkcp6n6iXJf6gg8jUOqqDP8UZgDCIIaDNp3J/fSGnDeuLEbfS/0Hgg1yS+t7kdfUc9KpJOEPB8jXxnn+7Zur42RVmYOslnAD2b/uW8g0qD8tF3Q8FaQAxpzy/LeBjU6FzgRcyY/YlP78g9xtLyTZWwwIz2UG6zqU4DK5MLlQUnQrxE4MGfd1xJAhoMGC2jBrB2VR4L+3OqQeIk6plexow27GksXFvTLdTxKY7PP4R6kh/1GMo99H/WA5fi8qPil9eaCqJKEjhZ6XfS0UYAye1DXYPVfq69odsLYrZfTOBrn6KGrNFMHA98YOImSGuvkgkb5tmhgBsFg507WSvOXmv0FshvHJBPqIRp0bpFep87nHMxFn9ozzdWC+CQ6c1F1pST6xorl5RyiXKb3E4wVDutA31xNlt9d1eUA4sE1BDfCjZ+8e+wYrREkGlcMtFuOPqBt+I3xa0aLlQ5YiYixsUEspBjq5cR433iDPySC9IgZcl4q+rl82dyt4wsgmgPBCR7Cx9EYoGjJtBeGyqW5gdwHf4Dct3RCDmd47n7w69jxrVCCfFQ+wJjP6HndB40ff3L37P4RXzY5GVmeLq6gPU8A7LZyJCIExD/0PqJZzQ04u4TLBuXH7uiRmc5MQdqfVIJzXKGOwMNLz+6EUlwgniFLSkX7TbzHM7efyQPLWbeUs9Unxy7VQ3o36UyPa1RCyeJ79iq0Bp/ATp1Fneb+Z4qUq0KaMhnLgpgAjNT30iZuW6yXb9REbmU/25lgjI+yjPp3jWuAT2UC+iT8dU21BHHYN9jjq026lDW1gU5FR9qIN+C4MQ2J6EE4K4UruHQ33/7EyMwRPFW7Sn20I4RR1oTua9A9pm9Ewy4pXyuJIg3/HZPr3tXSO18ThkY+vKNb6uDttuI8ov2QZ79Lyc+msi+B8kUj+tu81It7fFVLe5UStaamuesxMcQ/k4tVU3F3R1XpEGLp7FnvRakhOgf6Bh1u62kTyD2lInIhqRfjGDxRN9vqH9zG5OHDVvYnrYPcs44U/15rjAUK+jctNXPmvXm9NoAKS1Oy3pk6J01pjh3EyD0/7of4SP9sNrTjzmjK88y3nvjBlvs7PsWip/66OwQ7v0Uzs0pAuCslAP4YR/lGkinI8SnzkCdkR5Rn7h086Mydpm/GBqiz9Naf6PGHSU+B0MS3vYm2QI+0ag9O/uG7H3ErHqwNaoobAo3ZRH62yqt9SeDcVZPL9tak4+lzotVFEV9RBOpF9sIaRBiNvCjqf4DCOd9H/dhBPoMGOcBhs3+dbgtqooHOGH+kWsOD8dHlZCn0dt08doYLICZSpyK3ibwVZ6hva1eemSslXIpk6jgrW0dOq8VAYD1BY7OXUWrksKvdUNzAR2cnHFyTkUUdwD+RzpW4fRWHkh3loR+xApU3GaK8jsuD2bYmk2xQ4nI1IlZL0oVFFBHElgR8+Ir+7m8S+XX98wGuDqkSW6egCl9yoiZu1UyDfWEwcUBrEUoqsLfV25erTvoY8GvRN0hcrUlTRK9EXlqhCfchkcPVEh5Wyer8e/5Kb22eoZYGyOp8HH5TR6fwSz5ILEloRVS+AOywJONvYfIl/vwVJJqLYmcHKYOoULqAzOoTSMuL0CDTLyo2DEXvL0pg+P9qqQ7Y1XWloaqYH+PQZtUSMjGlyurqS4/tXl7EVqrIdG74KcGGyTYyV/PNpriyKUE07opo5pc7eZ6COCu7g0z0QDZmo9eAoUS8ChCgG8uU8d0ZVk/6XwI4TiTnpedZozDn2/LtIDqZdwIo1LQIr2a/tx6GybUIlw9iEuE/gjLx97rBU62wIrxozZtysz9kQ3E7uHBotiNqs0jn423u+2pL7f8YEDRScwZxSE05mcO8zV407pIEPkg5nYTO3Ev510/DxvhP1m6HDzNAh3dJUGLOyHbnNqiy0o20o44V6koeQ7zPiiTFL8/07t2Rb38W4L4RQzqC3phd1VBjjbA7hqyskq3aXtEz5F/ePqItdIXVLPAcklNBDCkmrRSn7Hbs1cFH7d8KJixAMilNQeDZt1w2ohtYvL6e9vFKeosdB5RfROiCtEiq+i/FhZSiiQD9T3rKU8+H57uMpRiXCiTXdzSeorNZvakHVR/iE+9N1KL5f+3IuTttzL2ZXTjqG+qhOzd0NxR/6YyZfy8Bd9RwKdoyCcaGP+1TG++gqjIFEWu4Js+lppfAcJV+J5myeGDbIxEKV6+StKz4YoXgiT6tAyIpz3ODr7N5bkS+OLeuDkUn+0J2dqbp+qRjjB16K4RTrBpyhP5ji5xNGls/6jJZyAbSYOpoHok2KlOQwDaRvspzWHONA5A8SHvGzsBHInDnJHaYduHPL1eeJ35bOhDdRp/IAMta4S4YRHGNGxlF8uaG7epv2GgIdOWW86wubx7zqW2h5QY4GIloc7GoFBipytok7lt8WyUfX2RHuGRpameimN9J8hY68XjUKdEmWUa8Qf7myLmaHKUcNPNFlUCT9ZxHUvfHALRGmhqyZw44tTrvG/+enYmcvH7hhyg+se3JxyNpGWmzxTdamB2BwVwmqCuC1pFi8araEK/mcnrZy8tU9LYnbdTSmneIZ6G8VhSbQnqlK41UTMWHN1bT6rfsU7+OC6Zn+7kmMnkJ/vUZgu9j6OlCcBVfolGJFmlflect8P4KqSUNUbBmogzqIOwREz4GE8RTo4e8ber20GjXa/To3ZitLZBqTV0RXfm9IyPVQzKpQTTlFOTbbBHc8f9CY130Sd7lBHiU/qLDZiqa9zv7ZhdahjSlsbEV8ixVTeqEOBW+oABtxW45ng8P1/a1P7EOmBjGaGsw+d3HjrJoSJkT+2wlSXGA8OaGmsdoVTNcIZTOSPtx99+IhtF/YhE7l6rrRxxyfZjGzDHvKnGIK0vvjii3vVQzjxaASRw29Qm7LFTAa1p35gKBdiyxXc1ondMHCqdGp2WwknZouoPdkEAlOal0gXlcvNnq7+jcjWsKtbtn2GM5Xv2L/l5EVW2qic34PikuDuxo6SLQQjQXTWaeWzRSr/pbZH3tJA9xW3NXXlnMzr2yTqAe4XLT2IQ3k4jQbvj2DWP9IPe1HaNlN/cEvHFLMm2YyAa9Io724lIjnUnov8w9/NifsWtVni6i+cUi8nnJS+AX+88Yw3PnuDxxXRvkT+B+OlPZgfnx12Bd+Lk47bi/rKn5fObgoCZ6gFZ7L1WSJxHaW8AWkaDeF0TfZA9wgrV9251OHUtg09piLiS3EJLG1enidLy+tudkY90TNYV6lbInP0mXyKBoLHeVn1M2SHYTeiYCKGykzBa0m+P9RTEZUIJxFZnKAX5LaUt4nZVY4HW7T7cAAoVLFVhBMY3DKodYvDrFEYELIhxel+anM+jBVlqpdDqyP4xF5hIuYPFNMV+Bg16n8mBcOWaiLBiMbm6hIvw+o+xl8vcK8TVazfUqHrixIzWkGcqVHt9fXYVTvqBSFcWOxlm6YTMb+RwlolliLK4jGSoMBThq/xdPZhzAaEqusG9tbls8rZBZPdS4XpNdFQl4VRTcSo1NRezWe1n3nJrSe71TDQMPMtPc2ZLMXvfZQft1Ecl+GQR6XyVElQ9qjx6MRhmaK676jfagfQeHdytn+gq9/xdM1FZ1HaiNcrsClmHd107Fn7oMlbnMIsB7Y1oG54lvrPwFTrGoTAzWLMbhrqIie97wdITc1lt52BDjxWYKizxQx4GE/RsBjUweS0b7143nF7FVvSU4nIv1hOdnASmtqI3xJ5GXX9q0g4OYU5ufku55gjzqT2obvUpoNxo4FMW+qCaK/S3Ouu26N7auuHKS69aAjhThx44mx1z7TxP/SPOfzjeUNdXVoeR7OHE2TONROB35x+mDqqORRGRcFSW9FQH1o2tfWjA9ddV3FrxLYSTsBtznydBlKvRbNNIp8o3USk5ncbMbGVaG6h8M56COd8Isduatw9pYMk2NsjQpI31b90HD6lLkJSD7aFcIoygJfqdPUJO4v9hhTfMP2RLrQ5TnPyLudAc8iO23RoaPDv16gTn0vE4IHSvC6XAtceJtJ7Q/DuaXUfbHQvPXcs/FB5H9ZZU13od3OJhxdOn7rV+9YjuK2cCIPaUVqHMEFDaepzWtMfDJ3VhaA5eSGR1MWlxAd/22ZiXidPzoAb7/iDx5UTzh4QzonWw/a0tgupPt8tltJD/6JMWtrqQpt+xUDJ4S+bJ44qGsrzaMcjd4NlVPutc/whhxLhnI9rgaJ4iN9HQTjRXi/MKXrobAuAuNt6/MsOV4b2ssMv/i6abG639fr5ENygQ2X156VbeUR/b7E1QWvyR/b0zNvxiiCV/edw3dBQnOlvsafWTPwRK4Khui1QTjgRBhHHzd1U5vJG4gmyZ39p/uJ3arM2EVm/07YGVzGxSrc1hBOwDfYJakeWYVY8Sh+2PFHZXUttbC/JWkHi6Xv8LmxtsEU9XME2ly1BHv5EJKYy4SRxDLbM0dXzQufbBSBdHhHEwNDOIZb8byxhloc9kiBxuB+M4vckTliWvx6xrcAsm8Ob9qdR1VepUVgIW5RmbL2CeMJvXo+3F/fL1k2oUAjETf2ZpnNoZHinRxmLu70q5VMtweiEiETBs1jNkdRogGu0sIfXzyYOCrh2OVW2e6mBXr+0OTVY4OoUn+JG9u100rGzQtWjAl5hwL4yl6c+RXb+Nxql0ooxWhH5q6uraHR9ZRhERWBLhJ2JH+zr8e9T2nth43ryBfoDnuinEe/zXjJ+RqjuDQcRsguocV2MziiKqxhsZpTOjmSTmL1snzlzz26u/Ig6jfUoz5E7kd96rK+7JX0y1etRkedKhBMkqXtS7u45Z51lejz5K8xyRraF/agebPRN9bbuqW1p6HAPP9wgwnYn/EX5Prh1RJkXTN//ZP/Yw6nTUdeU5s9oDw0hfugscJ9jNVnenBTXLS2b2vaj5dddV3EFYXsQzsIhk0+nNrsolnxDHRCHx21/gn4S3IxMOC8ThLPnrFP07mzjC8KuoTvMKFE9WuOZ6qxqM7Vbg20hnLA/5fvKIKt+LZ+KnU/9kTgAWJqnSAP2+bqWdnNfGxcD6+7MmK9vNeEkQRxxd2Kl/I4E9yOuJHEs1pk/av+he11HQsf0iUmHq3+lzro/sr3IB1PbGExt/VHobKsxMHvmW3rb9HOJIHmlbTK2suWb0+3OtOaaJ8TL4bbqx1Jf/VLp0jDyx7E0u6tlsG+huji2EuG0J/DHF5FtfGpXqb1fgXQO6aD4OC3Jx/ITs4Ks4xCSo8e/A5IVzW4K9yYrUlt7invKCePRZ+A0fqQD5WA0ezip/jztmOqZxebUtB4reSCl4yCPPqkvO6SQZSfQwPpbHtf6SusFPjG7XrSS91DdGtpaSG3kUdQ/+9EAEIJ+qGCp7d3NmngWem5Dwx5uJv4JGpAOTUpAH26hoPzupgHeOdXaznLCibT2UVtjt6a+EVjpY0nnE+UTPLAbhdOP22fwQhP0ULvzsa0hnO7EMWOJ//yc4iAOLkZhIP4IJ7KPCJeEiDYN/NXLOhqqvDpGEfkFJVpcgxB5jGRwn4A4iHM7noILvWwVcMAIT2R5evJAzPRRAm4g3V1EVDZEhxFGK0gsVVrcCTjPMZQfBGnlZDeV4qXPyY0GeO6rUxub6rW0Yx1D+xpl0BNoAJBJpYYdjQwWLOq89fiDs6e/fqKvEkDksGeHCNihlKZP+IZyl8+VJTilV5rZoxGMpMjOmwODPVTQ2XFba5u5jL2zU9NSTlo7NNCVi1yeoEKYeD6w2Do0ylsTPywtU+fRRQ3MB+qNF/IIr/44RvwYz9C+QuX2MddIbBRLFBXCGI2gwnRn1IW906ZtsVcZDUIXld+imZyOzpgqIU6Nigazkq5ygX1ogISlvyfzqcZTQ7VvODB7bmdj92A2AQMAxBVlpsAZEeP4d0pfsihOMHApeHvpvirYnOzR71rq9c7+9b+gAVQjnPZE66/3E2nrakmeQQS3a5BIhHWJ/qYy4wUTzZkgRM5Bk89DQ4oZhsjO1F6t83TlV93nHK24Rx54frehDp1ch4yWcKIdRBsAQcNfSTDo6CW9PUQWdiThdCeYx3VR+iMyFonN43lnlIRzyVmnNlN7sxD2j/ITcSPCvtrOjP003GwvbCvhdA22OkirX5uXnji2O5c+zzFYN0h36Uwn8p7q5asFg13bzVi6K73vV0jP+m0hnPBbK9/R7oB4Oi2Jhd7RU4fK00hwlDG6rTf9g8IZIpyDHba2zj+w7erQ2VYD/S2RkQuoHheG2mZKH8qpPUF/sXjs9Gmh07pAhOxIW2f/Li13IeF0uyckxIRUJcKJJXVvvPFk8cQjWxfmMi002H4c/WGU5sF2kW2wW5KXieu5iPRR3X0ymjEcbF+0zU4u8Ufc41g8dUYbDULz6BOjeMBNvYRT+DG0V8jO/6H2+N9UBudC6O+51M7gZogiiGVEdiN/IOr0+wo7l/pUdFj6ybbkOIfamR7r9UOJwtY0KC4YynXzW7RGERGCnWEtvq49VnqmQdRNM7HBNxM3YEtG6HQYKhHOxbkU2T37HcwK91rxMwpcfQkkl/JoSDfKOtl1vUfx8I2ERXn/UYqbuAcXvyOe9RBOAE9A02ABS+dDg/9ywfe+yV4NuPojbD8MvW4JX1fPo1HhUKaUCyLm88Sr1Ijf5JrKKdgEWs+759RBvwUHKRal40Y+2zS9yNnF1Fn8zMdBDq4tLua2bTYqEiS0hxi/GClytogasNuoEmCfxwmYIcTLMtXii2U5nKDCiy44FYpXjojAXu+Z7EUa4azHnVzVDBwJMrYWIcX3sKHDlfkLc+nDykcyIHIvUWHzs+MOCvB8mDgRyp6iSoaXI4T+SnpHI6IwcG0D6X7SNuOfJP1TO0w1NrdhatVL1DGLRyQwkc8mJrs8fiqRu8/6OruB7PsklYXFmF1GJRjJPiMJEVYU1HaPxz8tnsUie4RRGAJshFOE1BgcSna5jAr+b6jjfp7+fg0dwkhxQB7AXa2yht9QB/JGfEFx2pQDcI/mXGPsmEVWMoH7XDHLT5XpJ9RQPSvCNetLOwZTYu8P5SXVtceDbCOeEht2u8MbhVnUOHvN2oXUoBWGdyTUmOvKXGqshp3GBBwzO4vKz+rSRpzsMUANUqdtJc8obfBHQnXCmbvHHhh4u39gIkll7UYa/A0tO6IuUXibvBy7oe/4d0/2JhqzC8bgZe0i7iAx2XhXt66I2QVv+kEXbhPhJH3UZq2j/FtRyGnLqWFfUUnIZiuKXF3eN63t6qU/+UnF5+a2B+EM9m99H+no3YJw6koXrgiCm3oJ54oTTsja6aa5sH9kPwwCqa1Yb3P2/dmjuLh8JGwz4aQyR/6vRud43cUX74GXv1w9nkfbW5q3gsxwdSkN7L6Tz8R+S+REtBFCD32OhnBSn4K9jqsof6vmOw3UVvTiEEtz6inn6P3rvvfZPXQ/zTHVu6ktGzbDScRjkzc+c13obKsxm8ib16x/oHyGU8wMtqQWeNMmjGrftW0k3kN9wPwKM5xd+ebETLipRTj9w/ebJNzosasDztZG5SDS4+W0R90JqWmeeOBFpToy+BvyNjCYTyTxQ2g3e0559/itJZyRwN4IH2WnXBBulB9ou6EbK4uUNzh4eP2C5tcvvLetxIk0IO4tJafiaipTW4CT/6GzIVCZvIy4xUrkcxSPwXSyTjeXOpucbDHLWY1w2rnMNeL3hoa3iwkg0oH4R3GHoNwHObaG/v6NbWo/pbJGcR3UgzjUSzjJ7rtT3TuF+v8XKPyh8hqJ+N9km4mQ3+Un4iKfq4I6+BbqyOeVjjrKlSGRYLekdFHBjP/RN5QvdGa19znpxqPxkg82qOLTMWKH4dSSbWjnUKH4VGCqPymY7G7bUNspE5ZgJIPlLnTAlcLaFhGFjkgARieOmVhFDeYiIqD30gjv59RYfZHI5EXYB9nJ2emYTsfzfd269ikilj8iwnO3TaSH0reM0rlZNLpl+ssF8cdocbDB0Proc321NInvsW3BVP9BxPNjeR4/rcuKvbdbb7rI5cpV1KjdTPZ6htz0Uvw3ooKUbgauJtCLgogDKKXLnJUkzEOqROoySvPjZJdfUWf+uXw29kE3Gz/VTqozunTlpC6j6RwatV3u6MnvULm42ebq447JbLLlK+SvP4rbSPaBwE09+UwNNwg52Z7dR/H6OvIGcbEzyTMoLh/Gd0VLIRuxF4gAkLvEZux/qScOqHRi4IBZG4ttrOQmEqGPK6/5PP5XKhPfJLmmYGg34dow11B7iLAPlt8yf7UEFRwzwESKnnbSTbhCZJcgm0DnEdNSfi5xq0d2iWaKRJ4Z6mYiNb/oak5OxEGYdp40IXj+zJ6cOz1vKAuQZ1EaMQNJjeJ6que/dvdr1kL1I6IG4fyb53nvwIAQe82onIpZhyg87AOjcum6zdlb6f++aHZTLCVxbZOdif+he6ohZhm3lXAWONqT9GPFieYnCxb7ONXhT1aSIj519ZOL95t45MDs2RUHuNtKOGcNDOzutGZ/RDZaG9kM9UvUMa6+iBlouKt3D6c7ceJYIgB/FrPboTvoItKDJewH3cMnbrenVbcX4cRTh3BTmEqD0HTsck9nvtiXGLqFBHhogQbFmAkne6+PZu5HQzhhD+pDFlO9+D7pu7xSnkdCA9FPkbsP9h49oe4nd5dffPEYHHSlsjs0mEIaRFpNNrdjf3Ob72kOzPTJVC87orICgU2p/qywx+uXhc7qQrfF8K4+EezXdYEsObnE8274mtbKk2oQzsOmiINBdkabQgPZ5/BsbpRnSD/yier0zUTKnqB+ajPao/D3ftdM/ilaYe056bgJ24NwQj/a8XKBLvT/IG/YLiEu0je1gmMmf1i6ytsxRY0Rp/h9X8nspvBL8aWB39+6WpITonYTsjCt6N167CzK8+cwWTPMD/X59Pf13RX2ctYinLPDe14Ht/8pVxCZ7VvaPJx0oq8msvkq2SHoMhOvufS/+J6kXsIJ2JmGt3u6djm1w8OuyEJY0EX1c56rs+NATkMvlYEZJT+b+KFvvX4dSiWJFItXU7Avg+NtTNWnwrvAt9hCfFLH1eFyrZcKzxoqNP0o3GgM4K+kANUlcIsCjeU7FJh6/cJdmImChInRExoSU93oGOo6ivcqittr9PdG+rsfrxph1IYw6okjfodb6CXy0WNn49d6VvIzLo3CapG+QX9ErEDcufYKEdzV1EGTzTVx1594XalOGyF9CAtExuMJGs0zIkRECum7WtsT8DsagsH4Uz6arJ/isIEKy0pH1/qIWC6lSr+OSEC/T+QdaRw8gEOErc64wQ0qLGavEcco7yu5LRX4Q34jbZQvG0iWOQblFcddYGQjKnejySNUNLEMwtk6V9fmOFnlB91mvA/6K/mJZDAeRAIoTKQdeQNbwd9I4ZYLKiYarIAaGS8ZG9apvtFAw+xNNN5P9b6rlDwijVQ2cRr4Bfr+PuoQ/0HEQAjVqX+QXf7lcLUXg5fIHvgU9uHqQqdFw17OumY5axFOXO0DN/n99stQg/8XGrwOtz/lC9ohqktiIIXvxPvCXHHyzdkhW28L4YSfxRSOO6X52tDZNqEG4Xxs3vTpLaGzqqBOZoZvqJ2ol5F/2ASDIGrj7lp69MHi5Zd6T6ljb1nQmvmyx5Vh90CKOmsoS8nPF7G6ALf1AluCgpKlxAjbm3AC3WPHjvEzyhepDCzBfrgo/pF+fJa2h6MhnKjzTku6wzvm4O36AlsEvJBkm4lPFgxl2N44pJXK9Voq3z8Y6cqccrxCdl9Zcp9m3opNJtL9EPqWSD/KweAsZeof/oFmxWXccrzcalg2V/6Jt+yjZVtR7vDZkvyrM2XwoFalQ0MR4QymHyBOsgO2Pu7Lnqm+FpWFSKhvpD5aw20E4n9RdtG/5ZIfxlVF8Nv7nmMmbgvhRHkAH8AgmQhXRfHQjpjaKkrvyzRwuZ3k/aW39FD7thsmjWiAWSwlX4gHZsWpH+2gOvm3qN2E0P/3Bpw9TOU4iNIXCTgO5bdjt2S22Ndfi3CWPiyAO5wxEVjkbFkvpSHSTekduv/THvxf/I0yR2mtm3ACXYYRt3XtOeiP6tfr5Snx80qrkxWBmUkaVT0rRraholoCN+jQYQTM8kWC/Qmo1PgNburRVS5IQEQ8iBAVi1z9D2XUSpCXeohLuUTxgD74R9wiEiTCIKnkr1zgDh2FqGQGW+4Z6v22rlyEzbHBeJ7CfkZB4kr8VBKEKWZiKNPqIU+lIvziE/lksuUFU33ISyuXd6TVNirkn6Pvhm3IriUIFzJoEywlDOYdGorR2CUS+BFP8aFxM9kGjKx9PfF7mwgKVbL1pZW+log4kQgbbUUewR/KCjUq62lETqOu+Hcdso+dYy15Q/UGlzBGFugarQ1KBflAZK3fz6rP2Mmx4hTnrgSPyInXnPk9EcuKBwZRl3Fpf7ngyUaUl3L30EH1FPuRftZh1nfdSi3CicvL4QYdSGGy/oECjw8tRUVSmj+iAeVsk20qv+//ycdef+FmexDOSa07lnBO4o8unD51C8KJjq29oW3PF3A5tT7uTC8bE3vbohk7iGgPaODq6uqnoiuMRnPxuzdZPzCvx+zSQQdElH+D5XGli5NW9KjDrwRcgxRoWs7Pxs4nongTDRY/vcVdqTuAcALd8bhCg8rvE0lbVWrXSjIqwom/W9OLvGOO3CGEE/AnWQc5mXiXaK/CcEU8xf/aCiJbV2ObUUdD9euWQBaQPwUiRVQOfotygHKD316YPHlf12DXeDrbVFpmBvsxbW2eK7/EXlehqAqcdFonHT+nsrMR9ot0iHIl6i67qq9t8Bq7SvdwViKcbirGHUN9SCw/h/ogosyV/C/ywEze61qvH9LxZxw9aVsIJ14asg3Fd7LKLbaRuDavJ35RKvium8e/R7b5GKXtiNI97BHwMp9vxH9L9aviC38o45XaTuz1LSWokSD+RezLzCVvWD51+MtL9RJOAIdobZ1hxXQ5iHN5OKUi2stREs4FeKjAYM+AYEbpRnzEvtSW1PfrfrhEXP1jYi8XW1h++m9nCQozIh6SqYJvsHt8S73EteLHEnP/ZsC1/9DIYBMaoZ0ZPxgWFRThEqlcVaARI42qvwASE5qvASPRoDl5I9lw2EzB9hIQL0zxQzd1AgVqQP7ucPUznVwZH0aBCqaSpUbhemqoNkWFc2cIKhBGaKLzMLWVlG/PBEb8Z7YRP0O8J55LHkAN4aM9fMfmW5RHNDJdQ+E9j/2Wbjp+bL85eFrOnTbRcJuTi9C4V/K/PUXkE+6EzKqP2snYLkc2geKk5jMdK9UhBghhvKOyjnoY7WmqJaVlHX5FR2mwRX5zpvKVGGWoh3ACi4/Yn/nN6T/jeb5KDTy+EzNShtrl7dc2zN7bQjiht5fi47Vk7vCnH3hwV6pxWj6rHFSP4BYDOxObUtphVSKcRYqL35J62WnLfszRtZMdvPZkJs7EJw2OPkid66ccM/57z1JdrNqUpkOkG/mnK4/3TOZDbcGoCOfBZ72DBh0/JEI37DnTwfyk9pji6+nqbE9XrsDLZnYifnC3Hp9kZ5r2y2fV6Zj9IbvPcrnyd9K/bAVmh7LKs76uD9vLtaMIJ4C2L8hpvyqY2Bv4ehrKZTSEEwTcziW8/Hj+QbLd5Ep5XEk6KN/x2XPcIfGBgdq3NuCJRCfb9G0MGMoHwsgvsu2rXjb+V5BISv9pdkY7JE9xIdIE2x/p6+qZBUP5nGtodxbMRM8K0mHr6jwalAzdR4r+k3TMx2pYpBuzXKIMmtprHgYIGXZGPqs1F3KsCfeo4gaSzpQyPsgq7wsMNjuwtDXl7SZetqH2fi7Zfqiu10s4AeofPuGZ6spqfVVYXtf7VvojpYOXbSGcKHMO5bHN2f3RC3Ig57g2KBLhsQawekN1+3SfK4tEHpXohk0rtZOVBH16FH+IIG1momiX3cs5GsIJtGfeqTp4fIFrK0uJdrmgro+WcILnEOF8tgrh/EGlJz+rAnfx4WCPb7F2KIRRIqXbW6JpXUS2l5g/ZkeJlW+kCtBJn7e6hvrRUkK3lBqZAlU4avx+Rx25eJkBG3lrGXRbBRkCQ2IURoV0GZHNB4Ks9jU3pU6jQjdsjxZu9fes5PuJ7Njb4yAUBDpQyBaTfUhvv2+y7gJX/9hrxD/alVQmUBy2KGxua2q8aym4L3TNsBcatrNEhQxXxVB+bfYNzabG7y7Kny9RRTzKLXnKiuL5VnRKRJLb0cHAb5T/2ypRPERjiovjOXuGRvrXFPRxx81Ljxn2VNuSi07dmzqaO1Bm4K+Svu0hg7OyYmbzUT/RdGK1d57fSLxyzOmNhZzxO+owhm2jcbCVgmuricQsHUkKpoZ35oftiYVdadC6kTqxH9bzJny9hBNwp+RO83h8SaU6j+88Q91A9fRX7TNnDvO3rXs4sfRGg7sCdfKP2Vx7lOL7eD1CdniKyv1sd6S31AXJ0dZSXXXp/05scYiEOgQfS3sFa/A2hNL6jPSgnXZ5Iu82p2eWdsqjIZxA0JrZjzq1B3CAr7Q8QDCgLBBpoHKB/J5v6+wJSsP91JHPoY773+TGxbYVbHlBusRKFFdXUH58rfTmiR1JOAF/SqvlGfE/FA1lXbVB5WgIJ+LXzdU13SZ7gfL+kUp5XEm6Dcp3Kie9Jxxx2sDAyG+pezxmetnYPdS/bS6f/UJbgu0S1Latci22yDbZE1SuHiBC8RCVRRxe7CZyuRorS2ILEwnlxXoioD+NbC+ucDNiXygY6ipMJpXqH2wL0X6zTsfQ7qIBxY9J37d8S8XB1b9ROmz6fQtyJLZyicMv2qd7SkjGaAinpycnUhl5SJSXEt2RoGw7zYn7O8YP38u6XQinye7vak1UfdmrFvoyMdU31WupPx52sw/p7Q+49iqV6YrtZST4nQYzqEtDrxJFaYBdbUu7A6++hcGNmnACOKjt6OxXVGdpoPB6W1MqbzjhBDDTSZX6FGoo76AKsGpZ8/YlntCDSgWyuIIkvGpgCVWQhwIj/u18Nn5qJ9dS1TppqjwaEYoziL3/lgzWiYKE+++Q4O0RRxgP6V0Gnfjf1AKq4Hd6XLkcp7VrvQiDK3NohHKNR53H1sYHftBoY+PvUvxPnT8V5GdolPl/fYb63gIbm8bVSWGQFYHRvqer36UGI1iynfIvyjcMDLA0gIpBDVMflZOHiGh+39cTZ2KZBM9uhtEYBjRKXiZ+LsXruWj7xdbGKbIR8ggXqFNjvMzhyv2u3vQl14gdviIzptq+p938KeZZ1Ln3bq/yUi5YakaZprL8TDEzdsZIefVGoTB1wumumXR6SzpYdCyOoThkn+9RPcCNEpdSHl9WSfAbtQ8fsw31H66lDj1XJ2xA4mWb8nZLZsQnZkdDOAvTpzb5bdk/4iqq0rwT5UEQFzbfn2i8J3Q+hG0lnBgciTAiofytR9AuUYda6G7RjwuDqEg4IYNlenCAOVxCe5a4heA30T5xttBtzXy0cPJwcj9awolrXnCgjQYKT/aaWy77IXx8JwglfaLDed0WW850i3ib6nO4SicMYocTTiDINjb76dgtRYOtR9yiOEUyGsIJQd4jbYPprE9Q//HZc9xhlw/Uecrf4bFDfV3BPj/yu2XZQLxhN+gVe8pJBsMbzKvS8oGDLgUz4Tnj9ZND9Q3zW5oYEefvB1x9FXvKS92jXCAvETblxQaq32uwSoYZXjHDXeYWy8JFzlYgL3rLnt0cDeF8kgixratfpnxdUZ5mQXCp7/NaMu/HafvQi8D2IJzUZzyQb9bqvqS/FMQHTnC5shBhQh9EbI0ziZwb7JrebOKS8vayTD5Kcqmrq38RNif/UTrQL/lmoojJqzC4rSKcAOoCtT+3Udr7I7+lgnL9hhPOCHjMvpCNfSzgyj+JyS/DyAinyrBZFJkn9v2FgQ0ZvURQYND5wi0aHxAU+A+n4TdTIQxoNPCIzeM/IcJyHu6oqjRjVw245D3fjIynztHUHqc4roQRojBQgbBHcnC26XUZHs/ByiSIFH0uIQmXZFdSp/Y0VYafOLp6ppOu/25B7KUh2/yAOoJlqJjRgSnYIgpfxAHfI24ksBHsKuJO7ohkrif7LCBydpujK1fg8vkOs/4n0wDxckxOO5vCuge2QSMI8olGSsQHcQjjMtwmg3HC73ALYohZzHBT82Y0ZJ6pPogZLOwZCrJaMw4ehMHWBAYRflo5mnT8ESO8pRQf8eJOGKYQ+rs8PogL3CAOgzYiNzila7J5bpb9rstQL6j3BaX+4ybtRX6/SSO/VUgX9EZlpDRckf5QUKmo4xnaeF1NEH9xMb+hvGwnmrYgPrsK3JNOGuu2Zm/FEjTSL8oAxV0sV5vshvbpbdXvUCsDbntwTSIGJTaE7XqI0NlZ5TdLDzSrkgMAhLObs7Wwc+S3SJ2VMzH393LCiY7EPWDC+6jDELOcUXgijwx1A9XnX75yzOszAxHsIw+8qFsfvHBZpJVkOcUvaMv+pwLh/P2KcNk+kqhMjFZQd5ys4jqt6WPCIEA4P0eEUywjloZRTYQu2JYkqgPiRgoshWaVv3u55OmVnl8dJJzm30DOo3TjkwjHgHNA2x/KCSeAlYggPe5YTxevmW1GXSu180iCehT1E1S/NmJLFAaAoXpBOIns9UWDPVFOiDi5hvZiOeFc0Mw+QIOfAOmFW7TLDlfXUJq/WYtwAriWxc3GxYxhVK4igd3tbHxjvi17QehcAISTwuhZQgSgNL1RXo5GEKb4PO7wy+olnACW4X09fjteqEE7ErXVUVzQxkR/lwv2Z6IOwvZEZnCTyBOdE/lpoWoBPGPppZtmBbrqomwirxDP4XoGw6z0Pdwvxiy2peWJxH0ez1SHqocQEs5bsQ0F/S/84uJ3IpxPlRNOIG+NO4jI1KMoZyg/IiwS9OWulfqL3ZbZoi0C4XS44uCAYBQ/UbZbEovLCWeeJ87vNtirUTmAbnFgx2QPbg3h7DaMMeT/Z9FKAHSClDvUN5KNbn7BSopDe/XAzcaOp3ariBXMoXSQDQZvVEn8MUq7h8EXV1dH9Qa2WiL2e6Z/UItwAr6+7ySPK/8Cv0F5isKJ9FAerSw0p64cFeHU2b/FYDfUAzugvHrNyR9uNeGMgCtRiFxcSCTx1z2m+qhnsC6MSKjRxyn0jWSYzbiCAuJbWr+Hi60HT2Gvt3ESXLhlHo2IXqDGD0sBf7C5+mXbUN+LPSNhMNsEN6WMx+EdIme/IKJ3f8DZf2zOem1xil5bT/HBtROIZ/9gPBP9FFdc8bQ+T27IXW9gsvaiof3TNdi1+Wz8I9h7FaofNfDUFTWsH6GO826KTxeF8SrZIIoDZRBVFLIT2W8D2WgN2WgZ2XVRwWIPk7s/OFn1M35GebdbtiS8Nci3ZjNEyC7Jm+ofqaF4juzfQ+l9jWyC6fzNFJfQJiLvNtHIdgPFay25eYXiFVCj/RLZ5kGRbzQaJbuejun6UP1WAZf/5zm7OLDU2QWuIa+WOVxbR4R20+DyjWhIKI8oPmZUjrTF1IktoDL0kGupv+ky4p9AZ4arGkK1daNL2StO+fJF0vcs2XulKMcUXlQ2UH6pc0PZDSjtHWSLV/MjEE5UOnTuvqG+YCfGvTcMapeEO7ntQ9TY9C1Do4nySILZAuqIeoK2wcvUQ6cjomeSEe/myp+KFtuE2ysifVheDfQYbgQ4kYhM1X1RwXtPPoUGWK8J9yTibl4ig/kJ5n3lhBPoPmxq2mvTb6MGf1Mh9CM6N0NZ4E3InFFpz1xw5CEXUZu1Drqj+IFU9rTp85Ze9pGhl2EKF1/cVCDCuZJ+i9xti2CA5+mKG10ZA3SlYp+nsreij36r5KdcwvYUW43CdkJdUMDzgHr8U12JpqpLgrCdM8m8F7YUt0yQrkHbqv3uAeNvqkQ4IyyyxrUSWfxm0VCfJLstI/K5CeVbzKjRJ0jbkID80neUz9iOsc61mEf1+l+LsvGvYJ9n6Qy/PzH3Hg+Es3kwPsg/kIYiT7xgT+LD9t12E+EsGIqP3+EWp6OpLVpdGGGGM0IntvUY7BFqg4fKidBDYVOebHTLCGf3EQd/YImVKC5DHS5xvzUS1oPNoyWcgJNTdJfHvxxw7VFHV5cg74XthZTZ3Ry0PU6gexZbJ9praqs7ObvaNhMHt89s2+JqrkJDwzuDrHJ2YGh/8bkaENnbKGZVQ12DM9iDApKPQakgKpz6BUP1KQ/utFvU995b5c14PMdJ8f7jYrJjVN8wa+xN4E/bR04b9s49gKutfB77OtWJlX0l9vN5YrHXnDm3fHYTyB//7snUx+eX4iaR0A/C6mtN9AYHtZ5dSjhJz/lUZ1ZF7QvKAoVF9Up9MBgl4aR2bLcuQzvG1alchvogIOIFnrTdFu2CevaARsBeWbLpz1DGMZss9NEnJr6KXLOdXEI8PWqb7FzKq9WLw3qDtC5rTuG1qP8bmDnylo1FyXEHUjgPUR3aWNoGws40SFkxWsJJbcLcJeQ3qlfQicmjwvYgnBGw1C4uAMdyu65c7nPlKtuIX1sw2O8CU721SEKF/UYaXf2aMhQn2r7nGGh0tMvyZmImNjjjlDCMHKrc7hhomLoHhZdzjMaj89nY+XlT+RxVlO/6JruWOsTfUUN4S4GIF+JJ8ivXUK4hwvH5vKFd4FBBCsgvToSG6rYZhTaWxoXpNBqkeCg/ojhcDzsVuXqzn8XF5eqPqDLg2cyL7UzTiV16ciIuGg+9b1fgxQMijYfhWTiXiCM1HP9XNLXfUFxuEXlHhJIaoesCS/kx5e03qLG+kkjd+zszje+2LbV1aYWTetsKEE/fSBzdpWuXOrqGN9B/RQ3JTYgP5dnvqSxdR58/IBt+ifLpw/ksOwGHpAqsYVTXtFTCQFvbnp08cwjZ5OPU6P6IysPvi6J80CdXf2Jn4l+mcnsljVxvp7CXVSKZkaCzpXj2+7ryvJ+OnRkGsUtCvOSR0y6jzvwOIhS3oe5CerPxO8jeX3OO2H9ULwUBTkvipF5LvZ7sd3ukj+rZbX1cvdXLxN/fTrYOnW4Bd+ZJUwtc+T25F34p7/9YpA7LnWB8Yc6cOVs0ggPUifoTrBMpj36HuuxTOD26ckufmfzcooOtirMLPYcddBQ15FTnX09vUY/9ubeNf8+/5ENDpG3JZy/aO5hkXkpEGVcwCXfbIj00oKIByM+8luTQ5fl5rfHUwFB/W2qraiLqAWfX+9TOor11TfVSPGaBhzdCdVUB29lkQ9iSbPVH6EP6F5OtnGltl8+ZNatmB4NBAvaqe5xdQfnzC99if6WO7xlqK+dTnVg0JAZ7yTO0OUSQbnVM7dt5rpxdbW+cP96aXMjEfkVpf73cUb5Th/sdP5cYdsAIbVWv6F/U2XBHdryd0nFDjx6b+WSNbU0RQDq6Te3kHlO9juz4ermksH1dvcVryQ679Nw5fOphS63kL6hNujNyu7UCO1Pe39x7/JHHEeGsm4BEwErQokxsipOOfwSEhAj/XdQeP1lqe5uTkO2p33qU2u07Czz+fUdnH1iUUVtDNTVB7X3a0+PnBrp4qvavZO9nqGx10ODeJbLq0aeTN9RF1D89RQOWv3g4hEJEdalZ+xolnGJ2suzjNAC8s5gbLHfIY3+CeXX+kP0qPuvs8qapfYbyQ+EO9Z8+ifDOKhhGxdPzhZMPS6ONpnI5lFeibLckfxnsN+GQUsJZJN5BdeB6+j1qX26lgfWtxAW+7LQ0jaqtu27q1D1snjydBk13kr6oTiG+t/Waya/lR/FsdYS8pRxEPOTG0jpBZf52yp+biOh/EGmx8dwmj98QtRlIg2epd+Vz6Q/WS3Cp/BzeYym/oPIv6lMY99uWNGu/7cslZ8yu0UaXAqfQqUx8i3jCncKWoZ7lOe1WIt7njXYltm5gZinQ9m5ckGrUFmSULAR7L/GkEU664ZqEN3r/GkYk2DuIl4YQz5ezakbEUxubmqfHFYyUa82+bC+gUNiZMfviOUaE302VHXbCoZZ6l6O3J5AviI9NcYhs0pFIJHF/HmZV52zFrOG2AteqYA8sytBgfMaJ+OCEL+XRqGYJRgvY4iUKjwZFGeTR0nHmPn2x2LtcU7vUN9h8+qx49QVELE1gGU6Pt7tcPX+HVbjtBDyFhk3vmKWO8h6CZ/a8trZxAw2jfzu7Y4b5NjyPiYuNI30Qm2RePK6UX49TCu+sg9+Bt35L/UG6JhnxajOtGI17YV2CoPPEgKpa49szadJeqHOl+hemx+gLmlNax4zXr09C4477I8VvJW63VmAPvFJlT3999qBjXMM+IIzltqomLrVbaGdHO5MP28GGW+ockw1aWhpHM4uNF8lsa1xrtxE7vMtQ3yNO0gtRTnb1+LFumk1FXo80u4F886mewW0UH/y9uCXNymdY0B6UlymUkxcymX3RrofOakLcc0llvdzWeVXNlB50AbAH1qc2sN58GUnQliw49NChexu3Fli2DvSmHPZ42jw2A3bHTQGwPbWPx3bryoFYhcTBoNDLqIAJIEwodOtNR+Sz8dNAQp2s+kEaRJzTrTee4qRjh2ISp9LVQJWA/hT9bXkeY3l4gAhb6GwY0B9hL2jkB59eMkltUeX6DD3or8rzqpPzVKHsoCIuREfdf7HELfIGfcto+QlmW9FH9ZSEGelDmustl6XA3mlwk/K0wAZE6GJokzDZF2jasDYDcaA6M6o7Wl+kuJeHQwPFFLYn1ht39A/z002s1J4QikvWnZgeO9KtDBISEhXgZuIfpZG/jadFq5JNsd+G/s4y37fSF7eHd9FJSEhISEhISEhIVMXAnFlvDZpTH/K52osT3LVmNrF3x+NsVT6pfLZ9+nRJNiUkJCQkJCQkJGrjuqkNe7gTs6d5VmqhuGeujGSWkk2c8CNSuiyfVb6F1x1CFRISEhISEhISEhKVgf1CNlfe7XP2iI9rPEoIZrmAbDpcXe7q8e+5Y7b9JgEJCQkJCQkJCYn/AeAErWOof3E4G/byTrmI3wx1tWexX+KwSuhdQkJCQkJCQkJCojrsMWP2dU3tN47Jhr1GUy4gm4HJ1ruZ2Owenhp6t1pCQkJCQkJCQkKiKnAfoWsmrvY5exWEstpSOogoltI9Pf6Yl2w8IPQuISEhISEhISEhUR1zG6buYU8wL/RzCfH0ZyWiCQEJxfVIjq50dJjaKaF3CQkJCQkJCQkJieoYmNnwFpurM1xTnYc3iGudSMeTb56h2l3JcRfOruMpMQkJCQkJCQkJCYkG30pM9i3tLiKcm6vt2wTZFMvoptbnmexzHQ0Nu/QrQhISEhISEhISErsIXjmgpbHQnPihb2ivjHRIyOdslacrP8LTbKF3CQkJCQkJCQkJiZrYzTO0Cz3OigWzMtGEgIh6XNvsGepf7YzaGvqVkJCQkJCQkJCQqI2uCalpRDbnFols1tq36YtDQmwekc33hF4lJCQkJCQkJCQkaiOYNj7lWMnbA0vrr3a5e3RIyNfji21Tu7S9oWHP0LuEhISEhISEhIREdfRNb3uX05Ke5VraGhDKSmQTgkNCLo+vIcL5/XmHT5TPVkpISEhISEhISNSBgYHd7NbM6b7JFhVrXIEk9m2arN/RY3+Wz1ZKSEhISEhISEjUjZdbDcs11L/YJqt6BRK+F8vsuvq815o9MvQqISEhISEhISEhURs9k5S98tnkZ31dWVpt3ybEM7UBj7NeJ8s+1t7WJvdtSkhISEhISEhI1Acnxw5zDfWZgAhl9dlNkE1lrWuwGxc0Z7KhVwkJCQkJCQkJCYna6JgxYx/bSl3rcLau1ql0MbuZVV5wzdRxAw0Nu4XeJSQkJCQkJCQkJGrD308/089prjh5XkXE05V6fK3L2Rf/OWnSXqFXCQkJCQkJCQkJidroPmiCkjfZgyCUtQ4KFbHUnm78VzCep0KvEhISEhISEhISErUxa9as3f2WzCd9rr1W7c5NLKUXsHczGy94zdkTQq8SEhISEhISEhISI8ObNmmCY7CnxHJ5CcksFezpDAxlrZdV/m/OBdPfHnqVkJCQkJCQkJCQqA17+vS3O7nU5wNDXV7roBB+c4zYs3krcVDoVUJCQkJCQkJCQmJk5MdnJxdy7H7H1PprvSjkGmyVl41/9fHGhr1DrxISEhISEhISEhK1ca9pvi3IJS8PTLUH925WIpviGiSLftPVpzp57NDQq4SEhISEhISEhMTIcCdahptL/ck1tf5qy+m45N01tFVOVvnm0nEN+4ReJSQkJCQkJCQkJEZGfnz2eJcnXsbJdAhIJ5bPB2c1B8Ulwhlw9cVOrrw79CYhISEhISEhISFRHwIrNsU32Dc9i90TWGq7a7BlvpnYCOIpSGiOSKjONnq68sv2trZxoTcJCQkJCQkJCQmJ+jDQ0PDWlen0WN9IWHlLPdLNqhcEXPtuYGr3epx1+5a2xssovbaVPCP0IiEhISEhISEhIbH1mN3Q8JYCa3hn0VRjdkbbzzW1S91M7CdLpx+YDJ1ISEhISEhI7BQ0NPx/X2LLseYsRTwAAAAASUVORK5CYII=' width='250' height='auto' alt='Eli Lilly and Company' style='width: 250px; height: auto;' /><br><br>";
-  
-  // Company info - BLACK text for logo templates (9pt)
-  str += "<b><span style='font-size:9pt;color:#212121;'>Eli Lilly and Company</span></b><br>";
-  
-  // Location - check mapped location first
-  const mappedLocation = getLocationFromCode(user_info.officeLocation);
-  if (mappedLocation) {
-    str += "<span style='font-size:9pt;'>" + mappedLocation + "</span><br>";
-  } else if (is_valid_data(user_info.officeLocation)) {
-    str += "<span style='font-size:9pt;'>" + user_info.officeLocation + "</span><br>";
-  } else {
-    str += "<span style='font-size:9pt;'>Lilly Corporate Center, Indianapolis, IN 46285 USA</span><br>";
-  }
-  
-  str += "<a href='https://www.lilly.com'><span style='font-size:9pt;color:#0078a3;'>www.lilly.com</span></a><br><br>";
-  
-  // Confidentiality notice (9pt)
-  str += "<div style='border-top: 1px solid #E1251B; padding-top: 8px; margin-top: 8px;'>";
-  str += "<span style='font-size:9pt;color:#B6B8BA;font-style:italic;'>";
-  str += "CONFIDENTIALITY NOTICE: This email message (including all attachments) is for the sole use of the intended recipient(s) and may contain confidential information. Any unauthorized review, use, disclosure, copying or distribution is strictly prohibited. If you are not the intended recipient, please contact the sender by reply email and destroy all copies of the original message.";
-  str += "</span></div>";
-  
-  str += "</div>";
-  return str;
+  return phones;
 }
 
-// Template B: Employee Signature WITHOUT Logo
-function get_template_B_str(user_info) {
-  let str = "<div style='font-family: Arial, sans-serif; color: #212121;'>";
-  
-  // Name with pronouns (10pt)
-  str += "<b><span style='font-size:10pt;'>" + (user_info.name || '');
-  if (is_valid_data(user_info.pronoun)) {
-    str += " <span style='font-style: italic; font-weight: normal;'>(" + user_info.pronoun + ")</span>";
-  }
-  str += "</span></b><br>";
-  
-  // Pronunciation (9pt) - only if exists
-  if (is_valid_data(user_info.pronunciation)) {
-    str += "<span style='font-size:9pt;font-style:italic;'>pronounced: " + user_info.pronunciation + "</span><br>";
-  }
-  
-  // Add blank line after name/pronunciation section
-  str += "<br>";
-  
-  // Title and Department (9pt)
-  let titleParts = [];
-  if (is_valid_data(user_info.jobTitle)) titleParts.push(user_info.jobTitle);
-  if (is_valid_data(user_info.department)) titleParts.push(user_info.department);
-  if (titleParts.length > 0) {
-    str += "<span style='font-size:9pt;'>" + titleParts.join(", ") + "</span><br>";
+/**
+ * Gets the sign-off line shown above the name.
+ * user_info.signOff is "" (no sign-off), a SIGN_OFF_PRESETS key (translated with the signature)
+ * or "custom" (the user's own text in user_info.greeting). Replies skip the sign-off when
+ * user_info.signOffInReplies is false.
+ * @param {*} user_info Information details about the user
+ * @param {*} locale Locale code
+ * @param {*} options Optional render options - "composeType" is the draft's compose mode
+ * @returns Sign-off text (not HTML escaped), or "" if there is none
+ */
+function get_sign_off_text(user_info, locale, options) {
+  if (options && options.composeType === "reply" && user_info.signOffInReplies === false) return "";
+  if (user_info.signOff === "custom") {
+    return is_valid_data(user_info.greeting) ? String(user_info.greeting).trim() : "";
   }
-  
-  // Phone numbers (9pt)
-  let phones = [];
-  if (is_valid_data(user_info.officePhone)) {
-    phones.push(format_phone_number(user_info.officePhone) + " (office)");
-  }
-  if (is_valid_data(user_info.mobilePhone)) {
-    phones.push(format_phone_number(user_info.mobilePhone) + " (mobile)");
+  if (SIGN_OFF_PRESETS.indexOf(user_info.signOff) === -1) return "";
+  return get_locale_label(locale, user_info.signOff);
+}
+
+// Logo delivery modes (org config "logoMode"):
+//  "inline": data URI in the signature HTML (works offline, but some clients block data: images)
+//  "cid": inline attachment referenced as cid: (added with addFileAttachmentFromBase64Async)
+//  "hosted": image URL under the org config "logoBaseUrl" (smallest message, needs the image server)
+const LOGO_MODES = ["inline", "cid", "hosted"];
+
+// Hosted copies of the logo wordmark (assets/lilly-logo*.png), smallest first - sizes in pixels.
+// Not the assets/final_logo* files: those are the square add-in icons (16 - 774 pixels), which
+// would be squashed into the wordmark's 250 x 47 box.
+const HOSTED_LOGO_ASSETS = [
+  { file: "lilly-logo-250.png", width: 250, height: 47 },
+  { file: "lilly-logo-500.png", width: 500, height: 94 },
+  { file: "lilly-logo.png", width: LILLY_LOGO_WIDTH, height: LILLY_LOGO_HEIGHT }
+];
+
+/**
+ * Gets the logo delivery mode, falling back to "inline" for unknown values
+ * @param {*} options Optional render options - "preview": true replaces cid: (which only resolves
+ *  inside a message) with the inline data URI
+ * @returns "inline", "cid" or "hosted"
+ */
+function get_logo_mode(options) {
+  const mode = get_org_config().logoMode;
+  if (LOGO_MODES.indexOf(mode) === -1) return "inline";
+  if (mode === "cid" && options && options.preview) return "inline";
+  return mode;
+}
+
+/**
+ * Picks the smallest hosted logo that stays sharp at the given width on high-DPI screens
+ * @param {*} width Display width in pixels
+ * @returns Entry of HOSTED_LOGO_ASSETS
+ */
+function pick_hosted_logo(width) {
+  for (let i = 0; i < HOSTED_LOGO_ASSETS.length; i++) {
+    if (HOSTED_LOGO_ASSETS[i].width >= width * 2) return HOSTED_LOGO_ASSETS[i];
   }
-  if (phones.length > 0) {
-    str += "<span style='font-size:9pt;'>" + phones.join(" | ") + "</span><br>";
+  return HOSTED_LOGO_ASSETS[HOSTED_LOGO_ASSETS.length - 1];
+}
+
+/**
+ * Gets the logo height for a display width, keeping the wordmark's ratio
+ * @param {*} width Display width in pixels
+ * @returns Height in pixels
+ */
+function get_logo_height(width) {
+  return Math.round(width * LILLY_LOGO_HEIGHT / LILLY_LOGO_WIDTH);
+}
+
+/**
+ * Gets the logo image source for the configured delivery mode
+ * @param {*} options Optional render options (see get_logo_mode)
+ * @returns Image URL (data:, cid: or https:) - not yet HTML escaped
+ */
+function get_logo_src(options) {
+  const mode = get_logo_mode(options);
+  if (mode === "cid") {
+    return "cid:" + LILLY_LOGO_FILE_NAME;
   }
-  
-  // Email (9pt)
-  str += "<a href='mailto:" + (user_info.email || '') + "'><span style='font-size:9pt;color:#0078a3;'>" + (user_info.email || '') + "</span></a><br><br>";
-  
-  // Company info - RED text for non-logo templates (9pt)
-  str += "<b><span style='font-size:9pt;color:#E1251B;'>Eli Lilly and Company</span></b><br>";
-  
-  // Location - check mapped location first
-  const mappedLocationB = getLocationFromCode(user_info.officeLocation);
-  if (mappedLocationB) {
-    str += "<span style='font-size:9pt;'>" + mappedLocationB + "</span><br>";
-  } else if (is_valid_data(user_info.officeLocation)) {
-    str += "<span style='font-size:9pt;'>" + user_info.officeLocation + "</span><br>";
-  } else {
-    str += "<span style='font-size:9pt;'>Lilly Corporate Center, Indianapolis, IN 46285 USA</span><br>";
+  if (mode === "hosted") {
+    const baseUrl = get_org_config().logoBaseUrl.replace(/\/?$/, "/");
+    return safe_url(baseUrl + pick_hosted_logo(get_org_config().logoWidth).file);
   }
-  
-  str += "<a href='https://www.lilly.com'><span style='font-size:9pt;color:#0078a3;'>www.lilly.com</span></a><br><br>";
-  
-  // Confidentiality notice (9pt)
-  str += "<div style='border-top: 1px solid #E1251B; padding-top: 8px; margin-top: 8px;'>";
-  str += "<span style='font-size:9pt;color:#B6B8BA;font-style:italic;'>";
-  str += "CONFIDENTIALITY NOTICE: This email message (including all attachments) is for the sole use of the intended recipient(s) and may contain confidential information. Any unauthorized review, use, disclosure, copying or distribution is strictly prohibited. If you are not the intended recipient, please contact the sender by reply email and destroy all copies of the original message.";
-  str += "</span></div>";
-  
-  str += "</div>";
-  return str;
+  return "data:image/png;base64," + LILLY_LOGO_BASE64;
 }
 
-// Template C: Contractor Signature
-function get_template_C_str(user_info) {
-  let str = "<div style='font-family: Arial, sans-serif; color: #212121;'>";
-  
+/**
+ * Signature building blocks.
+ * Each block takes the user info, the template definition, the locale code and the render options
+ * and returns an HTML fragment (or "" when there is nothing to show).
+ */
+const SIGNATURE_BLOCKS = {
+  // Sign-off above the name (10pt) - only if the user picked one
+  signOff: function(user_info, template, locale, options) {
+    const signOff = get_sign_off_text(user_info, locale, options);
+    if (!signOff) return "";
+    return "<span style='font-size:10pt;'>" + escape_html(signOff) + "</span><br>";
+  },
+
   // Name with pronouns (10pt)
-  str += "<b><span style='font-size:10pt;'>" + (user_info.name || '');
-  if (is_valid_data(user_info.pronoun)) {
-    str += " <span style='font-style: italic; font-weight: normal;'>(" + user_info.pronoun + ")</span>";
-  }
-  str += "</span></b><br>";
-  
+  name: function(user_info) {
+    let str = "<b><span style='font-size:10pt;'>" + escape_html(user_info.name);
+    if (is_valid_data(user_info.pronoun)) {
+      str += " <span style='font-style: italic; font-weight: normal;'>(" + escape_html(user_info.pronoun) + ")</span>";
+    }
+    return str + "</span></b><br>";
+  },
+
   // Pronunciation (9pt) - only if exists
-  if (is_valid_data(user_info.pronunciation)) {
-    str += "<span style='font-size:9pt;font-style:italic;'>pronounced: " + user_info.pronunciation + "</span><br>";
+  pronunciation: function(user_info, template, locale) {
+    if (!is_valid_data(user_info.pronunciation)) return "";
+    return "<span style='font-size:9pt;font-style:italic;'>" + escape_html(get_locale_label(locale, "pronounced")) + " " + escape_html(user_info.pronunciation) + "</span><br>";
+  },
+
+  // Blank line between sections
+  spacer: function() {
+    return "<br>";
+  },
+
+  // Title, (contractor) functional area and department (9pt)
+  title: function(user_info, template) {
+    const titleParts = get_title_parts(user_info, template);
+    if (titleParts.length === 0) return "";
+    return "<span style='font-size:9pt;'>" + titleParts.map(escape_html).join(", ") + "</span><br>";
+  },
+
+  // Contractor status (9pt)
+  contractorStatus: function(user_info, template, locale) {
+    return "<span style='font-size:9pt;'>" + escape_html(get_locale_label(locale, "contractorFor")) + "</span><br>";
+  },
+
+  // Phone numbers (9pt) - tel: links when the number is in international format
+  phones: function(user_info, template, locale) {
+    const phones = get_phone_entries(user_info, locale).map(function(entry) {
+      return phone_link(entry.phone) + " (" + escape_html(entry.label) + ")";
+    });
+    if (phones.length === 0) return "";
+    return "<span style='font-size:9pt;'>" + phones.join(" | ") + "</span><br>";
+  },
+
+  // Email (9pt)
+  email: function(user_info) {
+    const email = escape_html(user_info.email);
+    return "<a href='mailto:" + email + "'><span style='font-size:9pt;color:#0078a3;'>" + email + "</span></a><br><br>";
+  },
+
+  // Logo - delivered as configured in the org config "logoMode" (see get_logo_src)
+  logo: function(user_info, template, locale, options) {
+    const width = get_org_config().logoWidth;
+    const height = get_logo_height(width);
+    return "<img src='" + escape_html(get_logo_src(options)) + "' width='" + width + "' height='" + height + "' alt='" + escape_html(get_org_config().companyName) + "' style='width: " + width + "px; height: " + height + "px;' /><br><br>";
+  },
+
+  // Company name - colour depends on the template (9pt)
+  company: function(user_info, template) {
+    return "<b><span style='font-size:9pt;color:" + template.companyColor + ";'>" + escape_html(get_org_config().companyName) + "</span></b><br>";
+  },
+
+  // Location - full address, city or nothing, as chosen by the user (see get_location_text)
+  location: function(user_info) {
+    const location = get_location_text(user_info);
+    if (!location) return "";
+    return "<span style='font-size:9pt;'>" + escape_html(location) + "</span><br>";
+  },
+
+  // Company website (9pt) - a hidden website keeps the blank line before the notice
+  website: function(user_info) {
+    if (!is_field_visible(user_info, "website")) return "<br>";
+    const website = get_org_config().companyWebsite;
+    return "<a href='" + escape_html(safe_url(website)) + "'><span style='font-size:9pt;color:#0078a3;'>" + escape_html(website) + "</span></a><br><br>";
+  },
+
+  // Campaign banner picked at render time (see get_campaign_banner) - unsafe links show the image unlinked
+  campaign: function(user_info) {
+    const campaign = get_campaign_banner(user_info);
+    if (!campaign) return "";
+    const width = campaign.width || get_org_config().logoWidth;
+    const image = "<img src='" + escape_html(safe_url(campaign.image)) + "' width='" + escape_html(width) + "' height='auto' alt='" + escape_html(campaign.alt || campaign.name) + "' style='width: " + escape_html(width) + "px; height: auto; border: 0;' />";
+    const href = safe_url(campaign.link);
+    if (!href) return image + "<br><br>";
+    return "<a href='" + escape_html(href) + "' target='_blank'>" + image + "</a><br><br>";
+  },
+
+  // Contractor's employer company name (9pt)
+  employer: function(user_info) {
+    if (!is_valid_data(user_info.functionalArea)) return "";
+    return "<b><span style='font-size:9pt;'>" + escape_html(user_info.functionalArea) + "</span></b><br>";
+  },
+
+  // Contractor's employer logo - only if the contractor directory has one
+  employerLogo: function(user_info) {
+    const entry = get_contractor_entry(user_info);
+    const src = entry ? safe_url(entry.logo) : "";
+    if (!src) return "";
+    return "<img src='" + escape_html(src) + "' height='40' alt='" + escape_html(entry.name) + "' style='height: 40px; width: auto;' /><br>";
+  },
+
+  // Contractor's employer address (9pt) - only if the contractor directory has one
+  employerAddress: function(user_info) {
+    const entry = get_contractor_entry(user_info);
+    if (!entry || !is_valid_data(entry.address)) return "";
+    return "<span style='font-size:9pt;'>" + escape_html(entry.address) + "</span><br>";
+  },
+
+  // Contractor's employer website (9pt) - if provided
+  // Unsafe URLs (e.g. javascript:) are shown as plain text instead of a link
+  employerWebsite: function(user_info) {
+    if (!is_valid_data(user_info.companyWebsite) || !is_field_visible(user_info, "website")) return "";
+    const label = "<span style='font-size:9pt;color:#0078a3;'>" + escape_html(user_info.companyWebsite) + "</span>";
+    const href = safe_url(user_info.companyWebsite);
+    if (!href) return label + "<br>";
+    return "<a href='" + escape_html(href) + "' target='_blank'>" + label + "</a><br>";
+  },
+
+  // Meeting invite heading (9pt)
+  organizer: function(user_info, template, locale) {
+    return "<span style='font-size:9pt;color:#6b7280;'>" + escape_html(get_locale_label(locale, "organizedBy")) + "</span><br>";
+  },
+
+  // Company line for meeting invites - contractors keep their contractor status
+  affiliation: function(user_info, template, locale) {
+    if (is_contractor(user_info)) {
+      return SIGNATURE_BLOCKS.contractorStatus(user_info, template, locale);
+    }
+    return SIGNATURE_BLOCKS.company(user_info, template, locale);
+  },
+
+  // Confidentiality notice in the signature locale (9pt)
+  notice: function(user_info, template, locale) {
+    return "<div style='border-top: 1px solid #E1251B; padding-top: 8px; margin-top: 8px;'>" +
+      "<span style='font-size:9pt;color:#B6B8BA;font-style:italic;'>" +
+      escape_html(get_confidentiality_notice(locale)) +
+      "</span></div>";
   }
-  
-  // Add blank line after name/pronunciation
-  str += "<br>";
-  
-  // Title, Functional Area, and Department (9pt)
-  let titleParts = [];
-  if (is_valid_data(user_info.jobTitle)) titleParts.push(user_info.jobTitle);
-  if (is_valid_data(user_info.functionalArea)) titleParts.push(user_info.functionalArea);
-  if (is_valid_data(user_info.department)) titleParts.push(user_info.department);
-  if (titleParts.length > 0) {
-    str += "<span style='font-size:9pt;'>" + titleParts.join(", ") + "</span><br>";
+};
+
+/**
+ * Plain-text versions of SIGNATURE_BLOCKS, used when the message body is plain text.
+ * Same keys and arguments - each block returns unescaped text ending in a line break
+ * (or "" when there is nothing to show). Logos have no text version.
+ */
+const SIGNATURE_TEXT_BLOCKS = {
+  signOff: function(user_info, template, locale, options) {
+    const signOff = get_sign_off_text(user_info, locale, options);
+    if (!signOff) return "";
+    return signOff + "\n";
+  },
+
+  name: function(user_info) {
+    let str = user_info.name || "";
+    if (is_valid_data(user_info.pronoun)) {
+      str += " (" + user_info.pronoun + ")";
+    }
+    return str + "\n";
+  },
+
+  pronunciation: function(user_info, template, locale) {
+    if (!is_valid_data(user_info.pronunciation)) return "";
+    return get_locale_label(locale, "pronounced") + " " + user_info.pronunciation + "\n";
+  },
+
+  spacer: function() {
+    return "\n";
+  },
+
+  title: function(user_info, template) {
+    const titleParts = get_title_parts(user_info, template);
+    if (titleParts.length === 0) return "";
+    return titleParts.join(", ") + "\n";
+  },
+
+  contractorStatus: function(user_info, template, locale) {
+    return get_locale_label(locale, "contractorFor") + "\n";
+  },
+
+  phones: function(user_info, template, locale) {
+    const phones = get_phone_entries(user_info, locale).map(function(entry) {
+      return format_phone_number(entry.phone) + " (" + entry.label + ")";
+    });
+    if (phones.length === 0) return "";
+    return phones.join(" | ") + "\n";
+  },
+
+  email: function(user_info) {
+    return (user_info.email || "") + "\n\n";
+  },
+
+  logo: function() {
+    return "";
+  },
+
+  company: function() {
+    return get_org_config().companyName + "\n";
+  },
+
+  location: function(user_info) {
+    const location = get_location_text(user_info);
+    if (!location) return "";
+    return location + "\n";
+  },
+
+  website: function(user_info) {
+    if (!is_field_visible(user_info, "website")) return "\n";
+    return get_org_config().companyWebsite + "\n\n";
+  },
+
+  // Alt text and link stand in for the banner image
+  campaign: function(user_info) {
+    const campaign = get_campaign_banner(user_info);
+    if (!campaign) return "";
+    const link = safe_url(campaign.link);
+    return (campaign.alt || campaign.name) + (link ? " - " + link : "") + "\n\n";
+  },
+
+  employer: function(user_info) {
+    if (!is_valid_data(user_info.functionalArea)) return "";
+    return user_info.functionalArea + "\n";
+  },
+
+  employerLogo: function() {
+    return "";
+  },
+
+  employerAddress: function(user_info) {
+    const entry = get_contractor_entry(user_info);
+    if (!entry || !is_valid_data(entry.address)) return "";
+    return entry.address + "\n";
+  },
+
+  employerWebsite: function(user_info) {
+    if (!is_valid_data(user_info.companyWebsite) || !is_field_visible(user_info, "website")) return "";
+    return user_info.companyWebsite + "\n";
+  },
+
+  organizer: function(user_info, template, locale) {
+    return get_locale_label(locale, "organizedBy") + "\n";
+  },
+
+  affiliation: function(user_info, template, locale) {
+    if (is_contractor(user_info)) {
+      return SIGNATURE_TEXT_BLOCKS.contractorStatus(user_info, template, locale);
+    }
+    return SIGNATURE_TEXT_BLOCKS.company(user_info, template, locale);
+  },
+
+  // Separator line stands in for the HTML border
+  notice: function(user_info, template, locale) {
+    return "----\n" + get_confidentiality_notice(locale) + "\n";
   }
-  
-  // Contractor status (9pt)
-  str += "<span style='font-size:9pt;'>Contractor for Eli Lilly and Company</span><br>";
-  
-  // Phone numbers (9pt)
-  let phones = [];
-  if (is_valid_data(user_info.officePhone)) {
-    phones.push(format_phone_number(user_info.officePhone) + " (office)");
+};
+
+// Template registry, keyed by template id (see register_signature_template)
+const SIGNATURE_TEMPLATES = {};
+
+// Default card icon for templates that do not provide one
+const DEFAULT_TEMPLATE_ICON = "<path d='M4 7h16M4 12h16M4 17h10'/>";
+
+/**
+ * Registers a signature template so the autorun and the taskpane can use it.
+ * New styles only need a register_signature_template call - nothing else switches on template ids.
+ * @param {*} definition Object containing:
+ *  "id": Template id stored in roamingSettings (e.g. "A"),
+    "name": Display name shown in the taskpane,
+    "description": Short description shown in the taskpane,
+    "eligibility": User types that may use the template ("employee" and/or "contractor"),
+    "modes": Compose modes the template can be picked for ("newMail", "reply", "forward", "appointment",
+    or "internal" for drafts that only go to internal recipients),
+    "icon": Optional SVG markup (paths) for the taskpane card,
+    "hasLogo": true if the signature includes the Lilly logo,
+    "blocks": Ordered list of SIGNATURE_BLOCKS names, used by the default render functions,
+    "render": Optional function(user_info, template, locale, options) returning the signature HTML,
+    "renderText": Optional function(user_info, template, locale, options) returning the plain-text signature
+ */
+function register_signature_template(definition) {
+  const template = Object.assign({
+    description: "",
+    eligibility: ["employee"],
+    modes: ["newMail", "reply", "forward"],
+    icon: DEFAULT_TEMPLATE_ICON,
+    hasLogo: false,
+    blocks: [],
+    render: render_template_blocks,
+    renderText: render_template_text_blocks
+  }, definition);
+  template.id = template.id.toUpperCase();
+  SIGNATURE_TEMPLATES[template.id] = template;
+  return template;
+}
+
+/**
+ * Default render function - concatenates the template's blocks
+ * @param {*} user_info Information details about the user
+ * @param {*} template Template definition
+ * @param {*} locale Locale code for labels and the confidentiality notice
+ * @param {*} options Optional render options (see get_logo_mode)
+ * @returns The signature HTML
+ */
+function render_template_blocks(user_info, template, locale, options) {
+  let str = "<div style='font-family: Arial, sans-serif; color: #212121;'>";
+  template.blocks.forEach(function(block) {
+    str += SIGNATURE_BLOCKS[block](user_info, template, locale, options);
+  });
+  str += "</div>";
+  return str;
+}
+
+/**
+ * Default plain-text render function - concatenates the template's text blocks
+ * @param {*} user_info Information details about the user
+ * @param {*} template Template definition
+ * @param {*} locale Locale code for labels and the confidentiality notice
+ * @param {*} options Optional render options (see get_sign_off_text)
+ * @returns The plain-text signature (no trailing line breaks)
+ */
+function render_template_text_blocks(user_info, template, locale, options) {
+  let str = "";
+  template.blocks.forEach(function(block) {
+    str += SIGNATURE_TEXT_BLOCKS[block](user_info, template, locale, options);
+  });
+  return str.replace(/\s+$/, "");
+}
+
+// A: Employee signature WITH logo (black company name)
+register_signature_template({
+  id: "A",
+  name: "With Logo",
+  description: "Full branded signature with Lilly logo",
+  icon: "<rect x='3' y='3' width='18' height='18' rx='2'/><circle cx='8.5' cy='8.5' r='1.5'/><path d='M21 15l-5-5L5 21'/>",
+  companyColor: "#212121",
+  hasLogo: true,
+  blocks: ["signOff", "name", "pronunciation", "spacer", "title", "phones", "email", "logo", "company", "location", "website", "campaign", "notice"]
+});
+
+// B: Employee signature WITHOUT logo (red company name)
+register_signature_template({
+  id: "B",
+  name: "Text Only",
+  description: "Clean text signature without logo",
+  companyColor: "#E1251B",
+  blocks: ["signOff", "name", "pronunciation", "spacer", "title", "phones", "email", "company", "location", "website", "campaign", "notice"]
+});
+
+// C: Contractor signature (no Lilly logo, shows contractor employer info - logo and address from the contractor directory)
+register_signature_template({
+  id: "C",
+  name: "Contractor",
+  description: "Shows your employer and contractor status",
+  eligibility: ["contractor"],
+  showFunctionalArea: true,
+  blocks: ["signOff", "name", "pronunciation", "spacer", "title", "contractorStatus", "phones", "email", "employerLogo", "employer", "employerAddress", "employerWebsite", "spacer", "notice"]
+});
+
+// R: Compact reply signature (contact details only - no logo, company block or confidentiality notice)
+register_signature_template({
+  id: "R",
+  name: "Compact",
+  description: "Contact details only - no logo or notice",
+  modes: ["reply", "forward"],
+  blocks: ["signOff", "name", "title", "phones", "email"]
+});
+
+// M: Meeting invite signature (reduced contact block for appointments - no email, logo or notice)
+register_signature_template({
+  id: "M",
+  name: "Meeting Invite",
+  description: "Reduced contact block for meetings",
+  eligibility: ["employee", "contractor"],
+  modes: ["appointment"],
+  companyColor: "#212121",
+  blocks: ["organizer", "name", "title", "phones", "affiliation"]
+});
+
+// I: Internal signature (drafts where every recipient is internal - no logo, website or notice)
+register_signature_template({
+  id: "I",
+  name: "Internal",
+  description: "Short signature for colleagues",
+  eligibility: ["employee", "contractor"],
+  modes: ["internal"],
+  companyColor: "#212121",
+  showFunctionalArea: true,
+  blocks: ["signOff", "name", "pronunciation", "title", "affiliation", "phones", "email"]
+});
+
+// Compose modes that can each have their own template (values of Office.MailboxEnums.ComposeType)
+const COMPOSE_MODES = ["newMail", "reply", "forward"];
+
+/**
+ * Detects whether the current item is a new message, a reply, a forward or an appointment.
+ * Falls back to "newMail" when the host does not support getComposeTypeAsync.
+ * @param {*} callback Called with the compose mode ("newMail", "reply", "forward" or "appointment")
+ */
+function get_compose_type(callback) {
+  const item = Office.context.mailbox.item;
+  if (item && item.itemType === Office.MailboxEnums.ItemType.Appointment) {
+    callback("appointment");
+    return;
   }
-  if (is_valid_data(user_info.mobilePhone)) {
-    phones.push(format_phone_number(user_info.mobilePhone) + " (mobile)");
+  if (!item || typeof item.getComposeTypeAsync !== "function") {
+    callback("newMail");
+    return;
   }
-  if (phones.length > 0) {
-    str += "<span style='font-size:9pt;'>" + phones.join(" | ") + "</span><br>";
+
+  item.getComposeTypeAsync(function(asyncResult) {
+    const composeType = asyncResult.status === "succeeded" && asyncResult.value ? asyncResult.value.composeType : "";
+    callback(COMPOSE_MODES.indexOf(composeType) !== -1 ? composeType : "newMail");
+  });
+}
+
+/**
+ * Detects whether the current item body is HTML or plain text.
+ * Falls back to "html" when the host does not support getTypeAsync or the call fails.
+ * @param {*} callback Called with the body type ("html" or "text")
+ */
+function get_body_type(callback) {
+  const item = Office.context.mailbox.item;
+  if (!item || !item.body || typeof item.body.getTypeAsync !== "function") {
+    callback("html");
+    return;
   }
-  
-  // Email (9pt)
-  str += "<a href='mailto:" + (user_info.email || '') + "'><span style='font-size:9pt;color:#0078a3;'>" + (user_info.email || '') + "</span></a><br><br>";
-  
-  // Employer company name (9pt)
-  if (is_valid_data(user_info.functionalArea)) {
-    str += "<b><span style='font-size:9pt;'>" + user_info.functionalArea + "</span></b><br>";
+
+  item.body.getTypeAsync(function(asyncResult) {
+    const bodyType = asyncResult.status === "succeeded" ? String(asyncResult.value).toLowerCase() : "";
+    callback(bodyType === "text" ? "text" : "html");
+  });
+}
+
+/**
+ * Looks up a template definition, falling back to template A for unknown ids
+ * @param {*} template_name Template id (e.g. "A")
+ */
+function get_template_definition(template_name) {
+  const key = (template_name || "").toString().toUpperCase();
+  return SIGNATURE_TEMPLATES[key] || SIGNATURE_TEMPLATES.A;
+}
+
+/**
+ * Checks whether a user type may use a template
+ * @param {*} template_name Template id (e.g. "A")
+ * @param {*} user_type "employee" or "contractor"
+ * @returns true if the template exists and the user type is eligible; otherwise, false.
+ */
+function is_template_eligible(template_name, user_type) {
+  const template = SIGNATURE_TEMPLATES[(template_name || "").toString().toUpperCase()];
+  return !!template && template.eligibility.indexOf(user_type) !== -1;
+}
+
+/**
+ * Lists the templates a user type can pick for a compose mode, in registration order
+ * @param {*} user_type "employee" or "contractor"
+ * @param {*} compose_mode "newMail", "reply", "forward" or "appointment"
+ * @returns Array of template definitions
+ */
+function get_available_templates(user_type, compose_mode) {
+  return Object.keys(SIGNATURE_TEMPLATES)
+    .map(function(id) { return SIGNATURE_TEMPLATES[id]; })
+    .filter(function(template) {
+      return template.eligibility.indexOf(user_type) !== -1 && template.modes.indexOf(compose_mode) !== -1;
+    });
+}
+
+/**
+ * Picks the template the autorun uses when the user info doesn't come with a template choice:
+ * the saved choice for the compose mode (reply / forward / appointment fall back to the new message
+ * choice), then auto-detection - contractors (see classify_user) get C, employees A.
+ * Contractors are never given a template they aren't eligible for.
+ * @param {*} user_info Information details about the user
+ * @param {*} compose_type Compose mode ("newMail", "reply", "forward" or "appointment")
+ * @returns Object containing "template" (template id) and "reason" (why it was picked, for logs and diagnostics)
+ */
+function choose_template(user_info, compose_type) {
+  compose_type = compose_type || "newMail";
+  const user_type = classify_user(user_info);
+  const contractor = user_type.type === "contractor";
+  const saved_for_mode = read_template_choice(compose_type);
+  const saved = saved_for_mode || read_template_choice("newMail");
+
+  if (saved) {
+    if (contractor && !is_template_eligible(saved, "contractor")) {
+      return { template: "C", reason: "Saved template " + saved + " is not available to contractors - using C" };
+    }
+    return {
+      template: saved,
+      reason: saved_for_mode ? "Saved " + compose_type + " template" : "No saved " + compose_type + " template - using the saved new message template"
+    };
   }
-  
-  // Company website (9pt) - if provided
-  if (is_valid_data(user_info.companyWebsite)) {
-    str += "<a href='https://" + user_info.companyWebsite + "' target='_blank'><span style='font-size:9pt;color:#0078a3;'>" + user_info.companyWebsite + "</span></a><br>";
+
+  if (contractor) {
+    return { template: "C", reason: "No saved template - contractor (" + user_type.reason + ")" };
   }
-  
-  str += "<br>";
-  
-  // Confidentiality notice (9pt)
-  str += "<div style='border-top: 1px solid #E1251B; padding-top: 8px; margin-top: 8px;'>";
-  str += "<span style='font-size:9pt;color:#B6B8BA;font-style:italic;'>";
-  str += "CONFIDENTIALITY NOTICE: This email message (including all attachments) is for the sole use of the intended recipient(s) and may contain confidential information. Any unauthorized review, use, disclosure, copying or distribution is strictly prohibited. If you are not the intended recipient, please contact the sender by reply email and destroy all copies of the original message.";
-  str += "</span></div>";
-  
-  str += "</div>";
-  return str;
+  return { template: "A", reason: "No saved template - employee (" + user_type.reason + ")" };
 }
 
-// Templates D, E, F - Keep your existing ones or add simplified versions
-function get_template_D_str(user_info) {
-  return get_template_C_str(user_info); // Placeholder
+/**
+ * Renders the signature HTML for a template in the user's locale (see resolve_signature_locale)
+ * @param {*} template_name Template id (e.g. "A")
+ * @param {*} user_info Information details about the user
+ * @param {*} options Optional render options - pass { preview: true } when the HTML is shown outside a message
+ *  and "composeType" for the compose mode the signature is for
+ * @returns The signature HTML
+ */
+function get_template_str(template_name, user_info, options) {
+  const template = get_template_definition(template_name);
+  return template.render(user_info, template, resolve_signature_locale(user_info), options);
 }
 
-function get_template_E_str(user_info) {
-  return get_template_A_str(user_info); // Placeholder
+/**
+ * Renders the plain-text signature for a template in the user's locale
+ * @param {*} template_name Template id (e.g. "A")
+ * @param {*} user_info Information details about the user
+ * @param {*} options Optional render options - "composeType" is the compose mode the signature is for
+ * @returns The plain-text signature
+ */
+function get_template_text(template_name, user_info, options) {
+  const template = get_template_definition(template_name);
+  return template.renderText(user_info, template, resolve_signature_locale(user_info), options);
 }
 
-function get_template_F_str(user_info) {
-  return get_template_B_str(user_info); // Placeholder
+/**
+ * Gets the signature details for a template
+ * @param {*} template_name Template id (e.g. "A")
+ * @param {*} user_info Information details about the user
+ * @param {*} compose_type Optional compose mode the signature is for ("newMail", "reply", ...)
+ * @returns Object containing:
+ *  "signature": The signature HTML of the template,
+    "signatureText": The plain-text signature of the template,
+    "logoMode": How the logo is delivered ("inline", "cid" or "hosted"),
+    "logoBase64": The base64 encoded logo image (null if the template has no logo),
+    "logoFileName": The filename of the logo image (null if the template has no logo)
+ */
+function get_template_info(template_name, user_info, compose_type) {
+  const template = get_template_definition(template_name);
+  const locale = resolve_signature_locale(user_info);
+  const options = { composeType: compose_type };
+  return {
+    signature: template.render(user_info, template, locale, options),
+    signatureText: template.renderText(user_info, template, locale, options),
+    logoMode: get_logo_mode(),
+    logoBase64: template.hasLogo ? LILLY_LOGO_BASE64 : null,
+    logoFileName: template.hasLogo ? LILLY_LOGO_FILE_NAME : null
+  };
+}
+
+/**
+ * Adds the logo as an inline attachment when the signature references it by cid:
+ * (skipped if the draft already has it, e.g. when the signature is applied again)
+ * @param {*} signature_info Signature details from get_template_info
+ * @param {*} callback Called when the draft is ready for the signature HTML
+ */
+function add_logo_attachment(signature_info, callback) {
+  const item = Office.context.mailbox.item;
+  if (signature_info.logoMode !== "cid" || !signature_info.logoBase64 ||
+      !item || typeof item.addFileAttachmentFromBase64Async !== "function") {
+    callback();
+    return;
+  }
+
+  function attach() {
+    item.addFileAttachmentFromBase64Async(
+      signature_info.logoBase64,
+      signature_info.logoFileName,
+      { isInline: true },
+      function(asyncResult) {
+        if (asyncResult.status !== "succeeded") {
+          log_warn("Could not attach logo", asyncResult.error ? asyncResult.error.message : "unknown error");
+        }
+        callback();
+      }
+    );
+  }
+
+  if (typeof item.getAttachmentsAsync !== "function") {
+    attach();
+    return;
+  }
+  item.getAttachmentsAsync(function(asyncResult) {
+    const attachments = asyncResult.status === "succeeded" ? asyncResult.value || [] : [];
+    const attached = attachments.some(function(attachment) {
+      return attachment.isInline && attachment.name === signature_info.logoFileName;
+    });
+    if (attached) {
+      callback();
+    } else {
+      attach();
+    }
+  });
 }
@@ -0,0 +1,107 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Campaign banners - when a campaign is running (is_campaign_active), opting out, and unsafe URLs.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const helpers = require("./helpers.js");
+
+const CAMPAIGN = {
+  name: "Award 2025",
+  image: "https://www.lilly.com/banners/award-2025.png",
+  link: "https://www.lilly.com/award",
+  alt: "Lilly - Best Place to Work 2025",
+  start: "2025-11-01",
+  end: "2025-11-30"
+};
+
+// Local times, like the plain dates in the config
+const BEFORE = new Date(2025, 9, 31, 23, 59).getTime();
+const FIRST_DAY = new Date(2025, 10, 1, 0, 0).getTime();
+const LAST_DAY = new Date(2025, 10, 30, 23, 59).getTime();
+const AFTER = new Date(2025, 11, 1, 0, 0).getTime();
+
+function config_text(campaigns) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "assets", "org-config.json"), "utf8"));
+  config.campaigns = campaigns;
+  return JSON.stringify(config);
+}
+
+function is_active(context, campaign, now) {
+  return helpers.run(context, "is_campaign_active(" + JSON.stringify(campaign) + ", " + now + ")");
+}
+
+function banner(context, user_info, now) {
+  return helpers.run(context, "get_campaign_banner(" + JSON.stringify(user_info) + ", " + now + ")");
+}
+
+test("a campaign runs from the start of its first day to the end of its last day", async function() {
+  const context = await helpers.load_shared();
+  assert.strictEqual(is_active(context, CAMPAIGN, BEFORE), false);
+  assert.strictEqual(is_active(context, CAMPAIGN, FIRST_DAY), true);
+  assert.strictEqual(is_active(context, CAMPAIGN, LAST_DAY), true);
+  assert.strictEqual(is_active(context, CAMPAIGN, AFTER), false);
+
+  // ISO timestamps are used as they are
+  const timed = Object.assign({}, CAMPAIGN, { start: "2025-11-10T09:00:00Z", end: "2025-11-10T17:00:00Z" });
+  assert.strictEqual(is_active(context, timed, Date.parse("2025-11-10T08:59:59Z")), false);
+  assert.strictEqual(is_active(context, timed, Date.parse("2025-11-10T12:00:00Z")), true);
+  assert.strictEqual(is_active(context, timed, Date.parse("2025-11-10T17:00:01Z")), false);
+});
+
+test("campaigns with malformed dates or no image are ignored", async function() {
+  const context = await helpers.load_shared();
+  [
+    { start: "01/11/2025" },
+    { start: "Nov 1, 2025" },
+    { end: "2025-11-31" },
+    { end: "2025-11-30T25:00:00Z" },
+    { end: "next week" },
+    { start: undefined },
+    { end: "" },
+    { image: undefined },
+    { image: "javascript:alert(1)" }
+  ].forEach(function(change) {
+    const campaign = Object.assign({}, CAMPAIGN, change);
+    assert.strictEqual(is_active(context, campaign, FIRST_DAY), false, JSON.stringify(change));
+  });
+  assert.match(helpers.run(context, "get_recent_log_entries().pop().message"), /Campaign 'Award 2025' ignored/);
+});
+
+test("the first running campaign wins", async function() {
+  const context = await helpers.load_shared({ orgConfig: config_text([
+    Object.assign({}, CAMPAIGN, { name: "Broken", start: "soon" }),
+    Object.assign({}, CAMPAIGN, { name: "Later", start: "2025-11-15" }),
+    CAMPAIGN,
+    Object.assign({}, CAMPAIGN, { name: "Also running" })
+  ]) });
+  assert.strictEqual(helpers.run(context, "get_active_campaign(" + FIRST_DAY + ").name"), "Award 2025");
+  assert.strictEqual(helpers.run(context, "get_active_campaign(" + LAST_DAY + ").name"), "Later");
+  assert.strictEqual(helpers.run(context, "get_active_campaign(" + AFTER + ")"), null);
+});
+
+test("users can hide a banner unless the campaign requires it", async function() {
+  const optional = await helpers.load_shared({ orgConfig: config_text([CAMPAIGN]) });
+  assert.strictEqual(banner(optional, {}, FIRST_DAY).name, "Award 2025");
+  assert.strictEqual(banner(optional, { hiddenFields: ["campaign"] }, FIRST_DAY), null);
+
+  const required = await helpers.load_shared({ orgConfig: config_text([Object.assign({}, CAMPAIGN, { allowOptOut: false })]) });
+  assert.strictEqual(banner(required, { hiddenFields: ["campaign"] }, FIRST_DAY).name, "Award 2025");
+  assert.strictEqual(banner(required, { hiddenFields: ["campaign"] }, AFTER), null);
+});
+
+test("an unsafe banner link is dropped and the image shown unlinked", async function() {
+  const campaign = Object.assign({}, CAMPAIGN, { start: "2000-01-01", end: "2999-12-31" });
+  const linked = await helpers.load_shared({ orgConfig: config_text([campaign]) });
+  assert.match(helpers.run(linked, "SIGNATURE_BLOCKS.campaign({})"),
+    /^<a href='https:\/\/www\.lilly\.com\/award' target='_blank'><img src='https:\/\/www\.lilly\.com\/banners\/award-2025\.png' /);
+
+  const unsafe = await helpers.load_shared({ orgConfig: config_text([Object.assign({}, campaign, { link: "javascript:alert(1)" })]) });
+  const html = helpers.run(unsafe, "SIGNATURE_BLOCKS.campaign({})");
+  assert.match(html, /^<img src='https:\/\/www\.lilly\.com\/banners\/award-2025\.png' /);
+  assert.ok(html.indexOf("javascript") === -1, html);
+  assert.strictEqual(helpers.run(unsafe, "SIGNATURE_TEXT_BLOCKS.campaign({})"), "Lilly - Best Place to Work 2025\n\n");
+});
@@ -0,0 +1,182 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Org config schema checks (validate_org_config, resolve_org_config) and the load fallbacks.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const helpers = require("./helpers.js");
+
+const SHIPPED_CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "assets", "org-config.json"), "utf8"));
+
+/**
+ * Copy of the shipped config with changes applied (fields set to undefined are removed)
+ */
+function config_with(changes) {
+  const config = JSON.parse(JSON.stringify(SHIPPED_CONFIG));
+  Object.keys(changes).forEach(function(field) {
+    if (changes[field] === undefined) {
+      delete config[field];
+    } else {
+      config[field] = changes[field];
+    }
+  });
+  return config;
+}
+
+function validate(context, config) {
+  return helpers.run(context, "validate_org_config(" + JSON.stringify(config) + ")");
+}
+
+function resolve(context, config) {
+  return helpers.run(context, "resolve_org_config(" + JSON.stringify(config) + ")");
+}
+
+test("the shipped config file is valid", async function() {
+  const context = await helpers.load_shared();
+  assert.deepStrictEqual(validate(context, SHIPPED_CONFIG), []);
+  assert.strictEqual(helpers.run(context, "orgConfigStatus"), "loaded");
+  assert.strictEqual(helpers.run(context, "get_org_config().locations.MC"), SHIPPED_CONFIG.locations.MC);
+});
+
+test("a config of another version is rejected as a whole", async function() {
+  const context = await helpers.load_shared();
+  const config = config_with({ version: 99 });
+
+  assert.deepStrictEqual(validate(context, config), ["Unsupported config version: 99 (expected 1)"]);
+  const result = resolve(context, config);
+  assert.strictEqual(result.status, "fallback");
+  assert.deepStrictEqual(result.config, helpers.run(context, "DEFAULT_ORG_CONFIG"));
+
+  assert.deepStrictEqual(validate(context, config_with({ version: undefined })), ["Unsupported config version: undefined (expected 1)"]);
+  assert.deepStrictEqual(validate(context, config_with({ version: "1" })), ["Unsupported config version: 1 (expected 1)"]);
+});
+
+test("a config that is not an object is rejected", async function() {
+  const context = await helpers.load_shared();
+  [null, [], "config", 1, true].forEach(function(config) {
+    assert.deepStrictEqual(validate(context, config), ["Config must be a JSON object"], JSON.stringify(config));
+    assert.strictEqual(resolve(context, config).status, "fallback");
+  });
+});
+
+test("a bad map value falls back to the default for that field only", async function() {
+  const context = await helpers.load_shared();
+  const locations = Object.assign({}, SHIPPED_CONFIG.locations, { MC: 5, IC: "  " });
+  const config = config_with({ locations: locations });
+
+  assert.deepStrictEqual(validate(context, config), [
+    "Field locations.MC must be a non-empty string",
+    "Field locations.IC must be a non-empty string"
+  ]);
+  const result = resolve(context, config);
+  assert.strictEqual(result.status, "partial");
+  assert.deepStrictEqual(result.config.locations, helpers.run(context, "DEFAULT_ORG_CONFIG.locations"));
+  assert.deepStrictEqual(result.config.countryWebsites, SHIPPED_CONFIG.countryWebsites);
+  assert.strictEqual(result.config.companyName, SHIPPED_CONFIG.companyName);
+});
+
+test("a missing field falls back to its default", async function() {
+  const context = await helpers.load_shared();
+  const config = config_with({ companyName: undefined });
+
+  assert.deepStrictEqual(validate(context, config), ["Missing field: companyName"]);
+  const result = resolve(context, config);
+  assert.strictEqual(result.status, "partial");
+  assert.strictEqual(result.config.companyName, helpers.run(context, "DEFAULT_ORG_CONFIG.companyName"));
+  assert.deepStrictEqual(result.config.locations, SHIPPED_CONFIG.locations);
+});
+
+test("files written before the optional fields were added still load", async function() {
+  const context = await helpers.load_shared();
+  const firstVersion = {
+    version: 1,
+    companyName: SHIPPED_CONFIG.companyName,
+    companyWebsite: SHIPPED_CONFIG.companyWebsite,
+    apiBaseUrl: SHIPPED_CONFIG.apiBaseUrl,
+    defaultLocation: SHIPPED_CONFIG.defaultLocation,
+    confidentialityNotice: SHIPPED_CONFIG.confidentialityNotice,
+    locations: SHIPPED_CONFIG.locations,
+    countryWebsites: SHIPPED_CONFIG.countryWebsites,
+    contractorCompanyWebsites: { "Accenture": "www.accenture.com", "BC Forward": "www.bcforward.com" }
+  };
+
+  assert.deepStrictEqual(validate(context, firstVersion), []);
+  const result = resolve(context, firstVersion);
+  assert.strictEqual(result.status, "loaded");
+  assert.deepStrictEqual(result.config.contractorDirectory, [
+    { name: "Accenture", website: "www.accenture.com" },
+    { name: "BC Forward", website: "www.bcforward.com" }
+  ]);
+  assert.deepStrictEqual(result.config.internalDomains, helpers.run(context, "DEFAULT_ORG_CONFIG.internalDomains"));
+  assert.strictEqual(result.config.logoMode, "inline");
+  assert.ok(!("contractorCompanyWebsites" in result.config));
+
+  // contractorDirectory wins when a file has both
+  assert.deepStrictEqual(resolve(context, config_with({ contractorCompanyWebsites: { "Acme": "www.acme.com" } })).config.contractorDirectory,
+    SHIPPED_CONFIG.contractorDirectory);
+});
+
+test("optional fields are still validated when present", async function() {
+  const context = await helpers.load_shared();
+  assert.deepStrictEqual(validate(context, config_with({ campaigns: undefined, employeeTypes: undefined })), []);
+  assert.deepStrictEqual(validate(context, config_with({ employeeTypes: { employee: "" } })), ["Field employeeTypes.employee must be a non-empty string"]);
+  // Legacy contractor websites are checked as the contractorDirectory they become
+  assert.deepStrictEqual(validate(context, config_with({ contractorDirectory: undefined, contractorCompanyWebsites: { "": "www.acme.com" } })),
+    ["Field contractorDirectory[0] must be an object with a non-empty name"]);
+});
+
+test("fields of the wrong type are reported", async function() {
+  const context = await helpers.load_shared();
+
+  assert.deepStrictEqual(validate(context, config_with({ companyName: "" })), ["Field companyName must be a non-empty string"]);
+  assert.deepStrictEqual(validate(context, config_with({ logoWidth: "250" })), ["Field logoWidth must be a number"]);
+  assert.deepStrictEqual(validate(context, config_with({ locations: ["MC"] })), ["Field locations must be an object"]);
+  assert.deepStrictEqual(validate(context, config_with({ contractorDirectory: {} })), ["Field contractorDirectory must be an array"]);
+  assert.deepStrictEqual(validate(context, config_with({ contractorDirectory: [{ website: "www.acme.com" }] })),
+    ["Field contractorDirectory[0] must be an object with a non-empty name"]);
+  assert.deepStrictEqual(validate(context, config_with({ internalDomains: ["lilly.com", ""] })),
+    ["Field internalDomains[1] must be a non-empty string"]);
+  assert.deepStrictEqual(validate(context, config_with({ senderIdentities: { "team@lilly.com": "Team" } })),
+    ["Field senderIdentities.team@lilly.com must be an object"]);
+});
+
+test("a missing or unreadable config file falls back to the defaults", async function() {
+  const missing = await helpers.load_shared({ orgConfig: null });
+  assert.strictEqual(helpers.run(missing, "orgConfigStatus"), "fallback");
+  assert.deepStrictEqual(helpers.run(missing, "orgConfigErrors"), ["Config file not available (status 404)"]);
+  assert.deepStrictEqual(helpers.run(missing, "get_org_config()"), helpers.run(missing, "DEFAULT_ORG_CONFIG"));
+
+  const malformed = await helpers.load_shared({ orgConfig: "{ \"version\": 1," });
+  assert.strictEqual(helpers.run(malformed, "orgConfigStatus"), "fallback");
+  assert.match(helpers.run(malformed, "orgConfigErrors[0]"), /^Config file is not valid JSON/);
+});
+
+test("the config and logos come from the site the add-in is published at, not the API backend", async function() {
+  const context = await helpers.load_shared();
+  assert.deepStrictEqual(context.__office.requests, ["https://addin.example.com/signature/assets/org-config.json"]);
+  assert.strictEqual(helpers.run(context, "get_org_config().logoBaseUrl"), "https://addin.example.com/signature/assets/");
+  assert.strictEqual(helpers.run(context, "get_org_config().apiBaseUrl"), "https://lilly-signature-addin.dc.lilly.com");
+});
+
+test("without a built-in site address browsers use the folder of the page", function() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "signature_config-p.js"), "utf8");
+  const browser = helpers.create_context({ browser: true });
+  browser.location = { href: "https://addin.example.com/signature/editsignature-p.html?_host_Info=Outlook#top" };
+  vm.runInContext(source, browser);
+  assert.strictEqual(helpers.run(browser, "ORG_CONFIG_URL"), "https://addin.example.com/signature/assets/org-config.json");
+
+  // The Windows runtime has no page - only a built script can find the site there
+  const windows = helpers.create_context();
+  vm.runInContext(source, windows);
+  assert.strictEqual(helpers.run(windows, "ADDIN_ASSETS_URL"), "assets/");
+});
+
+test("the fallback config has the office addresses the add-in shipped with", async function() {
+  const context = await helpers.load_shared({ orgConfig: null });
+  assert.strictEqual(helpers.run(context, "orgConfigStatus"), "fallback");
+  assert.deepStrictEqual(helpers.run(context, "get_org_config().locations"), SHIPPED_CONFIG.locations);
+});
@@ -0,0 +1,174 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Employee / contractor classification (classify_user) against fixture users and org config tables,
+// and contractor company matching (score_company_name, find_contractor_company).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const helpers = require("./helpers.js");
+
+function config_text(changes) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "assets", "org-config.json"), "utf8"));
+  return JSON.stringify(Object.assign(config, changes));
+}
+
+const CLASSIFIER_CONFIG = config_text({
+  userTypeOverrides: {
+    "pinned.contractor@lilly.com": "contractor",
+    "pinned.employee@network.lilly.com": "Employee",
+    "typo.override@lilly.com": "contracter"
+  },
+  employeeTypes: {
+    "employee": "employee",
+    "contractor": "contractor",
+    "contingent worker": "contractor",
+    "intern": "temporary"
+  }
+});
+
+// [description, user info, expected type, expected source]
+const CLASSIFIER_FIXTURES = [
+  // 1. Admin override wins over employeeType and company name
+  ["override beats employeeType and company", { email: "pinned.contractor@lilly.com", employeeType: "Employee", companyName: "Eli Lilly and Company" }, "contractor", "override"],
+  ["override beats a contractor employeeType", { email: "pinned.employee@network.lilly.com", employeeType: "Contractor", companyName: "Accenture" }, "employee", "override"],
+  ["override email is not case sensitive", { email: "Pinned.Contractor@Lilly.com", employeeType: "Employee" }, "contractor", "override"],
+  ["unknown override value is ignored", { email: "typo.override@lilly.com", employeeType: "Employee", companyName: "Accenture" }, "employee", "employeeType"],
+
+  // 2. employeeType wins over company name
+  ["employeeType beats an employee company", { employeeType: "Contingent Worker", companyName: "Eli Lilly and Company" }, "contractor", "employeeType"],
+  ["employeeType beats a contractor company", { employeeType: "EMPLOYEE", companyName: "Accenture" }, "employee", "employeeType"],
+  ["employeeType not in the table falls through", { employeeType: "Secondee", companyName: "Accenture" }, "contractor", "companyName"],
+  ["employeeType mapped to an unknown value falls through", { employeeType: "Intern", companyName: "Eli Lilly" }, "employee", "companyName"],
+
+  // 3. Company name
+  ["employee company name", { companyName: "Eli Lilly and Company" }, "employee", "companyName"],
+  ["employee company name in another form", { companyName: "ELI LILLY & CO." }, "employee", "companyName"],
+  ["other company name", { companyName: "Tata Consultancy Services" }, "contractor", "companyName"],
+  ["no company name", { name: "Sam Lee", companyName: null }, "employee", "companyName"],
+
+  // Legacy saved user info - only functionalArea holds the company name
+  ["legacy contractor", { name: "Carlos Ruiz", functionalArea: "Accenture" }, "contractor", "companyName"],
+  ["legacy employee", { name: "Jane Doe", functionalArea: "Eli Lilly and Company" }, "employee", "companyName"],
+  ["legacy with an empty functionalArea", { name: "Jane Doe", functionalArea: "" }, "employee", "companyName"],
+  ["companyName beats functionalArea", { companyName: "Lilly", functionalArea: "Accenture" }, "employee", "companyName"]
+];
+
+test("classify_user follows override > employeeType > company name", async function() {
+  const context = await helpers.load_shared({ orgConfig: CLASSIFIER_CONFIG });
+  CLASSIFIER_FIXTURES.forEach(function(fixture) {
+    const result = helpers.run(context, "classify_user(" + JSON.stringify(fixture[1]) + ")");
+    assert.strictEqual(result.type, fixture[2], fixture[0]);
+    assert.strictEqual(result.source, fixture[3], fixture[0]);
+    assert.strictEqual(helpers.run(context, "is_contractor(" + JSON.stringify(fixture[1]) + ")"), fixture[2] === "contractor", fixture[0]);
+  });
+});
+
+test("classify_user uses the built-in tables when the org config has none", async function() {
+  const context = await helpers.load_shared({ orgConfig: config_text({
+    userTypeOverrides: undefined,
+    employeeTypes: undefined
+  }) });
+  assert.strictEqual(helpers.run(context, "orgConfigStatus"), "loaded");
+
+  assert.deepStrictEqual(helpers.run(context, "classify_user({ email: 'pinned.contractor@lilly.com', employeeType: 'Employee', companyName: 'Accenture' })"),
+    { type: "employee", source: "employeeType", reason: "employeeType 'Employee'" });
+  assert.deepStrictEqual(helpers.run(context, "classify_user({ employeeType: 'Intern', companyName: 'Accenture' })"),
+    { type: "contractor", source: "companyName", reason: "Company name 'Accenture' is not an employee company" });
+});
+
+// Directory from the shipped config plus two entries that share an alias
+const MATCHING_CONFIG = (function() {
+  const config = JSON.parse(config_text({}));
+  return JSON.stringify(Object.assign(config, {
+    contractorDirectory: config.contractorDirectory.concat([
+      { name: "Globex East", aliases: ["Globex"], website: "east.globex.example" },
+      { name: "Globex West", aliases: ["Globex"], website: "west.globex.example" }
+    ]),
+    contractorOverrides: {
+      "Bucher Christian": "BC Forward",
+      "Microsoft Ireland Operations": "none",
+      "Contoso": "Contoso Consulting"
+    }
+  }));
+})();
+
+test("score_company_name scores identical, prefix and misspelled names", async function() {
+  const context = await helpers.load_shared();
+  function score(query, candidate) {
+    return helpers.run(context, "score_company_name(" + JSON.stringify(query) + ", " + JSON.stringify(candidate) + ")");
+  }
+
+  assert.strictEqual(score("accenture", "accenture"), 1);
+  assert.strictEqual(score("accenture federal services", "accenture"), helpers.run(context, "CONTRACTOR_PREFIX_SCORE"));
+  assert.strictEqual(score("accentre", "accenture"), 1 - 1 / 9);
+  assert.strictEqual(score("", "accenture"), 0);
+
+  // Short names only match whole words
+  assert.strictEqual(score("abbott", "abb"), 0);
+  assert.strictEqual(score("abb motion", "abb"), helpers.run(context, "CONTRACTOR_PREFIX_SCORE"));
+  assert.strictEqual(score("tcss", "tcs"), 0);
+});
+
+// [company name from Azure AD, expected entry name (null for none), expected reason]
+const MATCH_FIXTURES = [
+  ["Accenture", "Accenture", "exact"],
+  ["ACCENTURE LLP", "Accenture", "exact"],
+  ["Bucher & Christian Consulting, Inc.", "BC Forward", "exact"],
+  ["Accentre", "Accenture", "fuzzy"],
+  ["Accenture Federal Services", "Accenture", "fuzzy"],
+  ["Thermo Fisher Scientific Inc", "Thermo Fisher Scientific", "exact"],
+  // Short keys
+  ["ABB", "ABB Industrial Services", "exact"],
+  ["ABB Motion", "ABB Industrial Services", "fuzzy"],
+  ["Abbott", null, "none"],
+  ["Abbott Laboratories", null, "none"],
+  ["TCS", "Tata Consultancy Services", "exact"],
+  ["TCS Ltd", "Tata Consultancy Services", "exact"],
+  ["TCSS", null, "none"],
+  // Overrides win over matching
+  ["Bucher Christian", "BC Forward", "override"],
+  ["Microsoft Ireland Operations", null, "override"],
+  ["Contoso", null, "override"],
+  // Two entries equally good
+  ["Globex", null, "ambiguous"],
+  ["Globex Corporation", null, "ambiguous"],
+  // No match
+  ["Initech", null, "none"],
+  ["", null, "none"]
+];
+
+test("find_contractor_company matches exact, fuzzy and overridden names", async function() {
+  const context = await helpers.load_shared({ orgConfig: MATCHING_CONFIG });
+  MATCH_FIXTURES.forEach(function(fixture) {
+    const match = helpers.run(context, "find_contractor_company(" + JSON.stringify(fixture[0]) + ")");
+    assert.strictEqual(match.entry ? match.entry.name : null, fixture[1], fixture[0]);
+    assert.strictEqual(match.reason, fixture[2], fixture[0]);
+    assert.strictEqual(match.query, fixture[0], fixture[0]);
+  });
+
+  // A fuzzy match still has to clear the threshold
+  const near = helpers.run(context, "find_contractor_company('Honeywel')");
+  assert.strictEqual(near.reason, "fuzzy");
+  assert.ok(near.score >= helpers.run(context, "CONTRACTOR_MATCH_THRESHOLD"));
+  const far = helpers.run(context, "find_contractor_company('Honey Co-op')");
+  assert.strictEqual(far.reason, "none");
+  assert.ok(far.score < helpers.run(context, "CONTRACTOR_MATCH_THRESHOLD"));
+});
+
+test("legacy contractorCompanyWebsites are matched like the directory", async function() {
+  const context = await helpers.load_shared({ orgConfig: config_text({
+    contractorDirectory: undefined,
+    contractorCompanyWebsites: { "Accenture": "www.accenture.com", "BC Forward": "www.bcforward.com" }
+  }) });
+  assert.strictEqual(helpers.run(context, "orgConfigStatus"), "loaded");
+
+  assert.deepStrictEqual(helpers.run(context, "find_contractor_company('Accenture LLP')"), {
+    query: "Accenture LLP", entry: { name: "Accenture", website: "www.accenture.com" }, reason: "exact", score: 1
+  });
+  assert.strictEqual(helpers.run(context, "find_contractor_company('BC Forwrd').entry.website"), "www.bcforward.com");
+  // Aliases only exist in the directory format
+  assert.strictEqual(helpers.run(context, "find_contractor_company('Bucher & Christian Consulting Inc').reason"), "none");
+});
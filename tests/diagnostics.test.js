@@ -0,0 +1,160 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Diagnostics report (collect_diagnostics, explain_autorun_template, format_diagnostics_report) -
+// what it shows, and that personal data stays in the user info section.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const helpers = require("./helpers.js");
+
+// Taskpane modules without the taskpane UI
+const DIAGNOSTICS_SCRIPTS = helpers.TASKPANE_SCRIPTS.filter(function(file) { return file !== "editsignature-p.js"; });
+
+const NOW = Date.parse("2025-11-06T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const USER = {
+  name: "Jane Doe",
+  email: "jane.doe@lilly.com",
+  jobTitle: "Senior Director",
+  mobilePhone: "+1 317 555 0199",
+  officePhone: "+1 317 555 0100",
+  officeLocation: "MC/1/2",
+  companyName: "Eli Lilly and Company"
+};
+
+// Values that may only appear in the "User info (Graph API fields)" section
+const PERSONAL_DATA = ["Jane Doe", "jane.doe", "Senior Director", "317 555", "MC/1/2", "john.smith"];
+
+/**
+ * Loads the diagnostics with the given settings into a taskpane-like context
+ */
+async function load_diagnostics(roaming, orgConfig) {
+  const context = helpers.load_scripts(helpers.create_context({ browser: true, roaming: roaming, orgConfig: orgConfig }), DIAGNOSTICS_SCRIPTS);
+  await new Promise(function(resolve) {
+    context.__done = resolve;
+    helpers.run(context, "load_org_config(function() { __done(); })");
+  });
+  return context;
+}
+
+function collect(context, user_info) {
+  return helpers.run(context, "collect_diagnostics(" + JSON.stringify(user_info) + ", " + NOW + ")");
+}
+
+function section(sections, title) {
+  const found = sections.filter(function(item) { return item.title === title; })[0];
+  assert.ok(found, title);
+  const rows = {};
+  found.rows.forEach(function(row) { rows[row[0]] = row[1]; });
+  return rows;
+}
+
+const USED_ROAMING = {
+  storage_version: 2,
+  lilly_user_info: JSON.stringify(USER),
+  user_info_cache: JSON.stringify(USER),
+  user_info_timestamp: NOW - 3 * HOUR,
+  lilly_reply: "R",
+  last_fetch_status: JSON.stringify({ source: "stale", timestamp: NOW - 2 * HOUR, attempts: 3, error: "HTTP 503", cacheAgeDays: 8 })
+};
+
+test("the report shows the version, caches, last load and the autorun's template choices", async function() {
+  const context = await load_diagnostics(USED_ROAMING);
+  const sections = collect(context, USER);
+
+  assert.deepStrictEqual(sections.map(function(item) { return item.title; }), [
+    "Add-in", "Host", "Cache layers", "Last user info load", "User info (Graph API fields)",
+    "Template the autorun picks", "Recent events"
+  ]);
+  assert.strictEqual(section(sections, "Add-in").Version, helpers.run(context, "ADDIN_VERSION"));
+  assert.strictEqual(section(sections, "Add-in")["Org config"], "loaded (version 1)");
+  assert.strictEqual(section(sections, "Host")["Mailbox requirement set"], "1.13");
+
+  const caches = section(sections, "Cache layers");
+  assert.strictEqual(caches["Session (sessionStorage)"], "missing");
+  assert.strictEqual(caches["Saved from taskpane (roamingSettings)"], "present");
+  assert.strictEqual(caches["roamingSettings written"], "3 hours ago");
+
+  const load = section(sections, "Last user info load");
+  assert.strictEqual(load.Source, "stale");
+  assert.strictEqual(load.When, "2 hours ago (2025-11-06T10:00:00.000Z)");
+  assert.strictEqual(load.attempts, "3");
+  assert.strictEqual(load.error, "HTTP 503");
+  assert.strictEqual(load.cacheAgeDays, "8");
+
+  assert.strictEqual(section(sections, "User info (Graph API fields)").jobTitle, "Senior Director");
+  assert.strictEqual(section(sections, "User info (Graph API fields)").department, "(empty)");
+
+  const templates = section(sections, "Template the autorun picks");
+  assert.match(templates["User type"], /^employee - /);
+  assert.match(templates.reply, /^R - .*\(roamingSettings user info\)$/);
+  assert.strictEqual(templates["Internal recipients only"], "off");
+});
+
+test("explain_autorun_template follows the autorun's cache layers", async function() {
+  const expired = await load_diagnostics(Object.assign({}, USED_ROAMING, { user_info_timestamp: NOW - 8 * 24 * HOUR }));
+  assert.match(helpers.run(expired, "explain_autorun_template('reply', " + JSON.stringify(USER) + ", " + NOW + ").reason"),
+    /\(user info would be refetched\)$/);
+
+  const session = await load_diagnostics(USED_ROAMING);
+  helpers.run(session, "write_session_cache(" + JSON.stringify(USER) + ", { newMail: 'B' })");
+  assert.deepStrictEqual(helpers.run(session, "explain_autorun_template('forward', null, " + NOW + ")"),
+    { template: "B", reason: "Saved from the taskpane in this session" });
+});
+
+test("a mailbox the autorun never ran on reports that, not an error", async function() {
+  const context = await load_diagnostics({ storage_version: 2 }, null);
+  const sections = collect(context, null);
+  assert.strictEqual(section(sections, "Add-in")["Org config error"], "Config file not available (status 404)");
+  assert.strictEqual(section(sections, "Cache layers")["roamingSettings written"], "never written");
+  assert.match(section(sections, "Last user info load").Source, /^never recorded/);
+  assert.strictEqual(section(sections, "User info (Graph API fields)").Status, "not loaded");
+  assert.strictEqual(section(sections, "Template the autorun picks")["User type"], "unknown (user info not loaded)");
+});
+
+test("personal data only appears in the user info section of the report", async function() {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "assets", "org-config.json"), "utf8"));
+  config.userTypeOverrides = { "jane.doe@lilly.com": "employee" };
+  const context = await load_diagnostics(Object.assign({}, USED_ROAMING, { debug_logging: true }), JSON.stringify(config));
+
+  // A delegate mailbox cached this session and events that mention people
+  helpers.run(context, "write_identity_cache('john.smith@lilly.com', { name: 'John Smith' })");
+  helpers.run(context, "log_warn('Lookup failed for jane.doe@lilly.com', { phone: '+1 317 555 0199' })");
+  helpers.run(context, "log_debug('Fetch attempt 1 failed (HTTP 503)')");
+
+  const sections = collect(context, USER);
+  assert.strictEqual(section(sections, "Template the autorun picks")["User type"].indexOf("employee - "), 0);
+  assert.strictEqual(section(sections, "Cache layers")["Shared / delegate mailboxes (sessionStorage)"], "1 cached");
+  const events = sections.filter(function(item) { return item.title === "Recent events"; })[0].rows;
+  assert.ok(events.some(function(row) { return row[1].indexOf("Lookup failed for [email]") === 0; }), JSON.stringify(events));
+
+  sections.filter(function(item) { return item.title !== "User info (Graph API fields)"; }).forEach(function(item) {
+    const text = JSON.stringify(item);
+    PERSONAL_DATA.forEach(function(value) {
+      assert.ok(text.indexOf(value) === -1, "\"" + value + "\" in " + item.title + ": " + text);
+    });
+  });
+
+  // Same for the plain-text report
+  const report = helpers.run(context, "format_diagnostics_report(collect_diagnostics(" + JSON.stringify(USER) + ", " + NOW + "), " + NOW + ")");
+  const lines = report.split("\n");
+  assert.deepStrictEqual(lines.slice(0, 4), [
+    "Lilly Signature Add-in - diagnostics report",
+    "Generated: 2025-11-06T12:00:00.000Z",
+    "",
+    "[Add-in]"
+  ]);
+  let title = "";
+  lines.forEach(function(line) {
+    if (/^\[.*\]$/.test(line)) title = line;
+    if (title === "[User info (Graph API fields)]") return;
+    PERSONAL_DATA.forEach(function(value) {
+      assert.ok(line.indexOf(value) === -1, "\"" + value + "\" in " + title + ": " + line);
+    });
+  });
+  assert.ok(lines.indexOf("jobTitle: Senior Director") !== -1);
+});
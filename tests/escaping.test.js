@@ -0,0 +1,134 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// HTML escaping and link scheme checks (escape_html, safe_url) and templates rendered with
+// hostile user values.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const HOSTILE_VALUES = [
+  "<script>alert(1)</script>",
+  "\"><script>alert(1)</script>",
+  "' onmouseover='alert(1)",
+  "\" onmouseover=\"alert(1)",
+  "<img src=x onerror=alert(1)>"
+];
+
+const HOSTILE_WEBSITES = [
+  "javascript:alert(1)",
+  "java\tscript:alert(1)",
+  " JaVaScRiPt:alert(1)",
+  "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+  "vbscript:msgbox(1)",
+  "www.acme.com' onclick='alert(1)",
+  "//evil.example.com"
+];
+
+test("escape_html escapes markup and both quote styles", async function() {
+  const context = await helpers.load_shared();
+  const escape = function(text) { return helpers.run(context, "escape_html(" + JSON.stringify(text) + ")"); };
+
+  assert.strictEqual(escape("<script>alert(1)</script>"), "&lt;script&gt;alert(1)&lt;/script&gt;");
+  assert.strictEqual(escape("' onmouseover='x"), "&#39; onmouseover=&#39;x");
+  assert.strictEqual(escape("\" onmouseover=\"x"), "&quot; onmouseover=&quot;x");
+  assert.strictEqual(escape("R&D"), "R&amp;D");
+  assert.strictEqual(escape("&amp;"), "&amp;amp;");
+  assert.strictEqual(helpers.run(context, "escape_html(null)"), "");
+  assert.strictEqual(helpers.run(context, "escape_html(undefined)"), "");
+  assert.strictEqual(helpers.run(context, "escape_html(42)"), "42");
+});
+
+test("safe_url rejects unsafe schemes and protocol-relative links", async function() {
+  const context = await helpers.load_shared();
+  const safe = function(url) { return helpers.run(context, "safe_url(" + JSON.stringify(url) + ")"); };
+
+  assert.strictEqual(safe("javascript:alert(1)"), "");
+  assert.strictEqual(safe("java\tscript:alert(1)"), "");
+  assert.strictEqual(safe("java\nscript:alert(1)"), "");
+  assert.strictEqual(safe(" JaVaScRiPt:alert(1)"), "");
+  assert.strictEqual(safe("\u0000javascript:alert(1)"), "");
+  assert.strictEqual(safe("data:text/html,<script>alert(1)</script>"), "");
+  assert.strictEqual(safe("vbscript:msgbox(1)"), "");
+  assert.strictEqual(safe("//evil.example.com"), "");
+  assert.strictEqual(safe("\\\\evil.example.com"), "");
+  assert.strictEqual(safe("/relative/path"), "");
+  assert.strictEqual(safe(""), "");
+  assert.strictEqual(safe("   "), "");
+});
+
+test("safe_url keeps safe links and adds https:// to bare hosts", async function() {
+  const context = await helpers.load_shared();
+  const safe = function(url) { return helpers.run(context, "safe_url(" + JSON.stringify(url) + ")"); };
+
+  assert.strictEqual(safe("www.accenture.com"), "https://www.accenture.com");
+  assert.strictEqual(safe("https://www.lilly.com/about"), "https://www.lilly.com/about");
+  assert.strictEqual(safe("HTTP://www.lilly.com"), "HTTP://www.lilly.com");
+  assert.strictEqual(safe("mailto:jane.doe@lilly.com"), "mailto:jane.doe@lilly.com");
+  assert.strictEqual(safe("tel:+13175550100"), "tel:+13175550100");
+  assert.strictEqual(safe("www.acme.com:8443"), "https://www.acme.com:8443");
+  assert.strictEqual(safe("www.acme.com:8443/portal"), "https://www.acme.com:8443/portal");
+  assert.strictEqual(safe("ftp.acme.com://files"), "");
+});
+
+/**
+ * Checks rendered signature HTML for anything a hostile value could have injected
+ */
+function assert_inert(html, label) {
+  assert.ok(!/<script/i.test(html), label + ": no script element");
+  assert.ok(!/<img[^>]*onerror/i.test(html), label + ": no injected image");
+  assert.ok(!/<[^>]*\son\w+\s*=/i.test(html), label + ": no event handler attributes");
+  assert.ok(!/href\s*=\s*['"]?\s*(javascript|data|vbscript):/i.test(html), label + ": no unsafe href");
+  assert.ok(!/href\s*=\s*['"]?\s*\/\//i.test(html), label + ": no protocol-relative href");
+}
+
+test("templates render hostile pronunciation and name values as text", async function() {
+  const context = await helpers.load_shared();
+  const templates = helpers.run(context, "Object.keys(SIGNATURE_TEMPLATES)");
+
+  HOSTILE_VALUES.forEach(function(value) {
+    const user_info = {
+      name: value,
+      email: "jane.doe@lilly.com",
+      pronoun: value,
+      pronunciation: value,
+      jobTitle: value,
+      department: value,
+      officeLocation: value,
+      functionalArea: value,
+      companyName: "Accenture",
+      companyWebsite: value
+    };
+    templates.forEach(function(template) {
+      const html = helpers.run(context, "get_template_str(" + JSON.stringify(template) + ", " + JSON.stringify(user_info) + ")");
+      assert_inert(html, template + " with " + JSON.stringify(value));
+      assert.ok(html.indexOf(helpers.run(context, "escape_html(" + JSON.stringify(value) + ")")) !== -1, template + " shows the escaped value");
+    });
+  });
+});
+
+test("contractor templates never link hostile websites", async function() {
+  const context = await helpers.load_shared();
+
+  HOSTILE_WEBSITES.forEach(function(website) {
+    const user_info = {
+      name: "Carlos Ruiz",
+      email: "carlos.ruiz@network.lilly.com",
+      companyName: "Accenture",
+      functionalArea: "Accenture",
+      companyWebsite: website
+    };
+    ["C", "I"].forEach(function(template) {
+      const html = helpers.run(context, "get_template_str(" + JSON.stringify(template) + ", " + JSON.stringify(user_info) + ")");
+      assert_inert(html, template + " with website " + JSON.stringify(website));
+    });
+  });
+
+  const linked = helpers.run(context, "get_template_str('C', " + JSON.stringify({
+    name: "Carlos Ruiz",
+    companyName: "Accenture",
+    companyWebsite: "www.acme.com' onclick='alert(1)"
+  }) + ")");
+  assert.ok(linked.indexOf("href='https://www.acme.com&#39;onclick=&#39;alert(1)'") !== -1, "quotes stay escaped inside the href");
+});
@@ -0,0 +1,111 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Graph API fetch on a draft without a usable cache (fetchGraphDataWithRetry) - retries with
+// backoff, failing fast on client errors, and the stale cache and fallback it ends up using.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const GRAPH_USER = {
+  displayName: "Jane Doe",
+  mail: "jane.doe@lilly.com",
+  jobTitle: "Senior Director",
+  businessPhones: ["+1 317 555 0100"]
+};
+
+const STALE_USER = { name: "Jane Doe", email: "jane.doe@lilly.com", jobTitle: "Director" };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Signature API stub answering each request with the next response in the list
+ * @returns Function for the "graph" option - its "times" list the request times
+ */
+function graph_sequence(responses) {
+  const answer = function() {
+    answer.times.push(Date.now());
+    return responses[Math.min(answer.times.length, responses.length) - 1];
+  };
+  answer.times = [];
+  return answer;
+}
+
+/**
+ * Opens a draft and returns the inserted signature, the fetch status and the request times
+ */
+async function open_draft(responses, roaming) {
+  const graph = graph_sequence(responses);
+  const context = helpers.load_autorun_bundle(helpers.create_context({
+    roaming: Object.assign({ storage_version: 2 }, roaming),
+    graph: graph
+  }));
+  await helpers.fire_event(context, "checkSignature");
+  assert.strictEqual(context.__office.signatures.length, 1);
+  return {
+    signature: context.__office.signatures[0].data,
+    status: JSON.parse(context.__office.settings.last_fetch_status),
+    times: graph.times,
+    settings: context.__office.settings
+  };
+}
+
+test("server errors and timeouts are retried with a growing delay", async function() {
+  const result = await open_draft([helpers.graph_failure(503), helpers.graph_failure("timeout"), GRAPH_USER]);
+
+  assert.strictEqual(result.times.length, 3);
+  assert.ok(result.times[1] - result.times[0] >= 500, "first retry after 500ms");
+  assert.ok(result.times[2] - result.times[1] >= 1000, "second retry after 1000ms");
+  assert.strictEqual(result.status.source, "fresh");
+  assert.strictEqual(result.status.attempts, 3);
+  assert.match(result.signature, /Senior Director/);
+  assert.strictEqual(JSON.parse(result.settings.user_info_cache).jobTitle, "Senior Director");
+});
+
+test("throttling and network errors are retried too", async function() {
+  const throttled = await open_draft([helpers.graph_failure(429), GRAPH_USER]);
+  assert.strictEqual(throttled.status.source, "fresh");
+  assert.strictEqual(throttled.status.attempts, 2);
+
+  const offline = await open_draft([helpers.graph_failure("error"), GRAPH_USER]);
+  assert.strictEqual(offline.status.source, "fresh");
+  assert.strictEqual(offline.status.attempts, 2);
+});
+
+test("client errors fail at once and the fallback source is recorded", async function() {
+  for (const status of [401, 403, 404]) {
+    const result = await open_draft([helpers.graph_failure(status), GRAPH_USER]);
+    assert.strictEqual(result.times.length, 1, "HTTP " + status + " is not retried");
+    assert.strictEqual(result.status.source, "fallback");
+    assert.strictEqual(result.status.error, "HTTP " + status);
+    assert.strictEqual(result.status.attempts, 1);
+    // Name and email from Office.js only
+    assert.match(result.signature, /Jane Doe/);
+    assert.doesNotMatch(result.signature, /Director/);
+    assert.strictEqual(result.settings.user_info_cache, undefined);
+  }
+});
+
+test("retries stop after the last attempt", async function() {
+  const result = await open_draft([helpers.graph_failure(500)]);
+  assert.strictEqual(result.times.length, 3);
+  assert.strictEqual(result.status.source, "fallback");
+  assert.strictEqual(result.status.error, "HTTP 500");
+  assert.strictEqual(result.status.attempts, 3);
+});
+
+test("an expired cache is used when the fetch fails", async function() {
+  const result = await open_draft([helpers.graph_failure(404)], {
+    user_info_cache: JSON.stringify(STALE_USER),
+    user_info_timestamp: Date.now() - 8 * DAY - 60000
+  });
+
+  assert.strictEqual(result.times.length, 1);
+  assert.strictEqual(result.status.source, "stale");
+  assert.strictEqual(result.status.cacheAgeDays, 8);
+  assert.strictEqual(result.status.error, "HTTP 404");
+  assert.match(result.signature, /Director/);
+  // The expired cache is kept as it was
+  assert.strictEqual(result.settings.user_info_cache, JSON.stringify(STALE_USER));
+});
@@ -0,0 +1,114 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Graph API mapping (map_graph_user_info) - casing of names, titles and cities entered in capitals
+// or lower case (format_initial_caps), placeholder values and the missing / invalid field report.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+// [directory value, fixed as a title, fixed as a name]
+const CASING_FIXTURES = [
+  ["SENIOR DIRECTOR", "Senior Director", "Senior Director"],
+  ["SVP, GLOBAL HR", "SVP, Global HR", "Svp, Global Hr"],
+  ["HEAD OF IT", "Head of IT", "Head Of It"],
+  ["DIRECTOR, US MARKETING AND SALES", "Director, US Marketing and Sales", "Director, Us Marketing And Sales"],
+  ["OF COUNSEL", "Of Counsel", "Of Counsel"],
+  ["MANAGER, DIRECTOR'S OFFICE", "Manager, Director's Office", "Manager, Director's Office"],
+  ["JANE O'NEIL-SMITH", "Jane O'Neil-Smith", "Jane O'Neil-Smith"],
+  ["JANE DOE", "Jane DOE", "Jane Doe"],
+  ["MARIE D’ANGELO", "Marie D’Angelo", "Marie D’Angelo"],
+  ["ÉLODIE DUPONT", "Élodie Dupont", "Élodie Dupont"],
+  ["WINSTON-SALEM", "Winston-Salem", "Winston-Salem"],
+  ["senior director of it", "Senior Director of IT", "Senior Director Of It"],
+  ["svp, global hr", "SVP, Global HR", "Svp, Global Hr"],
+  ["associate director, r&d quality", "Associate Director, R&D Quality", "Associate Director, R&d Quality"],
+  ["DIRECTOR, EMEA MARKETING", "Director, EMEA Marketing", "Director, Emea Marketing"],
+  ["it service manager", "IT Service Manager", "It Service Manager"],
+  // Mixed case and text without a word of 4+ letters are kept as entered
+  ["Senior Director, McKinsey Alumni", "Senior Director, McKinsey Alumni", "Senior Director, McKinsey Alumni"],
+  ["VP, R&D", "VP, R&D", "VP, R&D"],
+  ["IT", "IT", "IT"]
+];
+
+test("fixes the casing of titles and names entered in capitals or lower case", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  CASING_FIXTURES.forEach(function(fixture) {
+    const text = JSON.stringify(fixture[0]);
+    assert.strictEqual(helpers.run(context, "format_initial_caps(" + text + ", true)"), fixture[1], fixture[0] + " (title)");
+    assert.strictEqual(helpers.run(context, "format_initial_caps(" + text + ", false)"), fixture[2], fixture[0] + " (name)");
+  });
+});
+
+test("Graph API names and cities are fixed as names, titles and departments as titles", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const user_info = helpers.run(context, "map_graph_user_info(" + JSON.stringify({
+    displayName: "JANE O'NEIL-SMITH",
+    mail: "jane.oneil-smith@lilly.com",
+    jobTitle: "SVP, GLOBAL HR",
+    department: "HR OPERATIONS EMEA",
+    city: "WINSTON-SALEM",
+    country: "USA"
+  }) + ").user_info");
+
+  assert.strictEqual(user_info.name, "Jane O'Neil-Smith");
+  assert.strictEqual(user_info.jobTitle, "SVP, Global HR");
+  assert.strictEqual(user_info.department, "HR Operations EMEA");
+  assert.strictEqual(user_info.city, "Winston-Salem");
+  assert.strictEqual(user_info.country, "USA");
+});
+
+test("placeholder values are rejected and reported as invalid", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const result = helpers.run(context, "map_graph_user_info(" + JSON.stringify({
+    displayName: "Jane Doe",
+    mail: "N/A",
+    userPrincipalName: "jane.doe@lilly.com",
+    jobTitle: " n/a ",
+    department: "TBD",
+    companyName: "-",
+    mobilePhone: "none",
+    businessPhones: ["Unknown"],
+    officeLocation: "MC/1/2",
+    city: "null",
+    country: "."
+  }) + ")");
+
+  // A placeholder in the first property falls through to the next one
+  assert.strictEqual(result.user_info.email, "jane.doe@lilly.com");
+  assert.strictEqual(result.user_info.jobTitle, "");
+  assert.strictEqual(result.user_info.department, "");
+  assert.strictEqual(result.user_info.companyName, null);
+  assert.strictEqual(result.user_info.mobilePhone, "");
+  assert.strictEqual(result.user_info.officePhone, "");
+  assert.strictEqual(result.user_info.city, "");
+  assert.strictEqual(result.user_info.officeLocation, "MC/1/2");
+  assert.deepStrictEqual(result.invalid, ["jobTitle", "department", "companyName", "mobilePhone", "officePhone", "city", "country"]);
+  assert.deepStrictEqual(result.missing, ["employeeType"]);
+});
+
+test("missing and malformed fields are reported, with Office.js values as fallbacks", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const result = helpers.run(context, "map_graph_user_info(" + JSON.stringify({
+    displayName: "   ",
+    mail: "jane.doe at lilly.com",
+    jobTitle: "Senior   Director ",
+    mobilePhone: "call me",
+    businessPhones: [],
+    country: "USA"
+  }) + ", { name: 'Jane Doe', email: 'jane.doe@lilly.com' })");
+
+  assert.strictEqual(result.user_info.name, "Jane Doe");
+  assert.strictEqual(result.user_info.email, "jane.doe@lilly.com");
+  assert.strictEqual(result.user_info.jobTitle, "Senior Director");
+  assert.strictEqual(result.user_info.mobilePhone, "");
+  assert.strictEqual(result.user_info.functionalArea, "");
+  assert.deepStrictEqual(result.missing, ["name", "department", "companyName", "employeeType", "officePhone", "officeLocation", "city"]);
+  assert.deepStrictEqual(result.invalid, ["email", "mobilePhone"]);
+
+  // Nothing at all from Graph API
+  const empty = helpers.run(context, "map_graph_user_info(null)");
+  assert.strictEqual(empty.invalid.length, 0);
+  assert.strictEqual(empty.missing.length, helpers.run(context, "GRAPH_FIELD_MAP.length"));
+});
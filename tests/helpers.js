@@ -0,0 +1,329 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Test helpers - load the add-in scripts into a vm context with an in-memory Office stub,
+// the same way Outlook loads them (classic scripts sharing one global scope).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { read_page_scripts, read_site_script, bundle_autorun } = require("../scripts/build.js");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Address the scripts are built for - the org config is only served from here
+const SITE_URL = "https://addin.example.com/signature/";
+const ORG_CONFIG_URL = SITE_URL + "assets/org-config.json";
+
+// Scripts each runtime loads, in order (read from the pages so the tests follow them)
+const AUTORUN_SCRIPTS = read_page_scripts("autorunweb.html");
+const TASKPANE_SCRIPTS = read_page_scripts("editsignature-p.html");
+
+// Modules with no Office or DOM dependencies at load time - enough for unit tests
+const SHARED_SCRIPTS = AUTORUN_SCRIPTS.filter(function(file) { return file !== "autorunshared-p.js"; });
+
+/**
+ * Creates an in-memory stand-in for Web Storage (localStorage / sessionStorage)
+ * @returns Storage object with getItem, setItem, removeItem and the stored "data"
+ */
+function create_web_storage() {
+  const data = {};
+  return {
+    data: data,
+    getItem: function(key) { return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null; },
+    setItem: function(key, value) { data[key] = String(value); },
+    removeItem: function(key) { delete data[key]; }
+  };
+}
+
+/**
+ * Signature API answer without user data, for "graph" functions (see create_context)
+ * @param {*} status HTTP status, "timeout" (the request times out) or "error" (network error)
+ */
+function GraphFailure(status) {
+  this.status = status;
+}
+
+/**
+ * Creates a failed signature API answer
+ * @param {*} status HTTP status, "timeout" or "error"
+ * @returns Value for a "graph" function to return
+ */
+function graph_failure(status) {
+  return new GraphFailure(status);
+}
+
+/**
+ * Creates an async Office field stub (e.g. item.from) that calls back with a value
+ * @param {*} value Value passed as asyncResult.value
+ */
+function async_field(value) {
+  return {
+    getAsync: function(callback) {
+      setImmediate(function() { callback({ status: "succeeded", value: value }); });
+    }
+  };
+}
+
+/**
+ * Creates a vm context with an Office stub
+ * @param {*} options Optional settings:
+ *  "roaming": Initial roamingSettings values,
+    "email" / "displayName": Mailbox owner (defaults jane.doe@lilly.com / Jane Doe),
+    "composeType": "newMail", "reply" or "forward" (default "newMail"),
+    "itemType": "message" or "appointment" (default "message"),
+    "bodyType": "html" or "text" (default "html"),
+    "from": From address of the draft (default: the mailbox owner),
+    "recipients": To addresses,
+    "graph": Signature API response for the mailbox owner (object), or a function(url) returning one
+             (or a Promise of one, to answer later, or graph_failure(...) for an error),
+    "orgConfig": Org config file text (default: assets/org-config.json), or null to answer 404,
+    "browser": true to add sessionStorage, localStorage and document (taskpane / OWA);
+               without it the context looks like the Windows JavaScript-only runtime
+ * @returns vm context - "__office" holds the captured calls ("signatures", "notifications", "requests")
+ */
+function create_context(options) {
+  const settings = Object.assign({}, (options && options.roaming) || {});
+  const opts = Object.assign({
+    email: "jane.doe@lilly.com",
+    displayName: "Jane Doe",
+    composeType: "newMail",
+    itemType: "message",
+    bodyType: "html",
+    recipients: []
+  }, options || {});
+  const captured = { signatures: [], notifications: {}, requests: [], settings: settings, saves: 0 };
+  const handlers = {};
+
+  const item = {
+    itemType: opts.itemType,
+    getComposeTypeAsync: function(callback) {
+      setImmediate(function() { callback({ status: "succeeded", value: { composeType: opts.composeType } }); });
+    },
+    body: {
+      getTypeAsync: function(callback) {
+        setImmediate(function() { callback({ status: "succeeded", value: opts.bodyType }); });
+      },
+      setSignatureAsync: function(data, signatureOptions, callback) {
+        captured.signatures.push({ data: data, coercionType: signatureOptions.coercionType });
+        setImmediate(function() {
+          if (callback) callback({ status: "succeeded", asyncContext: signatureOptions.asyncContext });
+        });
+      }
+    },
+    to: async_field(opts.recipients.map(function(address) { return { emailAddress: address }; })),
+    cc: async_field([]),
+    bcc: async_field([]),
+    notificationMessages: {
+      addAsync: function(key, message) { captured.notifications[key] = message; },
+      replaceAsync: function(key, message) { captured.notifications[key] = message; },
+      removeAsync: function(key) { delete captured.notifications[key]; }
+    }
+  };
+  const sender = { emailAddress: opts.from || opts.email, displayName: opts.displayName };
+  if (opts.itemType === "appointment") {
+    item.organizer = async_field(sender);
+  } else {
+    item.from = async_field(sender);
+  }
+
+  const Office = {
+    onReady: function() {},
+    actions: { associate: function(name, handler) { handlers[name] = handler; } },
+    MailboxEnums: { ItemType: { Message: "message", Appointment: "appointment" } },
+    CoercionType: { Html: "html", Text: "text" },
+    AsyncResultStatus: { Succeeded: "succeeded", Failed: "failed" },
+    context: {
+      displayLanguage: "en-US",
+      platform: "PC",
+      requirements: { isSetSupported: function(name, version) { return Number(version.split(".")[1]) <= 13; } },
+      roamingSettings: {
+        get: function(key) { return settings[key]; },
+        set: function(key, value) { settings[key] = value; },
+        remove: function(key) { delete settings[key]; },
+        saveAsync: function(callback) {
+          captured.saves++;
+          setImmediate(function() { if (callback) callback({ status: "succeeded" }); });
+        }
+      },
+      mailbox: {
+        userProfile: { emailAddress: opts.email, displayName: opts.displayName },
+        diagnostics: { hostName: "Outlook", hostVersion: "16.0" },
+        item: item
+      }
+    }
+  };
+
+  // Serves the org config from the repository and the signature API from options.graph
+  function XMLHttpRequest() {
+    const xhr = this;
+    xhr.open = function(method, url) { xhr.url = url; };
+    xhr.setRequestHeader = function() {};
+    xhr.send = function() {
+      captured.requests.push(xhr.url);
+      setImmediate(function() {
+        if (xhr.url === ORG_CONFIG_URL) {
+          const config = opts.orgConfig !== undefined ? opts.orgConfig :
+            fs.readFileSync(path.join(ROOT_DIR, "assets", "org-config.json"), "utf8");
+          xhr.status = config === null ? 404 : 200;
+          xhr.responseText = config === null ? "" : config;
+          xhr.onload();
+          return;
+        }
+        Promise.resolve(typeof opts.graph === "function" ? opts.graph(xhr.url) : opts.graph).then(function(graph) {
+          if (graph instanceof GraphFailure && graph.status === "timeout") {
+            xhr.ontimeout();
+            return;
+          }
+          if (graph instanceof GraphFailure && graph.status === "error") {
+            xhr.onerror();
+            return;
+          }
+          if (graph instanceof GraphFailure) {
+            xhr.status = graph.status;
+            xhr.responseText = "";
+          } else if (graph) {
+            xhr.status = 200;
+            xhr.responseText = JSON.stringify(graph);
+          } else {
+            xhr.status = 404;
+            xhr.responseText = "";
+          }
+          xhr.onload();
+        });
+      });
+    };
+  }
+
+  const logs = [];
+  const context = {
+    console: {
+      log: function() { logs.push(["log"].concat(Array.from(arguments))); },
+      info: function() { logs.push(["info"].concat(Array.from(arguments))); },
+      debug: function() { logs.push(["debug"].concat(Array.from(arguments))); },
+      warn: function() { logs.push(["warn"].concat(Array.from(arguments))); },
+      error: function() { logs.push(["error"].concat(Array.from(arguments))); }
+    },
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    XMLHttpRequest: XMLHttpRequest,
+    Office: Office,
+    __office: captured,
+    __handlers: handlers,
+    __logs: logs
+  };
+  if (opts.browser) {
+    context.sessionStorage = create_web_storage();
+    context.localStorage = create_web_storage();
+    context.document = {
+      getElementById: function() { return null; },
+      addEventListener: function() {},
+      querySelectorAll: function() { return []; },
+      createElement: function() { return { style: {}, appendChild: function() {} }; }
+    };
+  }
+  return vm.createContext(context);
+}
+
+/**
+ * Runs script files from the repository in a context, built for SITE_URL
+ * @param {*} context vm context from create_context
+ * @param {*} files Script file names
+ * @returns The context
+ */
+function load_scripts(context, files) {
+  files.forEach(function(file) {
+    vm.runInContext(read_site_script(file, SITE_URL), context, { filename: file });
+  });
+  return context;
+}
+
+/**
+ * Runs the deployed autorun bundle (see scripts/build.js) in a context
+ * @param {*} context vm context from create_context
+ * @returns The context
+ */
+function load_autorun_bundle(context) {
+  vm.runInContext(bundle_autorun(SITE_URL).source, context, { filename: "dist/autorunshared-p.js" });
+  return context;
+}
+
+/**
+ * Evaluates an expression in a context (top-level let/const are only reachable this way)
+ * @param {*} context vm context
+ * @param {*} code JavaScript expression
+ * @returns The value (objects are copied through JSON so they compare with deepStrictEqual)
+ */
+function run(context, code) {
+  const value = vm.runInContext(code, context);
+  return value !== null && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Fires an event handler registered with Office.actions.associate
+ * @param {*} context vm context with the autorun loaded
+ * @param {*} name Handler name, e.g. "checkSignature"
+ * @returns Promise resolving when the handler calls event.completed
+ */
+function fire_event(context, name) {
+  return new Promise(function(resolve, reject) {
+    const timer = setTimeout(function() { reject(new Error(name + " did not complete")); }, 5000);
+    context.__handlers[name]({
+      completed: function(options) {
+        clearTimeout(timer);
+        resolve(options);
+      }
+    });
+  });
+}
+
+/**
+ * Waits for work the autorun does after an event completed (e.g. the background refresh)
+ * @param {*} check Function returning true once the work is done
+ * @param {*} description What is waited for (for the timeout error)
+ * @returns Promise resolving when check returns true
+ */
+function wait_until(check, description) {
+  const started = Date.now();
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      if (check()) {
+        resolve();
+      } else if (Date.now() - started > 5000) {
+        reject(new Error("Timed out waiting for " + description));
+      } else {
+        setTimeout(poll, 5);
+      }
+    })();
+  });
+}
+
+/**
+ * Creates a context with the shared modules loaded and the org config from assets/org-config.json
+ * @param {*} options Options for create_context
+ * @returns Promise resolving to the context
+ */
+function load_shared(options) {
+  const context = load_scripts(create_context(options), SHARED_SCRIPTS);
+  return new Promise(function(resolve) {
+    context.__done = function() { resolve(context); };
+    vm.runInContext("load_org_config(function() { __done(); })", context);
+  });
+}
+
+module.exports = {
+  SITE_URL: SITE_URL,
+  ORG_CONFIG_URL: ORG_CONFIG_URL,
+  AUTORUN_SCRIPTS: AUTORUN_SCRIPTS,
+  TASKPANE_SCRIPTS: TASKPANE_SCRIPTS,
+  SHARED_SCRIPTS: SHARED_SCRIPTS,
+  create_context: create_context,
+  create_web_storage: create_web_storage,
+  graph_failure: graph_failure,
+  load_scripts: load_scripts,
+  load_autorun_bundle: load_autorun_bundle,
+  load_shared: load_shared,
+  fire_event: fire_event,
+  wait_until: wait_until,
+  run: run
+};
@@ -0,0 +1,76 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Signature locales - picking the locale, translated labels and sign-offs (get_sign_off_text).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+function run_with(context, code, user_info) {
+  return helpers.run(context, code.replace("USER", JSON.stringify(user_info)));
+}
+
+test("every locale translates every English label", async function() {
+  const context = await helpers.load_shared();
+  const locales = helpers.run(context, "SIGNATURE_LOCALES");
+  const keys = Object.keys(locales.en.labels);
+
+  Object.keys(locales).forEach(function(locale) {
+    assert.deepStrictEqual(Object.keys(locales[locale].labels).sort(), keys.slice().sort(), locale);
+  });
+  helpers.run(context, "SIGN_OFF_PRESETS").forEach(function(preset) {
+    assert.ok(keys.indexOf(preset) !== -1, preset + " is a label");
+  });
+});
+
+test("labels are translated, with the company name filled in and English as the fallback", async function() {
+  const context = await helpers.load_shared();
+  assert.strictEqual(helpers.run(context, "get_locale_label('fr', 'office')"), "bureau");
+  assert.strictEqual(helpers.run(context, "get_locale_label('de', 'bestRegards')"), "Beste Grüße");
+  assert.strictEqual(helpers.run(context, "get_locale_label('es', 'contractorFor')"), "Contratista para Eli Lilly and Company");
+  assert.strictEqual(helpers.run(context, "get_locale_label('ja', 'contractorFor')"), "Eli Lilly and Company 業務委託");
+  assert.strictEqual(helpers.run(context, "get_locale_label('xx', 'mobile')"), "mobile");
+});
+
+test("the locale follows the override, then the country, then the display language", async function() {
+  const context = await helpers.load_shared();
+  const resolve = "resolve_signature_locale(USER)";
+
+  assert.strictEqual(run_with(context, resolve, { country: "France", locale: "de-DE" }), "de");
+  assert.strictEqual(run_with(context, resolve, { country: "France", locale: "xx" }), "fr");
+  assert.strictEqual(run_with(context, resolve, { country: " ITALY " }), "it");
+  assert.strictEqual(run_with(context, resolve, { country: "Narnia" }), "en");
+
+  context.Office.context.displayLanguage = "pt-BR";
+  assert.strictEqual(run_with(context, resolve, { country: "Narnia" }), "pt");
+  assert.strictEqual(run_with(context, resolve, { country: "Japan" }), "ja");
+});
+
+test("sign-offs are translated presets or the user's own text", async function() {
+  const context = await helpers.load_shared();
+  const sign_off = "get_sign_off_text(USER, 'fr', { composeType: 'newMail' })";
+
+  assert.strictEqual(run_with(context, sign_off, { signOff: "bestRegards" }), "Cordialement,");
+  assert.strictEqual(run_with(context, sign_off, { signOff: "thanks", greeting: "Ignored" }), "Merci,");
+  assert.strictEqual(run_with(context, sign_off, { signOff: "custom", greeting: "  À bientôt,  " }), "À bientôt,");
+  assert.strictEqual(run_with(context, sign_off, { signOff: "custom", greeting: "" }), "");
+  assert.strictEqual(run_with(context, sign_off, { signOff: "" }), "");
+  // Not a preset key - no sign-off rather than a made-up one
+  assert.strictEqual(run_with(context, sign_off, { signOff: "preset", greeting: "Cordialement," }), "");
+});
+
+test("replies skip the sign-off only when the user opted out", async function() {
+  const context = await helpers.load_shared();
+  function sign_off(user_info, compose_type) {
+    return helpers.run(context, "get_sign_off_text(" + JSON.stringify(user_info) + ", 'en', " +
+      JSON.stringify({ composeType: compose_type }) + ")");
+  }
+
+  const opted_out = { signOff: "kindRegards", signOffInReplies: false };
+  assert.strictEqual(sign_off(opted_out, "reply"), "");
+  assert.strictEqual(sign_off(opted_out, "newMail"), "Kind regards,");
+  assert.strictEqual(sign_off(opted_out, "forward"), "Kind regards,");
+  assert.strictEqual(sign_off({ signOff: "kindRegards" }, "reply"), "Kind regards,");
+  assert.strictEqual(sign_off({ signOff: "custom", greeting: "Thanks!", signOffInReplies: false }, "reply"), "");
+});
@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Office location resolution (resolve_location) against the shipped org config tables.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+function resolve(context, user_info) {
+  return helpers.run(context, "resolve_location(" + JSON.stringify(user_info) + ")");
+}
+
+test("a city only matches a facility in the user's country", async function() {
+  const context = await helpers.load_shared();
+
+  const cambridgeMa = resolve(context, { city: "Cambridge", country: "United States" });
+  assert.strictEqual(cambridgeMa.code, "CAM");
+  assert.strictEqual(cambridgeMa.source, "city");
+  assert.strictEqual(resolve(context, { city: "Cambridge", country: "USA" }).code, "CAM");
+  assert.strictEqual(resolve(context, { city: "Limerick", country: "Ireland" }).code, "LIM");
+  assert.strictEqual(resolve(context, { city: "toronto", country: "canada" }).code, "CA");
+
+  const cambridgeUk = resolve(context, { city: "Cambridge", country: "United Kingdom" });
+  assert.deepStrictEqual(cambridgeUk, {
+    code: "", address: "Cambridge, United Kingdom", city: "Cambridge, United Kingdom", isHome: false, source: "profile"
+  });
+  assert.strictEqual(resolve(context, { city: "Concord", country: "Australia" }).source, "profile");
+  assert.strictEqual(resolve(context, { officeLocation: "Concord, NSW", country: "Australia" }).source, "profile");
+});
+
+test("a city matches without a country in the profile", async function() {
+  const context = await helpers.load_shared();
+  assert.strictEqual(resolve(context, { city: "Concord" }).code, "CON");
+  assert.strictEqual(resolve(context, { officeLocation: "Indianapolis, IN" }).code, "MC");
+});
+
+test("a known facility code wins over the city and country", async function() {
+  const context = await helpers.load_shared();
+  const location = resolve(context, { officeLocation: "LIM/2/1", city: "Cambridge", country: "United Kingdom" });
+  assert.strictEqual(location.code, "LIM");
+  assert.strictEqual(location.source, "facility");
+});
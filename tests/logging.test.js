@@ -0,0 +1,77 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Logging - what a signature run leaves in the ring buffer (levels, no personal data).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const GRAPH_USER = {
+  displayName: "Jane Doe",
+  mail: "jane.doe@lilly.com",
+  jobTitle: "Senior Director",
+  mobilePhone: "+1 317 555 0199",
+  businessPhones: ["+1 317 555 0100"],
+  officeLocation: "MC/1/2"
+};
+
+const PERSONAL_DATA = ["jane.doe", "jdoe@", "Jane Doe", "Senior Director", "317", "MC/1/2"];
+
+/**
+ * Runs checkSignature for a draft sent from a proxy address and returns the buffered events
+ */
+async function buffered_events(roaming) {
+  const context = helpers.load_autorun_bundle(helpers.create_context({
+    from: "jdoe@lilly.com",
+    roaming: roaming,
+    graph: GRAPH_USER
+  }));
+  await helpers.fire_event(context, "checkSignature");
+  assert.strictEqual(context.__office.signatures.length, 1);
+  return helpers.run(context, "get_recent_log_entries()");
+}
+
+function assert_no_personal_data(entries) {
+  entries.forEach(function(entry) {
+    const text = entry.message + " " + (entry.data || "");
+    PERSONAL_DATA.forEach(function(value) {
+      assert.ok(text.indexOf(value) === -1, "\"" + value + "\" in: " + text);
+    });
+  });
+}
+
+test("a signature run only buffers per-run events while debug logging is on", async function() {
+  const entries = await buffered_events({ storage_version: 2 });
+  assert.deepStrictEqual(entries.filter(function(entry) { return entry.level === "debug"; }), []);
+  assert.ok(entries.every(function(entry) { return !/checkSignature|Signature inserted|Using Template/.test(entry.message); }),
+    JSON.stringify(entries));
+
+  const debug = await buffered_events({ storage_version: 2, debug_logging: true });
+  assert.ok(debug.some(function(entry) { return entry.level === "debug" && entry.message === "checkSignature triggered"; }));
+});
+
+test("buffered events carry no personal data", async function() {
+  assert_no_personal_data(await buffered_events({ storage_version: 2 }));
+  assert_no_personal_data(await buffered_events({ storage_version: 2, debug_logging: true }));
+});
+
+test("email addresses and phone numbers are masked before an event is buffered", function() {
+  const context = helpers.load_scripts(helpers.create_context({ browser: true }), helpers.SHARED_SCRIPTS);
+  const sunk = [];
+  context.__sink = function(entry) { sunk.push(entry); };
+  helpers.run(context, "set_log_sink(__sink)");
+
+  helpers.run(context, "log_warn('Lookup failed for Jane.Doe@Lilly.com', { phone: '+353 (0)1 234-5678', mailbox: 'team-a@lilly.co.uk' })");
+  helpers.run(context, "log_warn('Fetch attempt 2 failed (HTTP 503) - retrying in 1000ms', '2025-11-06T10:00:00.000Z')");
+
+  const entries = helpers.run(context, "get_recent_log_entries()");
+  assert.strictEqual(entries[0].message, "Lookup failed for [email]");
+  assert.strictEqual(entries[0].data, "{\"phone\":\"[phone]\",\"mailbox\":\"[email]\"}");
+  assert.strictEqual(entries[1].message, "Fetch attempt 2 failed (HTTP 503) - retrying in 1000ms");
+  assert.strictEqual(entries[1].data, "2025-11-06T10:00:00.000Z");
+  assert.ok(context.localStorage.getItem(helpers.run(context, "LOG_BUFFER_KEY")).indexOf("Jane.Doe") === -1);
+
+  // The live sink still gets the event as logged
+  assert.strictEqual(sunk[0].message, "Lookup failed for Jane.Doe@Lilly.com");
+});
@@ -0,0 +1,74 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Logo delivery - the hosted images must be the same wordmark as the inline logo, at the sizes recorded,
+// and published with the site.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { build_site } = require("../scripts/build.js");
+const helpers = require("./helpers.js");
+
+const ASSETS_DIR = path.join(__dirname, "..", "assets");
+
+/**
+ * Reads the pixel size from a PNG header
+ */
+function png_size(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function config_text(changes) {
+  const config = JSON.parse(fs.readFileSync(path.join(ASSETS_DIR, "org-config.json"), "utf8"));
+  return JSON.stringify(Object.assign(config, changes));
+}
+
+test("hosted logo files exist at the recorded sizes and keep the inline logo's ratio", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const inline = png_size(Buffer.from(helpers.run(context, "LILLY_LOGO_BASE64"), "base64"));
+  assert.deepStrictEqual(inline, { width: helpers.run(context, "LILLY_LOGO_WIDTH"), height: helpers.run(context, "LILLY_LOGO_HEIGHT") });
+
+  helpers.run(context, "HOSTED_LOGO_ASSETS").forEach(function(asset) {
+    const size = png_size(fs.readFileSync(path.join(ASSETS_DIR, asset.file)));
+    assert.deepStrictEqual(size, { width: asset.width, height: asset.height }, asset.file);
+    assert.ok(Math.abs(asset.width / asset.height - inline.width / inline.height) < 0.05, asset.file + " is a wordmark");
+  });
+});
+
+test("hosted mode links a wordmark twice the display width with explicit size", async function() {
+  const context = await helpers.load_shared({ orgConfig: config_text({ logoMode: "hosted" }) });
+  const html = helpers.run(context, "SIGNATURE_BLOCKS.logo({}, SIGNATURE_TEMPLATES.A, 'en', {})");
+
+  assert.strictEqual(html, "<img src='" + helpers.SITE_URL + "assets/lilly-logo-500.png' width='250' height='47' " +
+    "alt='Eli Lilly and Company' style='width: 250px; height: 47px;' /><br><br>");
+});
+
+test("the hosted logo is published with the site the URL points to", async function() {
+  const out_dir = fs.mkdtempSync(path.join(os.tmpdir(), "signature-site-"));
+  try {
+    build_site(out_dir, helpers.SITE_URL);
+    const context = await helpers.load_shared({ orgConfig: config_text({ logoMode: "hosted" }) });
+    const src = helpers.run(context, "get_logo_src()");
+
+    assert.strictEqual(src.indexOf(helpers.SITE_URL), 0, src);
+    assert.ok(fs.existsSync(path.join(out_dir, src.slice(helpers.SITE_URL.length))), src + " is in the built site");
+    assert.match(fs.readFileSync(path.join(out_dir, "autorunshared-p.js"), "utf8"),
+      /const ADDIN_SITE_URL = "https:\/\/addin\.example\.com\/signature\/";/);
+  } finally {
+    fs.rmSync(out_dir, { recursive: true, force: true });
+  }
+});
+
+test("every logo mode renders the wordmark at the same size", async function() {
+  for (const mode of ["inline", "cid", "hosted"]) {
+    const context = await helpers.load_shared({ orgConfig: config_text({ logoMode: mode, logoWidth: 200 }) });
+    const html = helpers.run(context, "SIGNATURE_BLOCKS.logo({}, SIGNATURE_TEMPLATES.A, 'en', {})");
+    assert.match(html, / width='200' height='38' /, mode);
+  }
+
+  const wide = await helpers.load_shared({ orgConfig: config_text({ logoMode: "hosted", logoWidth: 400 }) });
+  assert.strictEqual(helpers.run(wide, "pick_hosted_logo(400).file"), "lilly-logo.png");
+});
@@ -0,0 +1,136 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Phone number formatting (format_phone_number) and tel: links (phone_tel_uri) for the countries
+// in the org config locations and the other regions in PHONE_NUMBER_FORMATS.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+// [number from Graph API, formatted number, tel: URI]
+const PHONE_FIXTURES = {
+  "United States": [
+    ["+1 317 555 1234", "+1 317.555.1234", "tel:+13175551234"],
+    ["+1 (317) 555-1234 x1234", "+1 317.555.1234 ext. 1234", "tel:+13175551234;ext=1234"],
+    ["001 317 555 1234", "+1 317.555.1234", "tel:+13175551234"],
+    ["+1 317 555 1234 extension 9", "+1 317.555.1234 ext. 9", "tel:+13175551234;ext=9"],
+    ["+1 317 555 1234,77", "+1 317.555.1234 ext. 77", "tel:+13175551234;ext=77"]
+  ],
+  "Canada": [
+    ["+1-416-555-0199", "+1 416.555.0199", "tel:+14165550199"],
+    ["+1 416 555 0199 ext. 22", "+1 416.555.0199 ext. 22", "tel:+14165550199;ext=22"]
+  ],
+  "Ireland": [
+    ["+353 1 234 5678", "+353 1 234 5678", "tel:+35312345678"],
+    ["+353 (0)1 234 5678", "+353 1 234 5678", "tel:+35312345678"],
+    ["00353 87 123 4567", "+353 87 123 4567", "tel:+353871234567"],
+    ["+353 61 123456", "+353 61 123456", "tel:+35361123456"],
+    ["+353 21 4812345", "+353 21 481 2345", "tel:+353214812345"]
+  ],
+  "France": [
+    ["+33 3 88 12 34 56", "+33 3 88 12 34 56", "tel:+33388123456"],
+    ["+33 (0)3 88 12 34 56", "+33 3 88 12 34 56", "tel:+33388123456"],
+    ["0033 6 12 34 56 78", "+33 6 12 34 56 78", "tel:+33612345678"],
+    ["+33 3 88 12 34 56 #12", "+33 3 88 12 34 56 ext. 12", "tel:+33388123456;ext=12"]
+  ],
+  "United Kingdom": [
+    ["+44 20 7123 4567", "+44 20 7123 4567", "tel:+442071234567"],
+    ["+44 (0)20 7123 4567", "+44 20 7123 4567", "tel:+442071234567"],
+    ["+44 7700 900123", "+44 7700 900123", "tel:+447700900123"],
+    ["0044 1256 315000", "+44 1256 315000", "tel:+441256315000"]
+  ],
+  "Germany": [
+    ["+49 30 12345678", "+49 30 12345678", "tel:+493012345678"],
+    ["+49 (0)6172 123456", "+49 6172 123456", "tel:+496172123456"],
+    ["+49 151 23456789", "+49 151 23456789", "tel:+4915123456789"]
+  ],
+  "Spain": [
+    ["+34 912 345 678", "+34 912 345 678", "tel:+34912345678"]
+  ],
+  "Italy": [
+    ["+39 02 1234 5678", "+39 02 1234 5678", "tel:+390212345678"],
+    ["0039 312 345 6789", "+39 312 345 6789", "tel:+393123456789"]
+  ],
+  "Mexico": [
+    ["+52 55 1234 5678", "+52 55 1234 5678", "tel:+525512345678"]
+  ],
+  "Brazil": [
+    ["+55 11 91234 5678", "+55 11 91234 5678", "tel:+5511912345678"],
+    ["+55 11 3123 4567", "+55 11 3123 4567", "tel:+551131234567"]
+  ],
+  "Australia": [
+    ["+61 2 9876 5432", "+61 2 9876 5432", "tel:+61298765432"],
+    ["+61 (0)412 345 678", "+61 412 345 678", "tel:+61412345678"]
+  ],
+  "Japan": [
+    ["+81 3 1234 5678", "+81 3 1234 5678", "tel:+81312345678"],
+    ["+81 (0)90 1234 5678", "+81 90 1234 5678", "tel:+819012345678"]
+  ],
+  "China": [
+    ["+86 10 1234 5678", "+86 10 1234 5678", "tel:+861012345678"],
+    ["+86 131 2345 6789", "+86 131 2345 6789", "tel:+8613123456789"]
+  ],
+  "India": [
+    ["+91 98765 43210", "+91 98765 43210", "tel:+919876543210"],
+    ["+91 (0)11 2345 6789", "+91 11 2345 6789", "tel:+911123456789"]
+  ],
+  // No grouping rule - shown as written, still dialable
+  "South Africa": [
+    ["+27 21 123 4567", "+27 21 123 4567", "tel:+27211234567"]
+  ]
+};
+
+// Numbers that are not in international format are shown as written and not linked
+const UNLINKED_FIXTURES = [
+  ["(317) 555-1234", "(317) 555-1234"],
+  ["317.555.1234 x55", "317.555.1234 x55"],
+  ["+1 800 FLOWERS", "+1 800 FLOWERS"],
+  ["call reception", "call reception"],
+  ["", ""]
+];
+
+Object.keys(PHONE_FIXTURES).forEach(function(country) {
+  test("formats and links " + country + " numbers", function() {
+    const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+    PHONE_FIXTURES[country].forEach(function(fixture) {
+      const phone = JSON.stringify(fixture[0]);
+      assert.strictEqual(helpers.run(context, "format_phone_number(" + phone + ")"), fixture[1], fixture[0]);
+      assert.strictEqual(helpers.run(context, "phone_tel_uri(" + phone + ")"), fixture[2], fixture[0]);
+    });
+  });
+});
+
+test("keeps numbers that are not in international format as written", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  UNLINKED_FIXTURES.forEach(function(fixture) {
+    const phone = JSON.stringify(fixture[0]);
+    assert.strictEqual(helpers.run(context, "format_phone_number(" + phone + ")"), fixture[1], fixture[0]);
+    assert.strictEqual(helpers.run(context, "phone_tel_uri(" + phone + ")"), "", fixture[0]);
+  });
+  assert.strictEqual(helpers.run(context, "format_phone_number(null)"), "");
+});
+
+test("covers every country in the org config locations", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const countries = { USA: "United States", Canada: "Canada", Ireland: "Ireland", France: "France" };
+  const addresses = Object.values(require("../assets/org-config.json").locations);
+
+  addresses.filter(function(address) { return address !== "Works from Home"; }).forEach(function(address) {
+    const country = Object.keys(countries).filter(function(name) { return new RegExp(name + "$").test(address); })[0];
+    assert.ok(country, "fixture country for " + address);
+    assert.ok(PHONE_FIXTURES[countries[country]].length > 0);
+  });
+  assert.ok(helpers.run(context, "Object.keys(PHONE_NUMBER_FORMATS)").every(function(code) {
+    return Object.keys(PHONE_FIXTURES).some(function(country) {
+      return PHONE_FIXTURES[country].some(function(fixture) { return fixture[2].indexOf("tel:+" + code) === 0; });
+    });
+  }), "every grouping rule has fixtures");
+});
+
+test("phone links in signatures use the tel: URI and the formatted number", async function() {
+  const context = await helpers.load_shared();
+  const html = helpers.run(context, "phone_link('+353 (0)1 234 5678 x12')");
+  assert.strictEqual(html, "<a href='tel:+35312345678;ext=12' style='color:#212121;text-decoration:none;'>+353 1 234 5678 ext. 12</a>");
+  assert.strictEqual(helpers.run(context, "phone_link('(317) 555-1234')"), "(317) 555-1234");
+});
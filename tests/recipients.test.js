@@ -0,0 +1,65 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// OnMessageRecipientsChanged - switching between the internal and the full signature from the
+// cached user info, without writing settings or calling the signature API.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const SAVED_USER = { name: "Jane Doe", email: "jane.doe@lilly.com", jobTitle: "Senior Director", officePhone: "+1 317 555 0100" };
+
+/**
+ * Context options for a draft of a user who turned on the internal template
+ */
+function draft_options(recipients, roaming) {
+  return {
+    recipients: recipients,
+    roaming: Object.assign({
+      storage_version: 2,
+      lilly_user_info: JSON.stringify(SAVED_USER),
+      user_info_cache: JSON.stringify(SAVED_USER),
+      // Old enough for checkSignature to refresh in the background
+      user_info_timestamp: Date.now() - 2 * 24 * 60 * 60 * 1000,
+      lilly_newMail: "A",
+      lilly_internal: "I"
+    }, roaming),
+    graph: SAVED_USER
+  };
+}
+
+async function signature_on_open(recipients) {
+  const context = helpers.load_autorun_bundle(helpers.create_context(draft_options(recipients)));
+  await helpers.fire_event(context, "checkSignature");
+  return context.__office.signatures[0].data;
+}
+
+test("recipient changes re-render from the cache without writes or fetches", async function() {
+  for (const recipients of [["colleague@lilly.com"], ["someone@example.com"]]) {
+    const context = helpers.load_autorun_bundle(helpers.create_context(draft_options(recipients)));
+    await helpers.fire_event(context, "onMessageRecipientsChangedHandler");
+
+    assert.strictEqual(context.__office.signatures.length, 1);
+    assert.strictEqual(context.__office.signatures[0].data, await signature_on_open(recipients), recipients[0]);
+    assert.strictEqual(context.__office.saves, 0, "no settings written");
+    assert.deepStrictEqual(context.__office.requests, [helpers.ORG_CONFIG_URL], "no signature API calls");
+    assert.deepStrictEqual(context.__office.notifications, {});
+  }
+});
+
+test("recipient changes leave the signature alone without the internal template or a cache", async function() {
+  const off = helpers.load_autorun_bundle(helpers.create_context(draft_options(["colleague@lilly.com"], { lilly_internal: undefined })));
+  await helpers.fire_event(off, "onMessageRecipientsChangedHandler");
+  assert.strictEqual(off.__office.signatures.length, 0);
+
+  const empty = helpers.load_autorun_bundle(helpers.create_context({
+    recipients: ["colleague@lilly.com"],
+    roaming: { storage_version: 2, lilly_internal: "I" },
+    graph: SAVED_USER
+  }));
+  await helpers.fire_event(empty, "onMessageRecipientsChangedHandler");
+  assert.strictEqual(empty.__office.signatures.length, 0);
+  assert.strictEqual(empty.__office.saves, 0);
+  assert.deepStrictEqual(empty.__office.requests, [helpers.ORG_CONFIG_URL]);
+});
@@ -0,0 +1,136 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Background refresh - a cached signature goes in and the event completes right away, then the
+// user info is checked against the directory, with a notification when signature details changed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const CACHED_USER = {
+  name: "Jane Doe",
+  email: "jane.doe@lilly.com",
+  jobTitle: "Director",
+  officePhone: "+1 317 555 0100",
+  officeLocation: "MC/1/2"
+};
+
+// Same person after a promotion
+const GRAPH_USER = {
+  displayName: "Jane Doe",
+  mail: "jane.doe@lilly.com",
+  jobTitle: "Senior Director",
+  businessPhones: ["+1 317 555 0100"],
+  officeLocation: "MC/1/2"
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Autorun context for a user whose Graph API cache has the given age
+ */
+function cached_context(age, graph) {
+  return helpers.load_autorun_bundle(helpers.create_context({
+    roaming: {
+      storage_version: 2,
+      user_info_cache: JSON.stringify(CACHED_USER),
+      user_info_timestamp: Date.now() - age
+    },
+    graph: graph
+  }));
+}
+
+function signature_requests(context) {
+  return context.__office.requests.filter(function(url) { return url.indexOf("/signature?") !== -1; });
+}
+
+test("a cache over an hour old is inserted at once, then refreshed and the change reported", async function() {
+  // The directory answers only after the event has completed
+  let answer = null;
+  const context = cached_context(2 * HOUR, function() {
+    return new Promise(function(resolve) { answer = resolve; });
+  });
+
+  await helpers.fire_event(context, "checkSignature");
+  assert.strictEqual(context.__office.signatures.length, 1);
+  assert.match(context.__office.signatures[0].data, /Director/);
+  assert.doesNotMatch(context.__office.signatures[0].data, /Senior Director/);
+  assert.strictEqual(signature_requests(context).length, 1, "refresh started");
+
+  await helpers.wait_until(function() { return answer; }, "the refresh request");
+  answer(GRAPH_USER);
+  await helpers.wait_until(function() { return context.__office.notifications["user-info-changed"]; }, "the change notification");
+  await helpers.wait_until(function() { return context.__office.settings.last_fetch_status.indexOf("refresh") !== -1; }, "the refresh status");
+
+  // Refreshed user info is saved for the next draft
+  const settings = context.__office.settings;
+  assert.strictEqual(JSON.parse(settings.user_info_cache).jobTitle, "Senior Director");
+  assert.ok(Date.now() - settings.user_info_timestamp < HOUR);
+  assert.deepStrictEqual(JSON.parse(settings.user_info_changes).fields, ["jobTitle"]);
+
+  const status = JSON.parse(settings.last_fetch_status);
+  assert.strictEqual(status.source, "refresh");
+  assert.strictEqual(status.attempts, 1);
+  assert.deepStrictEqual(status.changedFields, ["jobTitle"]);
+
+  const notification = JSON.parse(JSON.stringify(context.__office.notifications["user-info-changed"]));
+  assert.strictEqual(notification.type, "insightMessage");
+  assert.strictEqual(notification.message, "Your job title changed in Workday.");
+  assert.deepStrictEqual(notification.actions, [{
+    actionType: "showTaskPane",
+    actionText: "Update signature",
+    commandId: "msgComposeOpenPaneButton",
+    contextData: "{}"
+  }]);
+
+  // The draft's signature is only changed by the user
+  assert.strictEqual(context.__office.signatures.length, 1);
+});
+
+test("a refresh that finds no changes only updates the cache", async function() {
+  const context = cached_context(2 * HOUR, Object.assign({}, GRAPH_USER, { jobTitle: "Director" }));
+  await helpers.fire_event(context, "checkSignature");
+  await helpers.wait_until(function() { return context.__office.settings.last_fetch_status.indexOf("refresh") !== -1; }, "the refresh status");
+
+  assert.deepStrictEqual(JSON.parse(context.__office.settings.last_fetch_status).changedFields, []);
+  assert.strictEqual(context.__office.settings.user_info_changes, undefined);
+  assert.deepStrictEqual(context.__office.notifications, {});
+});
+
+test("a cache under an hour old is not refreshed", async function() {
+  const context = cached_context(HOUR / 2, function() { throw new Error("no refresh expected"); });
+  await helpers.fire_event(context, "checkSignature");
+  await new Promise(function(resolve) { setTimeout(resolve, 20); });
+
+  assert.strictEqual(context.__office.signatures.length, 1);
+  assert.deepStrictEqual(signature_requests(context), []);
+});
+
+test("compare_user_info reports changed signature fields only", async function() {
+  const context = await helpers.load_shared();
+  function compare(previous, current) {
+    return helpers.run(context, "compare_user_info(" + JSON.stringify(previous) + ", " + JSON.stringify(current) + ")");
+  }
+
+  assert.deepStrictEqual(compare(CACHED_USER, CACHED_USER), []);
+  assert.deepStrictEqual(compare(CACHED_USER, Object.assign({}, CACHED_USER, { jobTitle: "Senior Director", officePhone: "+1 317 555 0101" })),
+    ["jobTitle", "officePhone"]);
+  // Fields that aren't on the signature, whitespace and missing vs. empty values don't count
+  assert.deepStrictEqual(compare(CACHED_USER, Object.assign({}, CACHED_USER, { department: "HR", jobTitle: " Director " })), []);
+  assert.deepStrictEqual(compare({ mobilePhone: null }, { mobilePhone: "" }), []);
+  assert.deepStrictEqual(compare({ city: "" }, { city: "Indianapolis" }), ["city"]);
+});
+
+test("describe_user_info_changes names each kind of change once", async function() {
+  const context = await helpers.load_shared();
+  function describe(fields) {
+    return helpers.run(context, "describe_user_info_changes(" + JSON.stringify(fields) + ")");
+  }
+
+  assert.strictEqual(describe(["jobTitle"]), "job title");
+  assert.strictEqual(describe(["officePhone", "mobilePhone"]), "phone");
+  assert.strictEqual(describe(["jobTitle", "officePhone"]), "job title and phone");
+  assert.strictEqual(describe(["jobTitle", "mobilePhone", "city", "country"]), "job title, phone and location");
+  assert.strictEqual(describe([]), "");
+});
@@ -0,0 +1,91 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Sender identities (resolve_sender_identity) and the signature the autorun inserts for them.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const helpers = require("./helpers.js");
+
+const SAVED_USER = { name: "Jane Doe", email: "jane.doe@lilly.com", jobTitle: "Senior Director" };
+
+function config_text(senderIdentities) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "assets", "org-config.json"), "utf8"));
+  config.senderIdentities = senderIdentities;
+  return JSON.stringify(config);
+}
+
+function resolve(context, sender) {
+  return helpers.run(context, "resolve_sender_identity(" + JSON.stringify(sender) + ", 'Jane.Doe@lilly.com')");
+}
+
+test("an address that is not configured signs as the user", async function() {
+  const context = await helpers.load_shared();
+
+  // Proxy address, UPN / SMTP mismatch, different case, unknown From
+  ["jdoe@lilly.com", "jane.doe@elililly.onmicrosoft.com", "JANE.DOE@LILLY.COM", ""].forEach(function(sender) {
+    const identity = resolve(context, sender);
+    assert.strictEqual(identity.type, "self", sender);
+    assert.strictEqual(identity.isSelf, true, sender);
+    assert.strictEqual(identity.account, "Jane.Doe@lilly.com", sender);
+  });
+  assert.strictEqual(resolve(context, "jdoe@lilly.com").address, "jdoe@lilly.com");
+});
+
+test("configured identities keep their type", async function() {
+  const context = await helpers.load_shared({ orgConfig: config_text({
+    "clinical-trials@lilly.com": { type: "shared", name: "Clinical Trials Team", template: "b" },
+    "john.smith@lilly.com": { type: "delegate" },
+    "jdoe@lilly.com": { type: "alias" }
+  }) });
+
+  assert.deepStrictEqual(resolve(context, "Clinical-Trials@lilly.com"), {
+    type: "shared", address: "clinical-trials@lilly.com", account: "clinical-trials@lilly.com",
+    name: "Clinical Trials Team", template: "B", isSelf: false
+  });
+  assert.strictEqual(resolve(context, "john.smith@lilly.com").type, "delegate");
+  assert.strictEqual(resolve(context, "john.smith@lilly.com").isSelf, false);
+  assert.strictEqual(resolve(context, "jdoe@lilly.com").account, "Jane.Doe@lilly.com");
+});
+
+test("a draft from an unconfigured address gets the user's saved signature", async function() {
+  const context = helpers.load_autorun_bundle(helpers.create_context({
+    from: "jdoe@lilly.com",
+    roaming: {
+      storage_version: 2,
+      lilly_user_info: JSON.stringify(SAVED_USER),
+      user_info_cache: JSON.stringify(SAVED_USER),
+      user_info_timestamp: Date.now(),
+      lilly_newMail: "A"
+    },
+    graph: function() { throw new Error("no lookup expected"); }
+  }));
+  await helpers.fire_event(context, "checkSignature");
+
+  assert.strictEqual(context.__office.signatures.length, 1);
+  assert.ok(context.__office.signatures[0].data.indexOf("Senior Director") !== -1);
+  assert.ok(context.__office.requests.every(function(url) { return url.indexOf("jdoe%40lilly.com") === -1; }));
+});
+
+test("the built-in alias works without a config file", async function() {
+  const context = await helpers.load_shared({ orgConfig: null, email: "AM_New_Outlook_2025@lilly.com" });
+  assert.strictEqual(helpers.run(context, "orgConfigStatus"), "fallback");
+
+  const identity = helpers.run(context, "resolve_sender_identity('AM_New_Outlook_2025@lilly.com', 'AM_New_Outlook_2025@lilly.com')");
+  assert.strictEqual(identity.type, "alias");
+  assert.strictEqual(identity.account, "AM_New_Outlook_2025@elililly.onmicrosoft.com");
+
+  // The autorun looks the signature up for the account behind the mailbox
+  const autorun = helpers.load_autorun_bundle(helpers.create_context({
+    orgConfig: null,
+    email: "AM_New_Outlook_2025@lilly.com",
+    graph: SAVED_USER
+  }));
+  await helpers.fire_event(autorun, "checkSignature");
+  assert.strictEqual(autorun.__office.signatures.length, 1);
+  assert.ok(autorun.__office.requests.some(function(url) {
+    return url.indexOf(encodeURIComponent("AM_New_Outlook_2025@elililly.onmicrosoft.com")) !== -1;
+  }), JSON.stringify(autorun.__office.requests));
+});
@@ -0,0 +1,179 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Settings storage against in-memory stand-ins for roamingSettings and sessionStorage:
+// migrations, the legacy session cache formats and user info precedence.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+/**
+ * In-memory stand-in for Office.context.roamingSettings
+ * @param {*} values Initial values
+ */
+function create_roaming_settings(values) {
+  const data = Object.assign({}, values);
+  return {
+    data: data,
+    get: function(key) { return data[key]; },
+    set: function(key, value) { data[key] = value; },
+    remove: function(key) { delete data[key]; }
+  };
+}
+
+/**
+ * Runs migrate_storage on a stand-in and returns the result and the stored values
+ */
+function migrate(context, settings) {
+  context.__settings = settings;
+  const migrated = helpers.run(context, "migrate_storage(__settings)");
+  return { migrated: migrated, data: JSON.parse(JSON.stringify(settings.data)) };
+}
+
+test("migrate_storage brings version 0 settings up to the current schema", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const settings = create_roaming_settings({
+    lilly_user_info: JSON.stringify({ name: "Jane Doe", mobile: "+1 317 555 0199", location: "MC/1/2", pronouns: "She/Her" }),
+    user_info_cache: JSON.stringify({ name: "Jane Doe", mobile: "+1 317 555 0199", mobilePhone: "+1 317 555 0100" }),
+    newMail: "B",
+    reply: "A",
+    user_info: "legacy"
+  });
+
+  const result = migrate(context, settings);
+
+  assert.strictEqual(result.migrated, true);
+  assert.strictEqual(result.data.storage_version, helpers.run(context, "STORAGE_SCHEMA_VERSION"));
+  assert.deepStrictEqual(JSON.parse(result.data.lilly_user_info), {
+    name: "Jane Doe", mobilePhone: "+1 317 555 0199", officeLocation: "MC/1/2", pronoun: "She/Her"
+  });
+  // A value already stored under the new name wins over the legacy one
+  assert.deepStrictEqual(JSON.parse(result.data.user_info_cache), { name: "Jane Doe", mobilePhone: "+1 317 555 0100" });
+  assert.strictEqual(result.data.lilly_newMail, "B");
+  assert.strictEqual(result.data.lilly_reply, "A");
+  ["newMail", "reply", "forward", "user_info"].forEach(function(key) {
+    assert.ok(!(key in result.data), key + " is removed");
+  });
+});
+
+test("migrate_storage handles partial and empty data", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+
+  const empty = migrate(context, create_roaming_settings({}));
+  assert.strictEqual(empty.migrated, true);
+  assert.deepStrictEqual(empty.data, { storage_version: helpers.run(context, "STORAGE_SCHEMA_VERSION") });
+
+  // Only template choices, and a new-style choice that must not be overwritten
+  const templates = migrate(context, create_roaming_settings({ forward: "R", lilly_newMail: "B", newMail: "A" }));
+  assert.strictEqual(templates.data.lilly_forward, "R");
+  assert.strictEqual(templates.data.lilly_newMail, "B");
+
+  // Unreadable user info is left alone
+  const broken = migrate(context, create_roaming_settings({ lilly_user_info: "{not json" }));
+  assert.strictEqual(broken.data.lilly_user_info, "{not json");
+});
+
+test("migrate_storage resumes from the stored version and is a no-op once current", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+
+  // Version 1 settings only need migration 2 - legacy field names are no longer touched
+  const settings = create_roaming_settings({
+    storage_version: 1,
+    lilly_user_info: JSON.stringify({ name: "Jane Doe", mobile: "kept" }),
+    newMail: "B"
+  });
+  const first = migrate(context, settings);
+  assert.strictEqual(first.migrated, true);
+  assert.deepStrictEqual(JSON.parse(first.data.lilly_user_info), { name: "Jane Doe", mobile: "kept" });
+  assert.strictEqual(first.data.lilly_newMail, "B");
+
+  const second = migrate(context, settings);
+  assert.strictEqual(second.migrated, false);
+  assert.deepStrictEqual(second.data, first.data);
+});
+
+test("read_session_cache reads all three session cache formats", function() {
+  const context = helpers.load_scripts(helpers.create_context({ browser: true }), helpers.SHARED_SCRIPTS);
+  const user_info = { name: "Jane Doe", email: "jane.doe@lilly.com" };
+  const read = function(value) {
+    context.sessionStorage.setItem("user_info_session_cache", JSON.stringify(value));
+    return helpers.run(context, "read_session_cache()");
+  };
+
+  assert.deepStrictEqual(read({ user_info: user_info, templates: { newMail: "B", reply: "R" }, timestamp: "2025-11-06T10:00:00.000Z" }),
+    { user_info: user_info, templates: { newMail: "B", reply: "R" }, timestamp: "2025-11-06T10:00:00.000Z" });
+  assert.deepStrictEqual(read({ user_info: user_info, template: "B" }),
+    { user_info: user_info, templates: { newMail: "B" }, timestamp: null });
+  assert.deepStrictEqual(read(user_info), { user_info: user_info, templates: {}, timestamp: null });
+
+  context.sessionStorage.setItem("user_info_session_cache", "{not json");
+  assert.strictEqual(helpers.run(context, "read_session_cache()"), null);
+  context.sessionStorage.removeItem("user_info_session_cache");
+  assert.strictEqual(helpers.run(context, "read_session_cache()"), null);
+});
+
+test("read_session_cache is empty where the runtime has no sessionStorage", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  assert.strictEqual(helpers.run(context, "read_session_cache()"), null);
+  helpers.run(context, "write_session_cache({ name: 'Jane Doe' })");
+  assert.strictEqual(helpers.run(context, "read_session_cache()"), null);
+});
+
+test("read_user_info prefers the taskpane-saved copy over the Graph API cache", function() {
+  const saved = { name: "Jane Doe", pronoun: "She/Her" };
+  const cached = { name: "Jane Doe", jobTitle: "Director" };
+
+  const both = helpers.load_scripts(helpers.create_context({ roaming: {
+    lilly_user_info: JSON.stringify(saved), user_info_cache: JSON.stringify(cached), user_info_timestamp: 1000
+  } }), helpers.SHARED_SCRIPTS);
+  assert.deepStrictEqual(helpers.run(both, "read_user_info()"), { user_info: saved, timestamp: 1000 });
+  assert.deepStrictEqual(helpers.run(both, "read_saved_user_info()"), saved);
+
+  const cacheOnly = helpers.load_scripts(helpers.create_context({ roaming: {
+    user_info_cache: JSON.stringify(cached)
+  } }), helpers.SHARED_SCRIPTS);
+  assert.deepStrictEqual(helpers.run(cacheOnly, "read_user_info()"), { user_info: cached, timestamp: null });
+  assert.strictEqual(helpers.run(cacheOnly, "read_saved_user_info()"), null);
+
+  const unreadableSaved = helpers.load_scripts(helpers.create_context({ roaming: {
+    lilly_user_info: "{not json", user_info_cache: JSON.stringify(cached)
+  } }), helpers.SHARED_SCRIPTS);
+  assert.deepStrictEqual(helpers.run(unreadableSaved, "read_user_info().user_info"), cached);
+
+  const nothing = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  assert.strictEqual(helpers.run(nothing, "read_user_info()"), null);
+});
+
+test("write_saved_user_info also refreshes the Graph API cache", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  helpers.run(context, "write_saved_user_info({ name: 'Jane Doe', pronoun: 'She/Her' })");
+
+  const settings = context.__office.settings;
+  assert.strictEqual(settings.lilly_user_info, settings.user_info_cache);
+  assert.strictEqual(typeof settings.user_info_timestamp, "number");
+});
+
+test("profiles carry their own job title and department overrides", function() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const directory = { name: "Jane Doe", jobTitle: "Senior Director", department: "Global Regulatory Affairs" };
+  context.__directory = directory;
+
+  const medical = helpers.run(context, "apply_profile_settings(__directory, { settings: { jobTitleOverride: 'Medical Lead', departmentOverride: 'Oncology' } })");
+  assert.strictEqual(medical.jobTitle, "Senior Director", "the directory title is kept");
+  assert.deepStrictEqual(helpers.run(context, "pick_profile_settings(" + JSON.stringify(medical) + ")"),
+    { jobTitleOverride: "Medical Lead", departmentOverride: "Oncology" });
+  assert.deepStrictEqual(helpers.run(context, "get_title_parts(" + JSON.stringify(medical) + ", SIGNATURE_TEMPLATES.A)"),
+    ["Medical Lead", "Oncology"]);
+
+  // Switching to a profile without overrides goes back to the directory values
+  context.__medical = medical;
+  const plain = helpers.run(context, "apply_profile_settings(__medical, { settings: { pronoun: 'She/Her' } })");
+  assert.ok(!("jobTitleOverride" in plain));
+  assert.deepStrictEqual(helpers.run(context, "get_title_parts(" + JSON.stringify(plain) + ", SIGNATURE_TEMPLATES.A)"),
+    ["Senior Director", "Global Regulatory Affairs"]);
+
+  // An empty override and a hidden department
+  const hidden = Object.assign({}, directory, { jobTitleOverride: " ", departmentOverride: "Oncology", hiddenFields: ["department"] });
+  assert.deepStrictEqual(helpers.run(context, "get_title_parts(" + JSON.stringify(hidden) + ", SIGNATURE_TEMPLATES.A)"), ["Senior Director"]);
+});
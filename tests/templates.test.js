@@ -0,0 +1,195 @@
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT License.
+
+// Renders every template against fixture users through both entry points - the autorun's
+// checkSignature (deployed bundle, Windows-like runtime) and the taskpane's Apply to Draft -
+// and checks they insert byte-identical signatures.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const helpers = require("./helpers.js");
+
+const FIXTURE_USERS = {
+  employee: {
+    name: "Jane Doe",
+    email: "jane.doe@lilly.com",
+    jobTitle: "Senior Director",
+    department: "Global Regulatory Affairs",
+    companyName: "Eli Lilly and Company",
+    employeeType: "Employee",
+    mobilePhone: "+1 317 555 0199",
+    officePhone: "+1 (317) 555-0100 x1234",
+    officeLocation: "MC/1/2",
+    city: "Indianapolis",
+    country: "United States",
+    functionalArea: "Eli Lilly and Company",
+    pronoun: "She/Her",
+    pronunciation: "JAYN DOH",
+    companyAddress: "",
+    companyWebsite: ""
+  },
+  contractor: {
+    name: "Carlos Ruiz",
+    email: "carlos.ruiz@network.lilly.com",
+    jobTitle: "Consultant",
+    department: "Information Technology",
+    companyName: "Accenture",
+    employeeType: "Contractor",
+    mobilePhone: "+353 87 123 4567",
+    officePhone: "",
+    officeLocation: "LIM",
+    city: "Limerick",
+    country: "Ireland",
+    functionalArea: "Accenture",
+    pronoun: "",
+    pronunciation: "",
+    companyAddress: "",
+    companyWebsite: "www.accenture.com"
+  },
+  minimal: {
+    name: "Sam Lee",
+    email: "sam.lee@lilly.com"
+  },
+  localized: {
+    name: "Marie Dubois",
+    email: "marie.dubois@lilly.com",
+    jobTitle: "Responsable Qualité",
+    companyName: "Eli Lilly and Company",
+    officePhone: "+33 3 88 12 34 56",
+    officeLocation: "FR",
+    country: "France",
+    locale: "fr",
+    signOff: "bestRegards"
+  },
+  customSignOff: {
+    name: "Sam Lee",
+    email: "sam.lee@lilly.com",
+    jobTitle: "Associate",
+    signOff: "custom",
+    greeting: "Cheers & thanks,",
+    signOffInReplies: false
+  }
+};
+
+// Sign-off each fixture user's signature shows, as HTML and as text
+const FIXTURE_SIGN_OFFS = {
+  localized: { html: ">Cordialement,<", text: "Cordialement,\n" },
+  customSignOff: { html: ">Cheers &amp; thanks,<", text: "Cheers & thanks,\n" }
+};
+
+/**
+ * Lists every (user, template, compose mode, body type) combination the user is eligible for
+ */
+function list_cases() {
+  const context = helpers.load_scripts(helpers.create_context(), helpers.SHARED_SCRIPTS);
+  const templates = helpers.run(context, "Object.keys(SIGNATURE_TEMPLATES).map(function(id) { return { id: id, eligibility: SIGNATURE_TEMPLATES[id].eligibility, modes: SIGNATURE_TEMPLATES[id].modes, blocks: SIGNATURE_TEMPLATES[id].blocks }; })");
+  const cases = [];
+  Object.keys(FIXTURE_USERS).forEach(function(user) {
+    const userType = helpers.run(context, "classify_user(" + JSON.stringify(FIXTURE_USERS[user]) + ").type");
+    templates.forEach(function(template) {
+      if (template.eligibility.indexOf(userType) === -1) return;
+      template.modes.forEach(function(mode) {
+        ["html", "text"].forEach(function(bodyType) {
+          cases.push({ user: user, template: template.id, mode: mode, bodyType: bodyType, signOff: template.blocks.indexOf("signOff") !== -1 });
+        });
+      });
+    });
+  });
+  return cases;
+}
+
+/**
+ * Context options for a draft of the given case, with the user's settings saved from the taskpane
+ */
+function draft_options(fixture, browser) {
+  const roaming = {
+    storage_version: 2,
+    lilly_user_info: JSON.stringify(FIXTURE_USERS[fixture.user]),
+    user_info_cache: JSON.stringify(FIXTURE_USERS[fixture.user]),
+    user_info_timestamp: Date.now()
+  };
+  if (fixture.mode === "internal") {
+    roaming.lilly_newMail = fixture.user === "contractor" ? "C" : "A";
+    roaming.lilly_internal = fixture.template;
+  } else {
+    roaming["lilly_" + fixture.mode] = fixture.template;
+  }
+  return {
+    roaming: roaming,
+    email: FIXTURE_USERS[fixture.user].email,
+    displayName: FIXTURE_USERS[fixture.user].name,
+    itemType: fixture.mode === "appointment" ? "appointment" : "message",
+    composeType: fixture.mode === "reply" || fixture.mode === "forward" ? fixture.mode : "newMail",
+    bodyType: fixture.bodyType,
+    recipients: fixture.mode === "internal" ? ["colleague@lilly.com"] : ["someone@example.com"],
+    browser: browser
+  };
+}
+
+/**
+ * Inserts the signature the way the autorun does on a new draft
+ */
+async function insert_with_autorun(fixture) {
+  const context = helpers.load_autorun_bundle(helpers.create_context(draft_options(fixture, false)));
+  await helpers.fire_event(context, "checkSignature");
+  return context.__office.signatures;
+}
+
+/**
+ * Inserts the signature the way the taskpane's Apply to Draft does
+ */
+async function insert_with_taskpane(fixture) {
+  const context = helpers.load_scripts(helpers.create_context(draft_options(fixture, true)), helpers.TASKPANE_SCRIPTS);
+  await new Promise(function(resolve) {
+    context.__done = resolve;
+    helpers.run(context, "load_org_config(function() { __done(); })");
+  });
+
+  const templates = {
+    newMail: fixture.mode === "internal" ? (fixture.user === "contractor" ? "C" : "A") : fixture.template,
+    reply: fixture.mode === "reply" ? fixture.template : "A",
+    forward: fixture.mode === "forward" ? fixture.template : "A"
+  };
+  helpers.run(context, [
+    "userData = read_saved_user_info()",
+    "selectedTemplate = " + JSON.stringify(fixture.mode === "appointment" ? "A" : templates.newMail),
+    "modeTemplates = " + JSON.stringify({ reply: templates.reply, forward: templates.forward }),
+    "appointmentTemplateEnabled = " + (fixture.mode === "appointment"),
+    "internalTemplateEnabled = " + (fixture.mode === "internal"),
+    "applyToDraft()"
+  ].join(";\n"));
+
+  for (let tries = 0; tries < 100 && context.__office.signatures.length === 0; tries++) {
+    await new Promise(setImmediate);
+  }
+  return context.__office.signatures;
+}
+
+for (const fixture of list_cases()) {
+  const label = fixture.user + " / template " + fixture.template + " / " + fixture.mode + " / " + fixture.bodyType;
+
+  test("autorun and taskpane insert the same signature: " + label, async function() {
+    const autorun = await insert_with_autorun(fixture);
+    const taskpane = await insert_with_taskpane(fixture);
+
+    assert.strictEqual(autorun.length, 1, "autorun inserts one signature");
+    assert.strictEqual(taskpane.length, 1, "taskpane inserts one signature");
+    assert.strictEqual(autorun[0].coercionType, fixture.bodyType);
+    assert.ok(autorun[0].data.indexOf(FIXTURE_USERS[fixture.user].name) !== -1, "signature shows the user's name");
+    if (FIXTURE_SIGN_OFFS[fixture.user]) {
+      const shown = autorun[0].data.indexOf(FIXTURE_SIGN_OFFS[fixture.user][fixture.bodyType]) !== -1;
+      assert.strictEqual(shown, fixture.signOff && (fixture.mode !== "reply" || FIXTURE_USERS[fixture.user].signOffInReplies !== false), "sign-off");
+    }
+    assert.strictEqual(taskpane[0].data, autorun[0].data);
+  });
+}
+
+test("the deployed bundle and the separate autorun scripts insert the same signature", async function() {
+  const fixture = { user: "employee", template: "A", mode: "newMail", bodyType: "html" };
+  const bundled = await insert_with_autorun(fixture);
+
+  const context = helpers.load_scripts(helpers.create_context(draft_options(fixture, true)), helpers.AUTORUN_SCRIPTS);
+  await helpers.fire_event(context, "checkSignature");
+
+  assert.strictEqual(context.__office.signatures[0].data, bundled[0].data);
+});